@@ -0,0 +1,135 @@
+const { query } = require('../config/database');
+const AuditLog = require('../models/AuditLog');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const METHOD_ACTIONS = { GET: 'view', POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Never stored in the audit log, only noted as changed
+const REDACTED_FIELDS = ['password', 'password_hash', 'token', 'refresh_token'];
+
+// Bumped on every write, so not worth listing as a change
+const IGNORED_FIELDS = ['updated_at'];
+
+const redact = (row) => {
+  if (!row) {
+    return null;
+  }
+  const copy = { ...row };
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) {
+      copy[field] = '[redacted]';
+    }
+  }
+  return copy;
+};
+
+// Fields that differ between two snapshots, as { field: { from, to } }
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { from: '[redacted]', to: '[redacted]' }
+        : { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// Name the action from the path after the entity id, e.g. POST /:id/approve is
+// 'approve' and DELETE /:id/payments/:paymentId is 'payments.delete'; plain
+// writes to / or /:id are create, update or delete.
+const actionFor = (method, segments) => {
+  const named = segments.filter(segment => !/^\d+$/.test(segment));
+  if (named.length === 0) {
+    return METHOD_ACTIONS[method];
+  }
+  return method === 'DELETE' ? `${named.join('.')}.delete` : named.join('.');
+};
+
+// Record every successful write under a router in the audit log, with the
+// entity as it was before and after the request.
+//   table       - table to snapshot the entity from
+//   responseKey - response property holding a newly created entity (for its id)
+//   idPattern   - what an entity id in the first path segment looks like
+//   load        - custom snapshot loader, called with the id (or null) and the request
+//   skip        - requests not to audit
+//   reads       - record GET requests too, for sensitive routers
+const audit = (entity_type, { table, responseKey, idPattern = /^\d+$/, load, skip, reads = false } = {}) => {
+  const loadEntity = load || (async (id) => {
+    if (id === null) {
+      return null;
+    }
+    const result = await query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  });
+
+  return async (req, res, next) => {
+    const audited = WRITE_METHODS.includes(req.method) || (reads && req.method === 'GET');
+    if (!audited || (skip && skip(req))) {
+      return next();
+    }
+
+    const segments = req.path.split('/').filter(Boolean);
+    const pathId = segments.length > 0 && idPattern.test(segments[0]) ? segments[0] : null;
+    const action = actionFor(req.method, pathId === null ? segments : segments.slice(1));
+    const ip_address = req.ip;
+
+    let before;
+    try {
+      before = await loadEntity(pathId, req);
+    } catch (error) {
+      return next(error);
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (data) => {
+      body = data;
+      return json(data);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      try {
+        const createdId = pathId === null && responseKey ? body?.[responseKey]?.id : null;
+        const entity_id = pathId ?? (createdId ? String(createdId) : null);
+        const after = await loadEntity(entity_id, req);
+
+        await AuditLog.create({
+          actor_id: req.user?.userId,
+          actor_name: req.user ? `${req.user.firstName} ${req.user.lastName}` : null,
+          action,
+          entity_type,
+          entity_id,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          before_data: redact(before),
+          after_data: redact(after),
+          changes: diff(before, after),
+          ip_address
+        });
+      } catch (error) {
+        console.error(`Error writing audit log for ${req.method} ${req.originalUrl}:`, error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  audit,
+  diff
+};
@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { getRolePermissions } = require('../utils/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'afrogazette-secret-key-change-in-production';
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
 // Middleware to verify JWT token
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -16,17 +21,25 @@ const authMiddleware = (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Attach user info to request
+
+    // The token's session must still be live, so logout, revocation and
+    // deactivating the user take effect immediately
+    const session = decoded.sid ? await Session.findActive(decoded.sid) : null;
+    if (!session || session.user_id !== decoded.userId) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    // Attach user info to request. The role comes from the database rather
+    // than the token, so a role change applies from the next request.
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
-      role: decoded.role,
+      role: session.role,
+      permissions: await getRolePermissions(session.role),
       firstName: decoded.firstName,
-      lastName: decoded.lastName
+      lastName: decoded.lastName,
+      sessionId: decoded.sid
     };
-
-    next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
@@ -36,41 +49,68 @@ const authMiddleware = (req, res, next) => {
     }
     return res.status(500).json({ error: 'Authentication failed' });
   }
+
+  next();
 };
 
-// Middleware to check user role
-const roleCheck = (...allowedRoles) => {
+// Whether a user (req.user) has any of the given permissions
+const can = (user, ...permissions) =>
+  !!user && permissions.some(permission => user.permissions.includes(permission));
+
+// Middleware to require any one of the given permissions
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (!can(req.user, ...permissions)) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: permissions });
     }
 
     next();
   };
 };
 
-// Generate JWT token
-const generateToken = (user) => {
+// Generate an access token for a user's session
+const generateToken = (user, session_id) => {
   return jwt.sign(
     {
       userId: user.id,
       email: user.email,
       role: user.role,
       firstName: user.first_name,
-      lastName: user.last_name
+      lastName: user.last_name,
+      sid: session_id
     },
     JWT_SECRET,
-    { expiresIn: '7d' } // Token valid for 7 days
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+// Start a session and issue its tokens. expires_in is the access token's
+// lifetime in seconds.
+const startSession = async (user, req) => {
+  const { session, refresh_token } = await Session.create({
+    user_id: user.id,
+    user_agent: req.get('user-agent'),
+    ip_address: req.ip
+  });
+  return issueTokens(user, session.id, refresh_token);
+};
+
+const issueTokens = (user, session_id, refresh_token) => {
+  const token = generateToken(user, session_id);
+  const { iat, exp } = jwt.decode(token);
+  return { token, refresh_token, expires_in: exp - iat };
+};
+
 module.exports = {
   authMiddleware,
-  roleCheck,
+  requirePermission,
+  can,
   generateToken,
+  startSession,
+  issueTokens,
   JWT_SECRET
 };
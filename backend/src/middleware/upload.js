@@ -0,0 +1,52 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Store uploads in uploads/<folder> as <prefix>-<unique suffix>.<ext>
+const diskStorage = (folder, prefix) => multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../uploads', folder);
+    try {
+      await fs.mkdir(uploadDir, { recursive: true });
+      cb(null, uploadDir);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `${prefix}-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+// Images and PDFs only
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|pdf/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only JPEG, PNG, and PDF files are allowed'));
+  }
+};
+
+// Proof of payment uploads (sales, converted quotations)
+const proofUpload = multer({
+  storage: diskStorage('proof-of-payment', 'proof'),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter
+});
+
+// Attachments on sale comments
+const commentUpload = multer({
+  storage: diskStorage('sale-comments', 'comment'),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter
+});
+
+module.exports = {
+  proofUpload,
+  commentUpload
+};
@@ -0,0 +1,20 @@
+const { query } = require('../config/database');
+const CatalogItem = require('./CatalogItem');
+
+class AdType extends CatalogItem {
+  // Ad types are also referenced by commission rules
+  static async countUsage(name) {
+    const result = await query(
+      `SELECT
+        (SELECT COUNT(*) FROM sales WHERE ad_type = $1) +
+        (SELECT COUNT(*) FROM commission_rules WHERE ad_type = $1) as count`,
+      [name]
+    );
+    return parseInt(result.rows[0].count);
+  }
+}
+
+AdType.table = 'ad_types';
+AdType.saleColumn = 'ad_type';
+
+module.exports = AdType;
@@ -0,0 +1,136 @@
+const { query } = require('../config/database');
+
+class AuditLog {
+  // Record one write
+  static async create(entryData) {
+    const {
+      actor_id,
+      actor_name,
+      action,
+      entity_type,
+      entity_id,
+      method,
+      path,
+      before_data,
+      after_data,
+      changes,
+      ip_address
+    } = entryData;
+
+    const result = await query(
+      `INSERT INTO audit_log (
+        actor_id, actor_name, action, entity_type, entity_id, method, path,
+        before_data, after_data, changes, ip_address
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        actor_id || null,
+        actor_name || null,
+        action,
+        entity_type,
+        entity_id || null,
+        method,
+        path,
+        before_data ? JSON.stringify(before_data) : null,
+        after_data ? JSON.stringify(after_data) : null,
+        JSON.stringify(changes || {}),
+        ip_address || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Build the WHERE clause shared by findAll and count
+  static buildFilters(filters = {}) {
+    const { actor_id, entity_type, entity_id, action, start_date, end_date } = filters;
+    let where = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 1;
+
+    if (actor_id) {
+      where += ` AND a.actor_id = $${paramCount}`;
+      params.push(actor_id);
+      paramCount++;
+    }
+
+    if (entity_type) {
+      where += ` AND a.entity_type = $${paramCount}`;
+      params.push(entity_type);
+      paramCount++;
+    }
+
+    if (entity_id) {
+      where += ` AND a.entity_id = $${paramCount}`;
+      params.push(String(entity_id));
+      paramCount++;
+    }
+
+    if (action) {
+      where += ` AND a.action = $${paramCount}`;
+      params.push(action);
+      paramCount++;
+    }
+
+    if (start_date) {
+      where += ` AND a.created_at >= $${paramCount}`;
+      params.push(start_date);
+      paramCount++;
+    }
+
+    if (end_date) {
+      where += ` AND a.created_at < ($${paramCount}::date + INTERVAL '1 day')`;
+      params.push(end_date);
+      paramCount++;
+    }
+
+    return { where, params };
+  }
+
+  // Get audit entries with filters, newest first. limit null returns all of them.
+  static async findAll(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = this.buildFilters(filters);
+
+    let queryText = `
+      SELECT a.*
+      FROM audit_log a
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+    `;
+
+    if (limit !== null) {
+      queryText += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+      params.push(limit, offset);
+    }
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Count audit entries matching filters
+  static async count(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const result = await query(`SELECT COUNT(*) as count FROM audit_log a ${where}`, params);
+    return parseInt(result.rows[0].count);
+  }
+
+  // Get one audit entry
+  static async findById(id) {
+    const result = await query('SELECT * FROM audit_log WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Entity types and actions seen so far, for filter dropdowns
+  static async getFilterOptions() {
+    const result = await query(
+      `SELECT entity_type, array_agg(DISTINCT action ORDER BY action) as actions
+       FROM audit_log
+       GROUP BY entity_type
+       ORDER BY entity_type`
+    );
+    return result.rows;
+  }
+}
+
+module.exports = AuditLog;
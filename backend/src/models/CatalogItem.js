@@ -0,0 +1,107 @@
+const { query } = require('../config/database');
+
+// Empty form values are stored as NULL
+const toNullable = (value) => (value === undefined || value === '' ? null : value);
+
+// Shared queries for admin-managed catalogs (ad types, payment methods).
+// Subclasses set `table` and the `saleColumn` on sales that stores the name.
+class CatalogItem {
+  // Get all items with how many sales use each
+  static async findAll(filters = {}) {
+    const { is_active } = filters;
+
+    let queryText = `
+      SELECT t.*,
+        (SELECT COUNT(*) FROM sales s WHERE s.${this.saleColumn} = t.name) as sales_count
+      FROM ${this.table} t
+      WHERE 1=1
+    `;
+
+    const params = [];
+    if (is_active !== undefined) {
+      queryText += ' AND t.is_active = $1';
+      params.push(is_active);
+    }
+
+    queryText += ' ORDER BY t.is_active DESC, t.name';
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Find item by ID
+  static async findById(id) {
+    const result = await query(
+      `SELECT * FROM ${this.table} WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Find item by name
+  static async findByName(name) {
+    const result = await query(
+      `SELECT * FROM ${this.table} WHERE name = $1`,
+      [name]
+    );
+    return result.rows[0];
+  }
+
+  // Names of active items, for validation messages
+  static async getActiveNames() {
+    const result = await query(
+      `SELECT name FROM ${this.table} WHERE is_active = true ORDER BY name`
+    );
+    return result.rows.map(row => row.name);
+  }
+
+  // Create new item
+  static async create(itemData) {
+    const { name, default_price, default_commission_rate, is_active = true } = itemData;
+
+    const result = await query(
+      `INSERT INTO ${this.table} (name, default_price, default_commission_rate, is_active)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, toNullable(default_price), toNullable(default_commission_rate), is_active]
+    );
+
+    return result.rows[0];
+  }
+
+  // Update item; a rename cascades to sales and commission rules
+  static async update(id, itemData) {
+    const { name, default_price, default_commission_rate, is_active = true } = itemData;
+
+    const result = await query(
+      `UPDATE ${this.table}
+       SET name = $1, default_price = $2, default_commission_rate = $3,
+           is_active = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [name, toNullable(default_price), toNullable(default_commission_rate), is_active, id]
+    );
+
+    return result.rows[0];
+  }
+
+  // Number of records referencing an item by name
+  static async countUsage(name) {
+    const result = await query(
+      `SELECT COUNT(*) as count FROM sales WHERE ${this.saleColumn} = $1`,
+      [name]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  // Delete item (only when unused; deactivate items that are in use)
+  static async delete(id) {
+    const result = await query(
+      `DELETE FROM ${this.table} WHERE id = $1 RETURNING id`,
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = CatalogItem;
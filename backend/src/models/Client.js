@@ -1,15 +1,16 @@
 const { query } = require('../config/database');
+const Trash = require('./Trash');
 
 class Client {
   // Create new client
   static async create(clientData) {
-    const { client_name, contact_person, phone_number, email, address, added_by } = clientData;
+    const { client_name, contact_person, phone_number, email, address, notification_channel, added_by } = clientData;
 
     const result = await query(
-      `INSERT INTO clients (client_name, contact_person, phone_number, email, address, added_by)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO clients (client_name, contact_person, phone_number, email, address, notification_channel, added_by)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'whatsapp'), $7)
        RETURNING *`,
-      [client_name, contact_person, phone_number, email, address, added_by]
+      [client_name, contact_person, phone_number, email, address, notification_channel || null, added_by]
     );
 
     return result.rows[0];
@@ -22,7 +23,7 @@ class Client {
         u.first_name || ' ' || u.last_name as added_by_name
        FROM clients c
        LEFT JOIN users u ON c.added_by = u.id
-       WHERE c.id = $1`,
+       WHERE c.id = $1 AND c.deleted_at IS NULL`,
       [id]
     );
     return result.rows[0];
@@ -38,16 +39,17 @@ class Client {
       FROM clients c
       LEFT JOIN users u ON c.added_by = u.id
       LEFT JOIN sales s ON c.id = s.client_id AND s.status = 'approved'
+      WHERE c.deleted_at IS NULL
     `;
 
     const params = [];
 
     if (search) {
-      queryText += ` WHERE 
+      queryText += ` AND (
         c.client_name ILIKE $1 OR 
         c.contact_person ILIKE $1 OR 
         c.phone_number ILIKE $1 OR
-        c.email ILIKE $1`;
+        c.email ILIKE $1)`;
       params.push(`%${search}%`);
     }
 
@@ -62,26 +64,24 @@ class Client {
 
   // Update client
   static async update(id, clientData) {
-    const { client_name, contact_person, phone_number, email, address } = clientData;
+    const { client_name, contact_person, phone_number, email, address, notification_channel } = clientData;
 
     const result = await query(
       `UPDATE clients
-       SET client_name = $1, contact_person = $2, phone_number = $3, email = $4, address = $5
-       WHERE id = $6
+       SET client_name = $1, contact_person = $2, phone_number = $3, email = $4, address = $5,
+           notification_channel = COALESCE($6, notification_channel)
+       WHERE id = $7 AND deleted_at IS NULL
        RETURNING *`,
-      [client_name, contact_person, phone_number, email, address, id]
+      [client_name, contact_person, phone_number, email, address, notification_channel || null, id]
     );
 
     return result.rows[0];
   }
 
-  // Delete client
-  static async delete(id) {
-    const result = await query(
-      'DELETE FROM clients WHERE id = $1 RETURNING id',
-      [id]
-    );
-    return result.rowCount > 0;
+  // Move client to the trash; their sales and invoices keep referring to it
+  static async delete(id, deleted_by) {
+    const deleted = await Trash.softDelete('clients', id, deleted_by);
+    return !!deleted;
   }
 
   // Get client statistics
@@ -98,7 +98,8 @@ class Client {
          FROM sales
          WHERE status = 'approved'
          GROUP BY client_id
-       ) client_sales ON c.id = client_sales.client_id`
+       ) client_sales ON c.id = client_sales.client_id
+       WHERE c.deleted_at IS NULL`
     );
     return result.rows[0];
   }
@@ -111,7 +112,7 @@ class Client {
         SUM(s.amount) as total_revenue
        FROM clients c
        INNER JOIN sales s ON c.id = s.client_id
-       WHERE s.status = 'approved'
+       WHERE s.status = 'approved' AND c.deleted_at IS NULL
        GROUP BY c.id, c.client_name, c.phone_number
        ORDER BY total_revenue DESC
        LIMIT $1`,
@@ -119,15 +120,6 @@ class Client {
     );
     return result.rows;
   }
-
-  // Check if client has any sales
-  static async hasSales(id) {
-    const result = await query(
-      'SELECT COUNT(*) as count FROM sales WHERE client_id = $1',
-      [id]
-    );
-    return parseInt(result.rows[0].count) > 0;
-  }
 }
 
 module.exports = Client;
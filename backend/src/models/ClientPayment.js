@@ -0,0 +1,74 @@
+const { query } = require('../config/database');
+
+class ClientPayment {
+  // Record a payment against an invoice. `client` is a transaction client.
+  static async create(client, paymentData) {
+    const {
+      invoice_id,
+      client_id,
+      amount,
+      currency,
+      payment_method,
+      payment_date,
+      reference_number,
+      notes,
+      recorded_by
+    } = paymentData;
+
+    const result = await client.query(
+      `INSERT INTO client_payments (
+        invoice_id, client_id, amount, currency, payment_method, payment_date,
+        reference_number, notes, recorded_by
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        invoice_id,
+        client_id,
+        amount,
+        currency,
+        payment_method,
+        payment_date,
+        reference_number || null,
+        notes || null,
+        recorded_by
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Find payment by ID
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM client_payments WHERE id = $1',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Payments received against an invoice, oldest first
+  static async findByInvoice(invoice_id) {
+    const result = await query(
+      `SELECT cp.*,
+        u.first_name || ' ' || u.last_name as recorded_by_name
+       FROM client_payments cp
+       LEFT JOIN users u ON cp.recorded_by = u.id
+       WHERE cp.invoice_id = $1
+       ORDER BY cp.payment_date, cp.id`,
+      [invoice_id]
+    );
+    return result.rows;
+  }
+
+  // Delete payment. `client` is a transaction client.
+  static async delete(client, id) {
+    const result = await client.query(
+      'DELETE FROM client_payments WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = ClientPayment;
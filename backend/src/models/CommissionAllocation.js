@@ -0,0 +1,179 @@
+const { query } = require('../config/database');
+
+// Round to cents to avoid floating point drift when splitting payments
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+// Allocations are kept in the base currency; convert a payment captured at its rate
+const baseCents = (payment) => toCents(parseFloat(payment.amount) / parseFloat(payment.exchange_rate || 1));
+
+class CommissionAllocation {
+  // Approved sales for a journalist that still have unpaid commission (in the
+  // base currency, less any reversed by credit notes), oldest first.
+  // `client` is a transaction client; `excludePaymentId` ignores that payment's
+  // own allocations so it can be re-allocated.
+  static async findOutstandingSales(client, journalist_id, excludePaymentId = null) {
+    const result = await client.query(
+      `SELECT s.id, s.payment_date, s.commission_amount,
+        ROUND(s.commission_amount / s.exchange_rate, 2) - s.commission_reversed - COALESCE(SUM(a.amount), 0) as outstanding
+       FROM sales s
+       LEFT JOIN commission_payment_allocations a
+         ON a.sale_id = s.id AND ($2::integer IS NULL OR a.payment_id <> $2)
+       WHERE s.journalist_id = $1 AND s.status = 'approved'
+       GROUP BY s.id
+       HAVING ROUND(s.commission_amount / s.exchange_rate, 2) - s.commission_reversed - COALESCE(SUM(a.amount), 0) > 0
+       ORDER BY s.payment_date, s.id`,
+      [journalist_id, excludePaymentId]
+    );
+    return result.rows;
+  }
+
+  // Allocate a payment across the journalist's oldest unpaid sales.
+  // Any remainder stays unallocated as a credit on the payment.
+  static async allocateOldestFirst(client, payment) {
+    await CommissionAllocation.clearForPayment(client, payment.id);
+
+    const sales = await CommissionAllocation.findOutstandingSales(client, payment.journalist_id, payment.id);
+    let remaining = baseCents(payment);
+    const allocations = [];
+
+    for (const sale of sales) {
+      if (remaining <= 0) break;
+
+      const amount = Math.min(remaining, toCents(sale.outstanding));
+      allocations.push({ sale_id: sale.id, amount: amount / 100 });
+      remaining -= amount;
+    }
+
+    return CommissionAllocation.insertMany(client, payment.id, allocations);
+  }
+
+  // Replace a payment's allocations with explicit { sale_id, amount } entries.
+  // Throws a ValidationError if a sale is not owed that much or the total exceeds the payment.
+  static async allocateExplicit(client, payment, requested) {
+    const sales = await CommissionAllocation.findOutstandingSales(client, payment.journalist_id, payment.id);
+    const outstandingBySale = new Map(sales.map(sale => [sale.id, toCents(sale.outstanding)]));
+
+    let total = 0;
+    const allocations = [];
+    for (const entry of requested) {
+      const saleId = parseInt(entry.sale_id);
+      const amount = toCents(entry.amount);
+
+      if (!saleId || isNaN(amount) || amount <= 0) {
+        throw CommissionAllocation.validationError('Each allocation needs a sale_id and a positive amount');
+      }
+      if (!outstandingBySale.has(saleId)) {
+        throw CommissionAllocation.validationError(`Sale ${saleId} has no outstanding commission for this journalist`);
+      }
+      if (amount > outstandingBySale.get(saleId)) {
+        throw CommissionAllocation.validationError(`Allocation for sale ${saleId} exceeds its outstanding commission`);
+      }
+
+      outstandingBySale.set(saleId, outstandingBySale.get(saleId) - amount);
+      total += amount;
+      allocations.push({ sale_id: saleId, amount: amount / 100 });
+    }
+
+    if (total > baseCents(payment)) {
+      throw CommissionAllocation.validationError('Allocations exceed the payment amount');
+    }
+
+    await CommissionAllocation.clearForPayment(client, payment.id);
+    return CommissionAllocation.insertMany(client, payment.id, allocations);
+  }
+
+  static async insertMany(client, payment_id, allocations) {
+    const rows = [];
+    for (const { sale_id, amount } of allocations) {
+      const result = await client.query(
+        `INSERT INTO commission_payment_allocations (payment_id, sale_id, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (payment_id, sale_id)
+         DO UPDATE SET amount = commission_payment_allocations.amount + EXCLUDED.amount
+         RETURNING *`,
+        [payment_id, sale_id, amount]
+      );
+      rows.push(result.rows[0]);
+    }
+    return rows;
+  }
+
+  // Trim a sale's allocations, latest payments first, so they do not exceed
+  // the commission still owed on it. What is released stays unallocated as
+  // a credit on those payments.
+  static async trimForSale(client, sale_id) {
+    const saleResult = await client.query(
+      `SELECT GREATEST(ROUND(commission_amount / exchange_rate, 2) - commission_reversed, 0) as owed
+       FROM sales WHERE id = $1`,
+      [sale_id]
+    );
+    const allocations = await client.query(
+      `SELECT a.* FROM commission_payment_allocations a
+       JOIN commission_payments cp ON a.payment_id = cp.id
+       WHERE a.sale_id = $1
+       ORDER BY cp.payment_date DESC, cp.id DESC`,
+      [sale_id]
+    );
+
+    let excess = allocations.rows.reduce((sum, a) => sum + toCents(a.amount), 0) - toCents(saleResult.rows[0].owed);
+    for (const allocation of allocations.rows) {
+      if (excess <= 0) break;
+
+      const cut = Math.min(excess, toCents(allocation.amount));
+      if (cut === toCents(allocation.amount)) {
+        await client.query('DELETE FROM commission_payment_allocations WHERE id = $1', [allocation.id]);
+      } else {
+        await client.query(
+          'UPDATE commission_payment_allocations SET amount = amount - $1 WHERE id = $2',
+          [cut / 100, allocation.id]
+        );
+      }
+      excess -= cut;
+    }
+  }
+
+  static async clearForPayment(client, payment_id) {
+    await client.query(
+      'DELETE FROM commission_payment_allocations WHERE payment_id = $1',
+      [payment_id]
+    );
+  }
+
+  // Allocations for a payment with sale details
+  static async findByPayment(payment_id) {
+    const result = await query(
+      `SELECT a.*,
+        s.payment_date as sale_date, s.amount as sale_amount, s.ad_type, s.commission_amount,
+        c.client_name
+       FROM commission_payment_allocations a
+       JOIN sales s ON a.sale_id = s.id
+       LEFT JOIN clients c ON s.client_id = c.id
+       WHERE a.payment_id = $1
+       ORDER BY s.payment_date, s.id`,
+      [payment_id]
+    );
+    return result.rows;
+  }
+
+  // Allocations settling a sale with payment details
+  static async findBySale(sale_id) {
+    const result = await query(
+      `SELECT a.*,
+        cp.payment_date, cp.payment_method, cp.reference_number
+       FROM commission_payment_allocations a
+       JOIN commission_payments cp ON a.payment_id = cp.id
+       WHERE a.sale_id = $1
+       ORDER BY cp.payment_date, cp.id`,
+      [sale_id]
+    );
+    return result.rows;
+  }
+
+  static validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+module.exports = CommissionAllocation;
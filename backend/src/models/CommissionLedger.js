@@ -0,0 +1,249 @@
+const { query } = require('../config/database');
+const ExchangeRate = require('./ExchangeRate');
+
+// Convert an amount captured at `exchange_rate` into the base currency, rounded to cents
+const toBase = (amount, exchange_rate = 1) =>
+  Math.round((parseFloat(amount) / parseFloat(exchange_rate || 1)) * 100) / 100;
+
+// " (ZWG 1325.00)" for amounts not captured in the base currency
+const originalAmount = (amount, currency) =>
+  currency && currency !== ExchangeRate.BASE_CURRENCY ? ` (${currency} ${parseFloat(amount).toFixed(2)})` : '';
+
+// Earned = accruals less reversals, paid = payouts less payout reversals.
+// `rate` scales each entry, e.g. to convert into a reporting currency.
+const balanceColumns = (rate = '1') => `
+  COALESCE(SUM(l.credit * ${rate}) FILTER (WHERE l.entry_type = 'accrual'), 0)
+    - COALESCE(SUM(l.debit * ${rate}) FILTER (WHERE l.entry_type = 'reversal'), 0) as total_earned,
+  COALESCE(SUM(l.debit * ${rate}) FILTER (WHERE l.entry_type = 'payout'), 0)
+    - COALESCE(SUM(l.credit * ${rate}) FILTER (WHERE l.entry_type = 'payout_reversal'), 0) as total_paid,
+  COALESCE(SUM((l.credit - l.debit) * ${rate}), 0) as balance`;
+
+class CommissionLedger {
+  // Post a single entry. `client` is a transaction client.
+  static async record(client, entry) {
+    const {
+      journalist_id,
+      entry_type,
+      entry_date,
+      sale_id = null,
+      payment_id = null,
+      debit = 0,
+      credit = 0,
+      description,
+      created_by
+    } = entry;
+
+    const result = await client.query(
+      `INSERT INTO commission_ledger (
+        journalist_id, entry_type, entry_date, sale_id, payment_id,
+        debit, credit, description, created_by
+      )
+       VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [journalist_id, entry_type, entry_date || null, sale_id, payment_id, debit, credit, description, created_by]
+    );
+
+    return result.rows[0];
+  }
+
+  // Accrue commission when a sale is approved, in the base currency
+  static async accrueSale(client, sale, created_by) {
+    const credit = toBase(sale.commission_amount || 0, sale.exchange_rate);
+    if (!(credit > 0)) {
+      return null;
+    }
+
+    return CommissionLedger.record(client, {
+      journalist_id: sale.journalist_id,
+      entry_type: 'accrual',
+      entry_date: sale.payment_date,
+      sale_id: sale.id,
+      credit,
+      description: `Commission on sale #${sale.id}${originalAmount(sale.commission_amount, sale.currency)}`,
+      created_by
+    });
+  }
+
+  // Reverse the net commission still accrued on a sale. A `share` below 1
+  // reverses that fraction of the sale's commission, e.g. for a partial credit.
+  static async reverseSale(client, sale, reason, created_by, share = 1) {
+    const net = await CommissionLedger.netForSale(client, sale.id);
+    const debit = share >= 1
+      ? net
+      : Math.min(net, Math.round(toBase(sale.commission_amount || 0, sale.exchange_rate) * share * 100) / 100);
+    if (debit <= 0) {
+      return null;
+    }
+
+    return CommissionLedger.record(client, {
+      journalist_id: sale.journalist_id,
+      entry_type: 'reversal',
+      sale_id: sale.id,
+      debit,
+      description: reason || `Commission reversed on sale #${sale.id}`,
+      created_by
+    });
+  }
+
+  // Record a commission payout, in the base currency
+  static async recordPayout(client, payment, created_by) {
+    return CommissionLedger.record(client, {
+      journalist_id: payment.journalist_id,
+      entry_type: 'payout',
+      entry_date: payment.payment_date,
+      payment_id: payment.id,
+      debit: toBase(payment.amount, payment.exchange_rate),
+      description: `Commission payment #${payment.id}${originalAmount(payment.amount, payment.currency)}${payment.reference_number ? ` (${payment.reference_number})` : ''}`,
+      created_by
+    });
+  }
+
+  // Reverse the net amount still paid out under a payment
+  static async reversePayout(client, payment, reason, created_by) {
+    const net = await CommissionLedger.netForPayment(client, payment.id);
+    if (net <= 0) {
+      return null;
+    }
+
+    return CommissionLedger.record(client, {
+      journalist_id: payment.journalist_id,
+      entry_type: 'payout_reversal',
+      payment_id: payment.id,
+      credit: net,
+      description: reason || `Commission payment #${payment.id} reversed`,
+      created_by
+    });
+  }
+
+  // Commission still accrued on a sale (accruals less reversals)
+  static async netForSale(client, sale_id) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(credit - debit), 0) as net
+       FROM commission_ledger
+       WHERE sale_id = $1 AND entry_type IN ('accrual', 'reversal')`,
+      [sale_id]
+    );
+    return parseFloat(result.rows[0].net);
+  }
+
+  // Amount still paid out under a payment (payouts less payout reversals)
+  static async netForPayment(client, payment_id) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(debit - credit), 0) as net
+       FROM commission_ledger
+       WHERE payment_id = $1 AND entry_type IN ('payout', 'payout_reversal')`,
+      [payment_id]
+    );
+    return parseFloat(result.rows[0].net);
+  }
+
+  // Earned, paid and balance for one journalist, optionally before a date
+  static async getBalance(journalist_id, before_date = null) {
+    const result = await query(
+      `SELECT ${balanceColumns()}
+       FROM commission_ledger l
+       WHERE l.journalist_id = $1
+         AND ($2::date IS NULL OR l.entry_date < $2::date)`,
+      [journalist_id, before_date]
+    );
+
+    const row = result.rows[0];
+    return {
+      total_earned: parseFloat(row.total_earned),
+      total_paid: parseFloat(row.total_paid),
+      balance: parseFloat(row.balance)
+    };
+  }
+
+  // Totals across journalists (all, or only those in journalist_ids),
+  // converted into `currency` at the rate on each entry's date
+  static async getTotals(journalist_ids = null, currency = ExchangeRate.BASE_CURRENCY) {
+    const result = await query(
+      `SELECT ${balanceColumns(ExchangeRate.rateSql('$2::varchar', 'l.entry_date'))}
+       FROM commission_ledger l
+       WHERE ($1::integer[] IS NULL OR l.journalist_id = ANY($1))`,
+      [journalist_ids, currency]
+    );
+
+    const row = result.rows[0];
+    return {
+      total_earned: parseFloat(row.total_earned),
+      total_paid: parseFloat(row.total_paid),
+      balance: parseFloat(row.balance)
+    };
+  }
+
+  // Per-journalist balances for every journalist with ledger activity
+  static async getJournalistBalances() {
+    const result = await query(
+      `SELECT
+        u.id,
+        u.first_name || ' ' || u.last_name as journalist_name,
+        ${balanceColumns()}
+       FROM users u
+       INNER JOIN commission_ledger l ON u.id = l.journalist_id
+       GROUP BY u.id, u.first_name, u.last_name
+       ORDER BY balance DESC`
+    );
+    return result.rows;
+  }
+
+  // Ledger entries with related sale and payment details
+  static async findEntries(filters = {}) {
+    const { journalist_id, entry_type, start_date, end_date, limit } = filters;
+
+    let queryText = `
+      SELECT l.*,
+        u.first_name || ' ' || u.last_name as journalist_name,
+        s.amount as sale_amount, s.currency as sale_currency, s.ad_type, s.commission_rate,
+        c.client_name,
+        cp.payment_method, cp.reference_number
+      FROM commission_ledger l
+      LEFT JOIN users u ON l.journalist_id = u.id
+      LEFT JOIN sales s ON l.sale_id = s.id
+      LEFT JOIN clients c ON s.client_id = c.id
+      LEFT JOIN commission_payments cp ON l.payment_id = cp.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+    let paramCount = 1;
+
+    if (journalist_id) {
+      queryText += ` AND l.journalist_id = $${paramCount}`;
+      params.push(journalist_id);
+      paramCount++;
+    }
+
+    if (entry_type) {
+      queryText += ` AND l.entry_type = $${paramCount}`;
+      params.push(entry_type);
+      paramCount++;
+    }
+
+    if (start_date) {
+      queryText += ` AND l.entry_date >= $${paramCount}`;
+      params.push(start_date);
+      paramCount++;
+    }
+
+    if (end_date) {
+      queryText += ` AND l.entry_date <= $${paramCount}`;
+      params.push(end_date);
+      paramCount++;
+    }
+
+    queryText += ' ORDER BY l.entry_date, l.id';
+
+    if (limit) {
+      queryText += ` LIMIT $${paramCount}`;
+      params.push(limit);
+      paramCount++;
+    }
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+}
+
+module.exports = CommissionLedger;
@@ -0,0 +1,219 @@
+const { query } = require('../config/database');
+
+const FALLBACK_COMMISSION_RATE = 10.00;
+
+class CommissionRule {
+  // Create new commission rule
+  static async create(ruleData) {
+    const {
+      name,
+      ad_type,
+      journalist_id,
+      min_monthly_revenue = 0,
+      commission_rate,
+      effective_from,
+      effective_to,
+      priority = 0,
+      is_active = true,
+      created_by
+    } = ruleData;
+
+    const result = await query(
+      `INSERT INTO commission_rules (
+        name, ad_type, journalist_id, min_monthly_revenue, commission_rate,
+        effective_from, effective_to, priority, is_active, created_by
+      )
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_DATE), $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        name,
+        ad_type || null,
+        journalist_id || null,
+        min_monthly_revenue,
+        commission_rate,
+        effective_from || null,
+        effective_to || null,
+        priority,
+        is_active,
+        created_by
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Find rule by ID
+  static async findById(id) {
+    const result = await query(
+      `SELECT r.*,
+        u.first_name || ' ' || u.last_name as journalist_name
+       FROM commission_rules r
+       LEFT JOIN users u ON r.journalist_id = u.id
+       WHERE r.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Get all rules with optional filters
+  static async findAll(filters = {}) {
+    const { ad_type, journalist_id, is_active } = filters;
+
+    let queryText = `
+      SELECT r.*,
+        u.first_name || ' ' || u.last_name as journalist_name,
+        (SELECT COUNT(*) FROM sales s WHERE s.commission_rule_id = r.id) as sales_count
+      FROM commission_rules r
+      LEFT JOIN users u ON r.journalist_id = u.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+    let paramCount = 1;
+
+    if (ad_type) {
+      queryText += ` AND r.ad_type = $${paramCount}`;
+      params.push(ad_type);
+      paramCount++;
+    }
+
+    if (journalist_id) {
+      queryText += ` AND r.journalist_id = $${paramCount}`;
+      params.push(journalist_id);
+      paramCount++;
+    }
+
+    if (is_active !== undefined) {
+      queryText += ` AND r.is_active = $${paramCount}`;
+      params.push(is_active);
+      paramCount++;
+    }
+
+    queryText += ' ORDER BY r.is_active DESC, r.journalist_id NULLS LAST, r.ad_type NULLS LAST, r.min_monthly_revenue, r.effective_from DESC';
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Update rule
+  static async update(id, ruleData) {
+    const {
+      name,
+      ad_type,
+      journalist_id,
+      min_monthly_revenue = 0,
+      commission_rate,
+      effective_from,
+      effective_to,
+      priority = 0,
+      is_active = true
+    } = ruleData;
+
+    const result = await query(
+      `UPDATE commission_rules
+       SET name = $1, ad_type = $2, journalist_id = $3, min_monthly_revenue = $4,
+           commission_rate = $5, effective_from = $6, effective_to = $7,
+           priority = $8, is_active = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10
+       RETURNING *`,
+      [
+        name,
+        ad_type || null,
+        journalist_id || null,
+        min_monthly_revenue,
+        commission_rate,
+        effective_from,
+        effective_to || null,
+        priority,
+        is_active,
+        id
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Delete rule (sales that used it keep their stored rate)
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM commission_rules WHERE id = $1 RETURNING id',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Get default commission rate from settings
+  static async getDefaultRate() {
+    const result = await query(
+      `SELECT setting_value FROM settings WHERE setting_key = 'default_commission_rate'`
+    );
+    const rate = parseFloat(result.rows[0]?.setting_value);
+    return isNaN(rate) ? FALLBACK_COMMISSION_RATE : rate;
+  }
+
+  // Rate used when no rule matches: the ad type's default commission rate,
+  // then the payment method's, then default_commission_rate
+  static async getFallbackRate({ ad_type, payment_method }) {
+    const result = await query(
+      `SELECT COALESCE(
+        (SELECT default_commission_rate FROM ad_types WHERE name = $1),
+        (SELECT default_commission_rate FROM payment_methods WHERE name = $2)
+      ) as rate`,
+      [ad_type || null, payment_method || null]
+    );
+
+    const rate = result.rows[0].rate;
+    return rate === null ? CommissionRule.getDefaultRate() : parseFloat(rate);
+  }
+
+  // Approved revenue (in the base currency) for a journalist in the calendar month of a date
+  static async getMonthlyRevenue(journalist_id, date, excludeSaleId = null) {
+    const result = await query(
+      `SELECT COALESCE(SUM(amount / exchange_rate), 0) as revenue
+       FROM sales
+       WHERE journalist_id = $1
+         AND status = 'approved'
+         AND DATE_TRUNC('month', payment_date) = DATE_TRUNC('month', $2::date)
+         AND ($3::integer IS NULL OR id <> $3)`,
+      [journalist_id, date, excludeSaleId]
+    );
+    return parseFloat(result.rows[0].revenue);
+  }
+
+  // Resolve the commission rate for a sale. The most specific active rule wins
+  // (journalist, then ad type, then highest monthly revenue tier reached
+  // including this sale, then priority); falls back to getFallbackRate().
+  static async resolveForSale(sale) {
+    const { id, journalist_id, ad_type, amount, payment_date, exchange_rate = 1 } = sale;
+
+    // Revenue tiers are in the base currency
+    const previousRevenue = await CommissionRule.getMonthlyRevenue(journalist_id, payment_date, id || null);
+    const monthlyRevenue = previousRevenue + parseFloat(amount) / parseFloat(exchange_rate);
+
+    const result = await query(
+      `SELECT *
+       FROM commission_rules
+       WHERE is_active = true
+         AND (ad_type IS NULL OR ad_type = $1)
+         AND (journalist_id IS NULL OR journalist_id = $2)
+         AND effective_from <= $3::date
+         AND (effective_to IS NULL OR effective_to >= $3::date)
+         AND min_monthly_revenue <= $4
+       ORDER BY (journalist_id IS NOT NULL) DESC,
+                (ad_type IS NOT NULL) DESC,
+                min_monthly_revenue DESC,
+                priority DESC,
+                effective_from DESC,
+                id DESC
+       LIMIT 1`,
+      [ad_type, journalist_id, payment_date, monthlyRevenue]
+    );
+
+    const rule = result.rows[0] || null;
+    const rate = rule ? parseFloat(rule.commission_rate) : await CommissionRule.getFallbackRate(sale);
+
+    return { rate, rule, monthly_revenue: monthlyRevenue };
+  }
+}
+
+module.exports = CommissionRule;
@@ -0,0 +1,137 @@
+const { query, transaction } = require('../config/database');
+const Invoice = require('./Invoice');
+const CommissionLedger = require('./CommissionLedger');
+const CommissionAllocation = require('./CommissionAllocation');
+const { nextDocumentNumber } = require('../utils/numbering');
+
+const SELECT_CREDIT_NOTE = `
+  SELECT cn.*,
+    i.invoice_number, i.sale_id, i.client_name, i.client_phone, i.amount as invoice_amount,
+    u.first_name || ' ' || u.last_name as created_by_name
+  FROM credit_notes cn
+  INNER JOIN invoices i ON cn.invoice_id = i.id
+  LEFT JOIN users u ON cn.created_by = u.id`;
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+class CreditNote {
+  // Issue a credit note against an invoice, update the invoice balance and
+  // reverse the matching share of the commission on the invoiced sale. The
+  // reversal is kept on the sale, so it is no longer owed or paid out.
+  static async create({ invoice, amount, reason, created_by }) {
+    const amountCents = toCents(amount);
+    const taxCents = Math.round(amountCents * toCents(invoice.tax_total) / toCents(invoice.amount));
+
+    return transaction(async (client) => {
+      const credit_note_number = await nextDocumentNumber(client, 'credit_note');
+      const result = await client.query(
+        `INSERT INTO credit_notes (
+          credit_note_number, invoice_id, client_id, subtotal, tax_total, amount,
+          currency, exchange_rate, reason, created_by
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          credit_note_number,
+          invoice.id,
+          invoice.client_id,
+          ((amountCents - taxCents) / 100).toFixed(2),
+          (taxCents / 100).toFixed(2),
+          (amountCents / 100).toFixed(2),
+          invoice.currency,
+          invoice.exchange_rate,
+          reason,
+          created_by
+        ]
+      );
+
+      const creditNote = result.rows[0];
+      const updated = await Invoice.refreshPaymentStatus(client, invoice.id);
+
+      if (invoice.sale_id) {
+        const saleResult = await client.query(
+          'SELECT * FROM sales WHERE id = $1',
+          [invoice.sale_id]
+        );
+        const sale = saleResult.rows[0];
+
+        if (sale) {
+          // Fully credited invoices reverse whatever commission is left on the sale
+          const share = updated.status === 'credited' ? 1 : amountCents / toCents(invoice.amount);
+          const reversal = await CommissionLedger.reverseSale(
+            client,
+            sale,
+            `Commission reversed by credit note ${credit_note_number} on sale #${sale.id}`,
+            created_by,
+            share
+          );
+
+          if (reversal) {
+            await client.query(
+              'UPDATE credit_notes SET commission_reversed = $1 WHERE id = $2',
+              [reversal.debit, creditNote.id]
+            );
+            creditNote.commission_reversed = reversal.debit;
+
+            await client.query(
+              'UPDATE sales SET commission_reversed = commission_reversed + $1 WHERE id = $2',
+              [reversal.debit, sale.id]
+            );
+            await CommissionAllocation.trimForSale(client, sale.id);
+          }
+        }
+      }
+
+      return creditNote;
+    });
+  }
+
+  // Find credit note by ID with its invoice details
+  static async findById(id) {
+    const result = await query(`${SELECT_CREDIT_NOTE} WHERE cn.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Credit notes raised against an invoice, oldest first
+  static async findByInvoice(invoice_id) {
+    const result = await query(
+      `${SELECT_CREDIT_NOTE} WHERE cn.invoice_id = $1 ORDER BY cn.id`,
+      [invoice_id]
+    );
+    return result.rows;
+  }
+
+  // Get all credit notes with filters
+  static async findAll(filters = {}) {
+    const { client_id, start_date, end_date } = filters;
+
+    let queryText = `${SELECT_CREDIT_NOTE} WHERE 1=1`;
+    const params = [];
+    let paramCount = 1;
+
+    if (client_id) {
+      queryText += ` AND cn.client_id = $${paramCount}`;
+      params.push(client_id);
+      paramCount++;
+    }
+
+    if (start_date) {
+      queryText += ` AND cn.issue_date >= $${paramCount}`;
+      params.push(start_date);
+      paramCount++;
+    }
+
+    if (end_date) {
+      queryText += ` AND cn.issue_date <= $${paramCount}`;
+      params.push(end_date);
+      paramCount++;
+    }
+
+    queryText += ' ORDER BY cn.created_at DESC';
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+}
+
+module.exports = CreditNote;
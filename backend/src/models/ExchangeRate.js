@@ -0,0 +1,173 @@
+const { query } = require('../config/database');
+
+// All rates are quoted as units of a currency per 1 unit of the base currency
+const BASE_CURRENCY = 'USD';
+const CURRENCIES = ['USD', 'ZWG', 'ZAR'];
+
+class ExchangeRate {
+  // Create new exchange rate
+  static async create(rateData) {
+    const { currency, rate, effective_date, created_by } = rateData;
+
+    const result = await query(
+      `INSERT INTO exchange_rates (currency, rate, effective_date, created_by)
+       VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4)
+       RETURNING *`,
+      [currency, rate, effective_date || null, created_by]
+    );
+
+    return result.rows[0];
+  }
+
+  // Find exchange rate by ID
+  static async findById(id) {
+    const result = await query(
+      'SELECT * FROM exchange_rates WHERE id = $1',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Get all exchange rates, newest first
+  static async findAll(filters = {}) {
+    const { currency } = filters;
+
+    let queryText = `
+      SELECT er.*,
+        u.first_name || ' ' || u.last_name as created_by_name
+      FROM exchange_rates er
+      LEFT JOIN users u ON er.created_by = u.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+    if (currency) {
+      queryText += ' AND er.currency = $1';
+      params.push(currency);
+    }
+
+    queryText += ' ORDER BY er.effective_date DESC, er.currency';
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Update exchange rate
+  static async update(id, rateData) {
+    const { currency, rate, effective_date } = rateData;
+
+    const result = await query(
+      `UPDATE exchange_rates
+       SET currency = $1, rate = $2, effective_date = $3
+       WHERE id = $4
+       RETURNING *`,
+      [currency, rate, effective_date, id]
+    );
+
+    return result.rows[0];
+  }
+
+  // Delete exchange rate (records keep the rate they were captured at)
+  static async delete(id) {
+    const result = await query(
+      'DELETE FROM exchange_rates WHERE id = $1 RETURNING id',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Rate in effect for a currency on a date. Throws a ValidationError when
+  // no rate has been entered on or before that date.
+  static async getRate(currency, date) {
+    if (currency === BASE_CURRENCY) {
+      return 1;
+    }
+
+    const result = await query(
+      `SELECT rate FROM exchange_rates
+       WHERE currency = $1 AND effective_date <= $2::date
+       ORDER BY effective_date DESC
+       LIMIT 1`,
+      [currency, date]
+    );
+
+    if (result.rows.length === 0) {
+      throw ExchangeRate.validationError(`No ${currency} exchange rate in effect on ${date}`);
+    }
+
+    return parseFloat(result.rows[0].rate);
+  }
+
+  // Latest rate for every currency
+  static async getLatest() {
+    const result = await query(
+      `SELECT DISTINCT ON (currency) currency, rate, effective_date
+       FROM exchange_rates
+       ORDER BY currency, effective_date DESC`
+    );
+    return result.rows;
+  }
+
+  // SQL expression for the rate of `currencyExpr` in effect on `dateExpr`.
+  // Dates before the first rate use that first rate, so rows are never
+  // dropped from totals for want of a rate (resolveReportingCurrency makes
+  // sure the currency has one). Both arguments are trusted SQL fragments
+  // (column names or $n params).
+  static rateSql(currencyExpr, dateExpr) {
+    return `(CASE WHEN ${currencyExpr} = '${BASE_CURRENCY}' THEN 1 ELSE COALESCE((
+      SELECT er.rate FROM exchange_rates er
+      WHERE er.currency = ${currencyExpr} AND er.effective_date <= ${dateExpr}
+      ORDER BY er.effective_date DESC
+      LIMIT 1
+    ), (
+      SELECT er.rate FROM exchange_rates er
+      WHERE er.currency = ${currencyExpr}
+      ORDER BY er.effective_date
+      LIMIT 1
+    )) END)`;
+  }
+
+  // SQL expression converting an amount stored with its captured rate into
+  // the reporting currency at the rate in effect on `dateExpr`, rounded to cents
+  static convertSql(amountExpr, rateExpr, dateExpr, currencyParam) {
+    return `ROUND((${amountExpr}) / ${rateExpr} * ${ExchangeRate.rateSql(currencyParam, dateExpr)}, 2)`;
+  }
+
+  // Reporting currency from a request, falling back to the reporting_currency
+  // setting. Throws a ValidationError for a currency with no exchange rates,
+  // which could not be converted into.
+  static async resolveReportingCurrency(requested) {
+    let currency = requested;
+    if (currency) {
+      if (!CURRENCIES.includes(currency)) {
+        throw ExchangeRate.validationError(`Currency must be one of ${CURRENCIES.join(', ')}`);
+      }
+    } else {
+      const result = await query(
+        `SELECT setting_value FROM settings WHERE setting_key = 'reporting_currency'`
+      );
+      const setting = result.rows[0]?.setting_value;
+      currency = CURRENCIES.includes(setting) ? setting : BASE_CURRENCY;
+    }
+
+    if (currency !== BASE_CURRENCY) {
+      const rates = await query('SELECT 1 FROM exchange_rates WHERE currency = $1 LIMIT 1', [currency]);
+      if (rates.rows.length === 0) {
+        throw ExchangeRate.validationError(`No ${currency} exchange rates have been entered, so figures cannot be reported in ${currency}`);
+      }
+    }
+
+    return currency;
+  }
+
+  static validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+ExchangeRate.BASE_CURRENCY = BASE_CURRENCY;
+ExchangeRate.CURRENCIES = CURRENCIES;
+
+module.exports = ExchangeRate;
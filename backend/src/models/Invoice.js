@@ -0,0 +1,177 @@
+const { query } = require('../config/database');
+const ExchangeRate = require('./ExchangeRate');
+
+// Invoices that can still receive client payments
+const RECEIVABLE_STATUSES = ['issued', 'partially_paid'];
+
+// Aging buckets by days past the due date; invoices not yet due count as 0-30
+const AGING_BUCKETS = [
+  { key: 'days_0_30', min: null, max: 30 },
+  { key: 'days_31_60', min: 31, max: 60 },
+  { key: 'days_61_90', min: 61, max: 90 },
+  { key: 'days_90_plus', min: 91, max: null }
+];
+
+const SELECT_INVOICE = `
+  SELECT i.*,
+    i.amount - i.amount_paid - i.amount_credited as balance_due,
+    v.first_name || ' ' || v.last_name as voided_by_name,
+    c.email as client_email,
+    u.first_name || ' ' || u.last_name as generated_by_name
+  FROM invoices i
+  LEFT JOIN users u ON i.generated_by = u.id
+  LEFT JOIN users v ON i.voided_by = v.id
+  LEFT JOIN clients c ON i.client_id = c.id`;
+
+class Invoice {
+  // Find invoice by ID with its outstanding balance
+  static async findById(id) {
+    const result = await query(`${SELECT_INVOICE} WHERE i.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Get all invoices with filters
+  static async findAll(filters = {}) {
+    const { status, client_id, overdue } = filters;
+
+    let queryText = `${SELECT_INVOICE} WHERE 1=1`;
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      queryText += ` AND i.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (client_id) {
+      queryText += ` AND i.client_id = $${paramCount}`;
+      params.push(client_id);
+      paramCount++;
+    }
+
+    if (overdue) {
+      queryText += ` AND i.status = ANY($${paramCount}) AND i.due_date < CURRENT_DATE`;
+      params.push(RECEIVABLE_STATUSES);
+      paramCount++;
+    }
+
+    queryText += ' ORDER BY i.generated_at DESC';
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Recalculate amounts paid and credited from client payments and credit notes,
+  // and move the invoice between issued, partially_paid, paid and credited.
+  // Drafts and void invoices keep their status. `client` is a transaction client.
+  static async refreshPaymentStatus(client, id) {
+    const result = await client.query(
+      `UPDATE invoices i
+       SET amount_paid = p.total,
+           amount_credited = c.total,
+           status = CASE
+             WHEN i.status IN ('draft', 'void') THEN i.status
+             WHEN c.total >= i.amount THEN 'credited'
+             WHEN p.total + c.total >= i.amount THEN 'paid'
+             WHEN p.total + c.total > 0 THEN 'partially_paid'
+             ELSE 'issued'
+           END
+       FROM (
+         SELECT COALESCE(SUM(amount), 0) as total
+         FROM client_payments WHERE invoice_id = $1
+       ) p, (
+         SELECT COALESCE(SUM(amount), 0) as total
+         FROM credit_notes WHERE invoice_id = $1
+       ) c
+       WHERE i.id = $1
+       RETURNING i.*`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Issue a draft invoice, capturing the exchange rate on the issue date.
+  // `client` is a transaction client.
+  static async issue(client, id, { issue_date, due_date, exchange_rate }) {
+    const result = await client.query(
+      `UPDATE invoices
+       SET status = 'issued', issue_date = $1, due_date = $2, exchange_rate = $3
+       WHERE id = $4 AND status = 'draft'
+       RETURNING *`,
+      [issue_date, due_date, exchange_rate, id]
+    );
+    return result.rows[0];
+  }
+
+  // Void an invoice that has no payments or credit notes, keeping the row and
+  // its number for the record
+  static async void(id, reason, voided_by) {
+    const result = await query(
+      `UPDATE invoices
+       SET status = 'void', void_reason = $2, voided_by = $3, voided_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status <> 'void' AND amount_paid = 0 AND amount_credited = 0
+       RETURNING *`,
+      [id, reason, voided_by]
+    );
+    return result.rows[0];
+  }
+
+  // Default due date: the issue date plus the payment_terms_days setting
+  static async defaultDueDate(issue_date) {
+    const result = await query(
+      `SELECT ($1::date + COALESCE(
+         (SELECT setting_value FROM settings WHERE setting_key = 'payment_terms_days'), '30'
+       )::integer)::text as due_date`,
+      [issue_date]
+    );
+    return result.rows[0].due_date;
+  }
+
+  // Outstanding balances per client in aging buckets as of a date, converted
+  // into `currency` at the rate in effect on that date
+  static async getAging(as_of, currency = ExchangeRate.BASE_CURRENCY) {
+    const balance = ExchangeRate.convertSql('i.amount - i.amount_paid - i.amount_credited', 'i.exchange_rate', '$1::date', '$2::varchar');
+    const daysOverdue = '($1::date - COALESCE(i.due_date, i.issue_date))';
+
+    const bucketColumns = AGING_BUCKETS.map(({ key, min, max }) => {
+      const conditions = [];
+      if (min !== null) conditions.push(`${daysOverdue} >= ${min}`);
+      if (max !== null) conditions.push(`${daysOverdue} <= ${max}`);
+      return `COALESCE(SUM(${balance}) FILTER (WHERE ${conditions.join(' AND ')}), 0) as ${key}`;
+    });
+
+    const result = await query(
+      `SELECT i.client_id,
+        COALESCE(c.client_name, MAX(i.client_name)) as client_name,
+        COUNT(*) as invoice_count,
+        MIN(i.due_date) as oldest_due_date,
+        ${bucketColumns.join(',\n        ')},
+        COALESCE(SUM(${balance}), 0) as total
+       FROM invoices i
+       LEFT JOIN clients c ON i.client_id = c.id
+       WHERE i.status = ANY($3) AND i.issue_date <= $1::date AND i.amount > i.amount_paid + i.amount_credited
+       GROUP BY i.client_id, c.client_name
+       ORDER BY total DESC`,
+      [as_of, currency, RECEIVABLE_STATUSES]
+    );
+
+    const totals = { total: 0 };
+    AGING_BUCKETS.forEach(({ key }) => { totals[key] = 0; });
+    result.rows.forEach((row) => {
+      Object.keys(totals).forEach((key) => {
+        totals[key] += parseFloat(row[key]);
+      });
+    });
+    Object.keys(totals).forEach((key) => {
+      totals[key] = totals[key].toFixed(2);
+    });
+
+    return { clients: result.rows, totals };
+  }
+}
+
+Invoice.RECEIVABLE_STATUSES = RECEIVABLE_STATUSES;
+Invoice.AGING_BUCKETS = AGING_BUCKETS.map(({ key }) => key);
+
+module.exports = Invoice;
@@ -0,0 +1,8 @@
+const LineItem = require('./LineItem');
+
+class InvoiceItem extends LineItem {}
+
+InvoiceItem.table = 'invoice_items';
+InvoiceItem.parentColumn = 'invoice_id';
+
+module.exports = InvoiceItem;
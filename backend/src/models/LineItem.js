@@ -0,0 +1,142 @@
+const { query } = require('../config/database');
+
+// Round to cents to avoid floating point drift when pricing lines
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Priced document lines (invoices, quotations).
+// Subclasses set `table` and the `parentColumn` linking lines to their document.
+class LineItem {
+  // VAT rate (%) from settings, applied to lines that don't set their own
+  static async getVatRate() {
+    const result = await query(
+      `SELECT setting_value FROM settings WHERE setting_key = 'vat_rate'`
+    );
+    const rate = parseFloat(result.rows[0]?.setting_value);
+    return isNaN(rate) ? 0 : rate;
+  }
+
+  // Validate raw lines and compute their amounts. The discount is taken off
+  // the line subtotal and VAT is charged on what remains.
+  // Throws a ValidationError describing the first invalid line.
+  static priceLines(items, defaultTaxRate = 0) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw validationError('At least one line item is required');
+    }
+
+    return items.map((item, index) => {
+      const label = `Line ${index + 1}`;
+      const description = (item.description || '').trim();
+      const quantity = parseFloat(item.quantity);
+      const unitPrice = parseFloat(item.unit_price);
+      const discountPercent = isBlank(item.discount_percent) ? 0 : parseFloat(item.discount_percent);
+      const taxRate = isBlank(item.tax_rate) ? defaultTaxRate : parseFloat(item.tax_rate);
+
+      if (!description) {
+        throw validationError(`${label}: description is required`);
+      }
+      if (isNaN(quantity) || quantity <= 0) {
+        throw validationError(`${label}: quantity must be greater than 0`);
+      }
+      if (isNaN(unitPrice) || unitPrice < 0) {
+        throw validationError(`${label}: unit price cannot be negative`);
+      }
+      if (isNaN(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+        throw validationError(`${label}: discount must be between 0 and 100%`);
+      }
+      if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+        throw validationError(`${label}: VAT rate must be between 0 and 100%`);
+      }
+
+      const subtotal = Math.round(quantity * toCents(unitPrice));
+      const discount = Math.round(subtotal * discountPercent / 100);
+      const tax = Math.round((subtotal - discount) * taxRate / 100);
+
+      return {
+        line_number: index + 1,
+        description,
+        ad_type: item.ad_type || null,
+        quantity,
+        unit_price: unitPrice,
+        discount_percent: discountPercent,
+        tax_rate: taxRate,
+        line_subtotal: fromCents(subtotal),
+        discount_amount: fromCents(discount),
+        tax_amount: fromCents(tax),
+        line_total: fromCents(subtotal - discount + tax)
+      };
+    });
+  }
+
+  // Invoice totals for a set of priced lines
+  static summarize(lines) {
+    const sum = (field) => lines.reduce((total, line) => total + toCents(line[field]), 0);
+
+    return {
+      subtotal: fromCents(sum('line_subtotal')),
+      discount_total: fromCents(sum('discount_amount')),
+      tax_total: fromCents(sum('tax_amount')),
+      total: fromCents(sum('line_total'))
+    };
+  }
+
+  // Replace a document's lines. `client` is a transaction client.
+  static async replaceFor(client, parentId, lines) {
+    await client.query(`DELETE FROM ${this.table} WHERE ${this.parentColumn} = $1`, [parentId]);
+
+    const items = [];
+    for (const line of lines) {
+      const result = await client.query(
+        `INSERT INTO ${this.table} (
+          ${this.parentColumn}, line_number, description, ad_type, quantity, unit_price,
+          discount_percent, tax_rate, line_subtotal, discount_amount, tax_amount, line_total
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          parentId,
+          line.line_number,
+          line.description,
+          line.ad_type,
+          line.quantity,
+          line.unit_price,
+          line.discount_percent,
+          line.tax_rate,
+          line.line_subtotal,
+          line.discount_amount,
+          line.tax_amount,
+          line.line_total
+        ]
+      );
+      items.push(result.rows[0]);
+    }
+
+    return items;
+  }
+
+  // Lines for a document in order
+  static async findFor(parentId) {
+    const result = await query(
+      `SELECT * FROM ${this.table} WHERE ${this.parentColumn} = $1 ORDER BY line_number`,
+      [parentId]
+    );
+    return result.rows;
+  }
+
+  // Lines as accepted by priceLines, for copying them onto another document
+  static toInput(lines) {
+    return lines.map(({ description, ad_type, quantity, unit_price, discount_percent, tax_rate }) => ({
+      description, ad_type, quantity, unit_price, discount_percent, tax_rate
+    }));
+  }
+}
+
+module.exports = LineItem;
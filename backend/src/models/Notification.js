@@ -0,0 +1,100 @@
+const { query } = require('../config/database');
+
+class Notification {
+  // Log a notification attempt on one channel
+  static async create(notificationData) {
+    const {
+      event,
+      channel,
+      provider,
+      user_id,
+      client_id,
+      address,
+      message,
+      status,
+      error,
+      email_id,
+      related_type,
+      related_id
+    } = notificationData;
+
+    const result = await query(
+      `INSERT INTO notifications (
+        event, channel, provider, user_id, client_id, address, message, status,
+        error, email_id, related_type, related_id
+      )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        event,
+        channel,
+        provider || null,
+        user_id || null,
+        client_id || null,
+        address || null,
+        message,
+        status,
+        error || null,
+        email_id || null,
+        related_type || null,
+        related_id || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Get the notification log with filters, newest first
+  static async findAll(filters = {}) {
+    const { event, channel, status, user_id, client_id, limit = 200 } = filters;
+
+    let queryText = `
+      SELECT n.*,
+        COALESCE(u.first_name || ' ' || u.last_name, c.client_name) as recipient_name
+      FROM notifications n
+      LEFT JOIN users u ON n.user_id = u.id
+      LEFT JOIN clients c ON n.client_id = c.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (event) {
+      queryText += ` AND n.event = $${paramCount}`;
+      params.push(event);
+      paramCount++;
+    }
+
+    if (channel) {
+      queryText += ` AND n.channel = $${paramCount}`;
+      params.push(channel);
+      paramCount++;
+    }
+
+    if (status) {
+      queryText += ` AND n.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (user_id) {
+      queryText += ` AND n.user_id = $${paramCount}`;
+      params.push(user_id);
+      paramCount++;
+    }
+
+    if (client_id) {
+      queryText += ` AND n.client_id = $${paramCount}`;
+      params.push(client_id);
+      paramCount++;
+    }
+
+    queryText += ` ORDER BY n.created_at DESC, n.id DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,32 @@
+const { query, transaction } = require('../config/database');
+
+class NotificationPreference {
+  // Stored preferences for a user as { event, channel, enabled } rows
+  static async findByUser(user_id) {
+    const result = await query(
+      `SELECT event, channel, enabled
+       FROM notification_preferences
+       WHERE user_id = $1
+       ORDER BY event, channel`,
+      [user_id]
+    );
+    return result.rows;
+  }
+
+  // Upsert a user's preferences from { event, channel, enabled } rows
+  static async saveForUser(user_id, preferences) {
+    return transaction(async (client) => {
+      for (const { event, channel, enabled } of preferences) {
+        await client.query(
+          `INSERT INTO notification_preferences (user_id, event, channel, enabled)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, event, channel)
+           DO UPDATE SET enabled = $4, updated_at = CURRENT_TIMESTAMP`,
+          [user_id, event, channel, !!enabled]
+        );
+      }
+    });
+  }
+}
+
+module.exports = NotificationPreference;
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordReset {
+  // Issue a reset token for a user, replacing any they haven't used yet.
+  // Returns the plain token, which is only ever stored hashed.
+  static async create({ user_id, requested_ip, expiry_minutes }) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await PasswordReset.invalidateForUser(user_id);
+    await query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' minutes')::interval)`,
+      [user_id, hashToken(token), requested_ip || null, expiry_minutes]
+    );
+
+    return token;
+  }
+
+  // The unused, unexpired token row for a plain token, for an active user
+  static async findValid(token) {
+    const result = await query(
+      `SELECT t.*
+       FROM password_reset_tokens t
+       JOIN users u ON t.user_id = u.id
+       WHERE t.token_hash = $1
+         AND t.used_at IS NULL
+         AND t.expires_at > CURRENT_TIMESTAMP
+         AND u.is_active = true
+         AND u.deleted_at IS NULL`,
+      [hashToken(token)]
+    );
+    return result.rows[0];
+  }
+
+  // Mark a token used; returns its user_id, or null if it was already used or
+  // has expired (so two requests can't both spend it)
+  static async consume(token) {
+    const result = await query(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+    return result.rows[0]?.user_id || null;
+  }
+
+  // Void a user's unused tokens, e.g. once their password has changed
+  static async invalidateForUser(user_id) {
+    await query(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [user_id]
+    );
+  }
+}
+
+module.exports = PasswordReset;
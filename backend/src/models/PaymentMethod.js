@@ -0,0 +1,8 @@
+const CatalogItem = require('./CatalogItem');
+
+class PaymentMethod extends CatalogItem {}
+
+PaymentMethod.table = 'payment_methods';
+PaymentMethod.saleColumn = 'payment_method';
+
+module.exports = PaymentMethod;
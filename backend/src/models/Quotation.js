@@ -0,0 +1,204 @@
+const { query, transaction } = require('../config/database');
+const QuotationItem = require('./QuotationItem');
+const { nextDocumentNumber } = require('../utils/numbering');
+
+// Quotations that can still be accepted or declined
+const OPEN_STATUSES = ['draft', 'sent'];
+
+const SELECT_QUOTATION = `
+  SELECT q.*,
+    c.client_name, c.phone_number as client_phone, c.email as client_email,
+    u.first_name || ' ' || u.last_name as journalist_name
+  FROM quotations q
+  LEFT JOIN clients c ON q.client_id = c.id
+  LEFT JOIN users u ON q.journalist_id = u.id`;
+
+class Quotation {
+  // Create a quotation with its priced lines and totals
+  static async create(quotationData, lines, totals) {
+    const {
+      client_id,
+      journalist_id,
+      ad_type,
+      currency,
+      description,
+      notes,
+      valid_until
+    } = quotationData;
+
+    return transaction(async (client) => {
+      const quote_number = await nextDocumentNumber(client, 'quotation');
+      const result = await client.query(
+        `INSERT INTO quotations (
+          quote_number, client_id, journalist_id, ad_type, currency, description, notes,
+          subtotal, discount_total, tax_total, total, valid_until
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          quote_number,
+          client_id,
+          journalist_id,
+          ad_type,
+          currency,
+          description,
+          notes,
+          totals.subtotal,
+          totals.discount_total,
+          totals.tax_total,
+          totals.total,
+          valid_until
+        ]
+      );
+
+      const quotation = result.rows[0];
+      await QuotationItem.replaceFor(client, quotation.id, lines);
+      return quotation;
+    });
+  }
+
+  // Find quotation by ID with client and journalist names
+  static async findById(id) {
+    await Quotation.expireOverdue();
+
+    const result = await query(`${SELECT_QUOTATION} WHERE q.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Quotation converted into a sale, if any
+  static async findBySale(sale_id) {
+    const result = await query(
+      'SELECT * FROM quotations WHERE sale_id = $1',
+      [sale_id]
+    );
+    return result.rows[0];
+  }
+
+  // Get all quotations with filters
+  static async findAll(filters = {}) {
+    const { journalist_id, journalist_ids, status, search } = filters;
+
+    await Quotation.expireOverdue();
+
+    let queryText = `${SELECT_QUOTATION} WHERE 1=1`;
+    const params = [];
+    let paramCount = 1;
+
+    if (journalist_id) {
+      queryText += ` AND q.journalist_id = $${paramCount}`;
+      params.push(journalist_id);
+      paramCount++;
+    }
+
+    // Limit to the journalists a user may see (see utils/scope.js)
+    if (journalist_ids) {
+      queryText += ` AND q.journalist_id = ANY($${paramCount}::int[])`;
+      params.push(journalist_ids);
+      paramCount++;
+    }
+
+    if (status) {
+      queryText += ` AND q.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (search) {
+      queryText += ` AND (c.client_name ILIKE $${paramCount} OR q.quote_number ILIKE $${paramCount} OR q.description ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+      paramCount++;
+    }
+
+    queryText += ' ORDER BY q.created_at DESC';
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Update an open quotation and replace its lines
+  static async update(id, quotationData, lines, totals) {
+    const { client_id, ad_type, currency, description, notes, valid_until } = quotationData;
+
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE quotations
+         SET client_id = $1, ad_type = $2, currency = $3, description = $4, notes = $5,
+             valid_until = $6, subtotal = $7, discount_total = $8, tax_total = $9, total = $10,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $11 AND status = ANY($12)
+         RETURNING *`,
+        [
+          client_id,
+          ad_type,
+          currency,
+          description,
+          notes,
+          valid_until,
+          totals.subtotal,
+          totals.discount_total,
+          totals.tax_total,
+          totals.total,
+          id,
+          OPEN_STATUSES
+        ]
+      );
+
+      const quotation = result.rows[0];
+      if (quotation) {
+        await QuotationItem.replaceFor(client, id, lines);
+      }
+      return quotation;
+    });
+  }
+
+  // Move a quotation to `status` if it is currently in one of `fromStatuses`.
+  // Returns undefined when the quotation was not in an allowed state.
+  static async transition(id, fromStatuses, status) {
+    const timestampColumn = status === 'sent' ? 'sent_at' : 'responded_at';
+
+    const result = await query(
+      `UPDATE quotations
+       SET status = $1, ${timestampColumn} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [status, id, fromStatuses]
+    );
+    return result.rows[0];
+  }
+
+  // Link an accepted quotation to the sale it was converted into.
+  // `client` is a transaction client; returns undefined if it was already converted.
+  static async markConverted(client, id, sale_id) {
+    const result = await client.query(
+      `UPDATE quotations
+       SET status = 'converted', sale_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'accepted'
+       RETURNING *`,
+      [sale_id, id]
+    );
+    return result.rows[0];
+  }
+
+  // Expire open quotations whose validity has passed
+  static async expireOverdue() {
+    await query(
+      `UPDATE quotations
+       SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = ANY($1) AND valid_until < CURRENT_DATE`,
+      [OPEN_STATUSES]
+    );
+  }
+
+  // Delete a quotation that has not been converted
+  static async delete(id) {
+    const result = await query(
+      "DELETE FROM quotations WHERE id = $1 AND status <> 'converted' RETURNING id",
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+Quotation.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = Quotation;
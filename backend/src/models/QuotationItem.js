@@ -0,0 +1,8 @@
+const LineItem = require('./LineItem');
+
+class QuotationItem extends LineItem {}
+
+QuotationItem.table = 'quotation_items';
+QuotationItem.parentColumn = 'quotation_id';
+
+module.exports = QuotationItem;
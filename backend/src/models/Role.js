@@ -0,0 +1,103 @@
+const { query, transaction } = require('../config/database');
+
+class Role {
+  // All roles with their permissions and how many users have each
+  static async findAll() {
+    const result = await query(
+      `SELECT r.*,
+        COALESCE(
+          (SELECT json_agg(rp.permission ORDER BY rp.permission)
+           FROM role_permissions rp WHERE rp.role_id = r.id),
+          '[]'
+        ) as permissions,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name AND u.deleted_at IS NULL)::int as user_count
+       FROM roles r
+       ORDER BY r.is_system DESC, r.label`
+    );
+    return result.rows;
+  }
+
+  // Find role by ID, with its permissions
+  static async findById(id) {
+    const result = await query(
+      `SELECT r.*,
+        COALESCE(
+          (SELECT json_agg(rp.permission ORDER BY rp.permission)
+           FROM role_permissions rp WHERE rp.role_id = r.id),
+          '[]'
+        ) as permissions
+       FROM roles r
+       WHERE r.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Find role by its name (the key stored on users.role)
+  static async findByName(name) {
+    const result = await query('SELECT * FROM roles WHERE name = $1', [name]);
+    return result.rows[0];
+  }
+
+  // Permission keys granted to a role name
+  static async getPermissions(name) {
+    const result = await query(
+      `SELECT rp.permission
+       FROM role_permissions rp
+       JOIN roles r ON rp.role_id = r.id
+       WHERE r.name = $1`,
+      [name]
+    );
+    return result.rows.map(row => row.permission);
+  }
+
+  // Create a role with its permissions
+  static async create({ name, label, description, permissions = [] }) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO roles (name, label, description)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [name, label, description || null]
+      );
+      await Role.setPermissions(client, result.rows[0].id, permissions);
+      return result.rows[0].id;
+    }).then(id => Role.findById(id));
+  }
+
+  // Update a role's label, description and permissions. The name is fixed,
+  // since users refer to it.
+  static async update(id, { label, description, permissions }) {
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE roles
+         SET label = $1, description = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [label, description || null, id]
+      );
+      if (permissions) {
+        await Role.setPermissions(client, id, permissions);
+      }
+    });
+    return Role.findById(id);
+  }
+
+  // Replace a role's permissions inside a transaction
+  static async setPermissions(client, role_id, permissions) {
+    await client.query('DELETE FROM role_permissions WHERE role_id = $1', [role_id]);
+    for (const permission of [...new Set(permissions)]) {
+      await client.query(
+        'INSERT INTO role_permissions (role_id, permission) VALUES ($1, $2)',
+        [role_id, permission]
+      );
+    }
+  }
+
+  // Delete a role; fails with a foreign key violation while users have it
+  static async delete(id) {
+    const result = await query('DELETE FROM roles WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = Role;
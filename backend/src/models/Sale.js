@@ -1,8 +1,43 @@
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const CommissionRule = require('./CommissionRule');
+const CommissionLedger = require('./CommissionLedger');
+const ExchangeRate = require('./ExchangeRate');
+const SaleApproval = require('./SaleApproval');
+const SaleRevision = require('./SaleRevision');
+const { journalistRoleSql } = require('../utils/permissions');
+
+// Sale column converted into the reporting currency (always bound as $1)
+// at the rate in effect on the payment date
+const inReportingCurrency = (column) =>
+  ExchangeRate.convertSql(`s.${column}`, 's.exchange_rate', 's.payment_date', '$1::varchar');
+
+// Commission settled on each sale through payment allocations
+const COMMISSION_PAID_JOIN = `
+  LEFT JOIN (
+    SELECT sale_id, SUM(amount) as commission_paid
+    FROM commission_payment_allocations
+    GROUP BY sale_id
+  ) alloc ON alloc.sale_id = s.id`;
+
+// Commission still owed on a sale in the base currency: the converted
+// commission less whatever credit notes reversed
+const COMMISSION_OWED_SQL = `(COALESCE(ROUND(s.commission_amount / s.exchange_rate, 2), 0) - s.commission_reversed)`;
+
+// unpaid / partially_paid / paid for approved sales, NULL otherwise.
+// Allocations are in the base currency, so compare against the owed commission.
+const COMMISSION_STATUS_SQL = `
+  CASE
+    WHEN s.status <> 'approved' THEN NULL
+    WHEN COALESCE(alloc.commission_paid, 0) >= ${COMMISSION_OWED_SQL} THEN 'paid'
+    WHEN COALESCE(alloc.commission_paid, 0) > 0 THEN 'partially_paid'
+    ELSE 'unpaid'
+  END`;
 
 class Sale {
-  // Create new sale with automatic commission calculation
-  static async create(saleData) {
+  // Create new sale with a provisional commission at the fallback rate.
+  // The final rate is resolved from commission rules on approval.
+  // Pass a transaction `client` to create the sale as part of a larger change.
+  static async create(saleData, client = null) {
     const {
       client_id,
       journalist_id,
@@ -12,18 +47,27 @@ class Sale {
       ad_type,
       description,
       proof_of_payment_url,
-      commission_rate = 10.00
+      currency = ExchangeRate.BASE_CURRENCY,
+      quotation_id = null
     } = saleData;
 
+    const commission_rate = saleData.commission_rate || await CommissionRule.getFallbackRate(saleData);
+
+    // Capture the exchange rate in effect on the payment date
+    const exchange_rate = await ExchangeRate.getRate(currency, payment_date);
+
     // Calculate commission amount
     const commission_amount = (parseFloat(amount) * parseFloat(commission_rate)) / 100;
 
-    const result = await query(
+    const approvals_required = await SaleApproval.getRequiredApprovals(amount, exchange_rate);
+
+    const result = await (client || { query }).query(
       `INSERT INTO sales (
         client_id, journalist_id, amount, payment_method, payment_date,
-        ad_type, description, proof_of_payment_url, commission_rate, commission_amount, status
+        ad_type, description, proof_of_payment_url, commission_rate, commission_amount,
+        currency, exchange_rate, approvals_required, quotation_id, status
       )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending')
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'pending')
        RETURNING *`,
       [
         client_id,
@@ -35,10 +79,17 @@ class Sale {
         description,
         proof_of_payment_url,
         commission_rate,
-        commission_amount
+        commission_amount,
+        currency,
+        exchange_rate,
+        approvals_required,
+        quotation_id
       ]
     );
 
+    // The details as first submitted are revision 1
+    await SaleRevision.record(client || { query }, result.rows[0].id, journalist_id);
+
     return result.rows[0];
   }
 
@@ -48,12 +99,15 @@ class Sale {
       `SELECT s.*,
         c.client_name, c.phone_number as client_phone,
         u.first_name || ' ' || u.last_name as journalist_name,
-        approver.first_name || ' ' || approver.last_name as approved_by_name
+        approver.first_name || ' ' || approver.last_name as approved_by_name,
+        COALESCE(alloc.commission_paid, 0) as commission_paid,
+        ${COMMISSION_STATUS_SQL} as commission_status
        FROM sales s
        LEFT JOIN clients c ON s.client_id = c.id
        LEFT JOIN users u ON s.journalist_id = u.id
        LEFT JOIN users approver ON s.approved_by = approver.id
-       WHERE s.id = $1`,
+       ${COMMISSION_PAID_JOIN}
+       WHERE s.id = $1 AND s.deleted_at IS NULL`,
       [id]
     );
     return result.rows[0];
@@ -61,18 +115,22 @@ class Sale {
 
   // Get all sales with filters
   static async findAll(filters = {}) {
-    const { journalist_id, status, start_date, end_date, search } = filters;
+    const { journalist_id, journalist_ids, status, commission_status, start_date, end_date, search } = filters;
     
     let queryText = `
       SELECT s.*,
         c.client_name, c.phone_number as client_phone,
         u.first_name || ' ' || u.last_name as journalist_name,
-        approver.first_name || ' ' || approver.last_name as approved_by_name
+        approver.first_name || ' ' || approver.last_name as approved_by_name,
+        COALESCE(alloc.commission_paid, 0) as commission_paid,
+        ${COMMISSION_STATUS_SQL} as commission_status,
+        (SELECT COUNT(*) FROM sale_comments sc WHERE sc.sale_id = s.id AND NOT sc.is_internal)::int as comment_count
       FROM sales s
       LEFT JOIN clients c ON s.client_id = c.id
       LEFT JOIN users u ON s.journalist_id = u.id
       LEFT JOIN users approver ON s.approved_by = approver.id
-      WHERE 1=1
+      ${COMMISSION_PAID_JOIN}
+      WHERE s.deleted_at IS NULL
     `;
 
     const params = [];
@@ -84,12 +142,25 @@ class Sale {
       paramCount++;
     }
 
+    // Limit to the journalists a user may see (see utils/scope.js)
+    if (journalist_ids) {
+      queryText += ` AND s.journalist_id = ANY($${paramCount}::int[])`;
+      params.push(journalist_ids);
+      paramCount++;
+    }
+
     if (status) {
       queryText += ` AND s.status = $${paramCount}`;
       params.push(status);
       paramCount++;
     }
 
+    if (commission_status) {
+      queryText += ` AND (${COMMISSION_STATUS_SQL}) = $${paramCount}`;
+      params.push(commission_status);
+      paramCount++;
+    }
+
     if (start_date) {
       queryText += ` AND s.payment_date >= $${paramCount}`;
       params.push(start_date);
@@ -114,37 +185,131 @@ class Sale {
     return result.rows;
   }
 
-  // Approve sale
-  static async approve(id, approver_id) {
-    const result = await query(
-      `UPDATE sales
-       SET status = 'approved',
-           approved_by = $1,
-           approved_at = CURRENT_TIMESTAMP
-       WHERE id = $2
-       RETURNING *`,
-      [approver_id, id]
-    );
-    return result.rows[0];
+  // Record an approval of a pending sale. The last approval it needs
+  // approves it, resolving its commission rate from the commission rules and
+  // accruing the commission in the ledger; before that it stays pending with
+  // one more approval_count. Each approval must come from a different
+  // approver; this is checked under the sale's row lock so two requests from
+  // the same approver cannot both count. The commission is worked out from
+  // the sale as it stands under that lock, so a concurrent edit cannot slip in.
+  static async approve(id, approver_id, comment = null) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM sales
+         WHERE id = $1 AND status = 'pending' AND deleted_at IS NULL
+         FOR UPDATE`,
+        [id]
+      );
+      const sale = current.rows[0];
+      if (!sale) {
+        return undefined;
+      }
+
+      const approvers = await SaleApproval.getCurrentApproverIds(id, sale.approval_count, client);
+      if (approvers.includes(approver_id)) {
+        const error = new Error('You have already approved this sale; it needs another approver');
+        error.status = 409;
+        throw error;
+      }
+
+      const level = sale.approval_count + 1;
+      await SaleApproval.record(client, { sale_id: id, user_id: approver_id, action: 'approved', level, comment });
+
+      if (level < sale.approvals_required) {
+        const result = await client.query(
+          'UPDATE sales SET approval_count = $1 WHERE id = $2 RETURNING *',
+          [level, id]
+        );
+        return result.rows[0];
+      }
+
+      const { rate, rule } = await CommissionRule.resolveForSale(sale);
+      const commission_amount = (parseFloat(sale.amount) * rate) / 100;
+
+      const result = await client.query(
+        `UPDATE sales
+         SET status = 'approved',
+             approval_count = $1,
+             approved_by = $2,
+             approved_at = CURRENT_TIMESTAMP,
+             commission_rate = $3,
+             commission_amount = $4,
+             commission_rule_id = $5,
+             commission_rule_name = $6
+         WHERE id = $7
+         RETURNING *`,
+        [level, approver_id, rate, commission_amount, rule ? rule.id : null, rule ? rule.name : null, id]
+      );
+
+      const approved = result.rows[0];
+      await CommissionLedger.accrueSale(client, approved, approver_id);
+
+      return approved;
+    });
   }
 
-  // Reject sale
+  // Reject a pending sale, or one waiting for more information
   static async reject(id, approver_id, rejection_reason) {
-    const result = await query(
-      `UPDATE sales
-       SET status = 'rejected',
-           approved_by = $1,
-           approved_at = CURRENT_TIMESTAMP,
-           rejection_reason = $2
-       WHERE id = $3
-       RETURNING *`,
-      [approver_id, rejection_reason, id]
-    );
-    return result.rows[0];
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE sales
+         SET status = 'rejected',
+             approval_count = 0,
+             approved_by = $1,
+             approved_at = CURRENT_TIMESTAMP,
+             rejection_reason = $2
+         WHERE id = $3 AND status IN ('pending', 'needs_info') AND deleted_at IS NULL
+         RETURNING *`,
+        [approver_id, rejection_reason, id]
+      );
+
+      if (result.rows[0]) {
+        await SaleApproval.record(client, { sale_id: id, user_id: approver_id, action: 'rejected', comment: rejection_reason });
+      }
+      return result.rows[0];
+    });
+  }
+
+  // Send a pending sale back to its journalist for more information. Its
+  // approvals so far are discarded.
+  static async requestInfo(id, approver_id, comment) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE sales SET status = 'needs_info', approval_count = 0
+         WHERE id = $1 AND status = 'pending' AND deleted_at IS NULL
+         RETURNING *`,
+        [id]
+      );
+
+      if (result.rows[0]) {
+        await SaleApproval.record(client, { sale_id: id, user_id: approver_id, action: 'needs_info', comment });
+      }
+      return result.rows[0];
+    });
+  }
+
+  // Put a sale that needed more information, or was rejected, back up for
+  // approval. The earlier decision stays in its approval history.
+  static async resubmit(id, user_id, comment = null) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE sales
+         SET status = 'pending', approval_count = 0,
+             approved_by = NULL, approved_at = NULL, rejection_reason = NULL
+         WHERE id = $1 AND status IN ('needs_info', 'rejected') AND deleted_at IS NULL
+         RETURNING *`,
+        [id]
+      );
+
+      if (result.rows[0]) {
+        await SaleApproval.record(client, { sale_id: id, user_id, action: 'resubmitted', comment });
+      }
+      return result.rows[0];
+    });
   }
 
-  // Update sale
-  static async update(id, saleData) {
+  // Update an undecided or rejected sale, storing the new details as a revision
+  static async update(id, saleData, changed_by) {
     const {
       client_id,
       amount,
@@ -152,60 +317,92 @@ class Sale {
       payment_date,
       ad_type,
       description,
-      commission_rate
+      commission_rate,
+      currency = ExchangeRate.BASE_CURRENCY,
+      proof_of_payment_url
     } = saleData;
 
-    // Recalculate commission
-    const commission_amount = (parseFloat(amount) * parseFloat(commission_rate || 10)) / 100;
-
-    const result = await query(
-      `UPDATE sales
-       SET client_id = $1, amount = $2, payment_method = $3,
-           payment_date = $4, ad_type = $5, description = $6,
-           commission_rate = $7, commission_amount = $8
-       WHERE id = $9 AND status = 'pending'
-       RETURNING *`,
-      [client_id, amount, payment_method, payment_date, ad_type, description, commission_rate, commission_amount, id]
-    );
-
-    return result.rows[0];
+    // Recalculate provisional commission and re-capture the exchange rate
+    const rate = commission_rate || await CommissionRule.getFallbackRate(saleData);
+    const commission_amount = (parseFloat(amount) * parseFloat(rate)) / 100;
+    const exchange_rate = await ExchangeRate.getRate(currency, payment_date);
+    const approvals_required = await SaleApproval.getRequiredApprovals(amount, exchange_rate);
+
+    // Sales that already have an approval are no longer editable
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE sales
+         SET client_id = $1, amount = $2, payment_method = $3,
+             payment_date = $4, ad_type = $5, description = $6,
+             commission_rate = $7, commission_amount = $8,
+             currency = $9, exchange_rate = $10, approvals_required = $11,
+             proof_of_payment_url = $12
+         WHERE id = $13 AND status IN ('pending', 'needs_info', 'rejected') AND approval_count = 0 AND deleted_at IS NULL
+         RETURNING *`,
+        [client_id, amount, payment_method, payment_date, ad_type, description, rate, commission_amount, currency, exchange_rate, approvals_required, proof_of_payment_url, id]
+      );
+
+      if (result.rows[0]) {
+        await SaleRevision.record(client, id, changed_by);
+      }
+      return result.rows[0];
+    });
   }
 
-  // Delete sale (only if pending)
-  static async delete(id) {
-    const result = await query(
-      "DELETE FROM sales WHERE id = $1 AND status = 'pending' RETURNING id",
-      [id]
-    );
-    return result.rowCount > 0;
+  // Move sale to the trash (only if pending)
+  static async delete(id, deleted_by) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE sales SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+         WHERE id = $1 AND status = 'pending' AND deleted_at IS NULL
+         RETURNING id`,
+        [id, deleted_by]
+      );
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      // A quotation converted into this sale can be converted again. The sale
+      // keeps its quotation_id, so restoring it links the quotation back.
+      await client.query(
+        `UPDATE quotations SET status = 'accepted', sale_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE sale_id = $1`,
+        [id]
+      );
+      return true;
+    });
   }
 
-  // Get sales statistics
-  static async getStats(journalist_id = null) {
+  // Get sales statistics, for everyone or only the given journalists, with
+  // amounts in the given reporting currency
+  static async getStats(currency, journalist_ids = null) {
     let queryText = `
       SELECT 
         COUNT(*) as total_sales,
-        COUNT(*) FILTER (WHERE status = 'pending') as pending_sales,
-        COUNT(*) FILTER (WHERE status = 'approved') as approved_sales,
-        COUNT(*) FILTER (WHERE status = 'rejected') as rejected_sales,
-        COALESCE(SUM(amount) FILTER (WHERE status = 'approved'), 0) as total_revenue,
-        COALESCE(SUM(commission_amount) FILTER (WHERE status = 'approved'), 0) as total_commissions,
-        COALESCE(AVG(amount) FILTER (WHERE status = 'approved'), 0) as avg_sale_amount
-      FROM sales
+        COUNT(*) FILTER (WHERE s.status = 'pending') as pending_sales,
+        COUNT(*) FILTER (WHERE s.status = 'needs_info') as needs_info_sales,
+        COUNT(*) FILTER (WHERE s.status = 'approved') as approved_sales,
+        COUNT(*) FILTER (WHERE s.status = 'rejected') as rejected_sales,
+        COALESCE(SUM(${inReportingCurrency('amount')}) FILTER (WHERE s.status = 'approved'), 0) as total_revenue,
+        COALESCE(SUM(${inReportingCurrency('commission_amount')}) FILTER (WHERE s.status = 'approved'), 0) as total_commissions,
+        COALESCE(AVG(${inReportingCurrency('amount')}) FILTER (WHERE s.status = 'approved'), 0) as avg_sale_amount
+      FROM sales s
+      WHERE s.deleted_at IS NULL
     `;
 
-    const params = [];
-    if (journalist_id) {
-      queryText += ' WHERE journalist_id = $1';
-      params.push(journalist_id);
+    const params = [currency];
+    if (journalist_ids) {
+      queryText += ' AND s.journalist_id = ANY($2::int[])';
+      params.push(journalist_ids);
     }
 
     const result = await query(queryText, params);
     return result.rows[0];
   }
 
-  // Get revenue by period
-  static async getRevenueByPeriod(period = 'month', journalist_id = null) {
+  // Get revenue by period, for everyone or only the given journalists, in
+  // the given reporting currency
+  static async getRevenueByPeriod(currency, period = 'month', journalist_ids = null) {
     let dateFormat;
     switch (period) {
       case 'day':
@@ -221,18 +418,18 @@ class Sale {
 
     let queryText = `
       SELECT 
-        TO_CHAR(payment_date, '${dateFormat}') as period,
+        TO_CHAR(s.payment_date, '${dateFormat}') as period,
         COUNT(*) as sales_count,
-        SUM(amount) as total_amount,
-        SUM(commission_amount) as total_commission
-      FROM sales
-      WHERE status = 'approved'
+        SUM(${inReportingCurrency('amount')}) as total_amount,
+        SUM(${inReportingCurrency('commission_amount')}) as total_commission
+      FROM sales s
+      WHERE s.status = 'approved'
     `;
 
-    const params = [];
-    if (journalist_id) {
-      queryText += ' AND journalist_id = $1';
-      params.push(journalist_id);
+    const params = [currency];
+    if (journalist_ids) {
+      queryText += ' AND s.journalist_id = ANY($2::int[])';
+      params.push(journalist_ids);
     }
 
     queryText += ' GROUP BY period ORDER BY period DESC LIMIT 12';
@@ -241,45 +438,46 @@ class Sale {
     return result.rows;
   }
 
-  // Get sales by ad type
-  static async getSalesByAdType(journalist_id = null) {
+  // Get sales by ad type, for everyone or only the given journalists, in
+  // the given reporting currency
+  static async getSalesByAdType(currency, journalist_ids = null) {
     let queryText = `
       SELECT 
-        ad_type,
+        s.ad_type,
         COUNT(*) as count,
-        SUM(amount) as total_amount
-      FROM sales
-      WHERE status = 'approved'
+        SUM(${inReportingCurrency('amount')}) as total_amount
+      FROM sales s
+      WHERE s.status = 'approved'
     `;
 
-    const params = [];
-    if (journalist_id) {
-      queryText += ' AND journalist_id = $1';
-      params.push(journalist_id);
+    const params = [currency];
+    if (journalist_ids) {
+      queryText += ' AND s.journalist_id = ANY($2::int[])';
+      params.push(journalist_ids);
     }
 
-    queryText += ' GROUP BY ad_type ORDER BY total_amount DESC';
+    queryText += ' GROUP BY s.ad_type ORDER BY total_amount DESC';
 
     const result = await query(queryText, params);
     return result.rows;
   }
 
-  // Get top journalists leaderboard
-  static async getLeaderboard(limit = 10) {
+  // Get top journalists leaderboard, in the given reporting currency
+  static async getLeaderboard(currency, limit = 10) {
     const result = await query(
       `SELECT 
         u.id,
         u.first_name || ' ' || u.last_name as name,
         COUNT(s.id) as total_sales,
-        SUM(s.amount) as total_revenue,
-        SUM(s.commission_amount) as total_commission
+        SUM(${inReportingCurrency('amount')}) as total_revenue,
+        SUM(${inReportingCurrency('commission_amount')}) as total_commission
        FROM users u
        INNER JOIN sales s ON u.id = s.journalist_id
-       WHERE s.status = 'approved' AND u.role = 'journalist'
+       WHERE s.status = 'approved' AND ${journalistRoleSql('u.role')} AND u.deleted_at IS NULL
        GROUP BY u.id, u.first_name, u.last_name
        ORDER BY total_revenue DESC
-       LIMIT $1`,
-      [limit]
+       LIMIT $2`,
+      [currency, limit]
     );
     return result.rows;
   }
@@ -0,0 +1,73 @@
+const { query } = require('../config/database');
+
+class SaleApproval {
+  // Approvals a sale needs: two when it is worth more than
+  // sale_second_approval_threshold in the base currency, otherwise one.
+  // A threshold of 0 turns second approvals off.
+  static async getRequiredApprovals(amount, exchange_rate = 1) {
+    const result = await query(
+      `SELECT setting_value FROM settings WHERE setting_key = 'sale_second_approval_threshold'`
+    );
+    const threshold = parseFloat(result.rows[0]?.setting_value);
+    if (isNaN(threshold) || threshold <= 0) {
+      return 1;
+    }
+    return parseFloat(amount) / parseFloat(exchange_rate) > threshold ? 2 : 1;
+  }
+
+  // Record a decision on a sale's latest revision, inside the transaction
+  // that makes it
+  static async record(client, { sale_id, user_id, action, level = null, comment = null }) {
+    const result = await client.query(
+      `INSERT INTO sale_approvals (sale_id, user_id, action, level, comment, revision)
+       VALUES ($1, $2, $3, $4, $5, (SELECT MAX(revision) FROM sale_revisions WHERE sale_id = $1))
+       RETURNING *`,
+      [sale_id, user_id, action, level, comment || null]
+    );
+    return result.rows[0];
+  }
+
+  // A sale's approval history, oldest first
+  static async findBySale(sale_id) {
+    const result = await query(
+      `SELECT sa.*, u.first_name || ' ' || u.last_name as user_name
+       FROM sale_approvals sa
+       LEFT JOIN users u ON sa.user_id = u.id
+       WHERE sa.sale_id = $1
+       ORDER BY sa.id`,
+      [sale_id]
+    );
+    return result.rows;
+  }
+
+  // The revision a sale was last rejected or sent back on, if any
+  static async getLastReviewedRevision(sale_id) {
+    const result = await query(
+      `SELECT revision FROM sale_approvals
+       WHERE sale_id = $1 AND action IN ('rejected', 'needs_info')
+       ORDER BY id DESC
+       LIMIT 1`,
+      [sale_id]
+    );
+    return result.rows[0]?.revision || null;
+  }
+
+  // Ids of the users who approved a sale since it was last submitted. Any
+  // other decision resets approval_count, so these are its latest approvals.
+  // Pass the transaction `client` that locked the sale to read them under the lock.
+  static async getCurrentApproverIds(sale_id, approval_count, client = null) {
+    if (!approval_count) {
+      return [];
+    }
+    const result = await (client || { query }).query(
+      `SELECT user_id FROM sale_approvals
+       WHERE sale_id = $1 AND action = 'approved'
+       ORDER BY id DESC
+       LIMIT $2`,
+      [sale_id, approval_count]
+    );
+    return result.rows.map(row => row.user_id);
+  }
+}
+
+module.exports = SaleApproval;
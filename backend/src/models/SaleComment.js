@@ -0,0 +1,61 @@
+const { query } = require('../config/database');
+
+const SELECT_COMMENT = `
+  SELECT sc.*,
+    u.first_name || ' ' || u.last_name as user_name,
+    COALESCE(
+      (SELECT json_agg(json_build_object('id', m.id, 'name', m.first_name || ' ' || m.last_name))
+       FROM users m
+       WHERE m.id = ANY(sc.mentioned_user_ids)),
+      '[]'
+    ) as mentions
+  FROM sale_comments sc
+  LEFT JOIN users u ON sc.user_id = u.id`;
+
+class SaleComment {
+  // A sale's comments, oldest first. Internal comments are left out unless
+  // `includeInternal` is set.
+  static async findBySale(sale_id, { includeInternal = false } = {}) {
+    const result = await query(
+      `${SELECT_COMMENT}
+       WHERE sc.sale_id = $1 AND ($2::boolean OR NOT sc.is_internal)
+       ORDER BY sc.created_at, sc.id`,
+      [sale_id, includeInternal]
+    );
+    return result.rows;
+  }
+
+  // Find comment by ID
+  static async findById(id) {
+    const result = await query(`${SELECT_COMMENT} WHERE sc.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Add a comment to a sale
+  static async create({ sale_id, user_id, body, is_internal = false, mentioned_user_ids = [], attachment_url, attachment_name }) {
+    const result = await query(
+      `INSERT INTO sale_comments (sale_id, user_id, body, is_internal, mentioned_user_ids, attachment_url, attachment_name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [sale_id, user_id, body || '', is_internal, mentioned_user_ids, attachment_url || null, attachment_name || null]
+    );
+    return SaleComment.findById(result.rows[0].id);
+  }
+
+  // Delete comment
+  static async delete(id) {
+    const result = await query('DELETE FROM sale_comments WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+
+  // Ids of the users who have commented on a sale, to follow up with them
+  static async getCommenterIds(sale_id) {
+    const result = await query(
+      'SELECT DISTINCT user_id FROM sale_comments WHERE sale_id = $1',
+      [sale_id]
+    );
+    return result.rows.map(row => row.user_id);
+  }
+}
+
+module.exports = SaleComment;
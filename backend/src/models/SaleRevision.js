@@ -0,0 +1,69 @@
+const { query } = require('../config/database');
+
+// Sale details kept in each revision, with labels for diffs
+const FIELDS = {
+  client_name: 'Client',
+  amount: 'Amount',
+  currency: 'Currency',
+  payment_method: 'Payment method',
+  payment_date: 'Payment date',
+  ad_type: 'Ad type',
+  description: 'Description',
+  proof_of_payment_url: 'Proof of payment'
+};
+
+// Snapshot of a sale row and its client name as JSON, in SQL
+const SNAPSHOT_SQL = `jsonb_build_object(
+    'client_id', s.client_id, 'client_name', c.client_name, 'amount', s.amount,
+    'currency', s.currency, 'payment_method', s.payment_method, 'payment_date', s.payment_date,
+    'ad_type', s.ad_type, 'description', s.description, 'proof_of_payment_url', s.proof_of_payment_url
+  )`;
+
+class SaleRevision {
+  // Store a sale's current details as its next revision, inside the
+  // transaction that changed them. Revisions are numbered under the sale's
+  // row lock, so concurrent edits of one sale queue up rather than collide.
+  static async record(client, sale_id, changed_by) {
+    await client.query('SELECT id FROM sales WHERE id = $1 FOR UPDATE', [sale_id]);
+
+    const result = await client.query(
+      `INSERT INTO sale_revisions (sale_id, revision, snapshot, changed_by)
+       SELECT s.id,
+         COALESCE((SELECT MAX(revision) FROM sale_revisions WHERE sale_id = s.id), 0) + 1,
+         ${SNAPSHOT_SQL},
+         $2
+       FROM sales s
+       LEFT JOIN clients c ON s.client_id = c.id
+       WHERE s.id = $1
+       RETURNING *`,
+      [sale_id, changed_by]
+    );
+    return result.rows[0];
+  }
+
+  // Fields that differ between two snapshots, as [{ field, label, from, to }]
+  static diff(before, after) {
+    return Object.entries(FIELDS)
+      .filter(([field]) => String(before[field] ?? '') !== String(after[field] ?? ''))
+      .map(([field, label]) => ({ field, label, from: before[field] ?? null, to: after[field] ?? null }));
+  }
+
+  // A sale's revisions, oldest first, each with its changes from the one before
+  static async findBySale(sale_id) {
+    const result = await query(
+      `SELECT r.*, u.first_name || ' ' || u.last_name as changed_by_name
+       FROM sale_revisions r
+       LEFT JOIN users u ON r.changed_by = u.id
+       WHERE r.sale_id = $1
+       ORDER BY r.revision`,
+      [sale_id]
+    );
+
+    return result.rows.map((revision, index) => ({
+      ...revision,
+      changes: index === 0 ? [] : SaleRevision.diff(result.rows[index - 1].snapshot, revision.snapshot)
+    }));
+  }
+}
+
+module.exports = SaleRevision;
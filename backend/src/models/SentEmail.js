@@ -0,0 +1,165 @@
+const { query, transaction } = require('../config/database');
+
+// Messages left in 'sending' this long (e.g. the server stopped mid-send) are picked up again
+const STALE_SENDING_MINUTES = 10;
+
+const SELECT_EMAIL = `
+  SELECT e.id, e.template, e.to_address, e.subject, e.related_type, e.related_id,
+    e.status, e.attempts, e.max_attempts, e.next_attempt_at, e.last_error,
+    e.transport, e.message_id, e.sent_by, e.sent_at, e.created_at,
+    u.first_name || ' ' || u.last_name as sent_by_name,
+    COALESCE(
+      (SELECT json_agg(a.filename ORDER BY a.id) FROM sent_email_attachments a WHERE a.email_id = e.id),
+      '[]'
+    ) as attachments
+  FROM sent_emails e
+  LEFT JOIN users u ON e.sent_by = u.id`;
+
+class SentEmail {
+  // Queue a rendered message with its attachments ({ filename, content_type, content })
+  static async create(emailData, attachments = []) {
+    const {
+      template,
+      to_address,
+      subject,
+      body_text,
+      body_html,
+      related_type,
+      related_id,
+      sent_by
+    } = emailData;
+
+    return transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO sent_emails (
+          template, to_address, subject, body_text, body_html, related_type, related_id, sent_by
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [template, to_address, subject, body_text, body_html || null, related_type || null, related_id || null, sent_by || null]
+      );
+
+      const email = result.rows[0];
+      for (const attachment of attachments) {
+        await client.query(
+          `INSERT INTO sent_email_attachments (email_id, filename, content_type, content)
+           VALUES ($1, $2, $3, $4)`,
+          [email.id, attachment.filename, attachment.content_type || 'application/pdf', attachment.content]
+        );
+      }
+
+      return email;
+    });
+  }
+
+  // Find email by ID, without bodies or attachment content
+  static async findById(id) {
+    const result = await query(`${SELECT_EMAIL} WHERE e.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Get the email log with filters, newest first
+  static async findAll(filters = {}) {
+    const { status, related_type, related_id, limit = 200 } = filters;
+
+    let queryText = `${SELECT_EMAIL} WHERE 1=1`;
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      queryText += ` AND e.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (related_type) {
+      queryText += ` AND e.related_type = $${paramCount}`;
+      params.push(related_type);
+      paramCount++;
+    }
+
+    if (related_id) {
+      queryText += ` AND e.related_id = $${paramCount}`;
+      params.push(related_id);
+      paramCount++;
+    }
+
+    queryText += ` ORDER BY e.created_at DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await query(queryText, params);
+    return result.rows;
+  }
+
+  // Claim up to `limit` messages that are due, marking them as sending.
+  // SKIP LOCKED lets several workers share the queue without sending twice.
+  static async claimDue(limit = 10) {
+    const result = await query(
+      `UPDATE sent_emails
+       SET status = 'sending', attempts = attempts + 1, next_attempt_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM sent_emails
+         WHERE (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (status = 'sending' AND next_attempt_at <= CURRENT_TIMESTAMP - INTERVAL '${STALE_SENDING_MINUTES} minutes')
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  // Attachments of a message, with content
+  static async getAttachments(email_id) {
+    const result = await query(
+      `SELECT filename, content_type, content
+       FROM sent_email_attachments
+       WHERE email_id = $1
+       ORDER BY id`,
+      [email_id]
+    );
+    return result.rows;
+  }
+
+  static async markSent(id, { transport, message_id }) {
+    const result = await query(
+      `UPDATE sent_emails
+       SET status = 'sent', transport = $1, message_id = $2, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [transport, message_id || null, id]
+    );
+    return result.rows[0];
+  }
+
+  // Record a failed attempt: retry after 1, 4, 16... minutes, or give up
+  // once max_attempts is reached
+  static async markFailed(id, error) {
+    const result = await query(
+      `UPDATE sent_emails
+       SET last_error = $1,
+           status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+           next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '1 minute' * POWER(4, attempts - 1)
+       WHERE id = $2
+       RETURNING *`,
+      [error, id]
+    );
+    return result.rows[0];
+  }
+
+  // Queue a failed message again with a fresh set of attempts
+  static async retry(id) {
+    const result = await query(
+      `UPDATE sent_emails
+       SET status = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = SentEmail;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Refresh tokens last this many days since they were last used
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = () => crypto.randomBytes(48).toString('hex');
+
+class Session {
+  // Start a session for a user. Returns the session and its refresh token,
+  // which is only ever stored hashed.
+  static async create({ user_id, user_agent, ip_address }) {
+    const refresh_token = newToken();
+
+    const result = await query(
+      `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval)
+       RETURNING *`,
+      [user_id, hashToken(refresh_token), (user_agent || '').slice(0, 255) || null, ip_address || null, REFRESH_TOKEN_DAYS]
+    );
+
+    return { session: result.rows[0], refresh_token };
+  }
+
+  // A session that is not revoked or expired, for an active user, with the
+  // user's current role
+  static async findActive(id) {
+    const result = await query(
+      `SELECT s.*, u.role
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1
+         AND s.revoked_at IS NULL
+         AND s.expires_at > CURRENT_TIMESTAMP
+         AND u.is_active = true
+         AND u.deleted_at IS NULL`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Which of these sessions are still active, as in findActive()
+  static async findActiveIds(ids) {
+    const result = await query(
+      `SELECT s.id
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = ANY($1::int[])
+         AND s.revoked_at IS NULL
+         AND s.expires_at > CURRENT_TIMESTAMP
+         AND u.is_active = true
+         AND u.deleted_at IS NULL`,
+      [ids]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Swap a refresh token for a new one. The old token stops working, so a
+  // stolen token can only be used until its owner next refreshes. Returns
+  // null if the token is unknown, already used, revoked or expired.
+  static async rotate(refresh_token) {
+    const next_token = newToken();
+
+    const result = await query(
+      `UPDATE user_sessions s
+       SET refresh_token_hash = $2,
+           last_used_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + ($3 || ' days')::interval
+       FROM users u
+       WHERE s.user_id = u.id
+         AND s.refresh_token_hash = $1
+         AND s.revoked_at IS NULL
+         AND s.expires_at > CURRENT_TIMESTAMP
+         AND u.is_active = true
+         AND u.deleted_at IS NULL
+       RETURNING s.*, u.email, u.role, u.first_name, u.last_name`,
+      [hashToken(refresh_token), hashToken(next_token), REFRESH_TOKEN_DAYS]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { session: result.rows[0], refresh_token: next_token };
+  }
+
+  // Revoke one session; user_id limits it to that user's sessions
+  static async revoke(id, reason, user_id = null) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR user_id = $3)
+       RETURNING id`,
+      [id, reason, user_id]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Revoke all of a user's sessions, optionally keeping one (the caller's own).
+  // Returns how many were revoked.
+  static async revokeAllForUser(user_id, reason, { except } = {}) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3)`,
+      [user_id, reason, except || null]
+    );
+    return result.rowCount;
+  }
+
+  // Revoke every user's sessions, optionally keeping one (the caller's own).
+  // Returns how many were revoked.
+  static async revokeAll(reason, { except } = {}) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+       WHERE revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)`,
+      [reason, except || null]
+    );
+    return result.rowCount;
+  }
+
+  // A user's live sessions, most recently used first
+  static async findByUser(user_id) {
+    const result = await query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [user_id]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = Session;
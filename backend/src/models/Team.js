@@ -0,0 +1,131 @@
+const { query, transaction } = require('../config/database');
+
+const SELECT_TEAM = `
+  SELECT t.*,
+    m.first_name || ' ' || m.last_name as manager_name,
+    p.name as parent_name,
+    COALESCE(
+      (SELECT json_agg(json_build_object(
+          'id', u.id,
+          'name', u.first_name || ' ' || u.last_name,
+          'role', u.role
+        ) ORDER BY u.first_name, u.last_name)
+       FROM team_members tm
+       JOIN users u ON tm.user_id = u.id
+       WHERE tm.team_id = t.id AND u.deleted_at IS NULL),
+      '[]'
+    ) as members
+  FROM teams t
+  LEFT JOIN users m ON t.manager_id = m.id
+  LEFT JOIN teams p ON t.parent_id = p.id`;
+
+class Team {
+  // All teams with their manager, parent team and members
+  static async findAll() {
+    const result = await query(`${SELECT_TEAM} ORDER BY t.name`);
+    return result.rows;
+  }
+
+  // Find team by ID
+  static async findById(id) {
+    const result = await query(`${SELECT_TEAM} WHERE t.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Create team
+  static async create({ name, description, manager_id, parent_id }) {
+    const result = await query(
+      `INSERT INTO teams (name, description, manager_id, parent_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [name, description || null, manager_id || null, parent_id || null]
+    );
+    return Team.findById(result.rows[0].id);
+  }
+
+  // Update team
+  static async update(id, { name, description, manager_id, parent_id }) {
+    await query(
+      `UPDATE teams
+       SET name = $1, description = $2, manager_id = $3, parent_id = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [name, description || null, manager_id || null, parent_id || null, id]
+    );
+    return Team.findById(id);
+  }
+
+  // Delete team; its members are left without a team and teams below it
+  // move to the top level
+  static async delete(id) {
+    const result = await query('DELETE FROM teams WHERE id = $1 RETURNING id', [id]);
+    return result.rowCount > 0;
+  }
+
+  // Replace a team's members. Users in another team are moved to this one.
+  static async setMembers(id, user_ids) {
+    await transaction(async (client) => {
+      await client.query('DELETE FROM team_members WHERE team_id = $1', [id]);
+      for (const user_id of [...new Set(user_ids)]) {
+        await client.query(
+          `INSERT INTO team_members (user_id, team_id)
+           VALUES ($1, $2)
+           ON CONFLICT (user_id) DO UPDATE SET team_id = EXCLUDED.team_id, created_at = CURRENT_TIMESTAMP`,
+          [user_id, id]
+        );
+      }
+    });
+    return Team.findById(id);
+  }
+
+  // Ids of a team and every team below it, to stop a team being moved under
+  // one of its own sub-teams
+  static async getSubtreeIds(id) {
+    const result = await query(
+      `WITH RECURSIVE subtree AS (
+         SELECT id FROM teams WHERE id = $1
+         UNION
+         SELECT t.id FROM teams t JOIN subtree s ON t.parent_id = s.id
+       )
+       SELECT id FROM subtree`,
+      [id]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Ids of the members of every team a user manages, including the teams
+  // below those
+  static async getManagedMemberIds(manager_id) {
+    const result = await query(
+      `WITH RECURSIVE managed AS (
+         SELECT id FROM teams WHERE manager_id = $1
+         UNION
+         SELECT t.id FROM teams t JOIN managed m ON t.parent_id = m.id
+       )
+       SELECT tm.user_id
+       FROM team_members tm
+       JOIN managed m ON tm.team_id = m.id`,
+      [manager_id]
+    );
+    return result.rows.map(row => row.user_id);
+  }
+
+  // Ids of the managers of a user's team and of the teams above it
+  static async getManagerIds(user_id) {
+    const result = await query(
+      `WITH RECURSIVE chain AS (
+         SELECT t.id, t.parent_id, t.manager_id
+         FROM teams t
+         JOIN team_members tm ON tm.team_id = t.id
+         WHERE tm.user_id = $1
+         UNION
+         SELECT t.id, t.parent_id, t.manager_id
+         FROM teams t JOIN chain c ON t.id = c.parent_id
+       )
+       SELECT DISTINCT manager_id FROM chain WHERE manager_id IS NOT NULL`,
+      [user_id]
+    );
+    return result.rows.map(row => row.manager_id);
+  }
+}
+
+module.exports = Team;
@@ -0,0 +1,153 @@
+const { query } = require('../config/database');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Soft-deletable tables. Deleted rows keep their data with deleted_at set and
+// are left out of the default queries until restored or purged. `label` is SQL
+// for a readable name in the trash view (t is the trashed row).
+const TYPES = {
+  users: {
+    table: 'users',
+    label: "t.first_name || ' ' || t.last_name || ' (' || t.email || ')'"
+  },
+  clients: {
+    table: 'clients',
+    label: 't.client_name'
+  },
+  sales: {
+    table: 'sales',
+    label: "'Sale #' || t.id || ' to ' || COALESCE((SELECT client_name FROM clients WHERE id = t.client_id), 'unknown client') || ', ' || t.currency || ' ' || t.amount"
+  },
+  commission_payments: {
+    table: 'commission_payments',
+    label: "'Payment #' || t.id || ' to ' || COALESCE((SELECT first_name || ' ' || last_name FROM users WHERE id = t.journalist_id), 'unknown journalist') || ', ' || t.currency || ' ' || t.amount"
+  }
+};
+
+// Run on a transaction client when given, otherwise on the pool
+const runner = (client) => (client ? client.query.bind(client) : query);
+
+class Trash {
+  static get TYPES() {
+    return Object.keys(TYPES);
+  }
+
+  // Days deleted rows stay restorable before purgeExpired removes them
+  static async getRetentionDays() {
+    const result = await query(
+      "SELECT setting_value FROM settings WHERE setting_key = 'trash_retention_days'"
+    );
+    return parseInt(result.rows[0]?.setting_value) || DEFAULT_RETENTION_DAYS;
+  }
+
+  // Move a row to the trash; returns it, or undefined if missing or already deleted
+  static async softDelete(type, id, deleted_by, client = null) {
+    const { table } = TYPES[type];
+    const result = await runner(client)(
+      `UPDATE ${table}
+       SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id, deleted_by]
+    );
+    return result.rows[0];
+  }
+
+  // Take a row out of the trash; returns it, or undefined if it isn't there
+  static async restore(type, id, client = null) {
+    const { table } = TYPES[type];
+    const result = await runner(client)(
+      `UPDATE ${table}
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // A row in the trash
+  static async findDeletedById(type, id, client = null) {
+    const { table } = TYPES[type];
+    const result = await runner(client)(
+      `SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Everything in the trash, by type, newest first, with when each purges
+  static async findAll() {
+    const retentionDays = await Trash.getRetentionDays();
+    const items = {};
+
+    for (const [type, { table, label }] of Object.entries(TYPES)) {
+      const result = await query(
+        `SELECT t.id, ${label} as label, t.deleted_at,
+          d.first_name || ' ' || d.last_name as deleted_by_name,
+          t.deleted_at + ($1 || ' days')::interval as purge_after
+         FROM ${table} t
+         LEFT JOIN users d ON t.deleted_by = d.id
+         WHERE t.deleted_at IS NOT NULL
+         ORDER BY t.deleted_at DESC`,
+        [retentionDays]
+      );
+      items[type] = result.rows;
+    }
+
+    return { items, retention_days: retentionDays };
+  }
+
+  // Whether an error from purge() means other records still depend on the row.
+  // ON DELETE RESTRICT references raise 23001 rather than 23503.
+  static isReferencedError(error) {
+    return error.code === '23503' || error.code === '23001';
+  }
+
+  // Permanently delete a row in the trash. Throws a foreign key violation
+  // (see isReferencedError) if other records still depend on it, e.g. a
+  // journalist's sales.
+  static async purge(type, id) {
+    const { table } = TYPES[type];
+    const result = await query(
+      `DELETE FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id`,
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Purge everything deleted more than the retention period ago. Rows other
+  // records still depend on stay in the trash and are reported as kept.
+  static async purgeExpired() {
+    const retentionDays = await Trash.getRetentionDays();
+    const purged = {};
+    const kept = {};
+
+    for (const [type, { table }] of Object.entries(TYPES)) {
+      const expired = await query(
+        `SELECT id FROM ${table}
+         WHERE deleted_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval
+         ORDER BY deleted_at`,
+        [retentionDays]
+      );
+      purged[type] = [];
+      kept[type] = [];
+
+      for (const { id } of expired.rows) {
+        try {
+          await Trash.purge(type, id);
+          purged[type].push(id);
+        } catch (error) {
+          if (!Trash.isReferencedError(error)) {
+            throw error;
+          }
+          kept[type].push(id);
+        }
+      }
+    }
+
+    return { purged, kept, retention_days: retentionDays };
+  }
+}
+
+module.exports = Trash;
@@ -1,8 +1,14 @@
 const bcrypt = require('bcrypt');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
+const Trash = require('./Trash');
+const Session = require('./Session');
+const { journalistRoleSql } = require('../utils/permissions');
 
 const SALT_ROUNDS = 10;
 
+// Old password hashes kept per user; matches the password_history_count limit
+const PASSWORD_HISTORY_KEPT = 24;
+
 class User {
   // Create new user with hashed password
   static async create(userData) {
@@ -24,7 +30,7 @@ class User {
   // Find user by email
   static async findByEmail(email) {
     const result = await query(
-      'SELECT * FROM users WHERE email = $1',
+      'SELECT * FROM users WHERE email = $1 AND deleted_at IS NULL',
       [email.toLowerCase()]
     );
     return result.rows[0];
@@ -34,18 +40,35 @@ class User {
   static async findById(id) {
     const result = await query(
       `SELECT id, first_name, last_name, email, phone_number, role, is_active, created_at, last_login
-       FROM users WHERE id = $1`,
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
       [id]
     );
     return result.rows[0];
   }
 
+  // Names of the given active users, e.g. for @mention suggestions
+  static async findNamesByIds(ids) {
+    const result = await query(
+      `SELECT id, first_name || ' ' || last_name as name, role
+       FROM users
+       WHERE id = ANY($1::int[]) AND is_active = true AND deleted_at IS NULL
+       ORDER BY first_name, last_name`,
+      [ids]
+    );
+    return result.rows;
+  }
+
   // Get all users
   static async findAll() {
     const result = await query(
-      `SELECT id, first_name, last_name, email, phone_number, role, is_active, created_at, last_login
-       FROM users
-       ORDER BY created_at DESC`
+      `SELECT u.id, u.first_name, u.last_name, u.email, u.phone_number, u.role, u.is_active,
+              u.created_at, u.last_login, t.id as team_id, t.name as team_name,
+              ${journalistRoleSql('u.role')} as is_journalist
+       FROM users u
+       LEFT JOIN team_members tm ON tm.user_id = u.id
+       LEFT JOIN teams t ON tm.team_id = t.id
+       WHERE u.deleted_at IS NULL
+       ORDER BY u.created_at DESC`
     );
     return result.rows;
   }
@@ -57,7 +80,7 @@ class User {
     const result = await query(
       `UPDATE users
        SET first_name = $1, last_name = $2, email = $3, phone_number = $4, role = $5, is_active = $6
-       WHERE id = $7
+       WHERE id = $7 AND deleted_at IS NULL
        RETURNING id, first_name, last_name, email, phone_number, role, is_active, created_at`,
       [first_name, last_name, email.toLowerCase(), phone_number, role, is_active, id]
     );
@@ -65,21 +88,95 @@ class User {
     return result.rows[0];
   }
 
-  // HARD DELETE user - permanently removes from database
-  static async delete(id) {
+  // Move user to the trash. Their sales and commission history stay intact;
+  // the row is only purged once nothing refers to it (see models/Trash.js).
+  static async delete(id, deleted_by) {
+    const deleted = await Trash.softDelete('users', id, deleted_by);
+    if (deleted) {
+      await Session.revokeAllForUser(id, 'deleted');
+    }
+    return !!deleted;
+  }
+
+  // Update last login timestamp and clear failed sign-ins
+  static async updateLastLogin(id) {
+    await query(
+      `UPDATE users
+       SET last_login = CURRENT_TIMESTAMP, failed_login_attempts = 0, locked_until = NULL
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  // Count a wrong password, locking the account for lockout_minutes once
+  // max_login_attempts is reached. The count starts again after a lockout ends.
+  static async recordFailedLogin(id, { max_login_attempts, lockout_minutes }) {
     const result = await query(
-      'DELETE FROM users WHERE id = $1 RETURNING id',
+      `UPDATE users
+       SET failed_login_attempts = CASE
+             WHEN locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP THEN 1
+             ELSE failed_login_attempts + 1
+           END,
+           locked_until = CASE
+             WHEN locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP THEN NULL
+             ELSE locked_until
+           END
+       WHERE id = $1
+       RETURNING failed_login_attempts`,
+      [id]
+    );
+
+    if (result.rows[0]?.failed_login_attempts >= max_login_attempts) {
+      const locked = await query(
+        `UPDATE users SET locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval
+         WHERE id = $1
+         RETURNING locked_until`,
+        [id, lockout_minutes]
+      );
+      return { locked_until: locked.rows[0].locked_until };
+    }
+
+    return { locked_until: null };
+  }
+
+  // Clear a sign-in lockout
+  static async unlock(id) {
+    const result = await query(
+      `UPDATE users SET failed_login_attempts = 0, locked_until = NULL
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id`,
       [id]
     );
     return result.rowCount > 0;
   }
 
-  // Update last login timestamp
-  static async updateLastLogin(id) {
-    await query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+  // Refuse sign-in until the user resets their password, and sign them out
+  static async requirePasswordReset(id) {
+    const result = await query(
+      `UPDATE users SET password_reset_required = true
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id`,
       [id]
     );
+    if (result.rowCount > 0) {
+      await Session.revokeAllForUser(id, 'password_reset_forced');
+    }
+    return result.rowCount > 0;
+  }
+
+  // Users with their sign-in state, for the maintenance console
+  static async getSecurityOverview() {
+    const result = await query(
+      `SELECT u.id, u.first_name, u.last_name, u.email, u.role, u.is_active, u.last_login,
+        u.failed_login_attempts, u.locked_until, u.password_reset_required,
+        u.locked_until IS NOT NULL AND u.locked_until > CURRENT_TIMESTAMP as is_locked,
+        (SELECT COUNT(*) FROM user_sessions s
+         WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP)::int as active_sessions
+       FROM users u
+       WHERE u.deleted_at IS NULL
+       ORDER BY u.first_name, u.last_name`
+    );
+    return result.rows;
   }
 
   // Verify password
@@ -87,16 +184,61 @@ class User {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
-  // Change password
-  static async changePassword(id, newPassword) {
+  // Change password, keeping the old hash in password_history, and sign out
+  // the user's sessions except keep_session_id (the session that made the
+  // change, if any). Unused reset links stop working too.
+  static async changePassword(id, newPassword, { keep_session_id } = {}) {
     const password_hash = await bcrypt.hash(newPassword, SALT_ROUNDS);
-    
+
+    const changed = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO password_history (user_id, password_hash)
+         SELECT id, password_hash FROM users WHERE id = $1
+         RETURNING user_id`,
+        [id]
+      );
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      // A new password also lifts any sign-in lockout
+      await client.query(
+        `UPDATE users
+         SET password_hash = $1, password_reset_required = false,
+             failed_login_attempts = 0, locked_until = NULL
+         WHERE id = $2`,
+        [password_hash, id]
+      );
+      // Only the most recent hashes are ever checked
+      await client.query(
+        `DELETE FROM password_history
+         WHERE user_id = $1 AND id NOT IN (
+           SELECT id FROM password_history WHERE user_id = $1
+           ORDER BY created_at DESC, id DESC LIMIT $2
+         )`,
+        [id, PASSWORD_HISTORY_KEPT]
+      );
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+        [id]
+      );
+      return true;
+    });
+
+    if (changed) {
+      await Session.revokeAllForUser(id, 'password_changed', { except: keep_session_id });
+    }
+
+    return changed;
+  }
+
+  // A user's password hash, for checking their current password
+  static async getPasswordHash(id) {
     const result = await query(
-      'UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING id',
-      [password_hash, id]
+      'SELECT password_hash FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [id]
     );
-
-    return result.rowCount > 0;
+    return result.rows[0]?.password_hash;
   }
 
   // Get user statistics
@@ -105,9 +247,10 @@ class User {
       `SELECT 
         COUNT(*) as total_users,
         COUNT(*) FILTER (WHERE role = 'admin') as admin_count,
-        COUNT(*) FILTER (WHERE role = 'journalist') as journalist_count,
+        COUNT(*) FILTER (WHERE ${journalistRoleSql('role')}) as journalist_count,
         COUNT(*) FILTER (WHERE is_active = true) as active_users
-       FROM users`
+       FROM users
+       WHERE deleted_at IS NULL`
     );
     return result.rows[0];
   }
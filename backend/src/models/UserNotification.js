@@ -0,0 +1,62 @@
+const { query } = require('../config/database');
+
+class UserNotification {
+  // Save an in-app notification for a user
+  static async create(notificationData) {
+    const { user_id, event, title, message, link, related_type, related_id } = notificationData;
+
+    const result = await query(
+      `INSERT INTO user_notifications (user_id, event, title, message, link, related_type, related_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [user_id, event, title, message, link || null, related_type || null, related_id || null]
+    );
+
+    return result.rows[0];
+  }
+
+  // Get a user's notifications, newest first
+  static async findByUser(user_id, { unread = false, limit = 20 } = {}) {
+    const result = await query(
+      `SELECT *
+       FROM user_notifications
+       WHERE user_id = $1 ${unread ? 'AND read_at IS NULL' : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [user_id, limit]
+    );
+    return result.rows;
+  }
+
+  // Count a user's unread notifications
+  static async countUnread(user_id) {
+    const result = await query(
+      'SELECT COUNT(*) as count FROM user_notifications WHERE user_id = $1 AND read_at IS NULL',
+      [user_id]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  // Mark one of a user's notifications as read
+  static async markRead(id, user_id) {
+    const result = await query(
+      `UPDATE user_notifications
+       SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, user_id]
+    );
+    return result.rows[0];
+  }
+
+  // Mark all of a user's notifications as read
+  static async markAllRead(user_id) {
+    const result = await query(
+      'UPDATE user_notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [user_id]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = UserNotification;
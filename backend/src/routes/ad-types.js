@@ -0,0 +1,8 @@
+const AdType = require('../models/AdType');
+const { createCatalogRouter } = require('../utils/catalogRouter');
+
+module.exports = createCatalogRouter(AdType, {
+  singular: 'ad_type',
+  plural: 'ad_types',
+  label: 'Ad type'
+});
@@ -1,87 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const Sale = require('../models/Sale');
 const User = require('../models/User');
 const Client = require('../models/Client');
+const CommissionLedger = require('../models/CommissionLedger');
+const ExchangeRate = require('../models/ExchangeRate');
+const { getVisibleUserIds } = require('../utils/scope');
+const { journalistRoleSql } = require('../utils/permissions');
+
+// Sale column converted into the reporting currency (always bound as $1)
+// at the rate in effect on the payment date
+const inReportingCurrency = (column) =>
+  ExchangeRate.convertSql(`s.${column}`, 's.exchange_rate', 's.payment_date', '$1::varchar');
 
 // Get dashboard overview stats
 router.get('/dashboard', authMiddleware, async (req, res, next) => {
   try {
-    const isAdmin = req.user.role === 'admin';
-    const userId = req.user.userId;
+    const visible = await getVisibleUserIds(req.user, 'reports.view');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
 
-    // Build queries based on role
+    // Build queries based on what the user may see
     let salesQuery, revenueQuery, commissionQuery, clientsQuery;
 
-    if (isAdmin) {
-      // Admin sees all data
+    if (!visible) {
+      // Company-wide figures
       salesQuery = query(`
         SELECT 
           COUNT(*) as total_sales,
           COUNT(*) FILTER (WHERE status = 'pending') as pending_sales,
+          COUNT(*) FILTER (WHERE status = 'needs_info') as needs_info_sales,
           COUNT(*) FILTER (WHERE status = 'approved') as approved_sales,
           COUNT(*) FILTER (WHERE status = 'rejected') as rejected_sales
         FROM sales
+        WHERE deleted_at IS NULL
       `);
 
       revenueQuery = query(`
         SELECT 
-          COALESCE(SUM(amount), 0) as total_revenue,
-          COALESCE(AVG(amount), 0) as avg_sale_amount
-        FROM sales
-        WHERE status = 'approved'
-      `);
-
-      commissionQuery = query(`
-        SELECT 
-          COALESCE(SUM(commission_amount), 0) as total_commissions_earned,
-          COALESCE(SUM(cp.amount), 0) as total_commissions_paid
+          COALESCE(SUM(${inReportingCurrency('amount')}), 0) as total_revenue,
+          COALESCE(AVG(${inReportingCurrency('amount')}), 0) as avg_sale_amount
         FROM sales s
-        LEFT JOIN commission_payments cp ON s.journalist_id = cp.journalist_id
         WHERE s.status = 'approved'
-      `);
+      `, [currency]);
+
+      commissionQuery = CommissionLedger.getTotals(null, currency);
 
       clientsQuery = query(`
-        SELECT COUNT(*) as total_clients FROM clients
+        SELECT COUNT(*) as total_clients FROM clients WHERE deleted_at IS NULL
       `);
     } else {
-      // Journalist sees only their data
+      // Otherwise only their own data and their teams'
       salesQuery = query(`
         SELECT 
           COUNT(*) as total_sales,
           COUNT(*) FILTER (WHERE status = 'pending') as pending_sales,
+          COUNT(*) FILTER (WHERE status = 'needs_info') as needs_info_sales,
           COUNT(*) FILTER (WHERE status = 'approved') as approved_sales,
           COUNT(*) FILTER (WHERE status = 'rejected') as rejected_sales
         FROM sales
-        WHERE journalist_id = $1
-      `, [userId]);
+        WHERE journalist_id = ANY($1::int[]) AND deleted_at IS NULL
+      `, [visible]);
 
       revenueQuery = query(`
         SELECT 
-          COALESCE(SUM(amount), 0) as total_revenue,
-          COALESCE(AVG(amount), 0) as avg_sale_amount
-        FROM sales
-        WHERE journalist_id = $1 AND status = 'approved'
-      `, [userId]);
-
-      commissionQuery = query(`
-        SELECT 
-          COALESCE(SUM(s.commission_amount), 0) as total_commissions_earned,
-          COALESCE(SUM(cp.amount), 0) as total_commissions_paid
+          COALESCE(SUM(${inReportingCurrency('amount')}), 0) as total_revenue,
+          COALESCE(AVG(${inReportingCurrency('amount')}), 0) as avg_sale_amount
         FROM sales s
-        LEFT JOIN commission_payments cp ON s.journalist_id = cp.journalist_id
-        WHERE s.journalist_id = $1 AND s.status = 'approved'
-      `, [userId]);
+        WHERE s.journalist_id = ANY($2::int[]) AND s.status = 'approved'
+      `, [currency, visible]);
+
+      commissionQuery = CommissionLedger.getTotals(visible, currency);
 
       clientsQuery = query(`
-        SELECT COUNT(*) as total_clients FROM clients WHERE added_by = $1
-      `, [userId]);
+        SELECT COUNT(*) as total_clients FROM clients WHERE added_by = ANY($1::int[]) AND deleted_at IS NULL
+      `, [visible]);
     }
 
     // Execute all queries in parallel
-    const [salesResult, revenueResult, commissionResult, clientsResult] = await Promise.all([
+    const [salesResult, revenueResult, commissionTotals, clientsResult] = await Promise.all([
       salesQuery,
       revenueQuery,
       commissionQuery,
@@ -92,6 +90,7 @@ router.get('/dashboard', authMiddleware, async (req, res, next) => {
       sales: {
         total: parseInt(salesResult.rows[0].total_sales),
         pending: parseInt(salesResult.rows[0].pending_sales),
+        needs_info: parseInt(salesResult.rows[0].needs_info_sales),
         approved: parseInt(salesResult.rows[0].approved_sales),
         rejected: parseInt(salesResult.rows[0].rejected_sales)
       },
@@ -100,17 +99,16 @@ router.get('/dashboard', authMiddleware, async (req, res, next) => {
         average: parseFloat(revenueResult.rows[0].avg_sale_amount)
       },
       commissions: {
-        earned: parseFloat(commissionResult.rows[0].total_commissions_earned),
-        paid: parseFloat(commissionResult.rows[0].total_commissions_paid),
-        unpaid: parseFloat(commissionResult.rows[0].total_commissions_earned) - 
-                parseFloat(commissionResult.rows[0].total_commissions_paid)
+        earned: commissionTotals.total_earned,
+        paid: commissionTotals.total_paid,
+        unpaid: commissionTotals.balance
       },
       clients: {
         total: parseInt(clientsResult.rows[0].total_clients)
       }
     };
 
-    res.json({ stats });
+    res.json({ stats, currency });
   } catch (error) {
     next(error);
   }
@@ -120,7 +118,8 @@ router.get('/dashboard', authMiddleware, async (req, res, next) => {
 router.get('/revenue-trend', authMiddleware, async (req, res, next) => {
   try {
     const { period = 'month', months = 12 } = req.query;
-    const isJournalist = req.user.role === 'journalist';
+    const visible = await getVisibleUserIds(req.user, 'reports.view');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
 
     let dateFormat, dateTrunc;
     switch (period) {
@@ -140,27 +139,27 @@ router.get('/revenue-trend', authMiddleware, async (req, res, next) => {
 
     let queryText = `
       SELECT 
-        TO_CHAR(DATE_TRUNC('${dateTrunc}', payment_date), '${dateFormat}') as period,
-        DATE_TRUNC('${dateTrunc}', payment_date) as period_date,
+        TO_CHAR(DATE_TRUNC('${dateTrunc}', s.payment_date), '${dateFormat}') as period,
+        DATE_TRUNC('${dateTrunc}', s.payment_date) as period_date,
         COUNT(*) as sales_count,
-        COALESCE(SUM(amount), 0) as revenue,
-        COALESCE(SUM(commission_amount), 0) as commission
-      FROM sales
-      WHERE status = 'approved'
-        AND payment_date >= CURRENT_DATE - INTERVAL '${months} months'
+        COALESCE(SUM(${inReportingCurrency('amount')}), 0) as revenue,
+        COALESCE(SUM(${inReportingCurrency('commission_amount')}), 0) as commission
+      FROM sales s
+      WHERE s.status = 'approved'
+        AND s.payment_date >= CURRENT_DATE - INTERVAL '${months} months'
     `;
 
-    const params = [];
-    if (isJournalist) {
-      queryText += ' AND journalist_id = $1';
-      params.push(req.user.userId);
+    const params = [currency];
+    if (visible) {
+      queryText += ' AND s.journalist_id = ANY($2::int[])';
+      params.push(visible);
     }
 
     queryText += ' GROUP BY period, period_date ORDER BY period_date DESC';
 
     const result = await query(queryText, params);
 
-    res.json({ data: result.rows });
+    res.json({ data: result.rows, currency });
   } catch (error) {
     next(error);
   }
@@ -169,28 +168,29 @@ router.get('/revenue-trend', authMiddleware, async (req, res, next) => {
 // Get sales by ad type (for pie chart)
 router.get('/sales-by-ad-type', authMiddleware, async (req, res, next) => {
   try {
-    const isJournalist = req.user.role === 'journalist';
+    const visible = await getVisibleUserIds(req.user, 'reports.view');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
 
     let queryText = `
       SELECT 
-        ad_type as name,
+        s.ad_type as name,
         COUNT(*) as count,
-        COALESCE(SUM(amount), 0) as value
-      FROM sales
-      WHERE status = 'approved'
+        COALESCE(SUM(${inReportingCurrency('amount')}), 0) as value
+      FROM sales s
+      WHERE s.status = 'approved'
     `;
 
-    const params = [];
-    if (isJournalist) {
-      queryText += ' AND journalist_id = $1';
-      params.push(req.user.userId);
+    const params = [currency];
+    if (visible) {
+      queryText += ' AND s.journalist_id = ANY($2::int[])';
+      params.push(visible);
     }
 
-    queryText += ' GROUP BY ad_type ORDER BY value DESC';
+    queryText += ' GROUP BY s.ad_type ORDER BY value DESC';
 
     const result = await query(queryText, params);
 
-    res.json({ data: result.rows });
+    res.json({ data: result.rows, currency });
   } catch (error) {
     next(error);
   }
@@ -199,37 +199,39 @@ router.get('/sales-by-ad-type', authMiddleware, async (req, res, next) => {
 // Get sales by payment method
 router.get('/sales-by-payment-method', authMiddleware, async (req, res, next) => {
   try {
-    const isJournalist = req.user.role === 'journalist';
+    const visible = await getVisibleUserIds(req.user, 'reports.view');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
 
     let queryText = `
       SELECT 
-        payment_method as name,
+        s.payment_method as name,
         COUNT(*) as count,
-        COALESCE(SUM(amount), 0) as value
-      FROM sales
-      WHERE status = 'approved'
+        COALESCE(SUM(${inReportingCurrency('amount')}), 0) as value
+      FROM sales s
+      WHERE s.status = 'approved'
     `;
 
-    const params = [];
-    if (isJournalist) {
-      queryText += ' AND journalist_id = $1';
-      params.push(req.user.userId);
+    const params = [currency];
+    if (visible) {
+      queryText += ' AND s.journalist_id = ANY($2::int[])';
+      params.push(visible);
     }
 
-    queryText += ' GROUP BY payment_method ORDER BY value DESC';
+    queryText += ' GROUP BY s.payment_method ORDER BY value DESC';
 
     const result = await query(queryText, params);
 
-    res.json({ data: result.rows });
+    res.json({ data: result.rows, currency });
   } catch (error) {
     next(error);
   }
 });
 
-// Get top performing journalists leaderboard (Admin only)
-router.get('/leaderboard', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get top performing journalists leaderboard
+router.get('/leaderboard', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
   try {
     const { limit = 10, period = 'all' } = req.query;
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
 
     let dateFilter = '';
     if (period !== 'all') {
@@ -243,28 +245,29 @@ router.get('/leaderboard', authMiddleware, roleCheck('admin'), async (req, res,
         u.first_name || ' ' || u.last_name as name,
         u.email,
         COUNT(s.id) as total_sales,
-        COALESCE(SUM(s.amount), 0) as total_revenue,
-        COALESCE(SUM(s.commission_amount), 0) as total_commission,
-        COALESCE(AVG(s.amount), 0) as avg_sale_amount,
+        COALESCE(SUM(${inReportingCurrency('amount')}), 0) as total_revenue,
+        COALESCE(SUM(${inReportingCurrency('commission_amount')}), 0) as total_commission,
+        COALESCE(AVG(${inReportingCurrency('amount')}), 0) as avg_sale_amount,
         COUNT(DISTINCT s.client_id) as unique_clients
       FROM users u
       LEFT JOIN sales s ON u.id = s.journalist_id AND s.status = 'approved' ${dateFilter}
-      WHERE u.role = 'journalist'
+      WHERE ${journalistRoleSql('u.role')} AND u.deleted_at IS NULL
       GROUP BY u.id, u.first_name, u.last_name, u.email
       ORDER BY total_revenue DESC
-      LIMIT $1
-    `, [limit]);
+      LIMIT $2
+    `, [currency, limit]);
 
-    res.json({ leaderboard: result.rows });
+    res.json({ leaderboard: result.rows, currency });
   } catch (error) {
     next(error);
   }
 });
 
-// Get top clients by revenue (Admin only)
-router.get('/top-clients', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get top clients by revenue
+router.get('/top-clients', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
 
     const result = await query(`
       SELECT 
@@ -273,17 +276,17 @@ router.get('/top-clients', authMiddleware, roleCheck('admin'), async (req, res,
         c.phone_number,
         c.email,
         COUNT(s.id) as total_sales,
-        COALESCE(SUM(s.amount), 0) as total_revenue,
+        COALESCE(SUM(${inReportingCurrency('amount')}), 0) as total_revenue,
         MAX(s.payment_date) as last_sale_date
       FROM clients c
       INNER JOIN sales s ON c.id = s.client_id
-      WHERE s.status = 'approved'
+      WHERE s.status = 'approved' AND c.deleted_at IS NULL
       GROUP BY c.id, c.client_name, c.phone_number, c.email
       ORDER BY total_revenue DESC
-      LIMIT $1
-    `, [limit]);
+      LIMIT $2
+    `, [currency, limit]);
 
-    res.json({ topClients: result.rows });
+    res.json({ topClients: result.rows, currency });
   } catch (error) {
     next(error);
   }
@@ -293,12 +296,13 @@ router.get('/top-clients', authMiddleware, roleCheck('admin'), async (req, res,
 router.get('/recent-sales', authMiddleware, async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
-    const isJournalist = req.user.role === 'journalist';
+    const visible = await getVisibleUserIds(req.user, 'reports.view');
 
     let queryText = `
       SELECT 
         s.id,
         s.amount,
+        s.currency,
         s.payment_date,
         s.ad_type,
         s.status,
@@ -308,13 +312,13 @@ router.get('/recent-sales', authMiddleware, async (req, res, next) => {
       FROM sales s
       LEFT JOIN clients c ON s.client_id = c.id
       LEFT JOIN users u ON s.journalist_id = u.id
-      WHERE 1=1
+      WHERE s.deleted_at IS NULL
     `;
 
     const params = [];
-    if (isJournalist) {
-      queryText += ' AND s.journalist_id = $1';
-      params.push(req.user.userId);
+    if (visible) {
+      queryText += ' AND s.journalist_id = ANY($1::int[])';
+      params.push(visible);
     }
 
     queryText += ' ORDER BY s.created_at DESC LIMIT $' + (params.length + 1);
@@ -328,8 +332,8 @@ router.get('/recent-sales', authMiddleware, async (req, res, next) => {
   }
 });
 
-// Export data to CSV (Admin only)
-router.get('/export/sales', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Export data to CSV
+router.get('/export/sales', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
   try {
     const { start_date, end_date, status } = req.query;
 
@@ -342,6 +346,8 @@ router.get('/export/sales', authMiddleware, roleCheck('admin'), async (req, res,
         c.phone_number as client_phone,
         u.first_name || ' ' || u.last_name as journalist,
         s.amount,
+        s.currency,
+        s.exchange_rate,
         s.commission_amount,
         s.payment_method,
         s.ad_type,
@@ -350,7 +356,7 @@ router.get('/export/sales', authMiddleware, roleCheck('admin'), async (req, res,
       FROM sales s
       LEFT JOIN clients c ON s.client_id = c.id
       LEFT JOIN users u ON s.journalist_id = u.id
-      WHERE 1=1
+      WHERE s.deleted_at IS NULL
     `;
 
     const params = [];
@@ -380,7 +386,7 @@ router.get('/export/sales', authMiddleware, roleCheck('admin'), async (req, res,
 
     // Convert to CSV
     const headers = ['ID', 'Created At', 'Payment Date', 'Client', 'Phone', 'Journalist', 
-                     'Amount', 'Commission', 'Payment Method', 'Ad Type', 'Status', 'Description'];
+                     'Amount', 'Currency', 'Exchange Rate', 'Commission', 'Payment Method', 'Ad Type', 'Status', 'Description'];
     
     let csv = headers.join(',') + '\n';
     
@@ -393,6 +399,8 @@ router.get('/export/sales', authMiddleware, roleCheck('admin'), async (req, res,
         row.client_phone || '',
         `"${row.journalist || ''}"`,
         row.amount,
+        row.currency,
+        row.exchange_rate,
         row.commission_amount,
         row.payment_method,
         row.ad_type,
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// "field: from -> to; ..." for spreadsheets
+const summarizeChanges = (changes) => Object.entries(changes || {})
+  .map(([field, { from, to }]) => `${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`)
+  .join('; ');
+
+// Get audit log entries
+router.get('/', authMiddleware, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const { actor_id, entity_type, entity_id, action, start_date, end_date } = req.query;
+    const filters = { actor_id, entity_type, entity_id, action, start_date, end_date };
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const [entries, total, options] = await Promise.all([
+      AuditLog.findAll(filters, { limit, offset }),
+      AuditLog.count(filters),
+      AuditLog.getFilterOptions()
+    ]);
+
+    res.json({ entries, total, limit, offset, options });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export audit log entries as CSV
+router.get('/export', authMiddleware, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const { actor_id, entity_type, entity_id, action, start_date, end_date } = req.query;
+    const entries = await AuditLog.findAll(
+      { actor_id, entity_type, entity_id, action, start_date, end_date },
+      { limit: null }
+    );
+
+    const headers = ['ID', 'Date', 'Actor ID', 'Actor', 'Action', 'Entity', 'Entity ID',
+                     'Method', 'Path', 'IP Address', 'Changes', 'Before', 'After'];
+
+    let csv = headers.join(',') + '\n';
+
+    entries.forEach(entry => {
+      const values = [
+        entry.id,
+        new Date(entry.created_at).toISOString(),
+        entry.actor_id,
+        entry.actor_name,
+        entry.action,
+        entry.entity_type,
+        entry.entity_id,
+        entry.method,
+        entry.path,
+        entry.ip_address,
+        summarizeChanges(entry.changes),
+        entry.before_data,
+        entry.after_data
+      ];
+      csv += values.map(csvCell).join(',') + '\n';
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single audit log entry
+router.get('/:id', authMiddleware, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit log entry not found' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
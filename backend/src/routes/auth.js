@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { authMiddleware, startSession, issueTokens } = require('../middleware/auth');
+const { getPasswordPolicy, checkPassword } = require('../utils/passwordPolicy');
+const { sendPasswordResetLink } = require('../utils/passwordReset');
+const { getRolePermissions } = require('../utils/permissions');
 
 // Create initial admin user (only works if no users exist)
 router.post('/setup-admin', async (req, res, next) => {
   try {
     console.log('🔧 Setup admin endpoint hit');
-    console.log('Body received:', req.body);
+    console.log('Fields received:', Object.keys(req.body || {}).join(', '));
 
     const { first_name, last_name, email, password, phone_number } = req.body;
 
@@ -21,11 +26,9 @@ router.post('/setup-admin', async (req, res, next) => {
     }
 
     // Validate password strength
-    if (password.length < 8) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 8 characters',
-        current_length: password.length
-      });
+    const problems = await checkPassword(password);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], details: problems });
     }
 
     // Check if any users already exist (security measure)
@@ -58,8 +61,8 @@ router.post('/setup-admin', async (req, res, next) => {
       role: 'admin'
     });
 
-    // Generate JWT token
-    const token = generateToken(adminUser);
+    // Start a session
+    const tokens = await startSession(adminUser, req);
 
     // Update last login
     await User.updateLastLogin(adminUser.id);
@@ -74,13 +77,14 @@ router.post('/setup-admin', async (req, res, next) => {
         last_name: adminUser.last_name,
         email: adminUser.email,
         role: adminUser.role,
+        permissions: await getRolePermissions(adminUser.role),
         created_at: adminUser.created_at
       },
-      token,
+      ...tokens,
       instructions: {
         next_steps: [
-          'Save this token for API authentication',
-          'Use this token in Authorization header: Bearer <token>',
+          'Use the token in Authorization header: Bearer <token>',
+          'The token expires after expires_in seconds; renew it with POST /api/auth/refresh and the refresh_token',
           'You can now create other users via POST /api/users',
           'This setup endpoint will be disabled now that users exist'
         ]
@@ -94,24 +98,10 @@ router.post('/setup-admin', async (req, res, next) => {
 });
 
 // Get current user info (requires authentication)
-router.get('/me', async (req, res, next) => {
+router.get('/me', authMiddleware, async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const token = authHeader.substring(7);
-    
-    // Verify token (simplified version)
-    const jwt = require('jsonwebtoken');
-    const { JWT_SECRET } = require('../middleware/auth');
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
     // Get user from database
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(req.user.userId);
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -124,6 +114,7 @@ router.get('/me', async (req, res, next) => {
         last_name: user.last_name,
         email: user.email,
         role: user.role,
+        permissions: req.user.permissions,
         is_active: user.is_active,
         last_login: user.last_login,
         created_at: user.created_at
@@ -132,12 +123,6 @@ router.get('/me', async (req, res, next) => {
 
   } catch (error) {
     console.error('❌ Get me error:', error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
     next(error);
   }
 });
@@ -164,12 +149,22 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
+    // Refuse locked accounts without checking the password
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Too many failed sign-in attempts. Try again later or ask an administrator to unlock your account.',
+        locked_until: user.locked_until
+      });
+    }
+
     // Verify password
     const isValidPassword = await User.verifyPassword(password, user.password_hash);
     if (!isValidPassword) {
+      const { locked_until } = await User.recordFailedLogin(user.id, await getPasswordPolicy());
       return res.status(401).json({ 
         error: 'Invalid credentials',
-        message: 'Incorrect password'
+        message: locked_until ? 'Incorrect password. The account is now locked.' : 'Incorrect password'
       });
     }
 
@@ -181,8 +176,16 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // An administrator has required a new password
+    if (user.password_reset_required) {
+      return res.status(403).json({
+        error: 'Password reset required',
+        message: 'Your password must be reset before you can sign in. Use the link sent to your email, or request a new one.'
+      });
+    }
+
+    // Start a session
+    const tokens = await startSession(user, req);
 
     // Update last login
     await User.updateLastLogin(user.id);
@@ -197,9 +200,10 @@ router.post('/login', async (req, res, next) => {
         last_name: user.last_name,
         email: user.email,
         role: user.role,
+        permissions: await getRolePermissions(user.role),
         is_active: user.is_active
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -208,4 +212,138 @@ router.post('/login', async (req, res, next) => {
   }
 });
 
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const rotated = await Session.rotate(refresh_token);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const { session } = rotated;
+    res.json(issueTokens({ ...session, id: session.user_id }, session.id, rotated.refresh_token));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End the current session
+router.post('/logout', authMiddleware, async (req, res, next) => {
+  try {
+    await Session.revoke(req.user.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End all of the current user's sessions, on every device
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user.userId, 'logout_all');
+
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the password rules, for showing them on password forms
+router.get('/password-policy', async (req, res, next) => {
+  try {
+    const { min_length, require_mixed_case, require_number, require_symbol, history_count } = await getPasswordPolicy();
+    res.json({ policy: { min_length, require_mixed_case, require_number, require_symbol, history_count } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the current user's password. Their other sessions are signed out.
+router.post('/change-password', authMiddleware, async (req, res, next) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    const password_hash = await User.getPasswordHash(req.user.userId);
+    if (!password_hash || !(await User.verifyPassword(current_password, password_hash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const problems = await checkPassword(new_password, req.user.userId);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], details: problems });
+    }
+
+    await User.changePassword(req.user.userId, new_password, { keep_session_id: req.user.sessionId });
+
+    res.json({ message: 'Password changed successfully. Your other sessions have been signed out.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// email belongs to a user, so it can't be used to find accounts.
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && user.is_active) {
+      await sendPasswordResetLink(user, { requested_ip: req.ip });
+    }
+
+    res.json({ message: 'If that email belongs to an account, a password reset link has been sent to it' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a new password with a reset link's token. The token works once, and
+// every session for the account is signed out.
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    const reset = await PasswordReset.findValid(token);
+    if (!reset) {
+      return res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+    }
+
+    const problems = await checkPassword(new_password, reset.user_id);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], details: problems });
+    }
+
+    const user_id = await PasswordReset.consume(token);
+    if (!user_id) {
+      return res.status(400).json({ error: 'This password reset link is invalid or has expired' });
+    }
+
+    await User.changePassword(user_id, new_password);
+
+    res.json({ message: 'Password reset successfully. You can now log in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Client = require('../models/Client');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { addTrashRoutes } = require('../utils/trash');
+
+const NOTIFICATION_CHANNELS = ['whatsapp', 'sms', 'email', 'none'];
 
 // Get all clients with optional search
-router.get('/', authMiddleware, async (req, res, next) => {
+router.get('/', authMiddleware, requirePermission('clients.view'), async (req, res, next) => {
   try {
     const { search } = req.query;
     const clients = await Client.findAll(search);
@@ -15,7 +18,7 @@ router.get('/', authMiddleware, async (req, res, next) => {
 });
 
 // Get client by ID
-router.get('/:id', authMiddleware, async (req, res, next) => {
+router.get('/:id', authMiddleware, requirePermission('clients.view'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const client = await Client.findById(id);
@@ -31,9 +34,9 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
 });
 
 // Create new client
-router.post('/', authMiddleware, async (req, res, next) => {
+router.post('/', authMiddleware, requirePermission('clients.manage'), async (req, res, next) => {
   try {
-    const { client_name, contact_person, phone_number, email, address } = req.body;
+    const { client_name, contact_person, phone_number, email, address, notification_channel } = req.body;
 
     // Validate required fields
     if (!client_name || !phone_number) {
@@ -53,6 +56,13 @@ router.post('/', authMiddleware, async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid email format' });
     }
 
+    if (notification_channel && !NOTIFICATION_CHANNELS.includes(notification_channel)) {
+      return res.status(400).json({
+        error: 'Invalid notification channel',
+        validOptions: NOTIFICATION_CHANNELS
+      });
+    }
+
     // Create client
     const client = await Client.create({
       client_name,
@@ -60,6 +70,7 @@ router.post('/', authMiddleware, async (req, res, next) => {
       phone_number,
       email,
       address,
+      notification_channel,
       added_by: req.user.userId
     });
 
@@ -73,10 +84,10 @@ router.post('/', authMiddleware, async (req, res, next) => {
 });
 
 // Update client
-router.put('/:id', authMiddleware, async (req, res, next) => {
+router.put('/:id', authMiddleware, requirePermission('clients.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { client_name, contact_person, phone_number, email, address } = req.body;
+    const { client_name, contact_person, phone_number, email, address, notification_channel } = req.body;
 
     // Validate required fields
     if (!client_name || !phone_number) {
@@ -96,6 +107,13 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid email format' });
     }
 
+    if (notification_channel && !NOTIFICATION_CHANNELS.includes(notification_channel)) {
+      return res.status(400).json({
+        error: 'Invalid notification channel',
+        validOptions: NOTIFICATION_CHANNELS
+      });
+    }
+
     // Check if client exists
     const existingClient = await Client.findById(id);
     if (!existingClient) {
@@ -108,7 +126,8 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
       contact_person,
       phone_number,
       email,
-      address
+      address,
+      notification_channel
     });
 
     res.json({
@@ -120,8 +139,8 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
   }
 });
 
-// Delete client (Admin only)
-router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Delete client
+router.delete('/:id', authMiddleware, requirePermission('clients.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -131,30 +150,21 @@ router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next)
       return res.status(404).json({ error: 'Client not found' });
     }
 
-    // Check if client has sales
-    const hasSales = await Client.hasSales(id);
-    if (hasSales) {
-      return res.status(400).json({ 
-        error: 'Cannot delete client with existing sales',
-        details: 'This client has associated sales records. Please remove or reassign sales first.'
-      });
-    }
-
-    // Delete client
-    const deleted = await Client.delete(id);
+    // Move to the trash; sales and invoices for the client are kept
+    const deleted = await Client.delete(id, req.user.userId);
 
     if (!deleted) {
       return res.status(500).json({ error: 'Failed to delete client' });
     }
 
-    res.json({ message: 'Client deleted successfully' });
+    res.json({ message: 'Client moved to trash' });
   } catch (error) {
     next(error);
   }
 });
 
-// Get client statistics (Admin only)
-router.get('/stats/overview', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get client statistics
+router.get('/stats/overview', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
   try {
     const stats = await Client.getStats();
     res.json({ stats });
@@ -163,8 +173,8 @@ router.get('/stats/overview', authMiddleware, roleCheck('admin'), async (req, re
   }
 });
 
-// Get top clients by revenue (Admin only)
-router.get('/stats/top-clients', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get top clients by revenue
+router.get('/stats/top-clients', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
     const topClients = await Client.getTopClients(parseInt(limit));
@@ -174,4 +184,6 @@ router.get('/stats/top-clients', authMiddleware, roleCheck('admin'), async (req,
   }
 });
 
+addTrashRoutes(router, 'clients', { label: 'Client' });
+
 module.exports = router;
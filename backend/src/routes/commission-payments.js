@@ -1,27 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
+const { query, transaction } = require('../config/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const CommissionAllocation = require('../models/CommissionAllocation');
+const CommissionLedger = require('../models/CommissionLedger');
+const ExchangeRate = require('../models/ExchangeRate');
+const { parsePeriod, buildStatement, generateStatementPDF } = require('../utils/commissionStatement');
+const { queueEmail } = require('../utils/emailQueue');
+const { notifyInBackground, notifyInAppInBackground } = require('../utils/notifier');
+const Trash = require('../models/Trash');
+const { addTrashRoutes } = require('../utils/trash');
+const { getVisibleUserIds, isVisible } = require('../utils/scope');
+const { journalistRoleSql } = require('../utils/permissions');
+
+// Users see their own commissions and their teams', or everyone's with commissions.view_all
+const canSeeJournalist = async (req, journalistId) =>
+  isVisible(await getVisibleUserIds(req.user, 'commissions.view_all'), journalistId);
 
 // Get all commission payments
 router.get('/', authMiddleware, async (req, res, next) => {
   try {
-    const isJournalist = req.user.role === 'journalist';
+    const visible = await getVisibleUserIds(req.user, 'commissions.view_all');
 
     let queryText = `
       SELECT cp.*,
         u.first_name || ' ' || u.last_name as journalist_name,
-        paidby.first_name || ' ' || paidby.last_name as paid_by_name
+        paidby.first_name || ' ' || paidby.last_name as paid_by_name,
+        COALESCE((SELECT SUM(a.amount) FROM commission_payment_allocations a
+                  WHERE a.payment_id = cp.id), 0) as allocated_amount
       FROM commission_payments cp
       LEFT JOIN users u ON cp.journalist_id = u.id
       LEFT JOIN users paidby ON cp.paid_by = paidby.id
-      WHERE 1=1
+      WHERE cp.deleted_at IS NULL
     `;
 
     const params = [];
-    if (isJournalist) {
-      queryText += ' AND cp.journalist_id = $1';
-      params.push(req.user.userId);
+    if (visible) {
+      queryText += ' AND cp.journalist_id = ANY($1::int[])';
+      params.push(visible);
     }
 
     queryText += ' ORDER BY cp.payment_date DESC, cp.created_at DESC';
@@ -46,7 +62,7 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
        FROM commission_payments cp
        LEFT JOIN users u ON cp.journalist_id = u.id
        LEFT JOIN users paidby ON cp.paid_by = paidby.id
-       WHERE cp.id = $1`,
+       WHERE cp.id = $1 AND cp.deleted_at IS NULL`,
       [id]
     );
 
@@ -57,18 +73,32 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
     const payment = result.rows[0];
 
     // Check permissions
-    if (req.user.role === 'journalist' && payment.journalist_id !== req.user.userId) {
+    if (!await canSeeJournalist(req, payment.journalist_id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json({ payment });
+    const allocations = await CommissionAllocation.findByPayment(id);
+    const allocated = allocations.reduce((sum, a) => sum + parseFloat(a.amount), 0);
+
+    // Allocations are in the base currency
+    const baseAmount = Math.round(parseFloat(payment.amount) / parseFloat(payment.exchange_rate) * 100) / 100;
+
+    res.json({
+      payment: {
+        ...payment,
+        base_amount: baseAmount,
+        allocated_amount: allocated,
+        unallocated_amount: baseAmount - allocated
+      },
+      allocations
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// Record new commission payment (Admin only)
-router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Record new commission payment
+router.post('/', authMiddleware, requirePermission('commissions.pay'), async (req, res, next) => {
   try {
     const {
       journalist_id,
@@ -76,7 +106,9 @@ router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
       payment_date,
       payment_method,
       reference_number,
-      notes
+      notes,
+      allocations,
+      currency = ExchangeRate.BASE_CURRENCY
     } = req.body;
 
     // Validate required fields
@@ -92,9 +124,16 @@ router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
       return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
 
+    if (!ExchangeRate.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validOptions: ExchangeRate.CURRENCIES
+      });
+    }
+
     // Check if journalist exists
     const journalistCheck = await query(
-      "SELECT id FROM users WHERE id = $1 AND role = 'journalist'",
+      `SELECT id FROM users WHERE id = $1 AND ${journalistRoleSql('role')}`,
       [journalist_id]
     );
 
@@ -102,36 +141,63 @@ router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
       return res.status(404).json({ error: 'Journalist not found' });
     }
 
-    // Create commission payment
-    const result = await query(
-      `INSERT INTO commission_payments (
-        journalist_id, amount, payment_date, payment_method,
-        reference_number, notes, paid_by
-      )
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [
-        journalist_id,
-        amount,
-        payment_date,
-        payment_method,
-        reference_number,
-        notes,
-        req.user.userId
-      ]
-    );
+    if (allocations !== undefined && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: 'Allocations must be an array of { sale_id, amount }' });
+    }
+
+    const exchange_rate = await ExchangeRate.getRate(currency, payment_date);
+
+    // Create the payment and settle sales in one transaction
+    const { payment, allocationRows } = await transaction(async (client) => {
+      // Serialize payments per journalist so outstanding balances stay consistent
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [journalist_id]);
+
+      const result = await client.query(
+        `INSERT INTO commission_payments (
+          journalist_id, amount, currency, exchange_rate, payment_date, payment_method,
+          reference_number, notes, paid_by
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          journalist_id,
+          amount,
+          currency,
+          exchange_rate,
+          payment_date,
+          payment_method,
+          reference_number,
+          notes,
+          req.user.userId
+        ]
+      );
+
+      const payment = result.rows[0];
+      await CommissionLedger.recordPayout(client, payment, req.user.userId);
+
+      const allocationRows = allocations
+        ? await CommissionAllocation.allocateExplicit(client, payment, allocations)
+        : await CommissionAllocation.allocateOldestFirst(client, payment);
+
+      return { payment, allocationRows };
+    });
+
+    const related = { related_type: 'commission_payment', related_id: payment.id, sent_by: req.user.userId };
+    notifyInBackground('commission_paid', { user_id: payment.journalist_id }, { payment }, related);
+    notifyInAppInBackground('commission_paid', [payment.journalist_id], { payment }, related);
 
     res.status(201).json({
       message: 'Commission payment recorded successfully',
-      payment: result.rows[0]
+      payment,
+      allocations: allocationRows
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Update commission payment (Admin only)
-router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Update commission payment
+router.put('/:id', authMiddleware, requirePermission('commissions.pay'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
@@ -139,7 +205,8 @@ router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
       payment_date,
       payment_method,
       reference_number,
-      notes
+      notes,
+      allocations
     } = req.body;
 
     // Validate required fields
@@ -155,9 +222,13 @@ router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
       return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
 
+    if (allocations !== undefined && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: 'Allocations must be an array of { sale_id, amount }' });
+    }
+
     // Check if payment exists
     const existingPayment = await query(
-      'SELECT id FROM commission_payments WHERE id = $1',
+      'SELECT * FROM commission_payments WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
@@ -165,40 +236,129 @@ router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
       return res.status(404).json({ error: 'Commission payment not found' });
     }
 
-    // Update payment
-    const result = await query(
-      `UPDATE commission_payments
-       SET amount = $1, payment_date = $2, payment_method = $3,
-           reference_number = $4, notes = $5
-       WHERE id = $6
-       RETURNING *`,
-      [amount, payment_date, payment_method, reference_number, notes, id]
-    );
+    const previous = existingPayment.rows[0];
+
+    // Keep the existing currency unless a new one is given
+    const currency = req.body.currency || previous.currency;
+    if (!ExchangeRate.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validOptions: ExchangeRate.CURRENCIES
+      });
+    }
+
+    const exchange_rate = await ExchangeRate.getRate(currency, payment_date);
+
+    // Update payment, re-allocating when the amount changes or allocations are given
+    const { payment, allocationRows } = await transaction(async (client) => {
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [previous.journalist_id]);
+
+      const result = await client.query(
+        `UPDATE commission_payments
+         SET amount = $1, currency = $2, exchange_rate = $3, payment_date = $4,
+             payment_method = $5, reference_number = $6, notes = $7
+         WHERE id = $8
+         RETURNING *`,
+        [amount, currency, exchange_rate, payment_date, payment_method, reference_number, notes, id]
+      );
+
+      const payment = result.rows[0];
+      let allocationRows = null;
+
+      // Ledger entries are immutable: reverse the old payout and post the new one.
+      // A change of currency or rate changes the base amount, so counts as an amount change.
+      const amountChanged = parseFloat(payment.amount) !== parseFloat(previous.amount) ||
+        payment.currency !== previous.currency ||
+        parseFloat(payment.exchange_rate) !== parseFloat(previous.exchange_rate);
+      const dateChanged = new Date(payment.payment_date).getTime() !== new Date(previous.payment_date).getTime();
+      if (amountChanged || dateChanged) {
+        await CommissionLedger.reversePayout(client, previous, `Commission payment #${id} amended`, req.user.userId);
+        await CommissionLedger.recordPayout(client, payment, req.user.userId);
+      }
+
+      if (allocations) {
+        allocationRows = await CommissionAllocation.allocateExplicit(client, payment, allocations);
+      } else if (amountChanged) {
+        allocationRows = await CommissionAllocation.allocateOldestFirst(client, payment);
+      }
+
+      return { payment, allocationRows };
+    });
 
     res.json({
       message: 'Commission payment updated successfully',
-      payment: result.rows[0]
+      payment,
+      allocations: allocationRows || await CommissionAllocation.findByPayment(id)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete commission payment (Admin only)
-router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Replace a payment's allocations.
+// Send { allocations: [{ sale_id, amount }] }, or { auto: true } for oldest-first.
+router.put('/:id/allocations', authMiddleware, requirePermission('commissions.pay'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { allocations, auto } = req.body;
 
-    const result = await query(
-      'DELETE FROM commission_payments WHERE id = $1 RETURNING id',
+    if (!auto && !Array.isArray(allocations)) {
+      return res.status(400).json({ error: 'Provide an allocations array or auto: true' });
+    }
+
+    const existingPayment = await query(
+      'SELECT * FROM commission_payments WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
-    if (result.rows.length === 0) {
+    if (existingPayment.rows.length === 0) {
       return res.status(404).json({ error: 'Commission payment not found' });
     }
 
-    res.json({ message: 'Commission payment deleted successfully' });
+    const payment = existingPayment.rows[0];
+
+    await transaction(async (client) => {
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [payment.journalist_id]);
+
+      return auto
+        ? CommissionAllocation.allocateOldestFirst(client, payment)
+        : CommissionAllocation.allocateExplicit(client, payment, allocations);
+    });
+
+    res.json({
+      message: 'Commission payment allocations updated successfully',
+      allocations: await CommissionAllocation.findByPayment(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete commission payment
+router.delete('/:id', authMiddleware, requirePermission('commissions.pay'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingPayment = await query(
+      'SELECT * FROM commission_payments WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+
+    if (existingPayment.rows.length === 0) {
+      return res.status(404).json({ error: 'Commission payment not found' });
+    }
+
+    // Reverse the payout in the ledger and free its sales before moving the
+    // payment to the trash; restoring it posts the payout again
+    await transaction(async (client) => {
+      const payment = existingPayment.rows[0];
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [payment.journalist_id]);
+      await CommissionLedger.reversePayout(client, payment, `Commission payment #${id} deleted`, req.user.userId);
+      await CommissionAllocation.clearForPayment(client, id);
+      await Trash.softDelete('commission_payments', id, req.user.userId, client);
+    });
+
+    res.json({ message: 'Commission payment moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -210,46 +370,25 @@ router.get('/journalist/:journalistId/summary', authMiddleware, async (req, res,
     const { journalistId } = req.params;
 
     // Check permissions
-    if (req.user.role === 'journalist' && parseInt(journalistId) !== req.user.userId) {
+    if (!await canSeeJournalist(req, journalistId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get total commissions earned
-    const earnedResult = await query(
-      `SELECT COALESCE(SUM(commission_amount), 0) as total_earned
-       FROM sales
-       WHERE journalist_id = $1 AND status = 'approved'`,
-      [journalistId]
-    );
-
-    // Get total commissions paid
-    const paidResult = await query(
-      `SELECT COALESCE(SUM(amount), 0) as total_paid
-       FROM commission_payments
-       WHERE journalist_id = $1`,
-      [journalistId]
-    );
+    // Get ledger balance
+    const balance = await CommissionLedger.getBalance(journalistId);
 
     // Get recent payments
     const recentPayments = await query(
       `SELECT *
        FROM commission_payments
-       WHERE journalist_id = $1
+       WHERE journalist_id = $1 AND deleted_at IS NULL
        ORDER BY payment_date DESC, created_at DESC
        LIMIT 10`,
       [journalistId]
     );
 
-    const totalEarned = parseFloat(earnedResult.rows[0].total_earned);
-    const totalPaid = parseFloat(paidResult.rows[0].total_paid);
-    const balance = totalEarned - totalPaid;
-
     res.json({
-      summary: {
-        total_earned: totalEarned,
-        total_paid: totalPaid,
-        balance: balance
-      },
+      summary: balance,
       recent_payments: recentPayments.rows
     });
   } catch (error) {
@@ -257,29 +396,118 @@ router.get('/journalist/:journalistId/summary', authMiddleware, async (req, res,
   }
 });
 
-// Get commission statistics for all journalists (Admin only)
-router.get('/stats/all-journalists', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get commission statement for a journalist and month (?period=YYYY-MM)
+router.get('/journalist/:journalistId/statement', authMiddleware, async (req, res, next) => {
   try {
-    const result = await query(`
-      SELECT 
-        u.id,
-        u.first_name || ' ' || u.last_name as journalist_name,
-        COALESCE(SUM(s.commission_amount), 0) as total_earned,
-        COALESCE(SUM(cp.amount), 0) as total_paid,
-        COALESCE(SUM(s.commission_amount), 0) - COALESCE(SUM(cp.amount), 0) as balance
-      FROM users u
-      LEFT JOIN sales s ON u.id = s.journalist_id AND s.status = 'approved'
-      LEFT JOIN commission_payments cp ON u.id = cp.journalist_id
-      WHERE u.role = 'journalist'
-      GROUP BY u.id, u.first_name, u.last_name
-      HAVING COALESCE(SUM(s.commission_amount), 0) > 0
-      ORDER BY balance DESC
-    `);
-
-    res.json({ statistics: result.rows });
+    const { journalistId } = req.params;
+    const { period } = req.query;
+
+    // Check permissions
+    if (!await canSeeJournalist(req, journalistId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!parsePeriod(period)) {
+      return res.status(400).json({ error: 'Period must be in YYYY-MM format' });
+    }
+
+    const statement = await buildStatement(journalistId, period);
+    if (!statement) {
+      return res.status(404).json({ error: 'Journalist not found' });
+    }
+
+    res.json({ statement });
   } catch (error) {
     next(error);
   }
 });
 
+// Download commission statement PDF for a journalist and month
+router.get('/journalist/:journalistId/statement/pdf', authMiddleware, async (req, res, next) => {
+  try {
+    const { journalistId } = req.params;
+    const { period } = req.query;
+
+    // Check permissions
+    if (!await canSeeJournalist(req, journalistId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!parsePeriod(period)) {
+      return res.status(400).json({ error: 'Period must be in YYYY-MM format' });
+    }
+
+    const statement = await buildStatement(journalistId, period);
+    if (!statement) {
+      return res.status(404).json({ error: 'Journalist not found' });
+    }
+
+    const pdf = await generateStatementPDF(statement);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=commission-statement-${journalistId}-${period}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email a journalist their commission statement PDF for a month
+router.post('/journalist/:journalistId/statement/email', authMiddleware, requirePermission('commissions.pay'), async (req, res, next) => {
+  try {
+    const { journalistId } = req.params;
+    const { period, message } = req.body;
+
+    if (!parsePeriod(period)) {
+      return res.status(400).json({ error: 'Period must be in YYYY-MM format' });
+    }
+
+    const statement = await buildStatement(journalistId, period);
+    if (!statement) {
+      return res.status(404).json({ error: 'Journalist not found' });
+    }
+
+    const to = statement.journalist.email;
+    const pdf = await generateStatementPDF(statement);
+
+    const email = await queueEmail({
+      template: 'commission_statement',
+      data: { statement, message },
+      to,
+      attachments: [{ filename: `commission-statement-${period}.pdf`, content: pdf }],
+      related_type: 'statement',
+      related_id: statement.journalist.id,
+      sent_by: req.user.userId
+    });
+
+    res.status(202).json({
+      message: `Statement queued for email to ${to}`,
+      email_id: email.id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get commission statistics for all journalists
+router.get('/stats/all-journalists', authMiddleware, requirePermission('commissions.view_all'), async (req, res, next) => {
+  try {
+    const statistics = await CommissionLedger.getJournalistBalances();
+
+    res.json({ statistics });
+  } catch (error) {
+    next(error);
+  }
+});
+
+addTrashRoutes(router, 'commission_payments', {
+  label: 'Commission payment',
+  // Post the payout again and allocate it to the oldest unpaid sales
+  onRestore: async (client, payment, req) => {
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [payment.journalist_id]);
+    await CommissionLedger.recordPayout(client, payment, req.user.userId);
+    await CommissionAllocation.allocateOldestFirst(client, payment);
+  }
+});
+
 module.exports = router;
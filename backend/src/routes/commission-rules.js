@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const CommissionRule = require('../models/CommissionRule');
+const ExchangeRate = require('../models/ExchangeRate');
+const AdType = require('../models/AdType');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+
+// Shared validation for create and update
+const validateRule = async (body) => {
+  const { name, ad_type, commission_rate, min_monthly_revenue, effective_from, effective_to } = body;
+
+  if (!name || commission_rate === undefined || commission_rate === '') {
+    return {
+      error: 'Missing required fields',
+      required: ['name', 'commission_rate']
+    };
+  }
+
+  const rate = parseFloat(commission_rate);
+  if (isNaN(rate) || rate < 0 || rate > 100) {
+    return { error: 'Commission rate must be between 0 and 100' };
+  }
+
+  if (min_monthly_revenue !== undefined && min_monthly_revenue !== '' &&
+      (isNaN(parseFloat(min_monthly_revenue)) || parseFloat(min_monthly_revenue) < 0)) {
+    return { error: 'Minimum monthly revenue must be 0 or greater' };
+  }
+
+  if (ad_type && !(await AdType.findByName(ad_type))) {
+    return {
+      error: 'Invalid ad type',
+      validOptions: await AdType.getActiveNames()
+    };
+  }
+
+  if (effective_from && effective_to && new Date(effective_to) < new Date(effective_from)) {
+    return { error: 'Effective end date cannot be before the start date' };
+  }
+
+  return null;
+};
+
+// Get all commission rules
+router.get('/', authMiddleware, requirePermission('commission_rules.manage'), async (req, res, next) => {
+  try {
+    const { ad_type, journalist_id, is_active } = req.query;
+    const rules = await CommissionRule.findAll({
+      ad_type,
+      journalist_id,
+      is_active: is_active === undefined ? undefined : is_active === 'true'
+    });
+    res.json({ rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview which rule and rate would apply to a sale
+router.get('/resolve', authMiddleware, requirePermission('commission_rules.manage'), async (req, res, next) => {
+  try {
+    const { journalist_id, ad_type, payment_method, amount, currency = ExchangeRate.BASE_CURRENCY } = req.query;
+    const payment_date = req.query.payment_date || new Date().toISOString().split('T')[0];
+
+    if (!journalist_id || !ad_type || !amount) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['journalist_id', 'ad_type', 'amount']
+      });
+    }
+
+    if (!ExchangeRate.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validOptions: ExchangeRate.CURRENCIES
+      });
+    }
+
+    const resolution = await CommissionRule.resolveForSale({
+      journalist_id,
+      ad_type,
+      payment_method,
+      amount,
+      payment_date,
+      exchange_rate: await ExchangeRate.getRate(currency, payment_date)
+    });
+
+    res.json({
+      rate: resolution.rate,
+      rule: resolution.rule,
+      monthly_revenue: resolution.monthly_revenue,
+      commission_amount: (parseFloat(amount) * resolution.rate) / 100
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get commission rule by ID
+router.get('/:id', authMiddleware, requirePermission('commission_rules.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const rule = await CommissionRule.findById(id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Commission rule not found' });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create commission rule
+router.post('/', authMiddleware, requirePermission('commission_rules.manage'), async (req, res, next) => {
+  try {
+    const validationError = await validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const rule = await CommissionRule.create({
+      ...req.body,
+      created_by: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Commission rule created successfully',
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update commission rule
+router.put('/:id', authMiddleware, requirePermission('commission_rules.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const validationError = await validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Check if rule exists
+    const existingRule = await CommissionRule.findById(id);
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Commission rule not found' });
+    }
+
+    const rule = await CommissionRule.update(id, {
+      ...req.body,
+      effective_from: req.body.effective_from || existingRule.effective_from
+    });
+
+    res.json({
+      message: 'Commission rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete commission rule
+router.delete('/:id', authMiddleware, requirePermission('commission_rules.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await CommissionRule.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Commission rule not found' });
+    }
+
+    res.json({ message: 'Commission rule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const CreditNote = require('../models/CreditNote');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getCompanyInfo,
+  createDocument,
+  drawHeader,
+  drawTableHeader,
+  drawSeparator,
+  drawTotals,
+  drawFooter,
+  toBuffer
+} = require('../utils/pdf');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Build the credit note PDF in memory
+const generateCreditNotePDF = async (creditNote) => {
+  const doc = createDocument();
+  const { companyAddress } = await getCompanyInfo();
+
+  drawHeader(doc, {
+    companyAddress,
+    title: 'CREDIT NOTE',
+    number: creditNote.credit_note_number,
+    lines: [
+      `Date: ${formatDate(creditNote.issue_date)}`,
+      `Invoice: ${creditNote.invoice_number}`
+    ]
+  });
+
+  // Credit To section
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Credit To:', 50, 180);
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(creditNote.client_name, 50, 200)
+     .text(`Phone: ${creditNote.client_phone || 'N/A'}`, 50, 215);
+
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Original Invoice:', 350, 180);
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(`Number: ${creditNote.invoice_number}`, 350, 200)
+     .text(`Currency: ${creditNote.currency}`, 350, 215);
+
+  // Reason and amount
+  drawTableHeader(doc, 280, [
+    { label: 'Reason', x: 60, width: 380 },
+    { label: 'Amount', x: 450, width: 90, align: 'right' }
+  ]);
+
+  doc.fontSize(9)
+     .fillColor('#000000')
+     .text(creditNote.reason, 60, 315, { width: 380 });
+  const y = 315 + Math.max(doc.heightOfString(creditNote.reason, { width: 380 }), 12) + 8;
+
+  drawSeparator(doc, y + 2);
+  drawTotals(doc, y + 15, {
+    subtotal: creditNote.subtotal,
+    discount_total: 0,
+    tax_total: creditNote.tax_total,
+    total: creditNote.amount
+  }, creditNote.currency);
+
+  drawFooter(doc, 'This credit note reduces the balance of the invoice referenced above.');
+
+  return toBuffer(doc);
+};
+
+// Get all credit notes
+router.get('/', authMiddleware, requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { client_id, start_date, end_date } = req.query;
+    const creditNotes = await CreditNote.findAll({ client_id, start_date, end_date });
+
+    res.json({ credit_notes: creditNotes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get credit note by ID
+router.get('/:id', authMiddleware, requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    res.json({ credit_note: creditNote });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download credit note PDF
+router.get('/:id/download', authMiddleware, requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    const pdf = await generateCreditNotePDF(creditNote);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${creditNote.credit_note_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
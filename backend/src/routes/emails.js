@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const SentEmail = require('../models/SentEmail');
+const { processQueue } = require('../utils/emailQueue');
+const { getTransportName } = require('../utils/mailer');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+
+// Get the outbound email log
+router.get('/', authMiddleware, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const { status, related_type, related_id } = req.query;
+    const emails = await SentEmail.findAll({ status, related_type, related_id });
+
+    res.json({ emails, transport: getTransportName() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get email by ID
+router.get('/:id', authMiddleware, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const email = await SentEmail.findById(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json({ email });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Queue a failed email again and try to send it now
+router.post('/:id/retry', authMiddleware, requirePermission('emails.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await SentEmail.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    if (existing.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed emails can be retried' });
+    }
+
+    await SentEmail.retry(id);
+    await processQueue();
+
+    res.json({
+      message: 'Email retried',
+      email: await SentEmail.findById(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
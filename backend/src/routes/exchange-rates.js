@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/ExchangeRate');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+
+// Rates are entered for every currency except the base currency
+const rateCurrencies = ExchangeRate.CURRENCIES.filter(c => c !== ExchangeRate.BASE_CURRENCY);
+
+// Shared validation for create and update
+const validateRate = (body) => {
+  const { currency, rate } = body;
+
+  if (!currency || rate === undefined || rate === '') {
+    return {
+      error: 'Missing required fields',
+      required: ['currency', 'rate']
+    };
+  }
+
+  if (!rateCurrencies.includes(currency)) {
+    return {
+      error: 'Invalid currency',
+      validOptions: rateCurrencies
+    };
+  }
+
+  const value = parseFloat(rate);
+  if (isNaN(value) || value <= 0) {
+    return { error: 'Rate must be greater than 0' };
+  }
+
+  return null;
+};
+
+// Get exchange rates
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { currency } = req.query;
+    const rates = await ExchangeRate.findAll({ currency });
+
+    res.json({
+      base_currency: ExchangeRate.BASE_CURRENCY,
+      currencies: ExchangeRate.CURRENCIES,
+      rates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the latest rate for each currency
+router.get('/latest', authMiddleware, async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.getLatest();
+
+    res.json({
+      base_currency: ExchangeRate.BASE_CURRENCY,
+      rates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create exchange rate
+router.post('/', authMiddleware, requirePermission('catalog.manage'), async (req, res, next) => {
+  try {
+    const validationError = validateRate(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const { currency, rate, effective_date } = req.body;
+
+    const exchangeRate = await ExchangeRate.create({
+      currency,
+      rate,
+      effective_date,
+      created_by: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Exchange rate created successfully',
+      rate: exchangeRate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update exchange rate.
+// Sales and payments keep the rate captured when they were recorded.
+router.put('/:id', authMiddleware, requirePermission('catalog.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const validationError = validateRate(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Check if rate exists
+    const existingRate = await ExchangeRate.findById(id);
+    if (!existingRate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    const { currency, rate, effective_date } = req.body;
+
+    const exchangeRate = await ExchangeRate.update(id, {
+      currency,
+      rate,
+      effective_date: effective_date || existingRate.effective_date
+    });
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      rate: exchangeRate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete exchange rate
+router.delete('/:id', authMiddleware, requirePermission('catalog.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await ExchangeRate.delete(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,100 +1,97 @@
 const express = require('express');
 const router = express.Router();
-const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const Sale = require('../models/Sale');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
+const Client = require('../models/Client');
+const Invoice = require('../models/Invoice');
+const InvoiceItem = require('../models/InvoiceItem');
+const ClientPayment = require('../models/ClientPayment');
+const CreditNote = require('../models/CreditNote');
+const PaymentMethod = require('../models/PaymentMethod');
+const ExchangeRate = require('../models/ExchangeRate');
+const Quotation = require('../models/Quotation');
+const QuotationItem = require('../models/QuotationItem');
+const { nextDocumentNumber } = require('../utils/numbering');
+const { queueEmail } = require('../utils/emailQueue');
+const { notifyInBackground, notifyInAppInBackground } = require('../utils/notifier');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const {
+  getCompanyInfo,
+  createDocument,
+  drawHeader,
+  drawLineItems,
+  drawTotals,
+  drawFooter,
+  formatMoney
+} = require('../utils/pdf');
+
+const PDF_TITLES = {
+  draft: 'DRAFT INVOICE',
+  void: 'VOID INVOICE'
+};
 
-// Helper function to generate invoice number
-const generateInvoiceNumber = async () => {
-  const result = await query(
-    `SELECT setting_value FROM settings WHERE setting_key = 'invoice_prefix'`
-  );
-  const prefix = result.rows[0]?.setting_value || 'INV';
-  const year = new Date().getFullYear();
-  
-  // Get the last invoice number for this year
-  const lastInvoice = await query(
-    `SELECT invoice_number FROM invoices 
-     WHERE invoice_number LIKE $1 
-     ORDER BY id DESC LIMIT 1`,
-    [`${prefix}-${year}-%`]
-  );
+// Statuses an invoice can be credited from
+const CREDITABLE_STATUSES = ['issued', 'partially_paid', 'paid'];
 
-  let sequence = 1;
-  if (lastInvoice.rows.length > 0) {
-    const lastNumber = lastInvoice.rows[0].invoice_number;
-    const lastSequence = parseInt(lastNumber.split('-')[2]);
-    sequence = lastSequence + 1;
+const today = () => new Date().toISOString().split('T')[0];
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Price requested lines at the configured VAT rate
+const priceItems = async (items) => {
+  const vatRate = await InvoiceItem.getVatRate();
+  const lines = InvoiceItem.priceLines(items, vatRate);
+  return { lines, totals: InvoiceItem.summarize(lines) };
+};
+
+// Default lines for a sale's invoice
+const defaultInvoiceLines = async (sale) => {
+  const quotation = await Quotation.findBySale(sale.id);
+  if (quotation) {
+    return QuotationItem.toInput(await QuotationItem.findFor(quotation.id));
   }
 
-  return `${prefix}-${year}-${String(sequence).padStart(3, '0')}`;
+  return [{
+    description: sale.description || sale.ad_type,
+    ad_type: sale.ad_type,
+    quantity: 1,
+    unit_price: sale.amount
+  }];
 };
 
-// Helper function to generate PDF invoice
-const generateInvoicePDF = async (invoice, sale) => {
+// Helper function to generate PDF invoice with one row per line item
+const generateInvoicePDF = async (invoice, items) => {
   return new Promise(async (resolve, reject) => {
     try {
       // Create uploads/invoices directory if it doesn't exist
       const invoiceDir = path.join(__dirname, '../../uploads/invoices');
       await fs.mkdir(invoiceDir, { recursive: true });
 
-      const filename = `invoice-${invoice.invoice_number}.pdf`;
+      // Number formats may contain characters such as '/' that cannot appear in file names
+      const filename = `invoice-${invoice.invoice_number.replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`;
       const filepath = path.join(invoiceDir, filename);
 
       // Create PDF document
-      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const doc = createDocument();
       const stream = require('fs').createWriteStream(filepath);
 
+      stream.on('error', reject);
       doc.pipe(stream);
 
-      // Get company info from settings
-      const companyInfo = await query(
-        `SELECT setting_key, setting_value FROM settings 
-         WHERE setting_key IN ('company_name', 'company_address')`
-      );
-      
-      const settings = {};
-      companyInfo.rows.forEach(row => {
-        settings[row.setting_key] = row.setting_value;
-      });
-
-      const companyName = settings.company_name || 'AfroGazette Media & Advertising';
-      const companyAddress = settings.company_address || 'Harare, Zimbabwe';
+      const { companyAddress } = await getCompanyInfo();
 
-      // Header - Company Logo/Name
-      doc.fontSize(24)
-         .fillColor('#dc2626')
-         .text('AFROGAZETTE', 50, 50);
-      
-      doc.fontSize(12)
-         .fillColor('#000000')
-         .text('Media & Advertising', 50, 80);
-
-      // Company Address
-      doc.fontSize(9)
-         .fillColor('#666666')
-         .text(companyAddress, 50, 100, { width: 250 });
-
-      // Invoice Title and Number
-      doc.fontSize(20)
-         .fillColor('#000000')
-         .text('INVOICE', 400, 50, { align: 'right' });
-
-      doc.fontSize(10)
-         .fillColor('#666666')
-         .text(`#${invoice.invoice_number}`, 400, 80, { align: 'right' });
-
-      doc.text(`Date: ${new Date(invoice.generated_at).toLocaleDateString()}`, 400, 100, { align: 'right' });
+      const dateLines = [`Date: ${formatDate(invoice.issue_date || invoice.generated_at)}`];
+      if (invoice.due_date) {
+        dateLines.push(`Due: ${formatDate(invoice.due_date)}`);
+      }
 
-      // Horizontal line
-      doc.moveTo(50, 160)
-         .lineTo(550, 160)
-         .strokeColor('#dc2626')
-         .lineWidth(2)
-         .stroke();
+      drawHeader(doc, {
+        companyAddress,
+        title: PDF_TITLES[invoice.status] || 'INVOICE',
+        number: invoice.invoice_number,
+        lines: dateLines
+      });
 
       // Bill To section
       doc.fontSize(12)
@@ -106,53 +103,52 @@ const generateInvoicePDF = async (invoice, sale) => {
          .text(invoice.client_name, 50, 200)
          .text(`Phone: ${invoice.client_phone || 'N/A'}`, 50, 215);
 
-      // Payment Details
+      // Payment Details: how a sale was paid, or the terms for invoices on credit
       doc.fontSize(12)
          .fillColor('#000000')
          .text('Payment Details:', 350, 180);
 
-      doc.fontSize(10)
-         .fillColor('#666666')
-         .text(`Method: ${invoice.payment_method}`, 350, 200)
-         .text(`Date: ${new Date(invoice.payment_date).toLocaleDateString()}`, 350, 215)
-         .text(`Ad Type: ${invoice.ad_type || 'N/A'}`, 350, 230);
-
-      // Table Header
-      const tableTop = 280;
-      doc.fontSize(11)
-         .fillColor('#ffffff')
-         .rect(50, tableTop, 500, 25)
-         .fillAndStroke('#dc2626', '#dc2626');
-
-      doc.fillColor('#ffffff')
-         .text('Description', 60, tableTop + 7, { width: 300 })
-         .text('Amount', 450, tableTop + 7, { width: 90, align: 'right' });
-
-      // Table Content
-      doc.fontSize(10)
-         .fillColor('#000000')
-         .text(invoice.description || 'Advertising Service', 60, tableTop + 40, { width: 300 })
-         .text(`$${parseFloat(invoice.amount).toFixed(2)}`, 450, tableTop + 40, { width: 90, align: 'right' });
-
-      // Horizontal line
-      doc.moveTo(50, tableTop + 70)
-         .lineTo(550, tableTop + 70)
-         .strokeColor('#cccccc')
-         .lineWidth(1)
-         .stroke();
-
-      // Total
-      doc.fontSize(14)
-         .fillColor('#000000')
-         .text('TOTAL', 350, tableTop + 85)
-         .text(`$${parseFloat(invoice.amount).toFixed(2)}`, 450, tableTop + 85, { width: 90, align: 'right' });
+      doc.fontSize(10).fillColor('#666666');
+      if (invoice.payment_method) {
+        doc.text(`Method: ${invoice.payment_method} (${invoice.currency})`, 350, 200)
+           .text(`Date: ${formatDate(invoice.payment_date)}`, 350, 215);
+      } else {
+        doc.text(`Currency: ${invoice.currency}`, 350, 200)
+           .text(`Due: ${invoice.due_date ? formatDate(invoice.due_date) : 'On issue'}`, 350, 215);
+      }
+      doc.text(`Ad Type: ${invoice.ad_type || 'N/A'}`, 350, 230);
 
-      // Footer
-      doc.fontSize(9)
-         .fillColor('#666666')
-         .text('Thank you for your business!', 50, 700, { align: 'center', width: 500 });
+      // Line items and totals
+      let y = drawLineItems(doc, 280, items, invoice.currency);
+      y = drawTotals(doc, y, { ...invoice, total: invoice.amount }, invoice.currency);
+
+      const settlements = [];
+      if (parseFloat(invoice.amount_paid) > 0) {
+        settlements.push(['Amount Paid', invoice.amount_paid]);
+      }
+      if (parseFloat(invoice.amount_credited) > 0) {
+        settlements.push(['Credited', invoice.amount_credited]);
+      }
+      if (settlements.length > 0) {
+        doc.fontSize(10).fillColor('#666666');
+        settlements.forEach(([label, value]) => {
+          doc.text(label, 350, y)
+             .text(formatMoney(value, invoice.currency), 450, y, { width: 90, align: 'right' });
+          y += 16;
+        });
+        doc.fillColor('#000000')
+           .text('Balance Due', 350, y)
+           .text(formatMoney(invoice.balance_due, invoice.currency), 450, y, { width: 90, align: 'right' });
+        y += 24;
+      }
+
+      if (invoice.status === 'void') {
+        doc.fontSize(10)
+           .fillColor('#dc2626')
+           .text(`Voided: ${invoice.void_reason}`, 50, y, { width: 500 });
+      }
 
-      doc.text('For inquiries, please contact us at the address above.', 50, 715, { align: 'center', width: 500 });
+      drawFooter(doc);
 
       // Finalize PDF
       doc.end();
@@ -160,57 +156,177 @@ const generateInvoicePDF = async (invoice, sale) => {
       stream.on('finish', () => {
         resolve(`/uploads/invoices/${filename}`);
       });
-
-      stream.on('error', reject);
     } catch (error) {
       reject(error);
     }
   });
 };
 
+// Tell the client an invoice has been issued, and the journalist whose sale it bills
+const notifyInvoiceIssued = (invoice, sent_by) => {
+  const related = { related_type: 'invoice', related_id: invoice.id, sent_by };
+
+  if (invoice.client_id) {
+    notifyInBackground('invoice_issued', { client_id: invoice.client_id }, { invoice }, related);
+  }
+  if (invoice.sale_id) {
+    const journalistIds = Sale.findById(invoice.sale_id).then(sale => [sale?.journalist_id]);
+    notifyInAppInBackground('invoice_generated', journalistIds, { invoice }, related);
+  }
+};
+
+// Regenerate an invoice's PDF after it changes and store its path
+const refreshInvoicePDF = async (id) => {
+  const invoice = await Invoice.findById(id);
+  const items = await InvoiceItem.findFor(id);
+
+  invoice.pdf_path = await generateInvoicePDF(invoice, items);
+  await query(
+    'UPDATE invoices SET pdf_path = $1 WHERE id = $2',
+    [invoice.pdf_path, id]
+  );
+
+  return { invoice, items };
+};
+
 // Get all invoices
-router.get('/', authMiddleware, async (req, res, next) => {
+router.get('/', authMiddleware, requirePermission('invoices.view'), async (req, res, next) => {
   try {
-    const result = await query(
-      `SELECT i.*,
-        u.first_name || ' ' || u.last_name as generated_by_name
-       FROM invoices i
-       LEFT JOIN users u ON i.generated_by = u.id
-       ORDER BY i.generated_at DESC`
-    );
+    const { status, client_id, overdue } = req.query;
+    const invoices = await Invoice.findAll({ status, client_id, overdue: overdue === 'true' });
+
+    res.json({ invoices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Aged receivables per client
+router.get('/reports/aging', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
+  try {
+    const as_of = req.query.as_of || today();
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
+
+    const aging = await Invoice.getAging(as_of, currency);
 
-    res.json({ invoices: result.rows });
+    res.json({
+      as_of,
+      currency,
+      buckets: Invoice.AGING_BUCKETS,
+      ...aging
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// Get invoice by ID
-router.get('/:id', authMiddleware, async (req, res, next) => {
+// Get the default lines for a sale's invoice
+router.get('/draft-lines/:saleId', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.saleId);
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    res.json({ items: await defaultInvoiceLines(sale) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get invoice by ID with its lines and payments
+router.get('/:id', authMiddleware, requirePermission('invoices.view'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    
-    const result = await query(
-      `SELECT i.*,
-        u.first_name || ' ' || u.last_name as generated_by_name
-       FROM invoices i
-       LEFT JOIN users u ON i.generated_by = u.id
-       WHERE i.id = $1`,
-      [id]
-    );
 
-    if (result.rows.length === 0) {
+    const invoice = await Invoice.findById(id);
+    if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    res.json({ invoice: result.rows[0] });
+    const items = await InvoiceItem.findFor(id);
+    const payments = await ClientPayment.findByInvoice(id);
+    const creditNotes = await CreditNote.findByInvoice(id);
+
+    res.json({ invoice, items, payments, credit_notes: creditNotes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a draft invoice for a client, to be paid later
+router.post('/', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
+  try {
+    const { client_id, ad_type, description, due_date, items } = req.body;
+    const currency = req.body.currency || ExchangeRate.BASE_CURRENCY;
+
+    if (!client_id || !Array.isArray(items)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['client_id', 'items']
+      });
+    }
+
+    if (!ExchangeRate.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validOptions: ExchangeRate.CURRENCIES
+      });
+    }
+
+    const client = await Client.findById(client_id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { lines, totals } = await priceItems(items);
+
+    const created = await transaction(async (db) => {
+      const invoiceNumber = await nextDocumentNumber(db, 'invoice');
+      const invoiceResult = await db.query(
+        `INSERT INTO invoices (
+          client_id, invoice_number, client_name, client_phone, subtotal, discount_total, tax_total,
+          amount, currency, exchange_rate, status, due_date, ad_type, description, generated_by
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'draft', $11, $12, $13, $14)
+         RETURNING *`,
+        [
+          client_id,
+          invoiceNumber,
+          client.client_name,
+          client.phone_number,
+          totals.subtotal,
+          totals.discount_total,
+          totals.tax_total,
+          totals.total,
+          currency,
+          await ExchangeRate.getRate(currency, today()),
+          due_date || null,
+          ad_type || null,
+          description || null,
+          req.user.userId
+        ]
+      );
+
+      const invoice = invoiceResult.rows[0];
+      await InvoiceItem.replaceFor(db, invoice.id, lines);
+      return invoice;
+    });
+
+    const { invoice, items: createdItems } = await refreshInvoicePDF(created.id);
+
+    res.status(201).json({
+      message: 'Draft invoice created successfully',
+      invoice,
+      items: createdItems
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// Generate invoice for a sale (Admin only)
-router.post('/generate/:saleId', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Generate invoice for a sale
+router.post('/generate/:saleId', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
   try {
     const { saleId } = req.params;
 
@@ -234,46 +350,154 @@ router.post('/generate/:saleId', authMiddleware, roleCheck('admin'), async (req,
       return res.status(400).json({ error: 'Invoice already exists for this sale' });
     }
 
-    // Generate invoice number
-    const invoiceNumber = await generateInvoiceNumber();
-
-    // Create invoice record
-    const invoiceResult = await query(
-      `INSERT INTO invoices (
-        sale_id, invoice_number, client_name, client_phone, amount,
-        payment_method, payment_date, ad_type, description, generated_by
-      )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING *`,
-      [
-        saleId,
-        invoiceNumber,
-        sale.client_name,
-        sale.client_phone,
-        sale.amount,
-        sale.payment_method,
-        sale.payment_date,
-        sale.ad_type,
-        sale.description,
-        req.user.userId
-      ]
-    );
-
-    const invoice = invoiceResult.rows[0];
+    // Lines default to the quotation the sale came from, or a single line for the sale amount
+    const { lines, totals } = await priceItems(req.body.items || await defaultInvoiceLines(sale));
+
+    // Number the invoice, create it with its lines, and record the sale payment
+    // against it. Anything invoiced beyond the sale amount (e.g. VAT) stays outstanding.
+    const created = await transaction(async (client) => {
+      const invoiceNumber = await nextDocumentNumber(client, 'invoice');
+      const invoiceResult = await client.query(
+        `INSERT INTO invoices (
+          sale_id, client_id, invoice_number, client_name, client_phone, subtotal, discount_total, tax_total,
+          amount, currency, exchange_rate, status, issue_date, due_date,
+          payment_method, payment_date, ad_type, description, generated_by
+        )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'issued', CURRENT_DATE, $12, $13, $12, $14, $15, $16)
+         RETURNING *`,
+        [
+          saleId,
+          sale.client_id,
+          invoiceNumber,
+          sale.client_name,
+          sale.client_phone,
+          totals.subtotal,
+          totals.discount_total,
+          totals.tax_total,
+          totals.total,
+          sale.currency,
+          sale.exchange_rate,
+          sale.payment_date,
+          sale.payment_method,
+          sale.ad_type,
+          sale.description,
+          req.user.userId
+        ]
+      );
 
-    // Generate PDF
-    const pdfPath = await generateInvoicePDF(invoice, sale);
+      const invoice = invoiceResult.rows[0];
+      await InvoiceItem.replaceFor(client, invoice.id, lines);
+
+      await ClientPayment.create(client, {
+        invoice_id: invoice.id,
+        client_id: sale.client_id,
+        amount: Math.min(parseFloat(sale.amount), parseFloat(totals.total)).toFixed(2),
+        currency: sale.currency,
+        payment_method: sale.payment_method,
+        payment_date: sale.payment_date,
+        notes: `Payment for sale #${sale.id}`,
+        recorded_by: req.user.userId
+      });
 
-    // Update invoice with PDF path
-    await query(
-      'UPDATE invoices SET pdf_path = $1 WHERE id = $2',
-      [pdfPath, invoice.id]
-    );
+      return Invoice.refreshPaymentStatus(client, invoice.id);
+    });
 
-    invoice.pdf_path = pdfPath;
+    const { invoice, items } = await refreshInvoicePDF(created.id);
+    notifyInvoiceIssued(invoice, req.user.userId);
 
     res.status(201).json({
       message: 'Invoice generated successfully',
+      invoice,
+      items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace a draft invoice's line items and regenerate its PDF
+router.put('/:id/items', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!Array.isArray(req.body.items)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['items']
+      });
+    }
+
+    const existing = await Invoice.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    // Issued invoices keep their lines; correct them with a credit note
+    if (existing.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft invoices can be edited; issue a credit note instead' });
+    }
+
+    const { lines, totals } = await priceItems(req.body.items);
+
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE invoices
+         SET subtotal = $1, discount_total = $2, tax_total = $3, amount = $4
+         WHERE id = $5`,
+        [totals.subtotal, totals.discount_total, totals.tax_total, totals.total, id]
+      );
+
+      await InvoiceItem.replaceFor(client, id, lines);
+      await Invoice.refreshPaymentStatus(client, id);
+    });
+
+    // Regenerate PDF (same file name, so the old copy is overwritten)
+    const { invoice, items } = await refreshInvoicePDF(id);
+
+    res.json({
+      message: 'Invoice updated successfully',
+      invoice,
+      items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue a draft invoice to the client
+router.post('/:id/issue', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await Invoice.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (existing.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft invoices can be issued' });
+    }
+
+    const issue_date = req.body.issue_date || today();
+    const due_date = req.body.due_date || existing.due_date || await Invoice.defaultDueDate(issue_date);
+
+    if (new Date(due_date) < new Date(issue_date)) {
+      return res.status(400).json({ error: 'Due date cannot be before the issue date' });
+    }
+
+    // Capture the exchange rate in effect on the issue date
+    const exchange_rate = await ExchangeRate.getRate(existing.currency, issue_date);
+
+    await transaction(async (client) => {
+      await Invoice.issue(client, id, { issue_date, due_date, exchange_rate });
+      await Invoice.refreshPaymentStatus(client, id);
+    });
+
+    const { invoice } = await refreshInvoicePDF(id);
+    notifyInvoiceIssued(invoice, req.user.userId);
+
+    res.json({
+      message: 'Invoice issued successfully',
       invoice
     });
   } catch (error) {
@@ -281,47 +505,249 @@ router.post('/generate/:saleId', authMiddleware, roleCheck('admin'), async (req,
   }
 });
 
-// Download invoice PDF
-router.get('/:id/download', authMiddleware, async (req, res, next) => {
+// Void an invoice that has no payments or credit notes
+router.post('/:id/void', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
 
-    const result = await query(
-      'SELECT invoice_number, pdf_path FROM invoices WHERE id = $1',
-      [id]
-    );
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['reason']
+      });
+    }
 
-    if (result.rows.length === 0) {
+    const existing = await Invoice.findById(id);
+    if (!existing) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    const invoice = result.rows[0];
-    
-    if (!invoice.pdf_path) {
-      return res.status(404).json({ error: 'PDF not available for this invoice' });
+    if (existing.status === 'void') {
+      return res.status(400).json({ error: 'Invoice is already void' });
     }
 
-    const filepath = path.join(__dirname, '../..', invoice.pdf_path);
+    if (parseFloat(existing.amount_paid) > 0 || parseFloat(existing.amount_credited) > 0) {
+      return res.status(400).json({ error: 'Invoices with payments or credit notes cannot be voided; issue a credit note instead' });
+    }
 
-    try {
-      await fs.access(filepath);
-      res.download(filepath, `${invoice.invoice_number}.pdf`);
-    } catch (error) {
-      return res.status(404).json({ error: 'PDF file not found' });
+    await Invoice.void(id, reason.trim(), req.user.userId);
+    const { invoice } = await refreshInvoicePDF(id);
+
+    res.json({
+      message: 'Invoice voided successfully',
+      invoice
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue a credit note against an invoice. Without an amount the
+// whole uncredited total is credited.
+router.post('/:id/credit-notes', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['reason']
+      });
     }
+
+    const existing = await Invoice.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!CREDITABLE_STATUSES.includes(existing.status)) {
+      return res.status(400).json({ error: `Cannot credit a ${existing.status} invoice` });
+    }
+
+    const creditable = parseFloat(existing.amount) - parseFloat(existing.amount_credited);
+    const amount = req.body.amount ? parseFloat(req.body.amount) : creditable;
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+
+    if (Math.round(amount * 100) > Math.round(creditable * 100)) {
+      return res.status(400).json({
+        error: `Credit exceeds the ${creditable.toFixed(2)} ${existing.currency} not yet credited on this invoice`
+      });
+    }
+
+    const created = await CreditNote.create({
+      invoice: existing,
+      amount,
+      reason: reason.trim(),
+      created_by: req.user.userId
+    });
+
+    const { invoice } = await refreshInvoicePDF(id);
+
+    res.status(201).json({
+      message: 'Credit note issued successfully',
+      credit_note: await CreditNote.findById(created.id),
+      invoice
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete invoice (Admin only)
-router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Email the invoice PDF to the client. The address defaults to
+// the client's email; the message is queued and sent in the background.
+router.post('/:id/email', authMiddleware, requirePermission('invoices.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+
+    const existing = await Invoice.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (['draft', 'void'].includes(existing.status)) {
+      return res.status(400).json({ error: `Cannot email a ${existing.status} invoice` });
+    }
+
+    const to = req.body.to || existing.client_email;
+    if (!to) {
+      return res.status(400).json({ error: 'The client has no email address; provide one to send to' });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    // Regenerate the PDF so the attachment shows the current balance
+    const { invoice } = await refreshInvoicePDF(id);
+    const content = await fs.readFile(path.join(__dirname, '../..', invoice.pdf_path));
+
+    const email = await queueEmail({
+      template: 'invoice',
+      data: { invoice, message },
+      to,
+      attachments: [{ filename: `${invoice.invoice_number.replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`, content }],
+      related_type: 'invoice',
+      related_id: invoice.id,
+      sent_by: req.user.userId
+    });
+
+    res.status(202).json({
+      message: `Invoice queued for email to ${to}`,
+      email_id: email.id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a client payment against an invoice
+router.post('/:id/payments', authMiddleware, requirePermission('invoices.payments'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount, payment_method, payment_date, reference_number, notes } = req.body;
+
+    if (!amount || !payment_method || !payment_date) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['amount', 'payment_method', 'payment_date']
+      });
+    }
+
+    if (parseFloat(amount) <= 0) {
+      return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+
+    const invoice = await Invoice.findById(id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!Invoice.RECEIVABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot record a payment on a ${invoice.status} invoice` });
+    }
+
+    if (Math.round(parseFloat(amount) * 100) > Math.round(parseFloat(invoice.balance_due) * 100)) {
+      return res.status(400).json({
+        error: `Payment exceeds the balance due of ${invoice.balance_due} ${invoice.currency}`
+      });
+    }
+
+    const paymentMethod = await PaymentMethod.findByName(payment_method);
+    if (!paymentMethod || !paymentMethod.is_active) {
+      return res.status(400).json({
+        error: 'Invalid payment method',
+        validOptions: await PaymentMethod.getActiveNames()
+      });
+    }
+
+    const payment = await transaction(async (client) => {
+      const created = await ClientPayment.create(client, {
+        invoice_id: id,
+        client_id: invoice.client_id,
+        amount,
+        currency: invoice.currency,
+        payment_method,
+        payment_date,
+        reference_number,
+        notes,
+        recorded_by: req.user.userId
+      });
+
+      await Invoice.refreshPaymentStatus(client, id);
+      return created;
+    });
+
+    const { invoice: updated } = await refreshInvoicePDF(id);
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment,
+      invoice: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a client payment
+router.delete('/:id/payments/:paymentId', authMiddleware, requirePermission('invoices.payments'), async (req, res, next) => {
+  try {
+    const { id, paymentId } = req.params;
+
+    const payment = await ClientPayment.findById(paymentId);
+    if (!payment || String(payment.invoice_id) !== String(id)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    await transaction(async (client) => {
+      await ClientPayment.delete(client, paymentId);
+      await Invoice.refreshPaymentStatus(client, id);
+    });
+
+    const { invoice } = await refreshInvoicePDF(id);
+
+    res.json({
+      message: 'Payment deleted successfully',
+      invoice
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download invoice PDF
+router.get('/:id/download', authMiddleware, requirePermission('invoices.view'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Get invoice to delete PDF file
     const result = await query(
-      'SELECT pdf_path FROM invoices WHERE id = $1',
+      'SELECT invoice_number, pdf_path FROM invoices WHERE id = $1',
       [id]
     );
 
@@ -330,21 +756,19 @@ router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next)
     }
 
     const invoice = result.rows[0];
-
-    // Delete PDF file if exists
-    if (invoice.pdf_path) {
-      const filepath = path.join(__dirname, '../..', invoice.pdf_path);
-      try {
-        await fs.unlink(filepath);
-      } catch (error) {
-        console.error('Error deleting PDF file:', error);
-      }
+    
+    if (!invoice.pdf_path) {
+      return res.status(404).json({ error: 'PDF not available for this invoice' });
     }
 
-    // Delete invoice record
-    await query('DELETE FROM invoices WHERE id = $1', [id]);
+    const filepath = path.join(__dirname, '../..', invoice.pdf_path);
 
-    res.json({ message: 'Invoice deleted successfully' });
+    try {
+      await fs.access(filepath);
+      res.download(filepath, `${invoice.invoice_number}.pdf`);
+    } catch (error) {
+      return res.status(404).json({ error: 'PDF file not found' });
+    }
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { query, pool } = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { sendPasswordResetLink } = require('../utils/passwordReset');
+
+// The console is on outside production. In production it is off unless
+// MAINTENANCE_CONSOLE=enabled; MAINTENANCE_CONSOLE=disabled turns it off anywhere.
+const isEnabled = () => {
+  if (process.env.MAINTENANCE_CONSOLE) {
+    return process.env.MAINTENANCE_CONSOLE === 'enabled';
+  }
+  return process.env.NODE_ENV !== 'production';
+};
+
+const requireEnabled = (req, res, next) => {
+  if (!isEnabled()) {
+    return res.status(403).json({
+      error: 'Maintenance console is disabled',
+      details: 'Set MAINTENANCE_CONSOLE=enabled on the server to use it in this environment'
+    });
+  }
+  next();
+};
+
+router.use(authMiddleware, requirePermission('maintenance.use'));
+
+// Whether the console can be used here
+router.get('/status', (req, res) => {
+  res.json({ enabled: isEnabled(), environment: process.env.NODE_ENV || 'development' });
+});
+
+router.use(requireEnabled);
+
+// User actions are audited against the user, everything else as 'maintenance';
+// reads are recorded too so every use of the console is in the audit log
+const usersRouter = express.Router();
+router.use('/users', audit('user', { table: 'users', reads: true }), usersRouter);
+router.use(audit('maintenance', { reads: true }));
+
+// Users with their lockout, forced-reset and session state
+usersRouter.get('/', async (req, res, next) => {
+  try {
+    const users = await User.getSecurityOverview();
+    res.json({ users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clear a sign-in lockout
+usersRouter.post('/:id/unlock', async (req, res, next) => {
+  try {
+    const unlocked = await User.unlock(req.params.id);
+    if (!unlocked) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'User unlocked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign the user out, refuse sign-in until they choose a new password, and
+// email them a reset link
+usersRouter.post('/:id/force-password-reset', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.userId) {
+      return res.status(400).json({ error: 'Use Change Password to change your own password' });
+    }
+
+    await User.requirePasswordReset(user.id);
+    await sendPasswordResetLink(user, { requested_ip: req.ip, sent_by: req.user.userId });
+
+    res.json({ message: `Password reset required. A reset link has been emailed to ${user.email}.` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign the user out of every session
+usersRouter.post('/:id/revoke-sessions', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await Session.revokeAllForUser(user.id, 'revoked_by_admin');
+    res.json({ message: `${revoked} session(s) revoked`, revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign every user out, except the admin making the request, e.g. after a
+// leaked JWT_SECRET has been replaced
+router.post('/sessions/revoke-all', async (req, res, next) => {
+  try {
+    const revoked = await Session.revokeAll('revoked_by_admin', { except: req.user.sessionId });
+    res.json({ message: `${revoked} session(s) revoked`, revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Database connectivity and server diagnostics. A failed database check is
+// reported in the response rather than as an error.
+router.get('/diagnostics', async (req, res, next) => {
+  try {
+    const database = { connected: false };
+    const started = Date.now();
+
+    try {
+      const result = await query(
+        `SELECT NOW() as server_time, version() as version, current_database() as name,
+          pg_database_size(current_database()) as size_bytes`
+      );
+      const tables = await query(
+        `SELECT relname as table, n_live_tup as rows
+         FROM pg_stat_user_tables
+         ORDER BY relname`
+      );
+
+      Object.assign(database, result.rows[0], {
+        connected: true,
+        latency_ms: Date.now() - started,
+        size_bytes: parseInt(result.rows[0].size_bytes),
+        tables: tables.rows.map(row => ({ table: row.table, rows: parseInt(row.rows) }))
+      });
+    } catch (error) {
+      database.error = error.message;
+      database.latency_ms = Date.now() - started;
+    }
+
+    const memory = process.memoryUsage();
+
+    res.json({
+      database,
+      pool: {
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount
+      },
+      server: {
+        environment: process.env.NODE_ENV || 'development',
+        node_version: process.version,
+        uptime_seconds: Math.round(process.uptime()),
+        memory_mb: {
+          rss: Math.round(memory.rss / 1024 / 1024),
+          heap_used: Math.round(memory.heapUsed / 1024 / 1024)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const UserNotification = require('../models/UserNotification');
+const realtime = require('../utils/realtime');
+const { EVENTS, USER_EVENTS, getPreferences } = require('../utils/notifier');
+const { CHANNEL_NAMES } = require('../utils/notificationChannels');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+// Preference changes are audited as the user's { 'event.channel': enabled }
+// map. This runs after authMiddleware, which identifies whose preferences they are.
+const auditPreferences = audit('notification_preference', {
+  load: async (id, req) => Object.fromEntries(
+    (await getPreferences(req.user.userId)).map(pref => [`${pref.event}.${pref.channel}`, pref.enabled])
+  )
+});
+
+// Get the notification events and channels
+router.get('/events', authMiddleware, async (req, res, next) => {
+  try {
+    const events = Object.entries(EVENTS).map(([key, { label, audience }]) => ({ key, label, audience }));
+
+    res.json({ events, channels: CHANNEL_NAMES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// EventSource can't send headers, so the stream takes the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Live stream of the current user's in-app notifications (server-sent events)
+router.get('/stream', tokenFromQuery, authMiddleware, async (req, res, next) => {
+  try {
+    const unread_count = await UserNotification.countUnread(req.user.userId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 10000\n\n');
+    realtime.write(res, 'unread', { unread_count });
+
+    const unsubscribe = realtime.subscribe(req.user.userId, req.user.sessionId, res);
+    req.on('close', unsubscribe);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the current user's in-app notifications
+router.get('/inbox', authMiddleware, async (req, res, next) => {
+  try {
+    const notifications = await UserNotification.findByUser(req.user.userId, {
+      unread: req.query.unread === 'true',
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+    const unread_count = await UserNotification.countUnread(req.user.userId);
+
+    res.json({ notifications, unread_count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all of the current user's in-app notifications as read
+router.post('/inbox/read-all', authMiddleware, async (req, res, next) => {
+  try {
+    await UserNotification.markAllRead(req.user.userId);
+    realtime.publish(req.user.userId, 'unread', { unread_count: 0 });
+
+    res.json({ message: 'All notifications marked as read', unread_count: 0 });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark one in-app notification as read
+router.post('/inbox/:id/read', authMiddleware, async (req, res, next) => {
+  try {
+    const notification = await UserNotification.markRead(req.params.id, req.user.userId);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const unread_count = await UserNotification.countUnread(req.user.userId);
+    realtime.publish(req.user.userId, 'unread', { unread_count });
+
+    res.json({ notification, unread_count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the current user's notification preferences
+router.get('/preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const preferences = await getPreferences(req.user.userId);
+
+    res.json({ preferences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the current user's notification preferences
+router.put('/preferences', authMiddleware, auditPreferences, async (req, res, next) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!Array.isArray(preferences)) {
+      return res.status(400).json({ error: 'Preferences must be an array of { event, channel, enabled }' });
+    }
+
+    const invalid = preferences.find(pref =>
+      !USER_EVENTS.includes(pref.event) || !CHANNEL_NAMES.includes(pref.channel)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        error: `Invalid preference ${invalid.event}/${invalid.channel}`,
+        validOptions: { events: USER_EVENTS, channels: CHANNEL_NAMES }
+      });
+    }
+
+    await NotificationPreference.saveForUser(req.user.userId, preferences);
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences: await getPreferences(req.user.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the notification log
+router.get('/', authMiddleware, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const { event, channel, status, user_id, client_id } = req.query;
+    const notifications = await Notification.findAll({ event, channel, status, user_id, client_id });
+
+    res.json({ notifications });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
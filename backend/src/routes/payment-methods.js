@@ -0,0 +1,8 @@
+const PaymentMethod = require('../models/PaymentMethod');
+const { createCatalogRouter } = require('../utils/catalogRouter');
+
+module.exports = createCatalogRouter(PaymentMethod, {
+  singular: 'payment_method',
+  plural: 'payment_methods',
+  label: 'Payment method'
+});
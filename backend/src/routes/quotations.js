@@ -0,0 +1,423 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const { query, transaction } = require('../config/database');
+const Quotation = require('../models/Quotation');
+const QuotationItem = require('../models/QuotationItem');
+const Sale = require('../models/Sale');
+const Client = require('../models/Client');
+const AdType = require('../models/AdType');
+const PaymentMethod = require('../models/PaymentMethod');
+const ExchangeRate = require('../models/ExchangeRate');
+const { authMiddleware, requirePermission, can } = require('../middleware/auth');
+const { proofUpload } = require('../middleware/upload');
+const {
+  getCompanyInfo,
+  createDocument,
+  drawHeader,
+  drawLineItems,
+  drawTotals,
+  drawFooter,
+  toBuffer
+} = require('../utils/pdf');
+const { getVisibleUserIds, isVisible } = require('../utils/scope');
+
+// Users see their own quotations and their teams', or everyone's with sales.view_all
+const canView = async (req, quotation) =>
+  isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), quotation.journalist_id);
+
+// Users change their own quotations, or anyone's with sales.manage
+const canModify = (req, quotation) =>
+  can(req.user, 'sales.manage') || quotation.journalist_id === req.user.userId;
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Today plus the quotation_validity_days setting
+const defaultValidUntil = async () => {
+  const result = await query(
+    `SELECT (CURRENT_DATE + COALESCE(
+       (SELECT setting_value FROM settings WHERE setting_key = 'quotation_validity_days'), '30'
+     )::integer)::text as valid_until`
+  );
+  return result.rows[0].valid_until;
+};
+
+// Shared validation for create and update.
+// Returns an error response body, or null when the quotation is valid.
+const validateQuotation = async (body) => {
+  const { client_id, ad_type, currency, items, valid_until } = body;
+
+  if (!client_id || !ad_type || !Array.isArray(items)) {
+    return {
+      error: 'Missing required fields',
+      required: ['client_id', 'ad_type', 'items']
+    };
+  }
+
+  if (!await Client.findById(client_id)) {
+    return { error: 'Client not found' };
+  }
+
+  const adType = await AdType.findByName(ad_type);
+  if (!adType || !adType.is_active) {
+    return {
+      error: 'Invalid ad type',
+      validOptions: await AdType.getActiveNames()
+    };
+  }
+
+  if (currency && !ExchangeRate.CURRENCIES.includes(currency)) {
+    return {
+      error: 'Invalid currency',
+      validOptions: ExchangeRate.CURRENCIES
+    };
+  }
+
+  if (valid_until && new Date(valid_until) < new Date(new Date().toISOString().split('T')[0])) {
+    return { error: 'Valid until date cannot be in the past' };
+  }
+
+  return null;
+};
+
+// Helper function to generate the quotation PDF, laid out like an invoice
+const generateQuotationPDF = async (quotation, items) => {
+  const doc = createDocument();
+  const { companyAddress } = await getCompanyInfo();
+
+  drawHeader(doc, {
+    companyAddress,
+    title: 'QUOTATION',
+    number: quotation.quote_number,
+    lines: [
+      `Date: ${formatDate(quotation.issue_date)}`,
+      `Valid Until: ${formatDate(quotation.valid_until)}`
+    ]
+  });
+
+  // Quote For section
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Quote For:', 50, 180);
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(quotation.client_name, 50, 200)
+     .text(`Phone: ${quotation.client_phone || 'N/A'}`, 50, 215);
+
+  // Quote Details
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Quote Details:', 350, 180);
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(`Prepared By: ${quotation.journalist_name || 'N/A'}`, 350, 200)
+     .text(`Ad Type: ${quotation.ad_type}`, 350, 215)
+     .text(`Currency: ${quotation.currency}`, 350, 230);
+
+  // Line items and totals
+  let y = drawLineItems(doc, 280, items, quotation.currency);
+  y = drawTotals(doc, y, quotation, quotation.currency);
+
+  if (quotation.notes) {
+    if (y > 620) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.fontSize(10)
+       .fillColor('#000000')
+       .text('Notes:', 50, y + 10)
+       .fillColor('#666666')
+       .text(quotation.notes, 50, y + 25, { width: 500 });
+  }
+
+  drawFooter(doc, `This quotation is valid until ${formatDate(quotation.valid_until)}.`);
+
+  return toBuffer(doc);
+};
+
+// Get all quotations with filters
+router.get('/', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const { status, search } = req.query;
+    const filters = { status, search };
+
+    // Without sales.view_all users see their own quotations and their teams'
+    filters.journalist_ids = await getVisibleUserIds(req.user, 'sales.view_all');
+
+    const quotations = await Quotation.findAll(filters);
+    res.json({ quotations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get quotation by ID with its lines
+router.get('/:id', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const quotation = await Quotation.findById(id);
+
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    if (!await canView(req, quotation)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const items = await QuotationItem.findFor(id);
+
+    res.json({ quotation, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download quotation PDF
+router.get('/:id/download', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const quotation = await Quotation.findById(id);
+
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    if (!await canView(req, quotation)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const items = await QuotationItem.findFor(id);
+    const pdf = await generateQuotationPDF(quotation, items);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${quotation.quote_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create quotation
+router.post('/', authMiddleware, requirePermission('sales.create'), async (req, res, next) => {
+  try {
+    const validationError = await validateQuotation(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const vatRate = await QuotationItem.getVatRate();
+    const lines = QuotationItem.priceLines(req.body.items, vatRate);
+    const totals = QuotationItem.summarize(lines);
+
+    const { client_id, ad_type, description, notes } = req.body;
+
+    const quotation = await Quotation.create({
+      client_id,
+      journalist_id: req.user.userId,
+      ad_type,
+      currency: req.body.currency || ExchangeRate.BASE_CURRENCY,
+      description,
+      notes,
+      valid_until: req.body.valid_until || await defaultValidUntil()
+    }, lines, totals);
+
+    res.status(201).json({
+      message: 'Quotation created successfully',
+      quotation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update quotation (only while draft or sent)
+router.put('/:id', authMiddleware, requirePermission('sales.create', 'sales.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await Quotation.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    if (!canModify(req, existing)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!Quotation.OPEN_STATUSES.includes(existing.status)) {
+      return res.status(400).json({ error: `Cannot edit a quotation that is ${existing.status}` });
+    }
+
+    const validationError = await validateQuotation(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const vatRate = await QuotationItem.getVatRate();
+    const lines = QuotationItem.priceLines(req.body.items, vatRate);
+    const totals = QuotationItem.summarize(lines);
+
+    const { client_id, ad_type, description, notes } = req.body;
+
+    const quotation = await Quotation.update(id, {
+      client_id,
+      ad_type,
+      currency: req.body.currency || existing.currency,
+      description,
+      notes,
+      valid_until: req.body.valid_until || existing.valid_until
+    }, lines, totals);
+
+    if (!quotation) {
+      return res.status(409).json({ error: 'Quotation changed status while being edited' });
+    }
+
+    res.json({
+      message: 'Quotation updated successfully',
+      quotation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Status changes: which states each action is allowed from
+const TRANSITIONS = {
+  send: { from: ['draft'], to: 'sent', message: 'Quotation marked as sent' },
+  accept: { from: Quotation.OPEN_STATUSES, to: 'accepted', message: 'Quotation accepted' },
+  decline: { from: Quotation.OPEN_STATUSES, to: 'declined', message: 'Quotation declined' }
+};
+
+Object.entries(TRANSITIONS).forEach(([action, { from, to, message }]) => {
+  router.post(`/:id/${action}`, authMiddleware, requirePermission('sales.create', 'sales.manage'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const existing = await Quotation.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Quotation not found' });
+      }
+
+      if (!canModify(req, existing)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const quotation = await Quotation.transition(id, from, to);
+      if (!quotation) {
+        return res.status(400).json({
+          error: `Cannot ${action} a quotation that is ${existing.status}`
+        });
+      }
+
+      res.json({ message, quotation });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// Convert an accepted quotation into a pending sale, with optional proof of payment
+router.post('/:id/convert', authMiddleware, requirePermission('sales.create', 'sales.manage'), proofUpload.single('proof_of_payment'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { payment_method, payment_date = new Date().toISOString().split('T')[0] } = req.body;
+
+    const quotation = await Quotation.findById(id);
+    if (!quotation) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    if (!canModify(req, quotation)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (quotation.status !== 'accepted') {
+      return res.status(400).json({ error: 'Only accepted quotations can be converted into sales' });
+    }
+
+    if (!payment_method) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['payment_method']
+      });
+    }
+
+    const paymentMethod = await PaymentMethod.findByName(payment_method);
+    if (!paymentMethod || !paymentMethod.is_active) {
+      return res.status(400).json({
+        error: 'Invalid payment method',
+        validOptions: await PaymentMethod.getActiveNames()
+      });
+    }
+
+    const sale = await transaction(async (client) => {
+      const created = await Sale.create({
+        client_id: quotation.client_id,
+        journalist_id: quotation.journalist_id,
+        amount: quotation.total,
+        payment_method,
+        payment_date,
+        ad_type: quotation.ad_type,
+        description: quotation.description || `Quotation ${quotation.quote_number}`,
+        proof_of_payment_url: req.file ? `/uploads/proof-of-payment/${req.file.filename}` : null,
+        currency: quotation.currency,
+        quotation_id: quotation.id
+      }, client);
+
+      const converted = await Quotation.markConverted(client, id, created.id);
+      if (!converted) {
+        const error = new Error('Quotation has already been converted');
+        error.name = 'ValidationError';
+        throw error;
+      }
+
+      return created;
+    });
+
+    res.status(201).json({
+      message: 'Quotation converted into a sale pending approval',
+      sale
+    });
+  } catch (error) {
+    // Clean up uploaded file if there was an error
+    if (req.file) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting file:', unlinkError);
+      }
+    }
+    next(error);
+  }
+});
+
+// Delete quotation (not once converted)
+router.delete('/:id', authMiddleware, requirePermission('sales.create', 'sales.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await Quotation.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Quotation not found' });
+    }
+
+    if (!canModify(req, existing)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (existing.status === 'converted') {
+      return res.status(400).json({ error: 'Converted quotations cannot be deleted' });
+    }
+
+    await Quotation.delete(id);
+
+    res.json({ message: 'Quotation deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
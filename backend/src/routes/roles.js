@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { PERMISSION_GROUPS, PERMISSIONS, SUPER_ROLE, clearPermissionCache } = require('../utils/permissions');
+
+// Shared validation for create and update
+const validateRole = ({ label, permissions }) => {
+  if (!label || !label.trim()) {
+    return { error: 'Missing required fields', required: ['label'] };
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      return { error: 'Permissions must be a list of permission keys' };
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return { error: `Unknown permission "${unknown[0]}"`, validOptions: Object.keys(PERMISSIONS) };
+    }
+  }
+
+  return null;
+};
+
+// Get all roles with their permissions
+router.get('/', authMiddleware, requirePermission('users.view', 'roles.manage'), async (req, res, next) => {
+  try {
+    const roles = await Role.findAll();
+    res.json({ roles, super_role: SUPER_ROLE });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the permissions a role can be given, grouped
+router.get('/permissions', authMiddleware, requirePermission('roles.manage'), (req, res) => {
+  res.json({ groups: PERMISSION_GROUPS });
+});
+
+// Create role
+router.post('/', authMiddleware, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const { name, label, description, permissions = [] } = req.body;
+
+    const validationError = validateRole({ label, permissions });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    if (!name || !/^[a-z][a-z0-9_]{1,49}$/.test(name)) {
+      return res.status(400).json({
+        error: 'Role name must be 2 to 50 lower case letters, digits or underscores, starting with a letter'
+      });
+    }
+
+    if (await Role.findByName(name)) {
+      return res.status(409).json({ error: 'A role with that name already exists' });
+    }
+
+    const role = await Role.create({ name, label: label.trim(), description, permissions });
+
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a role's label, description and permissions
+router.put('/:id', authMiddleware, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const existing = await Role.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { label, description, permissions } = req.body;
+
+    const validationError = validateRole({ label, permissions });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Admins always have every permission
+    if (existing.name === SUPER_ROLE && permissions !== undefined) {
+      return res.status(400).json({ error: 'The admin role always has every permission' });
+    }
+
+    const role = await Role.update(existing.id, { label: label.trim(), description, permissions });
+    clearPermissionCache();
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a role. Built-in roles and roles that users still have are kept.
+router.delete('/:id', authMiddleware, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const existing = await Role.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (existing.is_system) {
+      return res.status(409).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    try {
+      await Role.delete(existing.id);
+    } catch (error) {
+      if (error.code === '23503') {
+        return res.status(409).json({
+          error: 'Role is in use',
+          details: 'Move its users to another role first. Users in the trash count until they are purged.'
+        });
+      }
+      throw error;
+    }
+    clearPermissionCache();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,56 +1,63 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs').promises;
+const path = require('path');
 const Sale = require('../models/Sale');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads/proof-of-payment');
-    try {
-      await fs.mkdir(uploadDir, { recursive: true });
-      cb(null, uploadDir);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'proof-' + uniqueSuffix + path.extname(file.originalname));
+const SaleApproval = require('../models/SaleApproval');
+const SaleRevision = require('../models/SaleRevision');
+const SaleComment = require('../models/SaleComment');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const CommissionAllocation = require('../models/CommissionAllocation');
+const ExchangeRate = require('../models/ExchangeRate');
+const AdType = require('../models/AdType');
+const PaymentMethod = require('../models/PaymentMethod');
+const Quotation = require('../models/Quotation');
+const { authMiddleware, requirePermission, can } = require('../middleware/auth');
+const { notifyInBackground, notifyInAppInBackground } = require('../utils/notifier');
+const { getVisibleUserIds, isVisible, canApproveFor, getSaleApproverIds, getSaleViewerIds } = require('../utils/scope');
+const { addTrashRoutes } = require('../utils/trash');
+const { proofUpload, commentUpload } = require('../middleware/upload');
+
+// Check ad type and payment method against the active catalog entries.
+// Returns an error response body, or null when both are valid.
+const validateCatalogFields = async (payment_method, ad_type) => {
+  const paymentMethod = await PaymentMethod.findByName(payment_method);
+  if (!paymentMethod || !paymentMethod.is_active) {
+    return {
+      error: 'Invalid payment method',
+      validOptions: await PaymentMethod.getActiveNames()
+    };
   }
-});
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|pdf/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only JPEG, PNG, and PDF files are allowed'));
-    }
+  const adType = await AdType.findByName(ad_type);
+  if (!adType || !adType.is_active) {
+    return {
+      error: 'Invalid ad type',
+      validOptions: await AdType.getActiveNames()
+    };
   }
-});
+
+  return null;
+};
 
 // Get all sales with filters
-router.get('/', authMiddleware, async (req, res, next) => {
+router.get('/', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
   try {
-    const { status, start_date, end_date, search } = req.query;
+    const { status, commission_status, start_date, end_date, search } = req.query;
 
-    const filters = { status, start_date, end_date, search };
-
-    // Journalists can only see their own sales
-    if (req.user.role === 'journalist') {
-      filters.journalist_id = req.user.userId;
+    if (commission_status && !['unpaid', 'partially_paid', 'paid'].includes(commission_status)) {
+      return res.status(400).json({
+        error: 'Invalid commission status',
+        validOptions: ['unpaid', 'partially_paid', 'paid']
+      });
     }
 
+    const filters = { status, commission_status, start_date, end_date, search };
+
+    // Without sales.view_all users see their own sales and their teams'
+    filters.journalist_ids = await getVisibleUserIds(req.user, 'sales.view_all');
+
     const sales = await Sale.findAll(filters);
     res.json({ sales });
   } catch (error) {
@@ -59,7 +66,7 @@ router.get('/', authMiddleware, async (req, res, next) => {
 });
 
 // Get sale by ID
-router.get('/:id', authMiddleware, async (req, res, next) => {
+router.get('/:id', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const sale = await Sale.findById(id);
@@ -68,19 +75,60 @@ router.get('/:id', authMiddleware, async (req, res, next) => {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
-    // Journalists can only view their own sales
-    if (req.user.role === 'journalist' && sale.journalist_id !== req.user.userId) {
+    // Without sales.view_all users can only view their own sales and their teams'
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const commission_allocations = await CommissionAllocation.findBySale(id);
+
+    res.json({ sale, commission_allocations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Send a stored upload, given its /uploads/... path, as a download
+const sendUpload = async (res, url, filename) => {
+  const filepath = path.join(__dirname, '../..', url);
+  if (!filepath.startsWith(UPLOADS_DIR + path.sep)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  try {
+    await fs.access(filepath);
+  } catch (error) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.download(filepath, filename);
+};
+
+// Download a sale's proof of payment
+router.get('/:id/proof', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json({ sale });
+    if (!sale.proof_of_payment_url) {
+      return res.status(404).json({ error: 'This sale has no proof of payment' });
+    }
+
+    await sendUpload(res, sale.proof_of_payment_url, `proof-of-payment-sale-${sale.id}${path.extname(sale.proof_of_payment_url)}`);
   } catch (error) {
     next(error);
   }
 });
 
 // Create new sale with file upload
-router.post('/', authMiddleware, upload.single('proof_of_payment'), async (req, res, next) => {
+router.post('/', authMiddleware, requirePermission('sales.create'), proofUpload.single('proof_of_payment'), async (req, res, next) => {
   try {
     const {
       client_id,
@@ -88,7 +136,8 @@ router.post('/', authMiddleware, upload.single('proof_of_payment'), async (req,
       payment_method,
       payment_date,
       ad_type,
-      description
+      description,
+      currency = ExchangeRate.BASE_CURRENCY
     } = req.body;
 
     // Validate required fields
@@ -104,21 +153,22 @@ router.post('/', authMiddleware, upload.single('proof_of_payment'), async (req,
       return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
 
-    // Validate payment method
-    const validPaymentMethods = ['Cash', 'Ecocash', 'InnBucks', 'Omari', 'Bank Transfer'];
-    if (!validPaymentMethods.includes(payment_method)) {
-      return res.status(400).json({ 
-        error: 'Invalid payment method',
-        validOptions: validPaymentMethods
-      });
+    // Validate payment method and ad type
+    const catalogError = await validateCatalogFields(payment_method, ad_type);
+    if (catalogError) {
+      return res.status(400).json(catalogError);
     }
 
-    // Validate ad type
-    const validAdTypes = ['WhatsApp Channel', 'WhatsApp Group', 'Print', 'Radio', 'TV', 'Digital Banner'];
-    if (!validAdTypes.includes(ad_type)) {
-      return res.status(400).json({ 
-        error: 'Invalid ad type',
-        validOptions: validAdTypes
+    // Clients in the trash can't take new sales
+    if (!await Client.findById(client_id)) {
+      return res.status(400).json({ error: 'Client not found' });
+    }
+
+    // Validate currency
+    if (!ExchangeRate.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validOptions: ExchangeRate.CURRENCIES
       });
     }
 
@@ -137,7 +187,17 @@ router.post('/', authMiddleware, upload.single('proof_of_payment'), async (req,
       payment_date,
       ad_type,
       description,
-      proof_of_payment_url
+      proof_of_payment_url,
+      currency
+    });
+
+    notifyInAppInBackground('sale_created', getSaleApproverIds(req.user.userId), {
+      sale,
+      journalist_name: `${req.user.firstName} ${req.user.lastName}`
+    }, {
+      related_type: 'sale',
+      related_id: sale.id,
+      sent_by: req.user.userId
     });
 
     res.status(201).json({
@@ -157,11 +217,19 @@ router.post('/', authMiddleware, upload.single('proof_of_payment'), async (req,
   }
 });
 
-// Update sale (only if pending)
-router.put('/:id', authMiddleware, async (req, res, next) => {
+// Update sale (only before anyone approves it). Each edit is kept as a revision,
+// and a new proof of payment replaces the current one; earlier revisions keep theirs.
+router.put('/:id', authMiddleware, requirePermission('sales.create', 'sales.manage'), proofUpload.single('proof_of_payment'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { client_id, amount, payment_method, payment_date, ad_type, description } = req.body;
+    const {
+      client_id,
+      amount,
+      payment_method,
+      payment_date,
+      ad_type,
+      description
+    } = req.body;
 
     // Check if sale exists
     const existingSale = await Sale.findById(id);
@@ -170,13 +238,16 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
     }
 
     // Check permissions
-    if (req.user.role === 'journalist' && existingSale.journalist_id !== req.user.userId) {
+    if (!can(req.user, 'sales.manage') && existingSale.journalist_id !== req.user.userId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Check if sale can be updated
-    if (existingSale.status !== 'pending') {
-      return res.status(400).json({ error: 'Only pending sales can be updated' });
+    if (!['pending', 'needs_info', 'rejected'].includes(existingSale.status)) {
+      return res.status(400).json({ error: 'Approved sales cannot be updated' });
+    }
+    if (existingSale.approval_count > 0) {
+      return res.status(400).json({ error: 'Sales that already have an approval can no longer be updated' });
     }
 
     // Validate required fields
@@ -187,6 +258,26 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
       });
     }
 
+    // Validate payment method and ad type
+    const catalogError = await validateCatalogFields(payment_method, ad_type);
+    if (catalogError) {
+      return res.status(400).json(catalogError);
+    }
+
+    // Clients in the trash can't take new sales
+    if (!await Client.findById(client_id)) {
+      return res.status(400).json({ error: 'Client not found' });
+    }
+
+    // Keep the existing currency unless a new one is given
+    const currency = req.body.currency || existingSale.currency;
+    if (!ExchangeRate.CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        error: 'Invalid currency',
+        validOptions: ExchangeRate.CURRENCIES
+      });
+    }
+
     // Update sale
     const sale = await Sale.update(id, {
       client_id,
@@ -194,22 +285,266 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
       payment_method,
       payment_date,
       ad_type,
-      description
-    });
+      description,
+      currency,
+      proof_of_payment_url: req.file ? `/uploads/proof-of-payment/${req.file.filename}` : existingSale.proof_of_payment_url
+    }, req.user.userId);
+
+    // Approved or trashed in the meantime
+    if (!sale) {
+      const error = new Error('Sale can no longer be updated');
+      error.status = 409;
+      throw error;
+    }
 
     res.json({
-      message: 'Sale updated successfully',
+      message: existingSale.status === 'pending'
+        ? 'Sale updated successfully'
+        : 'Sale updated; resubmit it when it is ready for approval',
       sale
     });
+  } catch (error) {
+    // Clean up uploaded file if there was an error
+    if (req.file) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (unlinkError) {
+        console.error('Error deleting file:', unlinkError);
+      }
+    }
+    next(error);
+  }
+});
+
+// Get a sale's approval history
+router.get('/:id/approvals', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const approvals = await SaleApproval.findBySale(sale.id);
+    res.json({ approvals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a sale's revisions, and what changed since an approver last rejected
+// it or sent it back
+router.get('/:id/revisions', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const revisions = await SaleRevision.findBySale(sale.id);
+    const reviewed = await SaleApproval.getLastReviewedRevision(sale.id);
+    const previous = revisions.find(revision => revision.revision === reviewed);
+    const latest = revisions[revisions.length - 1];
+
+    res.json({
+      revisions,
+      compared_to: previous ? previous.revision : null,
+      changes_since_review: previous && latest ? SaleRevision.diff(previous.snapshot, latest.snapshot) : []
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Internal comments are hidden from the sale's journalist
+const seesInternalComments = (req, sale) => sale.journalist_id !== req.user.userId;
+
+// User ids from a JSON list or a multipart form field ("[1,2]" or "1,2")
+const parseIds = (value) => {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).replace(/[[\]\s]/g, '').split(',');
+  return [...new Set(list.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+};
+
+// Remove an uploaded file that won't be kept
+const discardUpload = async (file) => {
+  if (file) {
+    try {
+      await fs.unlink(file.path);
+    } catch (unlinkError) {
+      console.error('Error deleting file:', unlinkError);
+    }
+  }
+};
+
+// Get a sale's comments, and the people who can be @mentioned on it
+router.get('/:id/comments', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const includeInternal = seesInternalComments(req, sale);
+    const [comments, participants] = await Promise.all([
+      SaleComment.findBySale(sale.id, { includeInternal }),
+      getSaleViewerIds(sale.journalist_id).then(User.findNamesByIds)
+    ]);
+
+    res.json({ comments, participants, can_comment_internally: includeInternal });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Comment on a sale, with @mentions (mentioned_user_ids) and an optional attachment
+router.post('/:id/comments', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), commentUpload.single('attachment'), async (req, res, next) => {
+  try {
+    const body = (req.body.body || '').trim();
+    const is_internal = [true, 'true'].includes(req.body.is_internal);
+
+    if (!body && !req.file) {
+      await discardUpload(req.file);
+      return res.status(400).json({ error: 'A comment needs some text or an attachment' });
+    }
+
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      await discardUpload(req.file);
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
+      await discardUpload(req.file);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (is_internal && !seesInternalComments(req, sale)) {
+      await discardUpload(req.file);
+      return res.status(403).json({ error: 'Journalists cannot post internal comments on their own sales' });
+    }
+
+    // Only people who can see the sale can be mentioned, and internal
+    // comments cannot mention its journalist
+    const viewers = await getSaleViewerIds(sale.journalist_id);
+    const mentioned_user_ids = parseIds(req.body.mentioned_user_ids)
+      .filter(id => viewers.includes(id) && !(is_internal && id === sale.journalist_id));
+
+    const comment = await SaleComment.create({
+      sale_id: sale.id,
+      user_id: req.user.userId,
+      body,
+      is_internal,
+      mentioned_user_ids,
+      attachment_url: req.file ? `/uploads/sale-comments/${req.file.filename}` : null,
+      attachment_name: req.file ? req.file.originalname : null
+    });
+
+    const related = { related_type: 'sale', related_id: sale.id, sent_by: req.user.userId };
+    const data = { sale, comment, author_name: `${req.user.firstName} ${req.user.lastName}` };
+
+    // Mentioned users hear about it on their chosen channels; the journalist
+    // and earlier commenters get an in-app notification
+    const mentioned = mentioned_user_ids.filter(id => id !== req.user.userId);
+    mentioned.forEach(user_id => notifyInBackground('sale_mention', { user_id }, data, related));
+    notifyInAppInBackground('sale_mention', mentioned, data, related);
+
+    const followers = [sale.journalist_id, ...await SaleComment.getCommenterIds(sale.id)]
+      .filter(id => !mentioned.includes(id) && !(is_internal && id === sale.journalist_id));
+    notifyInAppInBackground('sale_comment', followers, data, related);
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment
+    });
+  } catch (error) {
+    await discardUpload(req.file);
+    next(error);
+  }
+});
+
+// Download a comment's attachment
+router.get('/:id/comments/:commentId/attachment', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    const comment = await SaleComment.findById(req.params.commentId);
+    if (!sale || !comment || comment.sale_id !== sale.id || !comment.attachment_url) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!isVisible(await getVisibleUserIds(req.user, 'sales.view_all'), sale.journalist_id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Internal notes stay hidden from the sale's journalist
+    if (comment.is_internal && !seesInternalComments(req, sale)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendUpload(res, comment.attachment_url, comment.attachment_name || path.basename(comment.attachment_url));
   } catch (error) {
     next(error);
   }
 });
 
-// Approve sale (Admin only)
-router.post('/:id/approve', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Delete a comment (its author, or with sales.manage)
+router.delete('/:id/comments/:commentId', authMiddleware, requirePermission('sales.create', 'sales.view_all', 'sales.view_team'), async (req, res, next) => {
+  try {
+    const comment = await SaleComment.findById(req.params.commentId);
+    if (!comment || comment.sale_id !== parseInt(req.params.id)) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user_id !== req.user.userId && !can(req.user, 'sales.manage')) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    await SaleComment.delete(comment.id);
+
+    if (comment.attachment_url) {
+      await discardUpload({ path: path.join(__dirname, '../..', comment.attachment_url) });
+    }
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Why a user may not decide on a sale, as [status, error], or null
+const checkApprover = async (req, sale, verb) => {
+  // Nobody decides on their own sale
+  if (sale.journalist_id === req.user.userId) {
+    return [403, `You cannot ${verb} your own sale`];
+  }
+
+  // Managers can only decide on their own teams' sales
+  if (!await canApproveFor(req.user, sale.journalist_id)) {
+    return [403, `You can only ${verb} sales from your own team`];
+  }
+
+  return null;
+};
+
+// Approve sale. Sales over the second approval threshold stay pending until
+// a second, different approver approves them too.
+router.post('/:id/approve', authMiddleware, requirePermission('sales.approve'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { comment } = req.body;
 
     // Check if sale exists
     const existingSale = await Sale.findById(id);
@@ -217,6 +552,11 @@ router.post('/:id/approve', authMiddleware, roleCheck('admin'), async (req, res,
       return res.status(404).json({ error: 'Sale not found' });
     }
 
+    const problem = await checkApprover(req, existingSale, 'approve');
+    if (problem) {
+      return res.status(problem[0]).json({ error: problem[1] });
+    }
+
     // Check if sale is pending
     if (existingSale.status !== 'pending') {
       return res.status(400).json({ 
@@ -225,8 +565,28 @@ router.post('/:id/approve', authMiddleware, roleCheck('admin'), async (req, res,
       });
     }
 
-    // Approve sale
-    const sale = await Sale.approve(id, req.user.userId);
+    // Approve sale. It refuses a second approval from the same approver.
+    const sale = await Sale.approve(id, req.user.userId, comment);
+    if (!sale) {
+      return res.status(409).json({ error: 'Sale was already processed' });
+    }
+
+    const related = { related_type: 'sale', related_id: sale.id, sent_by: req.user.userId };
+
+    if (sale.status !== 'approved') {
+      notifyInAppInBackground('sale_needs_approval', getSaleApproverIds(sale.journalist_id), {
+        sale: { ...existingSale, ...sale },
+        approver_name: `${req.user.firstName} ${req.user.lastName}`
+      }, related);
+
+      return res.json({
+        message: `Approval ${sale.approval_count} of ${sale.approvals_required} recorded; the sale needs another approver`,
+        sale
+      });
+    }
+
+    notifyInBackground('sale_approved', { user_id: sale.journalist_id }, { sale: { ...existingSale, ...sale } }, related);
+    notifyInAppInBackground('sale_approved', [sale.journalist_id], { sale: { ...existingSale, ...sale } }, related);
 
     res.json({
       message: 'Sale approved successfully',
@@ -237,8 +597,8 @@ router.post('/:id/approve', authMiddleware, roleCheck('admin'), async (req, res,
   }
 });
 
-// Reject sale (Admin only)
-router.post('/:id/reject', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Reject sale
+router.post('/:id/reject', authMiddleware, requirePermission('sales.approve'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { rejection_reason } = req.body;
@@ -253,8 +613,13 @@ router.post('/:id/reject', authMiddleware, roleCheck('admin'), async (req, res,
       return res.status(404).json({ error: 'Sale not found' });
     }
 
-    // Check if sale is pending
-    if (existingSale.status !== 'pending') {
+    const problem = await checkApprover(req, existingSale, 'reject');
+    if (problem) {
+      return res.status(problem[0]).json({ error: problem[1] });
+    }
+
+    // Check if sale is still undecided
+    if (!['pending', 'needs_info'].includes(existingSale.status)) {
       return res.status(400).json({ 
         error: 'Sale is not pending',
         current_status: existingSale.status
@@ -263,6 +628,13 @@ router.post('/:id/reject', authMiddleware, roleCheck('admin'), async (req, res,
 
     // Reject sale
     const sale = await Sale.reject(id, req.user.userId, rejection_reason);
+    if (!sale) {
+      return res.status(409).json({ error: 'Sale was already processed' });
+    }
+
+    const related = { related_type: 'sale', related_id: sale.id, sent_by: req.user.userId };
+    notifyInBackground('sale_rejected', { user_id: sale.journalist_id }, { sale: { ...existingSale, ...sale } }, related);
+    notifyInAppInBackground('sale_rejected', [sale.journalist_id], { sale: { ...existingSale, ...sale } }, related);
 
     res.json({
       message: 'Sale rejected',
@@ -273,8 +645,100 @@ router.post('/:id/reject', authMiddleware, roleCheck('admin'), async (req, res,
   }
 });
 
+// Send a pending sale back to its journalist for more information
+router.post('/:id/request-info', authMiddleware, requirePermission('sales.approve'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { comment } = req.body;
+
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({ error: 'A comment saying what information is needed is required' });
+    }
+
+    const existingSale = await Sale.findById(id);
+    if (!existingSale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    const problem = await checkApprover(req, existingSale, 'review');
+    if (problem) {
+      return res.status(problem[0]).json({ error: problem[1] });
+    }
+
+    if (existingSale.status !== 'pending') {
+      return res.status(400).json({
+        error: 'Sale is not pending',
+        current_status: existingSale.status
+      });
+    }
+
+    const sale = await Sale.requestInfo(id, req.user.userId, comment.trim());
+    if (!sale) {
+      return res.status(409).json({ error: 'Sale was already processed' });
+    }
+
+    const related = { related_type: 'sale', related_id: sale.id, sent_by: req.user.userId };
+    const data = { sale: { ...existingSale, ...sale }, comment: comment.trim() };
+    notifyInBackground('sale_needs_info', { user_id: sale.journalist_id }, data, related);
+    notifyInAppInBackground('sale_needs_info', [sale.journalist_id], data, related);
+
+    res.json({
+      message: 'Sale sent back to the journalist for more information',
+      sale
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resubmit a sale that needed more information or was rejected, with an optional reply
+router.post('/:id/resubmit', authMiddleware, requirePermission('sales.create', 'sales.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { comment } = req.body;
+
+    const existingSale = await Sale.findById(id);
+    if (!existingSale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    // Check permissions
+    if (!can(req.user, 'sales.manage') && existingSale.journalist_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!['needs_info', 'rejected'].includes(existingSale.status)) {
+      return res.status(400).json({
+        error: 'Only rejected sales and sales waiting for more information can be resubmitted',
+        current_status: existingSale.status
+      });
+    }
+
+    const sale = await Sale.resubmit(id, req.user.userId, comment && comment.trim());
+    if (!sale) {
+      return res.status(409).json({ error: 'Sale was already processed' });
+    }
+
+    notifyInAppInBackground('sale_resubmitted', getSaleApproverIds(sale.journalist_id), {
+      sale: { ...existingSale, ...sale },
+      journalist_name: existingSale.journalist_name
+    }, {
+      related_type: 'sale',
+      related_id: sale.id,
+      sent_by: req.user.userId
+    });
+
+    res.json({
+      message: 'Sale resubmitted for approval',
+      sale
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Delete sale (only if pending)
-router.delete('/:id', authMiddleware, async (req, res, next) => {
+router.delete('/:id', authMiddleware, requirePermission('sales.create', 'sales.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -285,23 +749,23 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
     }
 
     // Check permissions
-    if (req.user.role === 'journalist' && existingSale.journalist_id !== req.user.userId) {
+    if (!can(req.user, 'sales.manage') && existingSale.journalist_id !== req.user.userId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Admin can delete any pending sale, journalist only their own
+    // Only pending sales can be deleted, by their journalist or with sales.manage
     if (existingSale.status !== 'pending') {
       return res.status(400).json({ error: 'Only pending sales can be deleted' });
     }
 
-    // Delete sale
-    const deleted = await Sale.delete(id);
+    // Move to the trash
+    const deleted = await Sale.delete(id, req.user.userId);
 
     if (!deleted) {
       return res.status(500).json({ error: 'Failed to delete sale' });
     }
 
-    res.json({ message: 'Sale deleted successfully' });
+    res.json({ message: 'Sale moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -310,9 +774,10 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
 // Get sales statistics
 router.get('/stats/overview', authMiddleware, async (req, res, next) => {
   try {
-    const journalist_id = req.user.role === 'journalist' ? req.user.userId : null;
-    const stats = await Sale.getStats(journalist_id);
-    res.json({ stats });
+    const journalist_ids = await getVisibleUserIds(req.user, 'sales.view_all');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
+    const stats = await Sale.getStats(currency, journalist_ids);
+    res.json({ stats, currency });
   } catch (error) {
     next(error);
   }
@@ -322,9 +787,10 @@ router.get('/stats/overview', authMiddleware, async (req, res, next) => {
 router.get('/stats/revenue-trend', authMiddleware, async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
-    const journalist_id = req.user.role === 'journalist' ? req.user.userId : null;
-    const data = await Sale.getRevenueByPeriod(period, journalist_id);
-    res.json({ data });
+    const journalist_ids = await getVisibleUserIds(req.user, 'sales.view_all');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
+    const data = await Sale.getRevenueByPeriod(currency, period, journalist_ids);
+    res.json({ data, currency });
   } catch (error) {
     next(error);
   }
@@ -333,23 +799,38 @@ router.get('/stats/revenue-trend', authMiddleware, async (req, res, next) => {
 // Get sales by ad type
 router.get('/stats/by-ad-type', authMiddleware, async (req, res, next) => {
   try {
-    const journalist_id = req.user.role === 'journalist' ? req.user.userId : null;
-    const data = await Sale.getSalesByAdType(journalist_id);
-    res.json({ data });
+    const journalist_ids = await getVisibleUserIds(req.user, 'sales.view_all');
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
+    const data = await Sale.getSalesByAdType(currency, journalist_ids);
+    res.json({ data, currency });
   } catch (error) {
     next(error);
   }
 });
 
-// Get leaderboard (Admin only)
-router.get('/stats/leaderboard', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get leaderboard
+router.get('/stats/leaderboard', authMiddleware, requirePermission('reports.view'), async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
-    const leaderboard = await Sale.getLeaderboard(parseInt(limit));
-    res.json({ leaderboard });
+    const currency = await ExchangeRate.resolveReportingCurrency(req.query.currency);
+    const leaderboard = await Sale.getLeaderboard(currency, parseInt(limit));
+    res.json({ leaderboard, currency });
   } catch (error) {
     next(error);
   }
 });
 
+addTrashRoutes(router, 'sales', {
+  label: 'Sale',
+  // Link the quotation it was converted from back to it, unless that
+  // quotation has been converted into another sale in the meantime
+  onRestore: async (client, sale) => {
+    if (sale.quotation_id && !await Quotation.markConverted(client, sale.quotation_id, sale.id)) {
+      const error = new Error('The quotation this sale was converted from is no longer accepted (it may have been converted into another sale), so restoring the sale would record the same order twice');
+      error.status = 409;
+      throw error;
+    }
+  }
+});
+
 module.exports = router;
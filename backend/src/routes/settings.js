@@ -1,7 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { DEFAULT_FORMAT, validateFormat } = require('../utils/numbering');
+const { POLICY_VALIDATORS } = require('../utils/passwordPolicy');
+
+// Validators for settings whose values the system depends on; each returns an
+// error message or null
+const VALIDATORS = {
+  document_number_format: validateFormat,
+  trash_retention_days: (value) =>
+    /^\d+$/.test(String(value)) && parseInt(value) >= 1 ? null : 'Trash retention must be a whole number of days (at least 1)',
+  sale_second_approval_threshold: (value) =>
+    /^\d+(\.\d{1,2})?$/.test(String(value)) ? null : 'Second approval threshold must be an amount of 0 or more',
+  ...POLICY_VALIDATORS
+};
+
+const validateSetting = (key, value) =>
+  VALIDATORS[key] ? VALIDATORS[key](value) : null;
 
 // Get all settings
 router.get('/', authMiddleware, async (req, res, next) => {
@@ -42,8 +58,8 @@ router.get('/:key', authMiddleware, async (req, res, next) => {
   }
 });
 
-// Update setting (Admin only)
-router.put('/:key', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Update setting
+router.put('/:key', authMiddleware, requirePermission('settings.manage'), async (req, res, next) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
@@ -52,6 +68,11 @@ router.put('/:key', authMiddleware, roleCheck('admin'), async (req, res, next) =
       return res.status(400).json({ error: 'Value is required' });
     }
 
+    const validationError = validateSetting(key, value);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
     // Check if setting exists
     const existingSetting = await query(
       'SELECT * FROM settings WHERE setting_key = $1',
@@ -87,8 +108,8 @@ router.put('/:key', authMiddleware, roleCheck('admin'), async (req, res, next) =
   }
 });
 
-// Update multiple settings at once (Admin only)
-router.post('/bulk-update', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Update multiple settings at once
+router.post('/bulk-update', authMiddleware, requirePermission('settings.manage'), async (req, res, next) => {
   try {
     const { settings } = req.body;
 
@@ -96,6 +117,13 @@ router.post('/bulk-update', authMiddleware, roleCheck('admin'), async (req, res,
       return res.status(400).json({ error: 'Settings object is required' });
     }
 
+    for (const [key, value] of Object.entries(settings)) {
+      const validationError = validateSetting(key, value);
+      if (validationError) {
+        return res.status(400).json({ error: validationError, setting: key });
+      }
+    }
+
     const updates = [];
     for (const [key, value] of Object.entries(settings)) {
       const updatePromise = query(
@@ -117,13 +145,13 @@ router.post('/bulk-update', authMiddleware, roleCheck('admin'), async (req, res,
   }
 });
 
-// Delete setting (Admin only)
-router.delete('/:key', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Delete setting
+router.delete('/:key', authMiddleware, requirePermission('settings.manage'), async (req, res, next) => {
   try {
     const { key } = req.params;
 
     // Prevent deletion of critical settings
-    const protectedSettings = ['company_name', 'default_commission_rate', 'invoice_prefix'];
+    const protectedSettings = ['company_name', 'default_commission_rate', 'invoice_prefix', 'document_number_format'];
     if (protectedSettings.includes(key)) {
       return res.status(400).json({ 
         error: 'Cannot delete protected setting',
@@ -146,14 +174,30 @@ router.delete('/:key', authMiddleware, roleCheck('admin'), async (req, res, next
   }
 });
 
-// Reset settings to defaults (Admin only)
-router.post('/reset-defaults', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Reset settings to defaults
+router.post('/reset-defaults', authMiddleware, requirePermission('settings.manage'), async (req, res, next) => {
   try {
     const defaults = {
       company_name: 'AfroGazette Media & Advertising',
       company_address: 'Office 4, Second Floor, Karimapondo Building, 78 Leopold Takawira, Harare, Zimbabwe',
       default_commission_rate: '10.00',
-      invoice_prefix: 'INV'
+      reporting_currency: 'USD',
+      invoice_prefix: 'INV',
+      quotation_prefix: 'QUO',
+      credit_note_prefix: 'CN',
+      document_number_format: DEFAULT_FORMAT,
+      quotation_validity_days: '30',
+      payment_terms_days: '30',
+      vat_rate: '15.00',
+      trash_retention_days: '30',
+      password_min_length: '8',
+      password_require_mixed_case: 'false',
+      password_require_number: 'false',
+      password_require_symbol: 'false',
+      password_history_count: '3',
+      password_reset_expiry_minutes: '60',
+      login_max_attempts: '5',
+      login_lockout_minutes: '15'
     };
 
     const updates = [];
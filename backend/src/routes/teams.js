@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+
+// Shared validation for create and update. `id` is the team being updated.
+const validateTeam = async ({ name, manager_id, parent_id }, id = null) => {
+  if (!name || !name.trim()) {
+    return { error: 'Missing required fields', required: ['name'] };
+  }
+
+  if (manager_id && !(await User.findById(manager_id))) {
+    return { error: 'Manager not found' };
+  }
+
+  if (parent_id) {
+    if (!(await Team.findById(parent_id))) {
+      return { error: 'Parent team not found' };
+    }
+    // A team cannot sit under itself or one of its own sub-teams
+    if (id && (await Team.getSubtreeIds(id)).includes(parseInt(parent_id))) {
+      return { error: 'A team cannot be placed under itself or one of its sub-teams' };
+    }
+  }
+
+  return null;
+};
+
+// Get all teams with their managers and members
+router.get('/', authMiddleware, requirePermission('users.view', 'teams.manage'), async (req, res, next) => {
+  try {
+    const teams = await Team.findAll();
+    res.json({ teams });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get team by ID
+router.get('/:id', authMiddleware, requirePermission('users.view', 'teams.manage'), async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json({ team });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create team
+router.post('/', authMiddleware, requirePermission('teams.manage'), async (req, res, next) => {
+  try {
+    const { name, description, manager_id, parent_id } = req.body;
+
+    const validationError = await validateTeam({ name, manager_id, parent_id });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const team = await Team.create({ name: name.trim(), description, manager_id, parent_id });
+
+    res.status(201).json({ message: 'Team created successfully', team });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A team with that name already exists' });
+    }
+    next(error);
+  }
+});
+
+// Update a team's name, description, manager and parent team
+router.put('/:id', authMiddleware, requirePermission('teams.manage'), async (req, res, next) => {
+  try {
+    const existing = await Team.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { name, description, manager_id, parent_id } = req.body;
+
+    const validationError = await validateTeam({ name, manager_id, parent_id }, existing.id);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const team = await Team.update(existing.id, { name: name.trim(), description, manager_id, parent_id });
+
+    res.json({ message: 'Team updated successfully', team });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A team with that name already exists' });
+    }
+    next(error);
+  }
+});
+
+// Replace a team's members. A user belongs to one team at a time, so
+// members of other teams are moved to this one.
+router.put('/:id/members', authMiddleware, requirePermission('teams.manage'), async (req, res, next) => {
+  try {
+    const existing = await Team.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const { user_ids } = req.body;
+    if (!Array.isArray(user_ids)) {
+      return res.status(400).json({ error: 'user_ids must be a list of user ids' });
+    }
+
+    for (const user_id of user_ids) {
+      if (!(await User.findById(user_id))) {
+        return res.status(400).json({ error: `User ${user_id} not found` });
+      }
+    }
+
+    const team = await Team.setMembers(existing.id, user_ids);
+
+    res.json({ message: 'Team members updated successfully', team });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete team. Its members are left without a team.
+router.delete('/:id', authMiddleware, requirePermission('teams.manage'), async (req, res, next) => {
+  try {
+    const deleted = await Team.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
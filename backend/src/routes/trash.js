@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const Trash = require('../models/Trash');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+
+// Get everything in the trash. Restore and purge are on each
+// entity's routes, e.g. POST /api/users/:id/restore.
+router.get('/', authMiddleware, requirePermission('trash.manage'), async (req, res, next) => {
+  try {
+    const { items, retention_days } = await Trash.findAll();
+
+    res.json({ items, retention_days });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge everything past the retention period now
+router.post('/purge-expired', authMiddleware, requirePermission('trash.manage'), async (req, res, next) => {
+  try {
+    const result = await Trash.purgeExpired();
+
+    res.json({
+      message: 'Expired trash purged',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
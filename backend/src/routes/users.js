@@ -1,10 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { authMiddleware, roleCheck } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const Role = require('../models/Role');
+const { addTrashRoutes } = require('../utils/trash');
+const { SUPER_ROLE } = require('../utils/permissions');
+const { checkPassword } = require('../utils/passwordPolicy');
 
-// Get all users (Admin only)
-router.get('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Problem with giving a user a role, or null. Only admins can make or unmake
+// admins, so users.manage alone cannot be used to gain every permission.
+const checkRoleChange = async (req, role, current_role = null) => {
+  if (!(await Role.findByName(role))) {
+    return { status: 400, error: `Unknown role "${role}"` };
+  }
+  if ((role === SUPER_ROLE || current_role === SUPER_ROLE) && role !== current_role && req.user.role !== SUPER_ROLE) {
+    return { status: 403, error: 'Only admins can grant or remove the admin role' };
+  }
+  return null;
+};
+
+// Get all users
+router.get('/', authMiddleware, requirePermission('users.view'), async (req, res, next) => {
   try {
     const users = await User.findAll();
     res.json({ users });
@@ -13,8 +30,8 @@ router.get('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
   }
 });
 
-// Get user by ID (Admin only)
-router.get('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get user by ID
+router.get('/:id', authMiddleware, requirePermission('users.view'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const user = await User.findById(id);
@@ -29,8 +46,8 @@ router.get('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
   }
 });
 
-// Create new user (Admin only)
-router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Create new user
+router.post('/', authMiddleware, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const { first_name, last_name, email, password, phone_number, role } = req.body;
 
@@ -43,13 +60,15 @@ router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
     }
 
     // Validate role
-    if (!['admin', 'journalist'].includes(role)) {
-      return res.status(400).json({ error: 'Role must be either admin or journalist' });
+    const roleProblem = await checkRoleChange(req, role);
+    if (roleProblem) {
+      return res.status(roleProblem.status).json({ error: roleProblem.error });
     }
 
     // Validate password strength
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    const problems = await checkPassword(password);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems[0], details: problems });
     }
 
     // Check if email already exists
@@ -77,8 +96,8 @@ router.post('/', authMiddleware, roleCheck('admin'), async (req, res, next) => {
   }
 });
 
-// Update user (Admin only)
-router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Update user
+router.put('/:id', authMiddleware, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { first_name, last_name, email, phone_number, role, is_active } = req.body;
@@ -91,17 +110,24 @@ router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
       });
     }
 
-    // Validate role
-    if (!['admin', 'journalist'].includes(role)) {
-      return res.status(400).json({ error: 'Role must be either admin or journalist' });
-    }
-
     // Check if user exists
     const existingUser = await User.findById(id);
     if (!existingUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Changing an admin's email or deactivating them is as good as taking
+    // over their account, so only admins can modify admins at all
+    if (existingUser.role === SUPER_ROLE && req.user.role !== SUPER_ROLE) {
+      return res.status(403).json({ error: 'Only admins can modify admins' });
+    }
+
+    // Validate role
+    const roleProblem = await checkRoleChange(req, role, existingUser.role);
+    if (roleProblem) {
+      return res.status(roleProblem.status).json({ error: roleProblem.error });
+    }
+
     // Check if email is being changed and already exists
     if (email !== existingUser.email) {
       const emailExists = await User.findByEmail(email);
@@ -120,6 +146,11 @@ router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
       is_active: is_active !== undefined ? is_active : true
     });
 
+    // A deactivated user is signed out everywhere
+    if (!user.is_active) {
+      await Session.revokeAllForUser(id, 'deactivated');
+    }
+
     res.json({
       message: 'User updated successfully',
       user
@@ -129,8 +160,8 @@ router.put('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) =>
   }
 });
 
-// HARD DELETE user (Admin only) - Permanently removes from database
-router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Delete user - moves them to the trash, from which they can be restored
+router.delete('/:id', authMiddleware, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -148,24 +179,28 @@ router.delete('/:id', authMiddleware, roleCheck('admin'), async (req, res, next)
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // HARD DELETE - permanently removes user from database
-    const deleted = await User.delete(id);
+    if (user.role === SUPER_ROLE && req.user.role !== SUPER_ROLE) {
+      return res.status(403).json({ error: 'Only admins can delete admins' });
+    }
+
+    // Move to the trash; their sales and commission history are kept
+    const deleted = await User.delete(id, req.user.userId);
 
     if (!deleted) {
       return res.status(500).json({ error: 'Failed to delete user' });
     }
 
     res.json({ 
-      message: 'User permanently deleted',
-      details: 'User has been completely removed from the system'
+      message: 'User moved to trash',
+      details: 'The user can no longer log in. Restore them from the trash, or they are purged after the retention period if nothing refers to them.'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get user statistics (Admin only)
-router.get('/stats/overview', authMiddleware, roleCheck('admin'), async (req, res, next) => {
+// Get user statistics
+router.get('/stats/overview', authMiddleware, requirePermission('users.view'), async (req, res, next) => {
   try {
     const stats = await User.getStats();
     res.json({ stats });
@@ -174,4 +209,52 @@ router.get('/stats/overview', authMiddleware, roleCheck('admin'), async (req, re
   }
 });
 
+// Get a user's active sessions
+router.get('/:id/sessions', authMiddleware, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessions = await Session.findByUser(user.id);
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke all of a user's sessions
+router.delete('/:id/sessions', authMiddleware, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await Session.revokeAllForUser(user.id, 'revoked_by_admin');
+    res.json({ message: `${revoked} session(s) revoked`, revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of a user's sessions
+router.delete('/:id/sessions/:sessionId', authMiddleware, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const revoked = await Session.revoke(req.params.sessionId, 'revoked_by_admin', req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+addTrashRoutes(router, 'users', { label: 'User' });
+
 module.exports = router;
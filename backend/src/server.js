@@ -2,22 +2,60 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
+const { pool } = require('./config/database');
+const errorHandler = require('./middleware/errorHandler');
+const { audit } = require('./middleware/audit');
+const SentEmail = require('./models/SentEmail');
+
+// Route modules
+const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const rolesRoutes = require('./routes/roles');
+const teamsRoutes = require('./routes/teams');
+const clientsRoutes = require('./routes/clients');
+const salesRoutes = require('./routes/sales');
+const invoicesRoutes = require('./routes/invoices');
+const analyticsRoutes = require('./routes/analytics');
+const settingsRoutes = require('./routes/settings');
+const commissionPaymentsRoutes = require('./routes/commission-payments');
+const commissionRulesRoutes = require('./routes/commission-rules');
+const exchangeRatesRoutes = require('./routes/exchange-rates');
+const adTypesRoutes = require('./routes/ad-types');
+const paymentMethodsRoutes = require('./routes/payment-methods');
+const quotationsRoutes = require('./routes/quotations');
+const creditNotesRoutes = require('./routes/credit-notes');
+const emailsRoutes = require('./routes/emails');
+const notificationsRoutes = require('./routes/notifications');
+const auditLogRoutes = require('./routes/audit-log');
+const trashRoutes = require('./routes/trash');
+const maintenanceRoutes = require('./routes/maintenance');
+const { startEmailWorker } = require('./utils/emailQueue');
+const realtime = require('./utils/realtime');
+const { startTrashPurger } = require('./utils/trash');
+const { getTransportName } = require('./utils/mailer');
+
 const app = express();
 const PORT = process.env.PORT || 10000;
 
-console.log('🚀 Starting AfroGazette Complete Server...');
+console.log('🚀 Starting AfroGazette Server...');
 console.log('📊 Port:', PORT);
 console.log('📍 Environment:', process.env.NODE_ENV || 'development');
 console.log('🗄️ Database URL:', process.env.DATABASE_URL ? 'SET' : 'NOT SET');
 console.log('🔑 JWT Secret:', process.env.JWT_SECRET ? 'SET' : 'NOT SET');
 
 // CORS configuration
+const allowedOrigins = [
+  'https://afrogazette-frontend.onrender.com',
+  'http://localhost:3000',
+  'http://localhost:5173'
+];
+
+if (process.env.FRONTEND_URL && !allowedOrigins.includes(process.env.FRONTEND_URL)) {
+  allowedOrigins.push(process.env.FRONTEND_URL);
+}
+
 app.use(cors({
-  origin: [
-    'https://afrogazette-frontend.onrender.com',
-    'http://localhost:3000',
-    'http://localhost:5173'
-  ],
+  origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
@@ -32,18 +70,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Database connection helper
-const createDatabasePool = () => {
-  const { Pool } = require('pg');
-  return new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-    max: 20,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 10000,
-  });
-};
-
 // Test database connection
 const testDatabaseConnection = async () => {
   try {
@@ -51,11 +77,9 @@ const testDatabaseConnection = async () => {
       console.log('⚠️ No DATABASE_URL found');
       return false;
     }
-    
-    const pool = createDatabasePool();
+
     const result = await pool.query('SELECT NOW()');
     console.log('✅ Database connection successful:', result.rows[0].now);
-    await pool.end();
     return true;
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
@@ -65,48 +89,51 @@ const testDatabaseConnection = async () => {
 
 // Root endpoint
 app.get('/', (req, res) => {
-  console.log('✅ Root endpoint hit');
-  res.json({ 
-    message: 'AfroGazette Complete Backend with Authentication & Debug!',
+  res.json({
+    message: 'AfroGazette Sales & Commission Platform API',
     status: 'success',
     timestamp: new Date().toISOString(),
-    version: '2.1.0-complete',
-    features: [
-      'CORS configured',
-      'Database connection',
-      'Inline authentication',
-      'Debug endpoints',
-      'Password reset',
-      'User management'
-    ],
+    version: '2.2.0',
     endpoints: [
       'GET /',
       'GET /health',
       'GET /test-cors',
-      'POST /api/auth/setup-admin',
-      'POST /api/auth/login',
-      'GET /api/auth/me',
-      'GET /api/debug/list-users',
-      'POST /api/debug/reset-password'
+      '/api/auth',
+      '/api/users',
+      '/api/roles',
+      '/api/teams',
+      '/api/clients',
+      '/api/sales',
+      '/api/invoices',
+      '/api/analytics',
+      '/api/settings',
+      '/api/commission-payments',
+      '/api/commission-rules',
+      '/api/exchange-rates',
+      '/api/ad-types',
+      '/api/payment-methods',
+      '/api/quotations',
+      '/api/credit-notes',
+      '/api/emails',
+      '/api/notifications',
+      '/api/audit-log',
+      '/api/trash',
+      '/api/maintenance'
     ]
   });
 });
 
-// Health endpoint with comprehensive checks
+// Health endpoint with database check
 app.get('/health', async (req, res) => {
-  console.log('✅ Health endpoint hit');
-  
   let dbStatus = 'not_configured';
   let dbDetails = {};
-  
+
   try {
     if (process.env.DATABASE_URL) {
-      const pool = createDatabasePool();
       const startTime = Date.now();
       await pool.query('SELECT 1');
       const queryTime = Date.now() - startTime;
-      await pool.end();
-      
+
       dbStatus = 'connected';
       dbDetails = {
         response_time_ms: queryTime,
@@ -117,10 +144,10 @@ app.get('/health', async (req, res) => {
     dbStatus = 'error';
     dbDetails = { error: error.message };
   }
-  
-  res.json({ 
+
+  res.json({
     status: 'OK',
-    message: 'Server healthy with complete authentication system',
+    message: 'Server healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: {
@@ -136,13 +163,12 @@ app.get('/health', async (req, res) => {
       has_jwt_secret: !!process.env.JWT_SECRET,
       has_database_url: !!process.env.DATABASE_URL
     },
-    version: '2.1.0-complete'
+    version: '2.2.0'
   });
 });
 
 // CORS test endpoint
 app.get('/test-cors', (req, res) => {
-  console.log('🧪 CORS test endpoint hit');
   res.json({
     message: 'CORS test successful!',
     origin: req.headers.origin,
@@ -154,414 +180,45 @@ app.get('/test-cors', (req, res) => {
   });
 });
 
-// ===== AUTHENTICATION ENDPOINTS =====
-
-// Setup initial admin user (only works when no users exist)
-app.post('/api/auth/setup-admin', async (req, res) => {
-  try {
-    console.log('🔧 Setup admin endpoint hit');
-    const { first_name, last_name, email, password, phone_number } = req.body;
-
-    // Validate required fields
-    if (!first_name || !last_name || !email || !password) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        required: ['first_name', 'last_name', 'email', 'password'],
-        received: { 
-          first_name: first_name || '[missing]', 
-          last_name: last_name || '[missing]', 
-          email: email || '[missing]', 
-          password: password ? '[provided]' : '[missing]' 
-        }
-      });
-    }
-
-    // Validate password strength
-    if (password.length < 8) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 8 characters',
-        current_length: password.length
-      });
-    }
-
-    // Database operations
-    const bcrypt = require('bcrypt');
-    const jwt = require('jsonwebtoken');
-    const pool = createDatabasePool();
-
-    try {
-      // Check if any users exist
-      const existingUsersResult = await pool.query('SELECT COUNT(*) as count FROM users');
-      const userCount = parseInt(existingUsersResult.rows[0].count);
-      
-      if (userCount > 0) {
-        return res.status(403).json({ 
-          error: 'Setup not allowed - users already exist',
-          message: 'This endpoint only works when no users exist in the system',
-          existing_user_count: userCount,
-          suggestion: 'Use /api/auth/login instead or reset existing user password'
-        });
-      }
-
-      // Check if email already exists (extra safety)
-      const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1', [email.toLowerCase()]);
-      if (emailCheck.rows.length > 0) {
-        return res.status(409).json({ 
-          error: 'Email already registered',
-          email: email
-        });
-      }
-
-      // Hash password
-      const password_hash = await bcrypt.hash(password, 10);
-
-      // Create user
-      const createUserResult = await pool.query(
-        `INSERT INTO users (first_name, last_name, email, password_hash, phone_number, role, is_active)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING id, first_name, last_name, email, phone_number, role, is_active, created_at`,
-        [first_name, last_name, email.toLowerCase(), password_hash, phone_number || null, 'admin', true]
-      );
-
-      const newUser = createUserResult.rows[0];
-
-      // Generate JWT token
-      const JWT_SECRET = process.env.JWT_SECRET || 'afrogazette-secret-key-change-in-production';
-      const token = jwt.sign(
-        {
-          userId: newUser.id,
-          email: newUser.email,
-          role: newUser.role,
-          firstName: newUser.first_name,
-          lastName: newUser.last_name
-        },
-        JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-
-      // Update last login
-      await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [newUser.id]);
-
-      console.log('✅ Admin user created successfully:', newUser.email);
-
-      res.status(201).json({
-        message: 'Admin user created successfully',
-        user: {
-          id: newUser.id,
-          first_name: newUser.first_name,
-          last_name: newUser.last_name,
-          email: newUser.email,
-          role: newUser.role,
-          created_at: newUser.created_at
-        },
-        token,
-        instructions: {
-          next_steps: [
-            'Save this token for authentication',
-            'Use: Authorization: Bearer <token>',
-            'Setup endpoint now disabled',
-            'Use /api/auth/login for future access'
-          ]
-        }
-      });
-
-    } finally {
-      await pool.end();
-    }
-
-  } catch (error) {
-    console.error('❌ Setup admin error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-      type: 'setup_admin_error'
-    });
-  }
-});
-
-// Login endpoint
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    console.log('🔐 Login attempt received');
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required',
-        received: { 
-          email: email || '[missing]', 
-          password: password ? '[provided]' : '[missing]' 
-        }
-      });
-    }
-
-    // Database operations
-    const bcrypt = require('bcrypt');
-    const jwt = require('jsonwebtoken');
-    const pool = createDatabasePool();
-
-    try {
-      // Find user by email
-      const userResult = await pool.query('SELECT * FROM users WHERE email = $1', [email.toLowerCase()]);
-      if (userResult.rows.length === 0) {
-        return res.status(401).json({ 
-          error: 'Invalid credentials',
-          message: 'Email not found'
-        });
-      }
-
-      const user = userResult.rows[0];
-
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
-      if (!isValidPassword) {
-        return res.status(401).json({ 
-          error: 'Invalid credentials',
-          message: 'Incorrect password'
-        });
-      }
-
-      // Check if user is active
-      if (!user.is_active) {
-        return res.status(401).json({ 
-          error: 'Account disabled',
-          message: 'Your account has been deactivated'
-        });
-      }
-
-      // Generate JWT token
-      const JWT_SECRET = process.env.JWT_SECRET || 'afrogazette-secret-key-change-in-production';
-      const token = jwt.sign(
-        {
-          userId: user.id,
-          email: user.email,
-          role: user.role,
-          firstName: user.first_name,
-          lastName: user.last_name
-        },
-        JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-
-      // Update last login
-      await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
-
-      console.log('✅ Login successful for:', user.email);
-
-      res.json({
-        message: 'Login successful',
-        user: {
-          id: user.id,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          email: user.email,
-          role: user.role,
-          is_active: user.is_active,
-          last_login: new Date().toISOString()
-        },
-        token
-      });
-
-    } finally {
-      await pool.end();
-    }
-
-  } catch (error) {
-    console.error('❌ Login error:', error);
-    res.status(500).json({
-      error: 'Login failed',
-      message: error.message
-    });
-  }
-});
-
-// Get current user info (requires authentication)
-app.get('/api/auth/me', async (req, res) => {
-  try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const token = authHeader.substring(7);
-    
-    // Verify token
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_SECRET || 'afrogazette-secret-key-change-in-production';
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Get user from database
-    const pool = createDatabasePool();
-    
-    try {
-      const userResult = await pool.query(
-        'SELECT id, first_name, last_name, email, role, is_active, created_at, last_login FROM users WHERE id = $1',
-        [decoded.userId]
-      );
-      
-      if (userResult.rows.length === 0) {
-        return res.status(401).json({ error: 'User not found' });
-      }
-
-      const user = userResult.rows[0];
-
-      res.json({
-        user: {
-          id: user.id,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          email: user.email,
-          role: user.role,
-          is_active: user.is_active,
-          last_login: user.last_login,
-          created_at: user.created_at
-        },
-        token_info: {
-          expires_in: '7 days',
-          issued_for: decoded.email
-        }
-      });
-
-    } finally {
-      await pool.end();
-    }
+// ===== API ROUTES =====
 
-  } catch (error) {
-    console.error('❌ Get me error:', error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
-    res.status(500).json({ error: 'Authentication failed' });
-  }
-});
-
-// ===== DEBUG ENDPOINTS (Remove in production) =====
-
-// List existing users
-app.get('/api/debug/list-users', async (req, res) => {
-  try {
-    console.log('🔍 Debug: List users requested');
-    
-    const pool = createDatabasePool();
-    
-    try {
-      const result = await pool.query(
-        'SELECT id, first_name, last_name, email, role, is_active, created_at, last_login FROM users ORDER BY id'
-      );
-      
-      res.json({
-        message: 'Existing users (DEBUG ENDPOINT)',
-        warning: 'This is a debug endpoint - remove in production',
-        user_count: result.rows.length,
-        users: result.rows,
-        available_actions: [
-          'POST /api/debug/reset-password - Reset user password',
-          'POST /api/auth/login - Login with user credentials'
-        ]
-      });
-
-    } finally {
-      await pool.end();
-    }
-
-  } catch (error) {
-    console.error('❌ List users error:', error);
-    res.status(500).json({ 
-      error: 'Failed to list users',
-      message: error.message 
-    });
-  }
-});
-
-// Reset user password
-app.post('/api/debug/reset-password', async (req, res) => {
-  try {
-    console.log('🔑 Debug: Password reset requested');
-    const { email, new_password } = req.body;
-    
-    if (!email || !new_password) {
-      return res.status(400).json({
-        error: 'Email and new_password are required',
-        example: {
-          email: 'admin@afrogazette.com',
-          new_password: 'NewSecurePassword123!'
-        },
-        requirements: 'Password must be at least 8 characters'
-      });
-    }
-
-    if (new_password.length < 8) {
-      return res.status(400).json({
-        error: 'Password must be at least 8 characters',
-        current_length: new_password.length
-      });
-    }
-
-    const bcrypt = require('bcrypt');
-    const pool = createDatabasePool();
-
-    try {
-      // Check if user exists
-      const userCheck = await pool.query(
-        'SELECT id, email, first_name, last_name, role FROM users WHERE email = $1', 
-        [email.toLowerCase()]
-      );
-      
-      if (userCheck.rows.length === 0) {
-        return res.status(404).json({
-          error: 'User not found',
-          email: email,
-          suggestion: 'Use /api/debug/list-users to see available users'
-        });
-      }
-
-      const user = userCheck.rows[0];
-
-      // Hash new password
-      const password_hash = await bcrypt.hash(new_password, 10);
-
-      // Update password
-      await pool.query(
-        'UPDATE users SET password_hash = $1 WHERE email = $2', 
-        [password_hash, email.toLowerCase()]
-      );
-
-      console.log(`🔑 Password reset successful for: ${email}`);
-
-      res.json({
-        message: 'Password reset successfully',
-        user: {
-          id: user.id,
-          email: user.email,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          role: user.role
-        },
-        new_password: new_password,
-        next_steps: [
-          'Password has been updated in database',
-          'Use POST /api/auth/login with new credentials',
-          'Save the JWT token for authenticated requests'
-        ]
-      });
-
-    } finally {
-      await pool.end();
-    }
+// Settings are audited as { key: value }, for one key or (bulk updates) all of them
+const loadSettings = async (key) => {
+  const result = key
+    ? await pool.query('SELECT setting_key, setting_value FROM settings WHERE setting_key = $1', [key])
+    : await pool.query('SELECT setting_key, setting_value FROM settings');
+  return Object.fromEntries(result.rows.map(row => [row.setting_key, row.setting_value]));
+};
 
-  } catch (error) {
-    console.error('❌ Password reset error:', error);
-    res.status(500).json({
-      error: 'Password reset failed',
-      message: error.message
-    });
-  }
-});
+// Emails are audited by their metadata only; their bodies can hold password
+// reset links
+const loadEmail = async (id) => (id === null ? null : (await SentEmail.findById(id)) || null);
+
+// Writes under each router are recorded in the audit log
+app.use('/api/auth', audit('user', { table: 'users', responseKey: 'user', skip: (req) => ['/login', '/refresh'].includes(req.path) }), authRoutes);
+app.use('/api/users', audit('user', { table: 'users', responseKey: 'user' }), usersRoutes);
+app.use('/api/roles', audit('role', { table: 'roles', responseKey: 'role' }), rolesRoutes);
+app.use('/api/teams', audit('team', { table: 'teams', responseKey: 'team' }), teamsRoutes);
+app.use('/api/clients', audit('client', { table: 'clients', responseKey: 'client' }), clientsRoutes);
+app.use('/api/sales', audit('sale', { table: 'sales', responseKey: 'sale' }), salesRoutes);
+app.use('/api/invoices', audit('invoice', { table: 'invoices', responseKey: 'invoice' }), invoicesRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/settings', audit('setting', { load: loadSettings, idPattern: /^[a-z0-9_]+$/ }), settingsRoutes);
+app.use('/api/commission-payments', audit('commission_payment', { table: 'commission_payments', responseKey: 'payment' }), commissionPaymentsRoutes);
+app.use('/api/commission-rules', audit('commission_rule', { table: 'commission_rules', responseKey: 'rule' }), commissionRulesRoutes);
+app.use('/api/exchange-rates', audit('exchange_rate', { table: 'exchange_rates', responseKey: 'rate' }), exchangeRatesRoutes);
+app.use('/api/ad-types', audit('ad_type', { table: 'ad_types', responseKey: 'ad_type' }), adTypesRoutes);
+app.use('/api/payment-methods', audit('payment_method', { table: 'payment_methods', responseKey: 'payment_method' }), paymentMethodsRoutes);
+app.use('/api/quotations', audit('quotation', { table: 'quotations', responseKey: 'quotation' }), quotationsRoutes);
+app.use('/api/credit-notes', creditNotesRoutes);
+app.use('/api/emails', audit('email', { load: loadEmail, responseKey: 'email' }), emailsRoutes);
+// Preference changes are audited inside the router; marking your own
+// notifications read is not worth an audit entry
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/audit-log', auditLogRoutes);
+app.use('/api/trash', audit('trash'), trashRoutes);
+// Audited inside the router, which also records reads
+app.use('/api/maintenance', maintenanceRoutes);
 
 // ===== ERROR HANDLING =====
 
@@ -573,56 +230,32 @@ app.use('*', (req, res) => {
     method: req.method,
     url: req.originalUrl,
     message: 'The requested endpoint does not exist',
-    available_endpoints: [
-      'GET / - Server info',
-      'GET /health - Health check',
-      'GET /test-cors - CORS test',
-      'POST /api/auth/setup-admin - Create initial admin',
-      'POST /api/auth/login - User login',
-      'GET /api/auth/me - Current user info',
-      'GET /api/debug/list-users - List all users (DEBUG)',
-      'POST /api/debug/reset-password - Reset password (DEBUG)'
-    ],
-    documentation: 'See server root (GET /) for complete API documentation'
+    documentation: 'See server root (GET /) for available endpoints'
   });
 });
 
 // Global error handler
-app.use((error, req, res, next) => {
-  console.error('💥 Unhandled Server Error:', error);
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: error.message,
-    timestamp: new Date().toISOString(),
-    url: req.originalUrl
-  });
-});
+app.use(errorHandler);
 
 // ===== SERVER STARTUP =====
 
-// Start server
 const server = app.listen(PORT, '0.0.0.0', async () => {
-  console.log('🟢 AFROGAZETTE COMPLETE SERVER STARTED SUCCESSFULLY!');
+  console.log('🟢 AFROGAZETTE SERVER STARTED SUCCESSFULLY!');
   console.log(`🌍 Server running on port ${PORT}`);
-  console.log(`🔗 Access at: https://afrogazette-platform.onrender.com`);
   console.log('📋 Testing database connection...');
-  
+
   const dbWorking = await testDatabaseConnection();
-  
+
   if (dbWorking) {
-    console.log('🎉 Database connected - All authentication features available!');
-    console.log('📚 Available endpoints:');
-    console.log('  🔧 POST /api/auth/setup-admin - Create initial admin user');
-    console.log('  🔐 POST /api/auth/login - Login with credentials');
-    console.log('  👤 GET /api/auth/me - Get current user info');
-    console.log('  🐛 GET /api/debug/list-users - Debug: List users');
-    console.log('  🔑 POST /api/debug/reset-password - Debug: Reset password');
+    console.log('🎉 Database connected - all API routes available');
+    startEmailWorker();
+    console.log(`📧 Email queue worker started (${getTransportName()} transport)`);
+    startTrashPurger();
   } else {
-    console.log('⚠️ Database not connected - Authentication features disabled');
+    console.log('⚠️ Database not connected - API routes will fail until it is reachable');
   }
-  
+
   console.log('🚀 Server ready for requests!');
-  console.log('📖 Visit GET / for complete API documentation');
 });
 
 // Server error handling
@@ -635,20 +268,17 @@ server.on('error', (error) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('📴 Received SIGTERM, shutting down gracefully...');
-  server.close(() => {
+const shutdown = (signal) => {
+  console.log(`📴 Received ${signal}, shutting down gracefully...`);
+  realtime.closeAll();
+  server.close(async () => {
+    await pool.end();
     console.log('✅ Server closed');
     process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('📴 Received SIGINT, shutting down gracefully...');
-  server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
@@ -0,0 +1,154 @@
+const express = require('express');
+const { authMiddleware, requirePermission, can } = require('../middleware/auth');
+
+// Shared validation for create and update
+const validateItem = (body) => {
+  const { name, default_price, default_commission_rate } = body;
+
+  if (!name || !String(name).trim()) {
+    return {
+      error: 'Missing required fields',
+      required: ['name']
+    };
+  }
+
+  if (String(name).trim().length > 50) {
+    return { error: 'Name must be 50 characters or fewer' };
+  }
+
+  if (default_price !== undefined && default_price !== null && default_price !== '' &&
+      (isNaN(parseFloat(default_price)) || parseFloat(default_price) < 0)) {
+    return { error: 'Default price must be 0 or greater' };
+  }
+
+  if (default_commission_rate !== undefined && default_commission_rate !== null && default_commission_rate !== '') {
+    const rate = parseFloat(default_commission_rate);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      return { error: 'Default commission rate must be between 0 and 100' };
+    }
+  }
+
+  return null;
+};
+
+// Build CRUD routes for a catalog model (AdType, PaymentMethod).
+// `options` gives the response keys and label, e.g. { singular: 'ad_type', plural: 'ad_types', label: 'Ad type' }.
+const createCatalogRouter = (Model, { singular, plural, label }) => {
+  const router = express.Router();
+
+  // Get all items; journalists only see active ones
+  router.get('/', authMiddleware, async (req, res, next) => {
+    try {
+      const { is_active } = req.query;
+      const filters = {
+        is_active: is_active === undefined ? undefined : is_active === 'true'
+      };
+
+      // Only managers see inactive items
+      if (!can(req.user, 'catalog.manage')) {
+        filters.is_active = true;
+      }
+
+      const items = await Model.findAll(filters);
+      res.json({ [plural]: items });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get item by ID
+  router.get('/:id', authMiddleware, async (req, res, next) => {
+    try {
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      res.json({ [singular]: item });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create item
+  router.post('/', authMiddleware, requirePermission('catalog.manage'), async (req, res, next) => {
+    try {
+      const validationError = validateItem(req.body);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      const item = await Model.create({
+        ...req.body,
+        name: req.body.name.trim()
+      });
+
+      res.status(201).json({
+        message: `${label} created successfully`,
+        [singular]: item
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update item
+  router.put('/:id', authMiddleware, requirePermission('catalog.manage'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const validationError = validateItem(req.body);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      const existingItem = await Model.findById(id);
+      if (!existingItem) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      const item = await Model.update(id, {
+        ...req.body,
+        name: req.body.name.trim()
+      });
+
+      res.json({
+        message: `${label} updated successfully`,
+        [singular]: item
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete item. Items in use must be deactivated instead.
+  router.delete('/:id', authMiddleware, requirePermission('catalog.manage'), async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const existingItem = await Model.findById(id);
+      if (!existingItem) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      const usage = await Model.countUsage(existingItem.name);
+      if (usage > 0) {
+        return res.status(400).json({
+          error: `${label} is in use and cannot be deleted`,
+          details: 'Deactivate it instead to hide it from new sales'
+        });
+      }
+
+      await Model.delete(id);
+
+      res.json({ message: `${label} deleted successfully` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCatalogRouter };
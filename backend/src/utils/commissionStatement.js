@@ -0,0 +1,240 @@
+const { query } = require('../config/database');
+const CommissionLedger = require('../models/CommissionLedger');
+const {
+  getCompanyInfo,
+  formatMoney,
+  createDocument,
+  drawHeader,
+  drawTableHeader,
+  drawSeparator,
+  drawFooter,
+  toBuffer
+} = require('./pdf');
+
+// Parse a YYYY-MM period into its first and last day
+const parsePeriod = (period) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+    return null;
+  }
+
+  const [year, month] = period.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return {
+    period,
+    start_date: `${period}-01`,
+    end_date: `${period}-${String(lastDay).padStart(2, '0')}`
+  };
+};
+
+// Build a commission statement for a journalist and a YYYY-MM period.
+// Returns null when the journalist does not exist.
+const buildStatement = async (journalistId, period) => {
+  const { start_date, end_date } = parsePeriod(period);
+
+  const journalistResult = await query(
+    `SELECT id, first_name, last_name, email, phone_number
+     FROM users WHERE id = $1`,
+    [journalistId]
+  );
+
+  if (journalistResult.rows.length === 0) {
+    return null;
+  }
+
+  const journalist = journalistResult.rows[0];
+
+  // Everything posted to the ledger before the period starts
+  const opening = await CommissionLedger.getBalance(journalistId, start_date);
+
+  const entries = await CommissionLedger.findEntries({
+    journalist_id: journalistId,
+    start_date,
+    end_date
+  });
+
+  // Accruals and reversals are listed as sale lines, payouts and their
+  // reversals as payment lines; reversals carry negative amounts.
+  // Ledger amounts are in the base currency; sale amounts keep their own.
+  const sales = entries
+    .filter(entry => entry.entry_type === 'accrual' || entry.entry_type === 'reversal')
+    .map(entry => ({
+      id: entry.id,
+      sale_id: entry.sale_id,
+      entry_type: entry.entry_type,
+      payment_date: entry.entry_date,
+      ad_type: entry.ad_type,
+      amount: entry.sale_amount,
+      currency: entry.sale_currency,
+      commission_rate: entry.commission_rate,
+      commission_amount: parseFloat(entry.credit) - parseFloat(entry.debit),
+      client_name: entry.client_name,
+      description: entry.description
+    }));
+
+  const payments = entries
+    .filter(entry => entry.entry_type === 'payout' || entry.entry_type === 'payout_reversal')
+    .map(entry => ({
+      id: entry.id,
+      payment_id: entry.payment_id,
+      entry_type: entry.entry_type,
+      payment_date: entry.entry_date,
+      amount: parseFloat(entry.debit) - parseFloat(entry.credit),
+      payment_method: entry.payment_method,
+      reference_number: entry.reference_number,
+      description: entry.description
+    }));
+
+  const openingBalance = opening.balance;
+  const commissionEarned = sales.reduce((sum, sale) => sum + sale.commission_amount, 0);
+  const paymentsTotal = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  return {
+    journalist: {
+      id: journalist.id,
+      name: `${journalist.first_name} ${journalist.last_name}`,
+      email: journalist.email,
+      phone_number: journalist.phone_number
+    },
+    period,
+    start_date,
+    end_date,
+    opening_balance: openingBalance,
+    sales,
+    payments,
+    totals: {
+      sales_count: sales.filter(sale => sale.entry_type === 'accrual').length,
+      commission_earned: commissionEarned,
+      payments_total: paymentsTotal
+    },
+    closing_balance: openingBalance + commissionEarned - paymentsTotal
+  };
+};
+
+// Render a statement to a PDF Buffer using the invoice branding
+const generateStatementPDF = async (statement) => {
+  const doc = createDocument();
+  const { companyAddress } = await getCompanyInfo();
+
+  drawHeader(doc, {
+    companyAddress,
+    title: 'COMMISSION STATEMENT',
+    number: `${statement.journalist.id}-${statement.period}`,
+    lines: [
+      `Period: ${new Date(statement.start_date).toLocaleDateString()} - ${new Date(statement.end_date).toLocaleDateString()}`,
+      `Issued: ${new Date().toLocaleDateString()}`
+    ]
+  });
+
+  // Journalist section
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Statement For:', 50, 180);
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(statement.journalist.name, 50, 200)
+     .text(statement.journalist.email, 50, 215);
+
+  // Balance summary
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Summary:', 350, 180);
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(`Opening balance: ${formatMoney(statement.opening_balance)}`, 350, 200)
+     .text(`Commission earned: ${formatMoney(statement.totals.commission_earned)}`, 350, 215)
+     .text(`Payments: ${formatMoney(statement.totals.payments_total)}`, 350, 230)
+     .text(`Closing balance: ${formatMoney(statement.closing_balance)}`, 350, 245);
+
+  // Sales table
+  let y = 280;
+  drawTableHeader(doc, y, [
+    { label: 'Date', x: 60, width: 70 },
+    { label: 'Client', x: 130, width: 150 },
+    { label: 'Ad Type', x: 280, width: 90 },
+    { label: 'Sale', x: 370, width: 70, align: 'right' },
+    { label: 'Commission', x: 450, width: 90, align: 'right' }
+  ]);
+  y += 35;
+
+  doc.fontSize(9).fillColor('#000000');
+  if (statement.sales.length === 0) {
+    doc.text('No approved sales in this period', 60, y);
+    y += 18;
+  }
+
+  statement.sales.forEach((sale) => {
+    if (y > 660) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.fillColor('#000000')
+       .text(new Date(sale.payment_date).toLocaleDateString(), 60, y, { width: 70 })
+       .text(sale.client_name || 'N/A', 130, y, { width: 150 })
+       .text(sale.ad_type || 'N/A', 280, y, { width: 90 })
+       .text(formatMoney(sale.amount, sale.currency), 370, y, { width: 70, align: 'right' })
+       .text(sale.entry_type === 'reversal'
+         ? `${formatMoney(sale.commission_amount)} (reversal)`
+         : `${formatMoney(sale.commission_amount)} (${parseFloat(sale.commission_rate).toFixed(2)}%)`, 440, y, { width: 100, align: 'right' });
+    y += 18;
+  });
+
+  drawSeparator(doc, y + 2);
+  y += 20;
+
+  // Payments table
+  if (y > 600) {
+    doc.addPage();
+    y = 50;
+  }
+  drawTableHeader(doc, y, [
+    { label: 'Payment Date', x: 60, width: 100 },
+    { label: 'Method', x: 160, width: 110 },
+    { label: 'Reference', x: 270, width: 170 },
+    { label: 'Amount', x: 450, width: 90, align: 'right' }
+  ]);
+  y += 35;
+
+  doc.fontSize(9).fillColor('#000000');
+  if (statement.payments.length === 0) {
+    doc.text('No payments in this period', 60, y);
+    y += 18;
+  }
+
+  statement.payments.forEach((payment) => {
+    if (y > 660) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.fillColor('#000000')
+       .text(new Date(payment.payment_date).toLocaleDateString(), 60, y, { width: 100 })
+       .text(payment.payment_method || 'N/A', 160, y, { width: 110 })
+       .text(payment.reference_number || 'N/A', 270, y, { width: 170 })
+       .text(formatMoney(payment.amount), 450, y, { width: 90, align: 'right' });
+    y += 18;
+  });
+
+  drawSeparator(doc, y + 2);
+
+  // Closing balance
+  if (y > 640) {
+    doc.addPage();
+    y = 50;
+  }
+  doc.fontSize(14)
+     .fillColor('#000000')
+     .text('CLOSING BALANCE', 250, y + 15)
+     .text(formatMoney(statement.closing_balance), 450, y + 15, { width: 90, align: 'right' });
+
+  drawFooter(doc, 'Balances are taken from the commission ledger: commission earned less reversals and payments made.');
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  parsePeriod,
+  buildStatement,
+  generateStatementPDF
+};
@@ -0,0 +1,90 @@
+const SentEmail = require('../models/SentEmail');
+const { renderTemplate } = require('./emailTemplates');
+const { sendMail } = require('./mailer');
+
+const BATCH_SIZE = 10;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let processing = false;
+
+// Send every message that is due. Runs one batch at a time in this process.
+const processQueue = async () => {
+  if (processing) {
+    return 0;
+  }
+
+  processing = true;
+  let processed = 0;
+
+  try {
+    let batch = await SentEmail.claimDue(BATCH_SIZE);
+    while (batch.length > 0) {
+      for (const email of batch) {
+        try {
+          const attachments = await SentEmail.getAttachments(email.id);
+          const result = await sendMail({
+            to: email.to_address,
+            subject: email.subject,
+            text: email.body_text,
+            html: email.body_html || undefined,
+            attachments: attachments.map(({ filename, content_type, content }) => ({
+              filename,
+              contentType: content_type,
+              content
+            }))
+          });
+
+          await SentEmail.markSent(email.id, result);
+        } catch (error) {
+          console.error(`Error sending email #${email.id}:`, error.message);
+          await SentEmail.markFailed(email.id, error.message);
+        }
+        processed++;
+      }
+
+      batch = await SentEmail.claimDue(BATCH_SIZE);
+    }
+  } finally {
+    processing = false;
+  }
+
+  return processed;
+};
+
+// Render a template, queue the message and start sending it straight away.
+// `attachments` are { filename, content_type, content } with Buffer content.
+const queueEmail = async ({ template, data, to, attachments = [], related_type, related_id, sent_by }) => {
+  const { subject, text, html } = await renderTemplate(template, data);
+
+  const email = await SentEmail.create({
+    template,
+    to_address: to,
+    subject,
+    body_text: text,
+    body_html: html,
+    related_type,
+    related_id,
+    sent_by
+  }, attachments);
+
+  setImmediate(() => {
+    processQueue().catch(error => console.error('Error processing email queue:', error.message));
+  });
+
+  return email;
+};
+
+// Poll for retries and anything queued while the server was down
+const startEmailWorker = (intervalMs = parseInt(process.env.MAIL_QUEUE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processQueue().catch(error => console.error('Error processing email queue:', error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  queueEmail,
+  processQueue,
+  startEmailWorker
+};
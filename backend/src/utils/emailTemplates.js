@@ -0,0 +1,103 @@
+const { getCompanyInfo, formatMoney } = require('./pdf');
+
+// Message templates. Each takes the template data and returns { subject, text, html };
+// `company_name` is added to the data by renderTemplate.
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Wrap paragraphs in the shared letter layout
+const layout = (company_name, paragraphs) => {
+  const body = paragraphs
+    .map(paragraph => `<p style="margin:0 0 16px">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+
+  return `<div style="font-family:Arial,sans-serif;font-size:14px;color:#111827;max-width:600px">
+<h2 style="color:#dc2626;margin:0 0 24px">${escapeHtml(company_name)}</h2>
+${body}
+</div>`;
+};
+
+// Turn paragraphs into the plain text and HTML parts of a message
+const compose = (company_name, subject, paragraphs) => ({
+  subject,
+  text: paragraphs.join('\n\n'),
+  html: layout(company_name, paragraphs)
+});
+
+const TEMPLATES = {
+  invoice: ({ company_name, invoice, message }) => {
+    const paragraphs = [`Dear ${invoice.client_name},`];
+    if (message) {
+      paragraphs.push(message);
+    }
+
+    const amounts = [`Invoice total: ${formatMoney(invoice.amount, invoice.currency)}`];
+    if (parseFloat(invoice.balance_due) > 0) {
+      amounts.push(`Balance due: ${formatMoney(invoice.balance_due, invoice.currency)}`);
+      if (invoice.due_date) {
+        amounts.push(`Due date: ${formatDate(invoice.due_date)}`);
+      }
+    }
+
+    paragraphs.push(
+      `Please find attached invoice ${invoice.invoice_number}.`,
+      amounts.join('\n'),
+      `Thank you for your business.\n${company_name}`
+    );
+
+    return compose(company_name, `Invoice ${invoice.invoice_number} from ${company_name}`, paragraphs);
+  },
+
+  commission_statement: ({ company_name, statement, message }) => {
+    const { journalist, period } = statement;
+    const paragraphs = [`Dear ${journalist.name},`];
+    if (message) {
+      paragraphs.push(message);
+    }
+
+    paragraphs.push(
+      `Please find attached your commission statement for ${period}.`,
+      [
+        `Opening balance: ${formatMoney(statement.opening_balance)}`,
+        `Commission earned: ${formatMoney(statement.totals.commission_earned)}`,
+        `Payments: ${formatMoney(statement.totals.payments_total)}`,
+        `Closing balance: ${formatMoney(statement.closing_balance)}`
+      ].join('\n'),
+      `Regards,\n${company_name}`
+    );
+
+    return compose(company_name, `Commission statement for ${period}`, paragraphs);
+  },
+
+  password_reset: ({ company_name, user, reset_url, expiry_minutes }) => compose(company_name, 'Reset your password', [
+    `Dear ${user.first_name},`,
+    `We received a request to reset your ${company_name} password. Use this link within ${expiry_minutes} minutes to choose a new one:`,
+    reset_url,
+    'If you did not ask for this, you can ignore this email; your password will not change.'
+  ]),
+
+  // Notification messages already rendered by utils/notifier.js
+  notification: ({ company_name, subject, text }) => compose(company_name, subject, [text])
+};
+
+// Render a template by name with the company name from settings
+const renderTemplate = async (name, data) => {
+  if (!TEMPLATES[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const { companyName } = await getCompanyInfo();
+  return TEMPLATES[name]({ company_name: companyName, ...data });
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderTemplate
+};
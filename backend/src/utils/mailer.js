@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outbound mail transports, chosen with MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - write each message as an .eml file to MAIL_FILE_DIR (local testing)
+//   console - log a summary of each message (the default without SMTP_HOST)
+
+// Kept out of uploads/: messages hold password reset links and attachments
+const DEFAULT_FILE_DIR = path.join(__dirname, '../../var/mail');
+
+const getTransportName = () =>
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+const getFromAddress = () =>
+  process.env.MAIL_FROM || 'AfroGazette <no-reply@afrogazette.co.zw>';
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { message_id: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = () => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const directory = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR;
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+
+      const filename = `${Date.now()}-${message.to.replace(/[^A-Za-z0-9@._-]/g, '_')}.eml`;
+      await fs.writeFile(path.join(directory, filename), info.message);
+
+      return { message_id: info.messageId };
+    }
+  };
+};
+
+const createConsoleTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: 'console',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      const attachments = (message.attachments || []).map(attachment => attachment.filename);
+
+      console.log('📧 Email (console transport):', {
+        to: message.to,
+        subject: message.subject,
+        attachments
+      });
+
+      return { message_id: info.messageId };
+    }
+  };
+};
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// The configured transport, created on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = getTransportName();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"; expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Send one message ({ to, subject, text, html, attachments }) from MAIL_FROM
+const sendMail = async (message) => {
+  const { name, send } = getTransport();
+  const result = await send({ from: getFromAddress(), ...message });
+  return { transport: name, ...result };
+};
+
+module.exports = {
+  getTransportName,
+  sendMail
+};
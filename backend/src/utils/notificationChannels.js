@@ -0,0 +1,155 @@
+const { queueEmail } = require('./emailQueue');
+
+// Notification channels. Email goes through the email queue; SMS and WhatsApp
+// each have a real provider and a stub that only logs, chosen with:
+//   SMS_PROVIDER=gateway  - POST { to, message, sender_id } to SMS_GATEWAY_URL with SMS_API_KEY
+//   WHATSAPP_PROVIDER=cloud - WhatsApp Business Cloud API with WHATSAPP_ACCESS_TOKEN
+//                             and WHATSAPP_PHONE_NUMBER_ID
+// Both default to 'stub'.
+//
+// WhatsApp only delivers free-form text within 24 hours of the recipient's
+// last message, so the cloud provider sends approved templates instead: the
+// one named in WHATSAPP_TEMPLATE_<EVENT> (e.g. WHATSAPP_TEMPLATE_INVOICE_ISSUED),
+// else WHATSAPP_TEMPLATE, in WHATSAPP_TEMPLATE_LANGUAGE (default en). Each
+// template takes the notification text as its one body parameter, {{1}}.
+
+const WHATSAPP_API_URL = 'https://graph.facebook.com/v19.0';
+
+// Digits only, in international format; local numbers starting with 0 get
+// PHONE_COUNTRY_CODE (Zimbabwe by default)
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  return digits.startsWith('0')
+    ? `${process.env.PHONE_COUNTRY_CODE || '263'}${digits.slice(1)}`
+    : digits;
+};
+
+// Throw with the provider's response body when a request fails
+const postJson = async (url, headers, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} ${response.statusText}: ${text.slice(0, 300)}`);
+  }
+
+  return response.json().catch(() => ({}));
+};
+
+// Template for an event, or null if none is configured
+const whatsappTemplateFor = (event) =>
+  process.env[`WHATSAPP_TEMPLATE_${String(event).toUpperCase()}`] || process.env.WHATSAPP_TEMPLATE || null;
+
+const stubProvider = (channel) => ({
+  name: 'stub',
+  send: async ({ to, text }) => {
+    console.log(`📱 ${channel} (stub) to ${to}: ${text}`);
+    return { status: 'sent' };
+  }
+});
+
+const SMS_PROVIDERS = {
+  gateway: () => ({
+    name: 'gateway',
+    send: async ({ to, text }) => {
+      await postJson(
+        process.env.SMS_GATEWAY_URL,
+        { Authorization: `Bearer ${process.env.SMS_API_KEY}` },
+        { to: `+${to}`, message: text, sender_id: process.env.SMS_SENDER_ID || 'AfroGazette' }
+      );
+      return { status: 'sent' };
+    }
+  }),
+  stub: () => stubProvider('SMS')
+};
+
+const WHATSAPP_PROVIDERS = {
+  cloud: () => ({
+    name: 'cloud',
+    send: async ({ event, to, text }) => {
+      const template = whatsappTemplateFor(event);
+      if (!template) {
+        throw new Error(`No WhatsApp template configured for ${event}; set WHATSAPP_TEMPLATE_${String(event).toUpperCase()}`);
+      }
+
+      await postJson(
+        `${WHATSAPP_API_URL}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+        { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` },
+        {
+          messaging_product: 'whatsapp',
+          to,
+          type: 'template',
+          template: {
+            name: template,
+            language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+            components: [{
+              type: 'body',
+              // Template parameters may not contain new lines
+              parameters: [{ type: 'text', text: text.replace(/\s*\n+\s*/g, ' ') }]
+            }]
+          }
+        }
+      );
+      return { status: 'sent' };
+    }
+  }),
+  stub: () => stubProvider('WhatsApp')
+};
+
+const pickProvider = (providers, envName) => {
+  const name = process.env[envName] || 'stub';
+  if (!providers[name]) {
+    throw new Error(`Unknown ${envName} "${name}"; expected one of ${Object.keys(providers).join(', ')}`);
+  }
+  return providers[name]();
+};
+
+const emailChannel = {
+  name: 'email',
+  provider: () => ({
+    name: 'queue',
+    send: async ({ to, subject, text, sent_by, related_type, related_id }) => {
+      const email = await queueEmail({
+        template: 'notification',
+        data: { subject, text },
+        to,
+        related_type,
+        related_id,
+        sent_by
+      });
+      return { status: 'queued', email_id: email.id };
+    }
+  }),
+  addressFor: (recipient) => recipient.email || null
+};
+
+const smsChannel = {
+  name: 'sms',
+  provider: () => pickProvider(SMS_PROVIDERS, 'SMS_PROVIDER'),
+  addressFor: (recipient) => normalizePhone(recipient.phone_number)
+};
+
+const whatsappChannel = {
+  name: 'whatsapp',
+  provider: () => pickProvider(WHATSAPP_PROVIDERS, 'WHATSAPP_PROVIDER'),
+  addressFor: (recipient) => normalizePhone(recipient.phone_number)
+};
+
+const CHANNELS = {
+  email: emailChannel,
+  sms: smsChannel,
+  whatsapp: whatsappChannel
+};
+
+module.exports = {
+  CHANNELS,
+  CHANNEL_NAMES: Object.keys(CHANNELS),
+  normalizePhone
+};
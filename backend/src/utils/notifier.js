@@ -0,0 +1,299 @@
+const { query } = require('../config/database');
+const Client = require('../models/Client');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const UserNotification = require('../models/UserNotification');
+const { publish } = require('./realtime');
+const { CHANNELS, CHANNEL_NAMES } = require('./notificationChannels');
+const { getCompanyInfo, formatMoney } = require('./pdf');
+const { SUPER_ROLE } = require('./permissions');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Notification events. User events go to staff on the channels they choose
+// (defaultChannels until they save preferences); client events go to the
+// client's notification_channel.
+const EVENTS = {
+  sale_approved: {
+    label: 'Sale approved',
+    audience: 'user',
+    defaultChannels: ['email'],
+    render: ({ sale }) => ({
+      subject: 'Sale approved',
+      text: `Your sale to ${sale.client_name} for ${formatMoney(sale.amount, sale.currency)} was approved. ` +
+        `Commission earned: ${formatMoney(sale.commission_amount, sale.currency)}.`
+    })
+  },
+  sale_rejected: {
+    label: 'Sale rejected',
+    audience: 'user',
+    defaultChannels: ['email'],
+    render: ({ sale }) => ({
+      subject: 'Sale rejected',
+      text: `Your sale to ${sale.client_name} for ${formatMoney(sale.amount, sale.currency)} was rejected. ` +
+        `Reason: ${sale.rejection_reason}`
+    })
+  },
+  sale_needs_info: {
+    label: 'Sale needs more information',
+    audience: 'user',
+    defaultChannels: ['email'],
+    render: ({ sale, comment }) => ({
+      subject: 'More information needed for your sale',
+      text: `Your sale to ${sale.client_name} for ${formatMoney(sale.amount, sale.currency)} needs more information ` +
+        `before it can be approved: ${comment} Update it if needed and resubmit it from the Sales page.`
+    })
+  },
+  sale_mention: {
+    label: 'Mentioned in a sale comment',
+    audience: 'user',
+    defaultChannels: ['email'],
+    render: ({ sale, comment, author_name }) => ({
+      subject: `${author_name} mentioned you on a sale`,
+      text: `${author_name} mentioned you in a comment on the sale to ${sale.client_name} for ` +
+        `${formatMoney(sale.amount, sale.currency)}: "${comment.body}"`
+    })
+  },
+  commission_paid: {
+    label: 'Commission paid',
+    audience: 'user',
+    defaultChannels: ['email'],
+    render: ({ payment }) => ({
+      subject: 'Commission payment',
+      text: `A commission payment of ${formatMoney(payment.amount, payment.currency)} was made to you on ` +
+        `${formatDate(payment.payment_date)}${payment.payment_method ? ` by ${payment.payment_method}` : ''}` +
+        `${payment.reference_number ? ` (ref ${payment.reference_number})` : ''}.`
+    })
+  },
+  invoice_issued: {
+    label: 'Invoice issued',
+    audience: 'client',
+    render: ({ invoice, company_name }) => ({
+      subject: `Invoice ${invoice.invoice_number}`,
+      text: `Dear ${invoice.client_name}, invoice ${invoice.invoice_number} for ` +
+        `${formatMoney(invoice.amount, invoice.currency)} has been issued` +
+        `${parseFloat(invoice.balance_due) > 0 && invoice.due_date ? `, due ${formatDate(invoice.due_date)}` : ''}. ` +
+        `Thank you for advertising with ${company_name}.`
+    })
+  }
+};
+
+const USER_EVENTS = Object.keys(EVENTS).filter(event => EVENTS[event].audience === 'user');
+
+// Every user event and channel with the user's choice, or the default
+const getPreferences = async (user_id) => {
+  const stored = await NotificationPreference.findByUser(user_id);
+
+  return USER_EVENTS.flatMap(event => CHANNEL_NAMES.map(channel => {
+    const row = stored.find(pref => pref.event === event && pref.channel === channel);
+    return {
+      event,
+      channel,
+      enabled: row ? row.enabled : EVENTS[event].defaultChannels.includes(channel)
+    };
+  }));
+};
+
+// Recipient details and the channels to use for an event
+const resolveRecipient = async (event, { user_id, client_id }) => {
+  if (EVENTS[event].audience === 'client') {
+    const client = await Client.findById(client_id);
+    if (!client) {
+      return null;
+    }
+    const channels = client.notification_channel === 'none' ? [] : [client.notification_channel];
+    return { recipient: client, channels };
+  }
+
+  const result = await query(
+    'SELECT id, first_name, last_name, email, phone_number, is_active FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [user_id]
+  );
+  const user = result.rows[0];
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  const preferences = await getPreferences(user.id);
+  const channels = preferences
+    .filter(pref => pref.event === event && pref.enabled)
+    .map(pref => pref.channel);
+  return { recipient: user, channels };
+};
+
+// Send an event's message to a user ({ user_id }) or client ({ client_id }) on
+// each of their channels, logging every attempt. Returns the log rows.
+const notify = async (event, target, data, { related_type, related_id, sent_by } = {}) => {
+  if (!EVENTS[event]) {
+    throw new Error(`Unknown notification event "${event}"`);
+  }
+
+  const resolved = await resolveRecipient(event, target);
+  if (!resolved || resolved.channels.length === 0) {
+    return [];
+  }
+
+  const { companyName } = await getCompanyInfo();
+  const { subject, text } = EVENTS[event].render({ ...data, company_name: companyName });
+  const logs = [];
+
+  for (const channelName of resolved.channels) {
+    const channel = CHANNELS[channelName];
+    const entry = {
+      event,
+      channel: channelName,
+      user_id: target.user_id,
+      client_id: target.client_id,
+      message: text,
+      related_type,
+      related_id
+    };
+
+    const address = channel.addressFor(resolved.recipient);
+    if (!address) {
+      logs.push(await Notification.create({
+        ...entry,
+        status: 'skipped',
+        error: channelName === 'email' ? 'No email address' : 'No phone number'
+      }));
+      continue;
+    }
+
+    let provider = null;
+    try {
+      provider = channel.provider();
+      const result = await provider.send({ event, to: address, subject, text, sent_by, related_type, related_id });
+      logs.push(await Notification.create({ ...entry, provider: provider.name, address, ...result }));
+    } catch (error) {
+      console.error(`Error sending ${event} notification by ${channelName}:`, error.message);
+      logs.push(await Notification.create({
+        ...entry,
+        provider: provider?.name,
+        address,
+        status: 'failed',
+        error: error.message
+      }));
+    }
+  }
+
+  return logs;
+};
+
+// Fire-and-forget variant for request handlers: failures are logged, never thrown
+const notifyInBackground = (...args) => {
+  notify(...args).catch(error => console.error(`Error sending ${args[0]} notification:`, error.message));
+};
+
+// In-app notifications shown under the navbar bell
+const IN_APP_EVENTS = {
+  sale_created: ({ sale, journalist_name }) => ({
+    title: 'New sale awaiting approval',
+    message: `${journalist_name} submitted a sale of ${formatMoney(sale.amount, sale.currency)} (${sale.ad_type}).`,
+    link: '/sales'
+  }),
+  sale_needs_approval: ({ sale, approver_name }) => ({
+    title: 'Sale needs a second approval',
+    message: `${approver_name} approved ${sale.journalist_name}'s sale of ${formatMoney(sale.amount, sale.currency)}; it needs one more approver.`,
+    link: '/sales'
+  }),
+  sale_resubmitted: ({ sale, journalist_name }) => ({
+    title: 'Sale resubmitted',
+    message: `${journalist_name} resubmitted their sale of ${formatMoney(sale.amount, sale.currency)} for approval.`,
+    link: '/sales'
+  }),
+  sale_approved: ({ sale }) => ({
+    title: 'Sale approved',
+    message: `Your sale to ${sale.client_name} for ${formatMoney(sale.amount, sale.currency)} was approved.`,
+    link: '/sales'
+  }),
+  sale_rejected: ({ sale }) => ({
+    title: 'Sale rejected',
+    message: `Your sale to ${sale.client_name} was rejected: ${sale.rejection_reason}`,
+    link: '/sales'
+  }),
+  sale_needs_info: ({ sale, comment }) => ({
+    title: 'More information needed',
+    message: `Your sale to ${sale.client_name} needs more information: ${comment}`,
+    link: '/sales'
+  }),
+  sale_mention: ({ sale, comment, author_name }) => ({
+    title: `${author_name} mentioned you`,
+    message: `On the sale to ${sale.client_name}: ${comment.body || comment.attachment_name}`,
+    link: `/sales?sale=${sale.id}`
+  }),
+  sale_comment: ({ sale, comment, author_name }) => ({
+    title: 'New comment on a sale',
+    message: `${author_name} on the sale to ${sale.client_name}: ${comment.body || comment.attachment_name}`,
+    link: `/sales?sale=${sale.id}`
+  }),
+  invoice_generated: ({ invoice }) => ({
+    title: 'Invoice generated',
+    message: `Invoice ${invoice.invoice_number} for ${formatMoney(invoice.amount, invoice.currency)} was generated for your sale to ${invoice.client_name}.`,
+    link: '/sales'
+  }),
+  commission_paid: ({ payment }) => ({
+    title: 'Commission paid',
+    message: `You were paid ${formatMoney(payment.amount, payment.currency)} in commission.`,
+    link: '/commissions'
+  })
+};
+
+// Ids of active users whose role grants a permission (admins always do), for
+// events that need someone to act
+const getUserIdsWithPermission = async (permission) => {
+  const result = await query(
+    `SELECT u.id
+     FROM users u
+     WHERE u.is_active = true AND u.deleted_at IS NULL
+       AND (u.role = $2 OR EXISTS (
+         SELECT 1 FROM role_permissions rp
+         JOIN roles r ON rp.role_id = r.id
+         WHERE r.name = u.role AND rp.permission = $1
+       ))`,
+    [permission, SUPER_ROLE]
+  );
+  return result.rows.map(row => row.id);
+};
+
+// Save an in-app notification for each user and push it to their open streams.
+// The user who caused the event (sent_by) is never notified about it.
+const notifyInApp = async (event, user_ids, data, { related_type, related_id, sent_by } = {}) => {
+  if (!IN_APP_EVENTS[event]) {
+    throw new Error(`Unknown in-app notification event "${event}"`);
+  }
+
+  const { title, message, link } = IN_APP_EVENTS[event](data);
+  const recipients = [...new Set(user_ids)].filter(user_id => user_id && user_id !== sent_by);
+  const created = [];
+
+  for (const user_id of recipients) {
+    const notification = await UserNotification.create({
+      user_id, event, title, message, link, related_type, related_id
+    });
+    publish(user_id, 'notification', {
+      notification,
+      unread_count: await UserNotification.countUnread(user_id)
+    });
+    created.push(notification);
+  }
+
+  return created;
+};
+
+// Fire-and-forget variant; user_ids may be a promise (e.g. getUserIdsWithPermission(...))
+const notifyInAppInBackground = (event, user_ids, ...args) => {
+  Promise.resolve(user_ids)
+    .then(ids => notifyInApp(event, ids, ...args))
+    .catch(error => console.error(`Error saving ${event} in-app notification:`, error.message));
+};
+
+module.exports = {
+  EVENTS,
+  USER_EVENTS,
+  getPreferences,
+  notify,
+  notifyInBackground,
+  getUserIdsWithPermission,
+  notifyInApp,
+  notifyInAppInBackground
+};
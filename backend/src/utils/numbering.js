@@ -0,0 +1,91 @@
+// Document numbers come from a per-type, per-year counter in document_sequences.
+// The counter row is incremented inside the caller's transaction, so concurrent
+// requests queue on its row lock and a rolled-back insert gives its number back.
+
+const DEFAULT_FORMAT = '{prefix}-{yyyy}-{seq:4}';
+
+// Document types with the setting that holds their prefix
+const DOCUMENT_TYPES = {
+  invoice: { prefixSetting: 'invoice_prefix', defaultPrefix: 'INV' },
+  quotation: { prefixSetting: 'quotation_prefix', defaultPrefix: 'QUO' },
+  credit_note: { prefixSetting: 'credit_note_prefix', defaultPrefix: 'CN' }
+};
+
+const TOKEN_PATTERN = /\{(prefix|yyyy|yy|mm|seq)(?::(\d+))?\}/g;
+
+// Check a number format template; returns an error message or null
+const validateFormat = (format) => {
+  if (typeof format !== 'string' || !format.trim()) {
+    return 'Number format cannot be empty';
+  }
+
+  const unknown = format.replace(TOKEN_PATTERN, '').match(/\{[^}]*\}/);
+  if (unknown) {
+    return `Unknown placeholder ${unknown[0]} in number format`;
+  }
+
+  if (!/\{seq(?::\d+)?\}/.test(format)) {
+    return 'Number format must include {seq}';
+  }
+
+  if (!/\{yyyy\}|\{yy\}/.test(format)) {
+    return 'Number format must include {yyyy} or {yy}, as sequences restart every year';
+  }
+
+  return null;
+};
+
+// Render a template such as {prefix}-{yyyy}-{seq:4}; {seq:N} pads to N digits
+const formatDocumentNumber = (format, { prefix, date, sequence }) =>
+  format.replace(TOKEN_PATTERN, (match, token, width) => {
+    switch (token) {
+      case 'prefix':
+        return prefix;
+      case 'yyyy':
+        return String(date.getFullYear());
+      case 'yy':
+        return String(date.getFullYear()).slice(-2);
+      case 'mm':
+        return String(date.getMonth() + 1).padStart(2, '0');
+      default:
+        return String(sequence).padStart(parseInt(width || '1'), '0');
+    }
+  });
+
+// Take the next number for a document type. `client` must be the transaction
+// client that inserts the document.
+const nextDocumentNumber = async (client, documentType, date = new Date()) => {
+  const { prefixSetting, defaultPrefix } = DOCUMENT_TYPES[documentType];
+
+  const settingsResult = await client.query(
+    `SELECT setting_key, setting_value FROM settings
+     WHERE setting_key IN ($1, 'document_number_format')`,
+    [prefixSetting]
+  );
+  const settings = {};
+  settingsResult.rows.forEach(row => {
+    settings[row.setting_key] = row.setting_value;
+  });
+
+  const sequenceResult = await client.query(
+    `INSERT INTO document_sequences (document_type, year, last_value)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (document_type, year)
+     DO UPDATE SET last_value = document_sequences.last_value + 1, updated_at = CURRENT_TIMESTAMP
+     RETURNING last_value`,
+    [documentType, date.getFullYear()]
+  );
+
+  return formatDocumentNumber(settings.document_number_format || DEFAULT_FORMAT, {
+    prefix: settings[prefixSetting] || defaultPrefix,
+    date,
+    sequence: sequenceResult.rows[0].last_value
+  });
+};
+
+module.exports = {
+  DEFAULT_FORMAT,
+  validateFormat,
+  formatDocumentNumber,
+  nextDocumentNumber
+};
@@ -0,0 +1,117 @@
+const bcrypt = require('bcrypt');
+const { query } = require('../config/database');
+
+// Password and sign-in rules, configurable in settings
+const POLICY_SETTINGS = {
+  password_min_length: { name: 'min_length', default: 8, type: 'number' },
+  password_require_mixed_case: { name: 'require_mixed_case', default: false, type: 'boolean' },
+  password_require_number: { name: 'require_number', default: false, type: 'boolean' },
+  password_require_symbol: { name: 'require_symbol', default: false, type: 'boolean' },
+  password_history_count: { name: 'history_count', default: 3, type: 'number' },
+  password_reset_expiry_minutes: { name: 'reset_expiry_minutes', default: 60, type: 'number' },
+  login_max_attempts: { name: 'max_login_attempts', default: 5, type: 'number' },
+  login_lockout_minutes: { name: 'lockout_minutes', default: 15, type: 'number' }
+};
+
+// Validators for the policy settings, in the shape routes/settings.js expects
+const POLICY_VALIDATORS = {
+  password_min_length: (value) =>
+    /^\d+$/.test(String(value)) && parseInt(value) >= 6 && parseInt(value) <= 128
+      ? null : 'Minimum password length must be a whole number from 6 to 128',
+  password_require_mixed_case: (value) =>
+    ['true', 'false'].includes(String(value)) ? null : 'Password mixed case rule must be true or false',
+  password_require_number: (value) =>
+    ['true', 'false'].includes(String(value)) ? null : 'Password number rule must be true or false',
+  password_require_symbol: (value) =>
+    ['true', 'false'].includes(String(value)) ? null : 'Password symbol rule must be true or false',
+  password_history_count: (value) =>
+    /^\d+$/.test(String(value)) && parseInt(value) <= 24
+      ? null : 'Password history must be a whole number from 0 to 24',
+  password_reset_expiry_minutes: (value) =>
+    /^\d+$/.test(String(value)) && parseInt(value) >= 5 && parseInt(value) <= 1440
+      ? null : 'Password reset links must expire after 5 to 1440 minutes',
+  login_max_attempts: (value) =>
+    /^\d+$/.test(String(value)) && parseInt(value) >= 1 && parseInt(value) <= 100
+      ? null : 'Failed sign-ins before lockout must be a whole number from 1 to 100',
+  login_lockout_minutes: (value) =>
+    /^\d+$/.test(String(value)) && parseInt(value) >= 1 && parseInt(value) <= 1440
+      ? null : 'Lockout must last 1 to 1440 minutes'
+};
+
+// The current rules as { min_length, require_mixed_case, ..., lockout_minutes }
+const getPasswordPolicy = async () => {
+  const result = await query(
+    'SELECT setting_key, setting_value FROM settings WHERE setting_key = ANY($1)',
+    [Object.keys(POLICY_SETTINGS)]
+  );
+
+  const policy = {};
+  for (const [key, { name, default: fallback, type }] of Object.entries(POLICY_SETTINGS)) {
+    const value = result.rows.find(row => row.setting_key === key)?.setting_value;
+    if (value === undefined || value === null || value === '') {
+      policy[name] = fallback;
+    } else {
+      const number = parseInt(value);
+      policy[name] = type === 'boolean' ? value === 'true' : (Number.isNaN(number) ? fallback : number);
+    }
+  }
+  return policy;
+};
+
+// Everything wrong with a password under the policy; empty if it passes
+const checkPasswordStrength = (password, policy) => {
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < policy.min_length) {
+    problems.push(`Password must be at least ${policy.min_length} characters`);
+    if (typeof password !== 'string') {
+      return problems;
+    }
+  }
+  if (policy.require_mixed_case && !(/[a-z]/.test(password) && /[A-Z]/.test(password))) {
+    problems.push('Password must contain both upper and lower case letters');
+  }
+  if (policy.require_number && !/\d/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  return problems;
+};
+
+// Strength problems plus, for an existing user, reuse of one of their last
+// history_count passwords (the current one and those in password_history)
+const checkPassword = async (password, user_id = null) => {
+  const policy = await getPasswordPolicy();
+  const problems = checkPasswordStrength(password, policy);
+
+  if (problems.length === 0 && user_id && policy.history_count > 0) {
+    const result = await query(
+      `(SELECT password_hash FROM users WHERE id = $1)
+       UNION ALL
+       (SELECT password_hash FROM password_history
+        WHERE user_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2)`,
+      [user_id, policy.history_count - 1]
+    );
+
+    for (const { password_hash } of result.rows) {
+      if (await bcrypt.compare(password, password_hash)) {
+        problems.push(`Password must not match any of your last ${policy.history_count} passwords`);
+        break;
+      }
+    }
+  }
+
+  return problems;
+};
+
+module.exports = {
+  POLICY_VALIDATORS,
+  getPasswordPolicy,
+  checkPasswordStrength,
+  checkPassword
+};
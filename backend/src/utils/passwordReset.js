@@ -0,0 +1,34 @@
+const PasswordReset = require('../models/PasswordReset');
+const { getPasswordPolicy } = require('./passwordPolicy');
+const { queueEmail } = require('./emailQueue');
+
+// Where password reset links point
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://afrogazette-frontend.onrender.com';
+
+// Issue a reset token for a user and email them the link. sent_by is the
+// admin who forced the reset, if any.
+const sendPasswordResetLink = async (user, { requested_ip, sent_by } = {}) => {
+  const { reset_expiry_minutes } = await getPasswordPolicy();
+  const token = await PasswordReset.create({
+    user_id: user.id,
+    requested_ip,
+    expiry_minutes: reset_expiry_minutes
+  });
+
+  return queueEmail({
+    template: 'password_reset',
+    data: {
+      user,
+      reset_url: `${FRONTEND_URL}/reset-password?token=${token}`,
+      expiry_minutes: reset_expiry_minutes
+    },
+    to: user.email,
+    related_type: 'user',
+    related_id: user.id,
+    sent_by
+  });
+};
+
+module.exports = {
+  sendPasswordResetLink
+};
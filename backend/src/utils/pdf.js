@@ -0,0 +1,198 @@
+const PDFDocument = require('pdfkit');
+const { query } = require('../config/database');
+
+const BRAND_COLOR = '#dc2626';
+
+// Get company info from settings
+const getCompanyInfo = async () => {
+  const result = await query(
+    `SELECT setting_key, setting_value FROM settings
+     WHERE setting_key IN ('company_name', 'company_address')`
+  );
+
+  const settings = {};
+  result.rows.forEach(row => {
+    settings[row.setting_key] = row.setting_value;
+  });
+
+  return {
+    companyName: settings.company_name || 'AfroGazette Media & Advertising',
+    companyAddress: settings.company_address || 'Harare, Zimbabwe'
+  };
+};
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  ZWG: 'ZiG ',
+  ZAR: 'R'
+};
+
+// Format an amount for PDF output in its currency (USD by default)
+const formatMoney = (amount, currency = 'USD') =>
+  `${CURRENCY_SYMBOLS[currency] || `${currency} `}${parseFloat(amount || 0).toFixed(2)}`;
+
+// Create an A4 document with the standard margins
+const createDocument = () => new PDFDocument({ size: 'A4', margin: 50 });
+
+// Draw the AfroGazette letterhead with a document title, number and date lines
+const drawHeader = (doc, { companyAddress, title, number, lines = [] }) => {
+  // Header - Company Logo/Name
+  doc.fontSize(24)
+     .fillColor(BRAND_COLOR)
+     .text('AFROGAZETTE', 50, 50);
+
+  doc.fontSize(12)
+     .fillColor('#000000')
+     .text('Media & Advertising', 50, 80);
+
+  // Company Address
+  doc.fontSize(9)
+     .fillColor('#666666')
+     .text(companyAddress, 50, 100, { width: 250 });
+
+  // Document Title and Number
+  doc.fontSize(20)
+     .fillColor('#000000')
+     .text(title, 350, 50, { width: 200, align: 'right' });
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(`#${number}`, 350, 80, { width: 200, align: 'right' });
+
+  lines.forEach((line, index) => {
+    doc.text(line, 350, 100 + index * 15, { width: 200, align: 'right' });
+  });
+
+  // Horizontal line
+  doc.moveTo(50, 160)
+     .lineTo(550, 160)
+     .strokeColor(BRAND_COLOR)
+     .lineWidth(2)
+     .stroke();
+};
+
+// Draw a red table header row; columns are { label, x, width, align }
+const drawTableHeader = (doc, top, columns) => {
+  doc.fontSize(11)
+     .fillColor('#ffffff')
+     .rect(50, top, 500, 25)
+     .fillAndStroke(BRAND_COLOR, BRAND_COLOR);
+
+  doc.fillColor('#ffffff');
+  columns.forEach(({ label, x, width, align = 'left' }) => {
+    doc.text(label, x, top + 7, { width, align });
+  });
+};
+
+// Draw a thin grey separator line
+const drawSeparator = (doc, y) => {
+  doc.moveTo(50, y)
+     .lineTo(550, y)
+     .strokeColor('#cccccc')
+     .lineWidth(1)
+     .stroke();
+};
+
+const LINE_ITEM_COLUMNS = [
+  { label: 'Description', x: 60, width: 175 },
+  { label: 'Qty', x: 240, width: 40, align: 'right' },
+  { label: 'Unit Price', x: 285, width: 70, align: 'right' },
+  { label: 'Disc.', x: 360, width: 40, align: 'right' },
+  { label: 'VAT', x: 405, width: 40, align: 'right' },
+  { label: 'Amount', x: 450, width: 90, align: 'right' }
+];
+
+// Draw priced line items (invoices, quotations) starting at `top`, repeating
+// the table header on each new page. Returns the y position after the table.
+const drawLineItems = (doc, top, items, currency) => {
+  let y = top;
+  drawTableHeader(doc, y, LINE_ITEM_COLUMNS);
+  y += 35;
+
+  items.forEach((item) => {
+    doc.fontSize(9);
+    const rowHeight = Math.max(doc.heightOfString(item.description, { width: 175 }), 12) + 8;
+    if (y + rowHeight > 660) {
+      doc.addPage();
+      y = 50;
+      drawTableHeader(doc, y, LINE_ITEM_COLUMNS);
+      y += 35;
+    }
+
+    doc.fontSize(9)
+       .fillColor('#000000')
+       .text(item.description, 60, y, { width: 175 })
+       .text(parseFloat(item.quantity).toString(), 240, y, { width: 40, align: 'right' })
+       .text(formatMoney(item.unit_price, currency), 285, y, { width: 70, align: 'right' })
+       .text(`${parseFloat(item.discount_percent)}%`, 360, y, { width: 40, align: 'right' })
+       .text(`${parseFloat(item.tax_rate)}%`, 405, y, { width: 40, align: 'right' })
+       .text(formatMoney(item.line_total, currency), 450, y, { width: 90, align: 'right' });
+    y += rowHeight;
+  });
+
+  drawSeparator(doc, y + 2);
+  return y + 15;
+};
+
+// Draw subtotal, discount, VAT and TOTAL rows for a document with line totals
+const drawTotals = (doc, top, { subtotal, discount_total, tax_total, total }, currency) => {
+  let y = top;
+  if (y > 580) {
+    doc.addPage();
+    y = 50;
+  }
+
+  const rows = [['Subtotal', formatMoney(subtotal, currency)]];
+  if (parseFloat(discount_total) > 0) {
+    rows.push(['Discount', `-${formatMoney(discount_total, currency)}`]);
+  }
+  rows.push(['VAT', formatMoney(tax_total, currency)]);
+
+  doc.fontSize(10).fillColor('#666666');
+  rows.forEach(([label, value]) => {
+    doc.text(label, 350, y)
+       .text(value, 450, y, { width: 90, align: 'right' });
+    y += 16;
+  });
+
+  doc.fontSize(14)
+     .fillColor('#000000')
+     .text('TOTAL', 350, y + 6)
+     .text(formatMoney(total, currency), 450, y + 6, { width: 90, align: 'right' });
+
+  return y + 30;
+};
+
+// Footer shared by all documents
+const drawFooter = (doc, message = 'Thank you for your business!') => {
+  doc.fontSize(9)
+     .fillColor('#666666')
+     .text(message, 50, 700, { align: 'center', width: 500 });
+
+  doc.text('For inquiries, please contact us at the address above.', 50, 715, { align: 'center', width: 500 });
+};
+
+// Collect a finished document into a Buffer
+const toBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+module.exports = {
+  BRAND_COLOR,
+  getCompanyInfo,
+  formatMoney,
+  createDocument,
+  drawHeader,
+  drawTableHeader,
+  drawSeparator,
+  drawLineItems,
+  drawTotals,
+  drawFooter,
+  toBuffer
+};
@@ -0,0 +1,112 @@
+const Role = require('../models/Role');
+
+// Every permission key a role can be given, grouped for the roles screen.
+// Routes check these with requirePermission() in middleware/auth.js.
+const PERMISSION_GROUPS = [
+  {
+    label: 'Users & Access',
+    permissions: {
+      'users.view': 'View users',
+      'users.manage': 'Create, edit and delete users and revoke their sessions',
+      'roles.manage': 'Manage roles and their permissions',
+      'teams.manage': 'Manage sales teams, their managers and members'
+    }
+  },
+  {
+    label: 'Clients',
+    permissions: {
+      'clients.view': 'View clients',
+      'clients.manage': 'Add and edit clients',
+      'clients.delete': 'Delete clients'
+    }
+  },
+  {
+    label: 'Sales',
+    permissions: {
+      'sales.create': 'Record sales and quotations, edit and resubmit their own until approved, and delete pending ones',
+      'sales.view_all': "See everyone's sales and quotations",
+      'sales.view_team': 'See the sales, quotations, commissions and figures of the teams they manage',
+      'sales.manage': "Edit and delete anyone's sales and quotations",
+      'sales.approve': 'Approve and reject sales'
+    }
+  },
+  {
+    label: 'Invoicing',
+    permissions: {
+      'invoices.view': 'View invoices and credit notes',
+      'invoices.manage': 'Create, issue, void and email invoices and credit notes',
+      'invoices.payments': 'Record and remove client payments'
+    }
+  },
+  {
+    label: 'Commissions',
+    permissions: {
+      'commissions.view_all': "See everyone's commission balances and statements",
+      'commissions.pay': 'Record, edit and delete commission payments and email statements',
+      'commission_rules.manage': 'Manage commission rules'
+    }
+  },
+  {
+    label: 'Reports',
+    permissions: {
+      'reports.view': 'View company-wide dashboards, leaderboards, reports and exports'
+    }
+  },
+  {
+    label: 'Administration',
+    permissions: {
+      'catalog.manage': 'Manage ad types, payment methods and exchange rates',
+      'settings.manage': 'Change settings',
+      'audit.view': 'View the audit, email and notification logs',
+      'emails.manage': 'Retry failed emails',
+      'trash.manage': 'Restore and permanently delete records in the trash',
+      'maintenance.use': 'Use the maintenance console'
+    }
+  }
+];
+
+const PERMISSIONS = PERMISSION_GROUPS.reduce((all, group) => ({ ...all, ...group.permissions }), {});
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// The role that always has every permission
+const SUPER_ROLE = 'admin';
+
+// Role permissions are cached briefly, since every request needs them
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const getRolePermissions = async (role) => {
+  if (role === SUPER_ROLE) {
+    return PERMISSION_KEYS;
+  }
+
+  const cached = cache.get(role);
+  if (cached && cached.expires > Date.now()) {
+    return cached.permissions;
+  }
+
+  const permissions = (await Role.getPermissions(role)).filter(key => PERMISSIONS[key]);
+  cache.set(role, { permissions, expires: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Call after changing a role so its users see the change straight away
+const clearPermissionCache = () => cache.clear();
+
+// SQL condition that the role in `column` records sales and earns commission,
+// i.e. is a journalist role (any role given sales.create)
+const journalistRoleSql = (column) => `${column} IN (
+    SELECT r.name FROM roles r
+    JOIN role_permissions rp ON rp.role_id = r.id
+    WHERE rp.permission = 'sales.create'
+  )`;
+
+module.exports = {
+  PERMISSION_GROUPS,
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  SUPER_ROLE,
+  getRolePermissions,
+  clearPermissionCache,
+  journalistRoleSql
+};
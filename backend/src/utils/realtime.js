@@ -0,0 +1,98 @@
+// Server-sent event streams for logged-in users. Each user may have several
+// open streams (one per browser tab); events go to all of them. Each stream
+// belongs to a session and is ended once that session is no longer active.
+
+const Session = require('../models/Session');
+
+const HEARTBEAT_MS = 25000;
+
+// user_id -> Map of response -> session id
+const streams = new Map();
+let heartbeat = null;
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const unsubscribe = (user_id, res) => {
+  const userStreams = streams.get(user_id);
+  if (userStreams) {
+    userStreams.delete(res);
+    if (userStreams.size === 0) {
+      streams.delete(user_id);
+    }
+  }
+};
+
+// Keep idle connections open through proxies that drop silent ones, and end
+// the streams of sessions that were logged out, revoked or expired, or whose
+// user was deactivated
+const checkStreams = async () => {
+  const sessionIds = [...streams.values()].flatMap(userStreams => [...userStreams.values()]);
+  if (sessionIds.length === 0) {
+    return;
+  }
+
+  const active = new Set(await Session.findActiveIds([...new Set(sessionIds)]));
+  for (const [user_id, userStreams] of streams) {
+    for (const [res, session_id] of userStreams) {
+      if (active.has(session_id)) {
+        res.write(': ping\n\n');
+      } else {
+        unsubscribe(user_id, res);
+        res.end();
+      }
+    }
+  }
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) {
+    return;
+  }
+  heartbeat = setInterval(() => {
+    checkStreams().catch(error => console.error('Error checking notification streams:', error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+// Register an SSE response for a user's session; returns a function that removes it
+const subscribe = (user_id, session_id, res) => {
+  if (!streams.has(user_id)) {
+    streams.set(user_id, new Map());
+  }
+  streams.get(user_id).set(res, session_id);
+  startHeartbeat();
+
+  return () => unsubscribe(user_id, res);
+};
+
+// Send an event to every open stream of a user
+const publish = (user_id, event, data) => {
+  const userStreams = streams.get(user_id);
+  if (!userStreams) {
+    return;
+  }
+  for (const res of userStreams.keys()) {
+    write(res, event, data);
+  }
+};
+
+// End every stream so the server can close
+const closeAll = () => {
+  for (const userStreams of streams.values()) {
+    for (const res of userStreams.keys()) {
+      res.end();
+    }
+  }
+  streams.clear();
+  clearInterval(heartbeat);
+  heartbeat = null;
+};
+
+module.exports = {
+  write,
+  subscribe,
+  publish,
+  closeAll
+};
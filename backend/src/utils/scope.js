@@ -0,0 +1,69 @@
+const Team = require('../models/Team');
+const { can } = require('../middleware/auth');
+const { getUserIdsWithPermission } = require('./notifier');
+
+// Whose records a user may see. null means everyone's, for users with
+// `allPermission`; otherwise their own, plus with sales.view_team those of the
+// members of the teams they manage.
+const getVisibleUserIds = async (user, allPermission) => {
+  if (can(user, allPermission)) {
+    return null;
+  }
+  if (!can(user, 'sales.view_team')) {
+    return [user.userId];
+  }
+  const members = await Team.getManagedMemberIds(user.userId);
+  return [...new Set([user.userId, ...members])];
+};
+
+// Whether a journalist's records are among the visible ones
+const isVisible = (visible_ids, journalist_id) =>
+  visible_ids === null || visible_ids.includes(parseInt(journalist_id));
+
+// Whether a user may approve or reject a journalist's sales. Nobody decides
+// on their own sales; approvers who see every sale can decide on any other,
+// and other approvers on those of the teams they manage.
+const canApproveFor = async (user, journalist_id) => {
+  if (!can(user, 'sales.approve') || parseInt(journalist_id) === user.userId) {
+    return false;
+  }
+  if (can(user, 'sales.view_all')) {
+    return true;
+  }
+  return (await Team.getManagedMemberIds(user.userId)).includes(parseInt(journalist_id));
+};
+
+// Ids of the users who may approve a journalist's sales, to notify about them
+const getSaleApproverIds = async (journalist_id) => {
+  const [approvers, seeAll, managers] = await Promise.all([
+    getUserIdsWithPermission('sales.approve'),
+    getUserIdsWithPermission('sales.view_all'),
+    Team.getManagerIds(journalist_id)
+  ]);
+  return approvers.filter(id =>
+    id !== parseInt(journalist_id) && (seeAll.includes(id) || managers.includes(id))
+  );
+};
+
+// Ids of the users who can see a journalist's sales: the journalist, users
+// who see every sale, and the managers of their teams who see team sales
+const getSaleViewerIds = async (journalist_id) => {
+  const [seeAll, seeTeam, managers] = await Promise.all([
+    getUserIdsWithPermission('sales.view_all'),
+    getUserIdsWithPermission('sales.view_team'),
+    Team.getManagerIds(journalist_id)
+  ]);
+  return [...new Set([
+    parseInt(journalist_id),
+    ...seeAll,
+    ...seeTeam.filter(id => managers.includes(id))
+  ])];
+};
+
+module.exports = {
+  getVisibleUserIds,
+  isVisible,
+  canApproveFor,
+  getSaleApproverIds,
+  getSaleViewerIds
+};
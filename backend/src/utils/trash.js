@@ -0,0 +1,82 @@
+const { transaction } = require('../config/database');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const Trash = require('../models/Trash');
+
+// Add POST /:id/restore and POST /:id/purge to an entity router.
+// `onRestore(client, row, req)` runs inside the restore transaction for
+// entities with side effects to redo (e.g. a payment's ledger entries).
+const addTrashRoutes = (router, type, { label, onRestore } = {}) => {
+  // Restore from the trash
+  router.post('/:id/restore', authMiddleware, requirePermission('trash.manage'), async (req, res, next) => {
+    try {
+      const restored = await transaction(async (client) => {
+        const row = await Trash.restore(type, req.params.id, client);
+        if (row && onRestore) {
+          await onRestore(client, row, req);
+        }
+        return row;
+      });
+
+      if (!restored) {
+        return res.status(404).json({ error: `${label} not found in trash` });
+      }
+
+      res.json({ message: `${label} restored successfully`, id: restored.id });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: `${label} cannot be restored`,
+          details: 'An active record already uses the same details'
+        });
+      }
+      next(error);
+    }
+  });
+
+  // Permanently delete from the trash, ahead of the retention period
+  router.post('/:id/purge', authMiddleware, requirePermission('trash.manage'), async (req, res, next) => {
+    try {
+      const purged = await Trash.purge(type, req.params.id);
+
+      if (!purged) {
+        return res.status(404).json({ error: `${label} not found in trash` });
+      }
+
+      res.json({ message: `${label} permanently deleted` });
+    } catch (error) {
+      if (Trash.isReferencedError(error)) {
+        return res.status(409).json({
+          error: `${label} cannot be purged`,
+          details: 'Other records (such as sales or commission history) still refer to it, so it stays in the trash'
+        });
+      }
+      next(error);
+    }
+  });
+};
+
+// Purge trash past the retention period now and then once a day
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const purgeExpiredTrash = async () => {
+  try {
+    const { purged, kept } = await Trash.purgeExpired();
+    const purgedCount = Object.values(purged).reduce((sum, ids) => sum + ids.length, 0);
+    const keptCount = Object.values(kept).reduce((sum, ids) => sum + ids.length, 0);
+    if (purgedCount > 0 || keptCount > 0) {
+      console.log(`🗑️ Trash purge: ${purgedCount} purged, ${keptCount} kept because other records refer to them`);
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error.message);
+  }
+};
+
+const startTrashPurger = () => {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  addTrashRoutes,
+  startTrashPurger
+};
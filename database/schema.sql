@@ -2,13 +2,62 @@
 -- PostgreSQL 14+
 
 -- Drop existing tables (if any) in correct order
+DROP TABLE IF EXISTS password_history CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS user_notifications CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS notification_preferences CASCADE;
+DROP TABLE IF EXISTS sent_email_attachments CASCADE;
+DROP TABLE IF EXISTS sent_emails CASCADE;
+DROP TABLE IF EXISTS commission_ledger CASCADE;
+DROP TABLE IF EXISTS commission_payment_allocations CASCADE;
 DROP TABLE IF EXISTS commission_payments CASCADE;
+DROP TABLE IF EXISTS quotation_items CASCADE;
+DROP TABLE IF EXISTS quotations CASCADE;
+DROP TABLE IF EXISTS credit_notes CASCADE;
+DROP TABLE IF EXISTS client_payments CASCADE;
+DROP TABLE IF EXISTS invoice_items CASCADE;
 DROP TABLE IF EXISTS invoices CASCADE;
+DROP TABLE IF EXISTS sale_approvals CASCADE;
+DROP TABLE IF EXISTS sale_revisions CASCADE;
+DROP TABLE IF EXISTS sale_comments CASCADE;
 DROP TABLE IF EXISTS sales CASCADE;
+DROP TABLE IF EXISTS commission_rules CASCADE;
+DROP TABLE IF EXISTS payment_methods CASCADE;
+DROP TABLE IF EXISTS ad_types CASCADE;
+DROP TABLE IF EXISTS exchange_rates CASCADE;
 DROP TABLE IF EXISTS clients CASCADE;
+DROP TABLE IF EXISTS team_members CASCADE;
+DROP TABLE IF EXISTS teams CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
+DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS roles CASCADE;
+DROP TABLE IF EXISTS document_sequences CASCADE;
 DROP TABLE IF EXISTS settings CASCADE;
 
+-- ==============================================
+-- ROLES TABLE
+-- ==============================================
+-- A role is a named set of permission keys (see backend/src/utils/permissions.js).
+-- System roles can't be deleted; 'admin' always has every permission.
+CREATE TABLE roles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  description TEXT,
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+  role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE NOT NULL,
+  permission VARCHAR(50) NOT NULL,
+  PRIMARY KEY (role_id, permission)
+);
+
 -- ==============================================
 -- USERS TABLE
 -- ==============================================
@@ -16,13 +65,42 @@ CREATE TABLE users (
   id SERIAL PRIMARY KEY,
   first_name VARCHAR(100) NOT NULL,
   last_name VARCHAR(100) NOT NULL,
-  email VARCHAR(255) UNIQUE NOT NULL,
+  email VARCHAR(255) NOT NULL,
   password_hash VARCHAR(255) NOT NULL,
   phone_number VARCHAR(20),
-  role VARCHAR(20) CHECK (role IN ('admin', 'journalist')) NOT NULL,
+  role VARCHAR(50) REFERENCES roles(name) NOT NULL,
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  last_login TIMESTAMP
+  last_login TIMESTAMP,
+  -- Sign-in lockout after too many wrong passwords (login_max_attempts)
+  failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  -- Set by an admin's forced reset; sign-in is refused until the user resets
+  password_reset_required BOOLEAN NOT NULL DEFAULT false,
+  deleted_at TIMESTAMP,
+  deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ==============================================
+-- TEAMS TABLE
+-- ==============================================
+-- Sales teams, e.g. regional desks. A team's manager sees and approves the
+-- sales of its members, and of the members of teams below it (parent_id).
+CREATE TABLE teams (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  parent_id INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each user is in at most one team
+CREATE TABLE team_members (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- ==============================================
@@ -35,51 +113,328 @@ CREATE TABLE clients (
   phone_number VARCHAR(20) NOT NULL,
   email VARCHAR(255),
   address TEXT,
+  notification_channel VARCHAR(20) CHECK (notification_channel IN ('whatsapp', 'sms', 'email', 'none')) NOT NULL DEFAULT 'whatsapp',
   added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP,
+  deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ==============================================
+-- AD TYPES TABLE
+-- Admin-managed catalog of products sold. Sales and
+-- commission rules reference ad types by name; renames
+-- cascade. default_price (USD) prefills the sales form;
+-- default_commission_rate applies when no commission
+-- rule matches.
+-- ==============================================
+CREATE TABLE ad_types (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  default_price DECIMAL(10, 2) CHECK (default_price >= 0),
+  default_commission_rate DECIMAL(5, 2) CHECK (default_commission_rate >= 0 AND default_commission_rate <= 100),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- PAYMENT METHODS TABLE
+-- Admin-managed catalog of ways clients pay, with the
+-- same defaults as ad types. An ad type's defaults take
+-- precedence over its payment method's.
+-- ==============================================
+CREATE TABLE payment_methods (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  default_price DECIMAL(10, 2) CHECK (default_price >= 0),
+  default_commission_rate DECIMAL(5, 2) CHECK (default_commission_rate >= 0 AND default_commission_rate <= 100),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- COMMISSION RULES TABLE
+-- A NULL ad_type or journalist_id matches any value.
+-- Rules sharing a scope with different min_monthly_revenue
+-- values form revenue tiers for that scope.
+-- ==============================================
+CREATE TABLE commission_rules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  ad_type VARCHAR(50) REFERENCES ad_types(name) ON UPDATE CASCADE,
+  journalist_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  min_monthly_revenue DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (min_monthly_revenue >= 0),
+  commission_rate DECIMAL(5, 2) NOT NULL CHECK (commission_rate >= 0 AND commission_rate <= 100),
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  effective_to DATE,
+  priority INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- ==============================================
+-- EXCHANGE RATES TABLE
+-- Units of a currency per 1 USD, effective from a date
+-- until the next rate for that currency.
+-- ==============================================
+CREATE TABLE exchange_rates (
+  id SERIAL PRIMARY KEY,
+  currency VARCHAR(3) CHECK (currency IN ('ZWG', 'ZAR')) NOT NULL,
+  rate DECIMAL(18, 6) NOT NULL CHECK (rate > 0),
+  effective_date DATE NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (currency, effective_date)
 );
 
 -- ==============================================
 -- SALES TABLE
 -- ==============================================
+-- Clients and journalists with sales can't be purged, only soft-deleted, so
+-- their sales history is never lost.
 CREATE TABLE sales (
   id SERIAL PRIMARY KEY,
-  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
-  journalist_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE RESTRICT,
+  journalist_id INTEGER REFERENCES users(id) ON DELETE RESTRICT,
   amount DECIMAL(10, 2) NOT NULL,
-  payment_method VARCHAR(50) CHECK (payment_method IN 
-    ('Cash', 'Ecocash', 'InnBucks', 'Omari', 'Bank Transfer')) NOT NULL,
+  currency VARCHAR(3) CHECK (currency IN ('USD', 'ZWG', 'ZAR')) NOT NULL DEFAULT 'USD',
+  exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1 CHECK (exchange_rate > 0),
+  payment_method VARCHAR(50) REFERENCES payment_methods(name) ON UPDATE CASCADE NOT NULL,
   payment_date DATE NOT NULL,
-  ad_type VARCHAR(50) CHECK (ad_type IN 
-    ('WhatsApp Channel', 'WhatsApp Group', 'Print', 'Radio', 'TV', 'Digital Banner')) NOT NULL,
+  ad_type VARCHAR(50) REFERENCES ad_types(name) ON UPDATE CASCADE NOT NULL,
   description TEXT,
   proof_of_payment_url VARCHAR(500),
-  status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
+  status VARCHAR(20) CHECK (status IN ('pending', 'needs_info', 'approved', 'rejected')) DEFAULT 'pending',
+  approvals_required SMALLINT NOT NULL DEFAULT 1 CHECK (approvals_required >= 1),
+  approval_count SMALLINT NOT NULL DEFAULT 0,
   commission_amount DECIMAL(10, 2),
   commission_rate DECIMAL(5, 2) DEFAULT 10.00,
+  commission_rule_id INTEGER REFERENCES commission_rules(id) ON DELETE SET NULL,
+  -- The rule's name when the sale was approved (commission_rate holds its
+  -- rate), so editing or deleting the rule later leaves this sale's history as it was
+  commission_rule_name VARCHAR(255),
+  -- Commission reversed by credit notes, in the base currency
+  commission_reversed DECIMAL(10, 2) NOT NULL DEFAULT 0,
   approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
   approved_at TIMESTAMP,
   rejection_reason TEXT,
+  -- Quotation the sale was converted from, kept while the sale is in the
+  -- trash so a restore can link them again (foreign key added after quotations)
+  quotation_id INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP,
+  deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ==============================================
+-- SALE APPROVALS TABLE
+-- ==============================================
+-- Every decision on a sale. A sale stays pending until it has
+-- approvals_required approvals from different approvers (approval_count so
+-- far); approvers can send it back to the journalist as needs_info, or reject
+-- it, and the journalist can edit and resubmit it, which starts the approvals
+-- over. `revision` is the sale revision the decision was made on.
+CREATE TABLE sale_approvals (
+  id SERIAL PRIMARY KEY,
+  sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE NOT NULL,
+  user_id INTEGER REFERENCES users(id) NOT NULL,
+  action VARCHAR(20) CHECK (action IN ('approved', 'rejected', 'needs_info', 'resubmitted')) NOT NULL,
+  level SMALLINT,
+  revision INTEGER,
+  comment TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ==============================================
+-- SALE REVISIONS TABLE
+-- ==============================================
+-- A snapshot of a sale's details as submitted (revision 1) and after each edit
+CREATE TABLE sale_revisions (
+  id SERIAL PRIMARY KEY,
+  sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE NOT NULL,
+  revision INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  changed_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (sale_id, revision)
+);
+
+-- ==============================================
+-- SALE COMMENTS TABLE
+-- ==============================================
+-- Discussion on a sale, with @mentions and an optional attachment. Internal
+-- comments are hidden from the sale's journalist.
+CREATE TABLE sale_comments (
+  id SERIAL PRIMARY KEY,
+  sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE NOT NULL,
+  user_id INTEGER REFERENCES users(id) NOT NULL,
+  body TEXT NOT NULL DEFAULT '',
+  is_internal BOOLEAN NOT NULL DEFAULT false,
+  mentioned_user_ids INTEGER[] NOT NULL DEFAULT '{}',
+  attachment_url VARCHAR(500),
+  attachment_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (body <> '' OR attachment_url IS NOT NULL)
+);
+
 -- ==============================================
 -- INVOICES TABLE
 -- ==============================================
+-- Invoices for a sale are issued already paid; invoices raised directly for a
+-- client start as drafts and are settled by client payments:
+-- draft -> issued -> partially_paid -> paid, or void. Invoices are never deleted:
+-- unpaid invoices are voided with a reason, and issued ones are reduced by credit
+-- notes, becoming credited once the full total has been credited.
 CREATE TABLE invoices (
   id SERIAL PRIMARY KEY,
   sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE UNIQUE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
   invoice_number VARCHAR(50) UNIQUE NOT NULL,
   client_name VARCHAR(255) NOT NULL,
   client_phone VARCHAR(20),
-  amount DECIMAL(10, 2) NOT NULL,
-  payment_method VARCHAR(50) NOT NULL,
-  payment_date DATE NOT NULL,
+  subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount DECIMAL(10, 2) NOT NULL, -- invoice total: subtotal - discount_total + tax_total
+  amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount_credited DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) CHECK (currency IN ('USD', 'ZWG', 'ZAR')) NOT NULL DEFAULT 'USD',
+  exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1 CHECK (exchange_rate > 0),
+  status VARCHAR(20) CHECK (status IN ('draft', 'issued', 'partially_paid', 'paid', 'credited', 'void')) NOT NULL DEFAULT 'draft',
+  issue_date DATE,
+  due_date DATE,
+  payment_method VARCHAR(50),
+  payment_date DATE,
   ad_type VARCHAR(50),
   description TEXT,
   generated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
   generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  pdf_path VARCHAR(500)
+  pdf_path VARCHAR(500),
+  void_reason TEXT,
+  voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  voided_at TIMESTAMP,
+  CHECK (status <> 'void' OR void_reason IS NOT NULL)
+);
+
+-- ==============================================
+-- INVOICE ITEMS TABLE
+-- ==============================================
+-- Line amounts are computed server-side and stored in the invoice currency
+CREATE TABLE invoice_items (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE NOT NULL,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  ad_type VARCHAR(50),
+  quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+  discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (discount_percent >= 0 AND discount_percent <= 100),
+  tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100),
+  line_subtotal DECIMAL(10, 2) NOT NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  line_total DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(invoice_id, line_number)
+);
+
+-- ==============================================
+-- CLIENT PAYMENTS TABLE
+-- ==============================================
+-- Money received from clients against an invoice, in the invoice currency.
+-- An invoice can be settled by several payments in different methods.
+CREATE TABLE client_payments (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE NOT NULL,
+  client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) CHECK (currency IN ('USD', 'ZWG', 'ZAR')) NOT NULL DEFAULT 'USD',
+  payment_method VARCHAR(50) REFERENCES payment_methods(name) ON UPDATE CASCADE NOT NULL,
+  payment_date DATE NOT NULL,
+  reference_number VARCHAR(100),
+  notes TEXT,
+  recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- CREDIT NOTES TABLE
+-- ==============================================
+-- Credits against an issued invoice, in the invoice currency. The amount is
+-- split between net and VAT in the same proportion as the invoice total.
+CREATE TABLE credit_notes (
+  id SERIAL PRIMARY KEY,
+  credit_note_number VARCHAR(50) UNIQUE NOT NULL,
+  invoice_id INTEGER REFERENCES invoices(id) ON DELETE RESTRICT NOT NULL,
+  client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+  subtotal DECIMAL(10, 2) NOT NULL,
+  tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) CHECK (currency IN ('USD', 'ZWG', 'ZAR')) NOT NULL DEFAULT 'USD',
+  exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1 CHECK (exchange_rate > 0),
+  reason TEXT NOT NULL,
+  issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  commission_reversed DECIMAL(10, 2) NOT NULL DEFAULT 0, -- base currency
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- QUOTATIONS TABLE
+-- ==============================================
+-- draft -> sent -> accepted -> converted (into a pending sale), or declined.
+-- Open quotations past valid_until become expired.
+CREATE TABLE quotations (
+  id SERIAL PRIMARY KEY,
+  quote_number VARCHAR(50) UNIQUE NOT NULL,
+  client_id INTEGER REFERENCES clients(id) ON DELETE RESTRICT NOT NULL,
+  journalist_id INTEGER REFERENCES users(id) ON DELETE RESTRICT NOT NULL,
+  ad_type VARCHAR(50) REFERENCES ad_types(name) ON UPDATE CASCADE NOT NULL,
+  currency VARCHAR(3) CHECK (currency IN ('USD', 'ZWG', 'ZAR')) NOT NULL DEFAULT 'USD',
+  description TEXT,
+  notes TEXT,
+  subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  valid_until DATE NOT NULL,
+  status VARCHAR(20) CHECK (status IN ('draft', 'sent', 'accepted', 'declined', 'expired', 'converted')) NOT NULL DEFAULT 'draft',
+  sent_at TIMESTAMP,
+  responded_at TIMESTAMP,
+  sale_id INTEGER REFERENCES sales(id) ON DELETE SET NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (valid_until >= issue_date)
+);
+
+ALTER TABLE sales ADD FOREIGN KEY (quotation_id) REFERENCES quotations(id) ON DELETE SET NULL;
+
+-- ==============================================
+-- QUOTATION ITEMS TABLE
+-- ==============================================
+-- Same pricing as invoice_items, in the quotation currency
+CREATE TABLE quotation_items (
+  id SERIAL PRIMARY KEY,
+  quotation_id INTEGER REFERENCES quotations(id) ON DELETE CASCADE NOT NULL,
+  line_number INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  ad_type VARCHAR(50),
+  quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+  unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+  discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (discount_percent >= 0 AND discount_percent <= 100),
+  tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100),
+  line_subtotal DECIMAL(10, 2) NOT NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  line_total DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(quotation_id, line_number)
 );
 
 -- ==============================================
@@ -87,13 +442,215 @@ CREATE TABLE invoices (
 -- ==============================================
 CREATE TABLE commission_payments (
   id SERIAL PRIMARY KEY,
-  journalist_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  journalist_id INTEGER REFERENCES users(id) ON DELETE RESTRICT,
   amount DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) CHECK (currency IN ('USD', 'ZWG', 'ZAR')) NOT NULL DEFAULT 'USD',
+  exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1 CHECK (exchange_rate > 0),
   payment_date DATE NOT NULL,
   payment_method VARCHAR(50),
   reference_number VARCHAR(100),
   notes TEXT,
   paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP,
+  deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ==============================================
+-- COMMISSION PAYMENT ALLOCATIONS TABLE
+-- Links payments to the sales they settle; a sale may be
+-- settled across several payments and vice versa.
+-- ==============================================
+CREATE TABLE commission_payment_allocations (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER REFERENCES commission_payments(id) ON DELETE CASCADE NOT NULL,
+  sale_id INTEGER REFERENCES sales(id) ON DELETE CASCADE NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (payment_id, sale_id)
+);
+
+-- ==============================================
+-- COMMISSION LEDGER TABLE
+-- Append-only record of commission owed to journalists.
+-- Credits increase what we owe (accrual, payout_reversal),
+-- debits decrease it (reversal, payout). A journalist's
+-- balance is SUM(credit - debit). Entries are never edited;
+-- corrections are posted as reversing entries.
+-- Amounts are in USD, converted at the rate captured
+-- on the sale or payment.
+-- ==============================================
+CREATE TABLE commission_ledger (
+  id SERIAL PRIMARY KEY,
+  journalist_id INTEGER REFERENCES users(id) ON DELETE RESTRICT NOT NULL,
+  entry_type VARCHAR(20) CHECK (entry_type IN
+    ('accrual', 'reversal', 'payout', 'payout_reversal')) NOT NULL,
+  entry_date DATE NOT NULL,
+  sale_id INTEGER REFERENCES sales(id) ON DELETE SET NULL,
+  payment_id INTEGER REFERENCES commission_payments(id) ON DELETE SET NULL,
+  debit DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+  credit DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+  description TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((debit = 0) <> (credit = 0))
+);
+
+-- ==============================================
+-- SENT EMAILS TABLE
+-- ==============================================
+-- Outbound email queue and log. Messages are rendered when queued and sent by
+-- a background worker; failures are retried with backoff until max_attempts.
+CREATE TABLE sent_emails (
+  id SERIAL PRIMARY KEY,
+  template VARCHAR(50) NOT NULL,
+  to_address VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body_text TEXT NOT NULL,
+  body_html TEXT,
+  related_type VARCHAR(30), -- e.g. 'invoice', 'statement'
+  related_id INTEGER,
+  status VARCHAR(20) CHECK (status IN ('queued', 'sending', 'sent', 'failed')) NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  transport VARCHAR(20),
+  message_id VARCHAR(255),
+  sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Attachments are stored with the message so retries send the same content
+CREATE TABLE sent_email_attachments (
+  id SERIAL PRIMARY KEY,
+  email_id INTEGER REFERENCES sent_emails(id) ON DELETE CASCADE NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL DEFAULT 'application/pdf',
+  content BYTEA NOT NULL
+);
+
+-- ==============================================
+-- NOTIFICATION PREFERENCES TABLE
+-- ==============================================
+-- Per-user choice of channels for each notification event. Events without a
+-- row for a channel fall back to the defaults in utils/notifier.js.
+CREATE TABLE notification_preferences (
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  channel VARCHAR(20) CHECK (channel IN ('email', 'sms', 'whatsapp')) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, event, channel)
+);
+
+-- ==============================================
+-- NOTIFICATIONS TABLE
+-- ==============================================
+-- One row per message sent (or attempted) to a user or client on one channel.
+-- Email notifications go through sent_emails and are 'queued' here.
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  event VARCHAR(50) NOT NULL,
+  channel VARCHAR(20) CHECK (channel IN ('email', 'sms', 'whatsapp')) NOT NULL,
+  provider VARCHAR(20),
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  address VARCHAR(255),
+  message TEXT NOT NULL,
+  status VARCHAR(20) CHECK (status IN ('queued', 'sent', 'failed', 'skipped')) NOT NULL,
+  error TEXT,
+  email_id INTEGER REFERENCES sent_emails(id) ON DELETE SET NULL,
+  related_type VARCHAR(30),
+  related_id INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (user_id IS NOT NULL OR client_id IS NOT NULL)
+);
+
+-- ==============================================
+-- USER NOTIFICATIONS TABLE
+-- ==============================================
+-- In-app notifications shown under the navbar bell, pushed live over
+-- /api/notifications/stream. Unread until read_at is set.
+CREATE TABLE user_notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  title VARCHAR(200) NOT NULL,
+  message TEXT NOT NULL,
+  link VARCHAR(255),
+  related_type VARCHAR(30),
+  related_id INTEGER,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- AUDIT LOG TABLE
+-- ==============================================
+-- Every successful write through the API: who did it, to what, and the entity
+-- before and after (passwords redacted). actor_name is kept so entries stay
+-- readable after a user is deleted.
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_name VARCHAR(200),
+  action VARCHAR(100) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(100),
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  before_data JSONB,
+  after_data JSONB,
+  changes JSONB NOT NULL DEFAULT '{}',
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- USER SESSIONS TABLE
+-- ==============================================
+-- One row per login. Access tokens carry the session id and are only
+-- accepted while the session is live; the refresh token is stored as a
+-- SHA-256 hash and replaced on every refresh.
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+-- ==============================================
+-- PASSWORD RESET TOKENS TABLE
+-- ==============================================
+-- Emailed by /api/auth/forgot-password. Stored as a SHA-256 hash, valid
+-- until expires_at and only once (used_at).
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  requested_ip VARCHAR(64),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ==============================================
+-- PASSWORD HISTORY TABLE
+-- ==============================================
+-- Previous password hashes, so the password_history_count setting can stop
+-- users reusing recent passwords.
+CREATE TABLE password_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -107,18 +664,69 @@ CREATE TABLE settings (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ==============================================
+-- DOCUMENT SEQUENCES TABLE
+-- ==============================================
+-- Last number issued per document type (invoice, quotation, credit_note) and
+-- year. Rows are incremented inside the transaction that inserts the document,
+-- so numbers are unique and gap-free and survive prefix changes.
+CREATE TABLE document_sequences (
+  document_type VARCHAR(30) NOT NULL,
+  year INTEGER NOT NULL,
+  last_value INTEGER NOT NULL DEFAULT 0 CHECK (last_value >= 0),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (document_type, year)
+);
+
 -- ==============================================
 -- INDEXES FOR PERFORMANCE
 -- ==============================================
-CREATE INDEX idx_users_email ON users(email);
+-- Emails are unique among users not in the trash
+CREATE UNIQUE INDEX idx_users_email ON users(email) WHERE deleted_at IS NULL;
 CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_teams_manager ON teams(manager_id);
+CREATE INDEX idx_teams_parent ON teams(parent_id);
+CREATE INDEX idx_team_members_team ON team_members(team_id);
 CREATE INDEX idx_clients_added_by ON clients(added_by);
 CREATE INDEX idx_sales_journalist ON sales(journalist_id);
 CREATE INDEX idx_sales_client ON sales(client_id);
 CREATE INDEX idx_sales_status ON sales(status);
 CREATE INDEX idx_sales_date ON sales(payment_date);
+CREATE INDEX idx_sale_approvals_sale ON sale_approvals(sale_id, id);
+CREATE INDEX idx_sale_comments_sale ON sale_comments(sale_id, created_at);
+CREATE INDEX idx_users_deleted ON users(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_clients_deleted ON clients(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_sales_deleted ON sales(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_commission_payments_deleted ON commission_payments(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_commission_rules_scope ON commission_rules(ad_type, journalist_id);
 CREATE INDEX idx_invoices_sale ON invoices(sale_id);
+CREATE INDEX idx_invoices_client_status ON invoices(client_id, status);
+CREATE INDEX idx_invoice_items_invoice ON invoice_items(invoice_id);
+CREATE INDEX idx_client_payments_invoice ON client_payments(invoice_id);
+CREATE INDEX idx_client_payments_client ON client_payments(client_id);
+CREATE INDEX idx_credit_notes_invoice ON credit_notes(invoice_id);
+CREATE INDEX idx_sent_emails_queue ON sent_emails(status, next_attempt_at);
+CREATE INDEX idx_sent_emails_related ON sent_emails(related_type, related_id);
+CREATE INDEX idx_sent_email_attachments_email ON sent_email_attachments(email_id);
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at);
+CREATE INDEX idx_notifications_client ON notifications(client_id, created_at);
+CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, created_at);
+CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id) WHERE used_at IS NULL;
+CREATE INDEX idx_password_history_user ON password_history(user_id, created_at);
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_user_notifications_user ON user_notifications(user_id, created_at);
+CREATE INDEX idx_user_notifications_unread ON user_notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX idx_quotations_journalist ON quotations(journalist_id);
+CREATE INDEX idx_quotations_status ON quotations(status, valid_until);
+CREATE INDEX idx_quotation_items_quotation ON quotation_items(quotation_id);
 CREATE INDEX idx_commission_journalist ON commission_payments(journalist_id);
+CREATE INDEX idx_ledger_journalist_date ON commission_ledger(journalist_id, entry_date);
+CREATE INDEX idx_ledger_sale ON commission_ledger(sale_id);
+CREATE INDEX idx_ledger_payment ON commission_ledger(payment_id);
+CREATE INDEX idx_allocations_payment ON commission_payment_allocations(payment_id);
+CREATE INDEX idx_allocations_sale ON commission_payment_allocations(sale_id);
 
 -- ==============================================
 -- INSERT DEFAULT SETTINGS
@@ -127,7 +735,82 @@ INSERT INTO settings (setting_key, setting_value) VALUES
 ('company_name', 'AfroGazette Media & Advertising'),
 ('company_address', 'Office 4, Second Floor, Karimapondo Building, 78 Leopold Takawira, Harare, Zimbabwe'),
 ('default_commission_rate', '10.00'),
-('invoice_prefix', 'INV');
+('reporting_currency', 'USD'),
+('invoice_prefix', 'INV'),
+('quotation_prefix', 'QUO'),
+('credit_note_prefix', 'CN'),
+('document_number_format', '{prefix}-{yyyy}-{seq:4}'),
+('quotation_validity_days', '30'),
+('payment_terms_days', '30'),
+('vat_rate', '15.00'),
+('sale_second_approval_threshold', '1000.00'),
+('trash_retention_days', '30'),
+('password_min_length', '8'),
+('password_require_mixed_case', 'false'),
+('password_require_number', 'false'),
+('password_require_symbol', 'false'),
+('password_history_count', '3'),
+('password_reset_expiry_minutes', '60'),
+('login_max_attempts', '5'),
+('login_lockout_minutes', '15');
+
+-- ==============================================
+-- INSERT DEFAULT ROLES
+-- ==============================================
+INSERT INTO roles (name, label, description, is_system) VALUES
+('admin', 'Admin', 'Full access to everything', true),
+('journalist', 'Journalist', 'Records their own sales and quotations and earns commission', true),
+('finance_clerk', 'Finance Clerk', 'Records client and commission payments', false),
+('sales_manager', 'Sales Manager', 'Approves and follows the sales of the teams they manage', false),
+('auditor', 'Auditor', 'Read-only access to records, reports and logs', false);
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM roles r
+JOIN (VALUES
+  ('journalist', 'clients.view'),
+  ('journalist', 'clients.manage'),
+  ('journalist', 'sales.create'),
+  ('finance_clerk', 'users.view'),
+  ('finance_clerk', 'clients.view'),
+  ('finance_clerk', 'sales.view_all'),
+  ('finance_clerk', 'invoices.view'),
+  ('finance_clerk', 'invoices.payments'),
+  ('finance_clerk', 'commissions.view_all'),
+  ('finance_clerk', 'commissions.pay'),
+  ('finance_clerk', 'reports.view'),
+  ('sales_manager', 'users.view'),
+  ('sales_manager', 'clients.view'),
+  ('sales_manager', 'clients.manage'),
+  ('sales_manager', 'sales.view_team'),
+  ('sales_manager', 'sales.approve'),
+  ('sales_manager', 'invoices.view'),
+  ('auditor', 'users.view'),
+  ('auditor', 'clients.view'),
+  ('auditor', 'sales.view_all'),
+  ('auditor', 'invoices.view'),
+  ('auditor', 'commissions.view_all'),
+  ('auditor', 'reports.view'),
+  ('auditor', 'audit.view')
+) AS p(role, permission) ON p.role = r.name;
+
+-- ==============================================
+-- INSERT DEFAULT AD TYPES AND PAYMENT METHODS
+-- ==============================================
+INSERT INTO ad_types (name) VALUES
+('WhatsApp Channel'),
+('WhatsApp Group'),
+('Print'),
+('Radio'),
+('TV'),
+('Digital Banner');
+
+INSERT INTO payment_methods (name) VALUES
+('Cash'),
+('Ecocash'),
+('InnBucks'),
+('Omari'),
+('Bank Transfer');
 
 -- ==============================================
 -- CREATE DEFAULT ADMIN USER
@@ -158,6 +841,35 @@ VALUES (
   'journalist'
 );
 
+-- Sample Desk Manager
+INSERT INTO users (first_name, last_name, email, password_hash, phone_number, role)
+VALUES (
+  'Grace',
+  'Moyo',
+  'grace@afrogazette.com',
+  '$2b$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi',
+  '+263772345678',
+  'sales_manager'
+);
+
+-- Sample Teams (regional desks); Grace manages the Harare desk, where John works
+INSERT INTO teams (name, description, manager_id)
+VALUES
+('Harare Desk', 'Harare and Mashonaland', 3),
+('Bulawayo Desk', 'Bulawayo and Matabeleland', NULL),
+('Mutare Desk', 'Mutare and Manicaland', NULL);
+
+INSERT INTO team_members (user_id, team_id)
+VALUES
+(2, 1),
+(3, 1);
+
+-- Sample Exchange Rates (units per 1 USD)
+INSERT INTO exchange_rates (currency, rate, effective_date, created_by)
+VALUES
+('ZWG', 26.500000, '2025-01-01', 1),
+('ZAR', 18.400000, '2025-01-01', 1);
+
 -- Sample Clients
 INSERT INTO clients (client_name, contact_person, phone_number, email, address, added_by) 
 VALUES 
@@ -166,17 +878,46 @@ VALUES
 ('Local Shop', 'Mary Williams', '+263714567890', 'mary@localshop.co.zw', '789 Market Street, Harare', 2);
 
 -- Sample Sales
-INSERT INTO sales (client_id, journalist_id, amount, payment_method, payment_date, ad_type, description, status, commission_amount, commission_rate, approved_by, approved_at)
+INSERT INTO sales (client_id, journalist_id, amount, payment_method, payment_date, ad_type, description, status, approval_count, commission_amount, commission_rate, approved_by, approved_at)
 VALUES
-(1, 2, 500.00, 'Ecocash', '2025-01-15', 'WhatsApp Channel', 'Monthly advertising campaign', 'approved', 50.00, 10.00, 1, CURRENT_TIMESTAMP),
-(2, 2, 750.00, 'Bank Transfer', '2025-01-20', 'Radio', 'Radio spot advertisement', 'approved', 75.00, 10.00, 1, CURRENT_TIMESTAMP),
-(3, 2, 300.00, 'Cash', '2025-01-25', 'Print', 'Newspaper advertisement', 'pending', 30.00, 10.00, NULL, NULL);
+(1, 2, 500.00, 'Ecocash', '2025-01-15', 'WhatsApp Channel', 'Monthly advertising campaign', 'approved', 1, 50.00, 10.00, 1, CURRENT_TIMESTAMP),
+(2, 2, 750.00, 'Bank Transfer', '2025-01-20', 'Radio', 'Radio spot advertisement', 'approved', 1, 75.00, 10.00, 1, CURRENT_TIMESTAMP),
+(3, 2, 300.00, 'Cash', '2025-01-25', 'Print', 'Newspaper advertisement', 'pending', 0, 30.00, 10.00, NULL, NULL);
+
+INSERT INTO sale_revisions (sale_id, revision, snapshot, changed_by)
+SELECT s.id, 1, jsonb_build_object(
+    'client_id', s.client_id, 'client_name', c.client_name, 'amount', s.amount,
+    'currency', s.currency, 'payment_method', s.payment_method, 'payment_date', s.payment_date,
+    'ad_type', s.ad_type, 'description', s.description, 'proof_of_payment_url', s.proof_of_payment_url
+  ), s.journalist_id
+FROM sales s
+LEFT JOIN clients c ON s.client_id = c.id;
+
+INSERT INTO sale_approvals (sale_id, user_id, action, level, revision)
+VALUES
+(1, 1, 'approved', 1, 1),
+(2, 1, 'approved', 1, 1);
 
 -- Sample Commission Payment
 INSERT INTO commission_payments (journalist_id, amount, payment_date, payment_method, reference_number, notes, paid_by)
 VALUES
 (2, 50.00, '2025-01-16', 'Ecocash', 'ECOCASH-2025-001', 'Commission for ABC Corporation sale', 1);
 
+-- Sample Allocation (payment 1 settles the ABC Corporation sale)
+INSERT INTO commission_payment_allocations (payment_id, sale_id, amount)
+VALUES
+(1, 1, 50.00);
+
+-- Ledger entries for the sample approved sales and payment
+INSERT INTO commission_ledger (journalist_id, entry_type, entry_date, sale_id, credit, description, created_by)
+SELECT journalist_id, 'accrual', payment_date, id, ROUND(commission_amount / exchange_rate, 2), 'Commission on sale #' || id, approved_by
+FROM sales
+WHERE status = 'approved' AND commission_amount > 0;
+
+INSERT INTO commission_ledger (journalist_id, entry_type, entry_date, payment_id, debit, description, created_by)
+SELECT journalist_id, 'payout', payment_date, id, ROUND(amount / exchange_rate, 2), 'Commission payment #' || id, paid_by
+FROM commission_payments;
+
 -- ==============================================
 -- DATABASE SETUP COMPLETE
 -- ==============================================
@@ -4,17 +4,29 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Navbar from './components/layout/Navbar';
 import Sidebar from './components/layout/Sidebar';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import ChangePassword from './pages/ChangePassword';
 import Dashboard from './pages/Dashboard';
 import Users from './pages/Users';
 import Clients from './pages/Clients';
 import Sales from './pages/Sales';
+import Quotations from './pages/Quotations';
+import EmailLog from './pages/EmailLog';
+import AuditLog from './pages/AuditLog';
+import Trash from './pages/Trash';
+import Maintenance from './pages/Maintenance';
+import NotificationSettings from './pages/NotificationSettings';
 import Invoices from './pages/Invoices';
 import Settings from './pages/Settings';
+import Roles from './pages/Roles';
+import Teams from './pages/Teams';
 import Reports from './pages/Reports';
 
 // Protected Route Component
-const ProtectedRoute = ({ children, adminOnly = false }) => {
-  const { isAuthenticated, loading, isAdmin } = useAuth();
+// `permission` may be one key or a list, any of which is enough
+const ProtectedRoute = ({ children, permission }) => {
+  const { isAuthenticated, loading, hasPermission } = useAuth();
 
   if (loading) {
     return (
@@ -28,7 +40,7 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && !isAdmin()) {
+  if (permission && !hasPermission(...[].concat(permission))) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -67,6 +79,9 @@ function AppContent() {
           element={isAuthenticated ? <Navigate to="/dashboard" replace /> : <Login />}
         />
 
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+
         {/* Protected Routes */}
         <Route
           path="/dashboard"
@@ -82,7 +97,7 @@ function AppContent() {
         <Route
           path="/users"
           element={
-            <ProtectedRoute adminOnly>
+            <ProtectedRoute permission="users.view">
               <Layout>
                 <Users />
               </Layout>
@@ -90,10 +105,32 @@ function AppContent() {
           }
         />
 
+        <Route
+          path="/roles"
+          element={
+            <ProtectedRoute permission="roles.manage">
+              <Layout>
+                <Roles />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/teams"
+          element={
+            <ProtectedRoute permission="teams.manage">
+              <Layout>
+                <Teams />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/clients"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute permission="clients.view">
               <Layout>
                 <Clients />
               </Layout>
@@ -104,7 +141,7 @@ function AppContent() {
         <Route
           path="/sales"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute permission={['sales.create', 'sales.view_all', 'sales.view_team']}>
               <Layout>
                 <Sales />
               </Layout>
@@ -112,10 +149,21 @@ function AppContent() {
           }
         />
 
+        <Route
+          path="/quotations"
+          element={
+            <ProtectedRoute permission={['sales.create', 'sales.view_all', 'sales.view_team']}>
+              <Layout>
+                <Quotations />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/invoices"
           element={
-            <ProtectedRoute adminOnly>
+            <ProtectedRoute permission="invoices.view">
               <Layout>
                 <Invoices />
               </Layout>
@@ -137,7 +185,7 @@ function AppContent() {
         <Route
           path="/reports"
           element={
-            <ProtectedRoute adminOnly>
+            <ProtectedRoute permission="reports.view">
               <Layout>
                 <Reports />
               </Layout>
@@ -145,10 +193,76 @@ function AppContent() {
           }
         />
 
+        <Route
+          path="/emails"
+          element={
+            <ProtectedRoute permission="audit.view">
+              <Layout>
+                <EmailLog />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/audit-log"
+          element={
+            <ProtectedRoute permission="audit.view">
+              <Layout>
+                <AuditLog />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/trash"
+          element={
+            <ProtectedRoute permission="trash.manage">
+              <Layout>
+                <Trash />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/maintenance"
+          element={
+            <ProtectedRoute permission="maintenance.use">
+              <Layout>
+                <Maintenance />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/notifications"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <NotificationSettings />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/change-password"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <ChangePassword />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/settings"
           element={
-            <ProtectedRoute adminOnly>
+            <ProtectedRoute permission="settings.manage">
               <Layout>
                 <Settings />
               </Layout>
@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../../services/api';
+
+// The password rules from settings, listed under new-password fields
+const PasswordRules = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    authAPI.getPasswordPolicy()
+      .then((response) => setPolicy(response.data.policy))
+      .catch((error) => console.error('Error fetching password policy:', error));
+  }, []);
+
+  if (!policy) return null;
+
+  const rules = [`At least ${policy.min_length} characters`];
+  if (policy.require_mixed_case) rules.push('Upper and lower case letters');
+  if (policy.require_number) rules.push('At least one number');
+  if (policy.require_symbol) rules.push('At least one symbol');
+  if (policy.history_count > 0) rules.push(`Not one of your last ${policy.history_count} passwords`);
+
+  return (
+    <ul className="text-xs text-gray-500 list-disc list-inside space-y-1">
+      {rules.map((rule) => <li key={rule}>{rule}</li>)}
+    </ul>
+  );
+};
+
+export default PasswordRules;
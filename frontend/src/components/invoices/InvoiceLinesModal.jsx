@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import LineItemsEditor, { emptyLine } from './LineItemsEditor';
+
+// `children` are extra fields shown above the lines (e.g. the client for a new invoice)
+const InvoiceLinesModal = ({ isOpen, onClose, onSubmit, title, submitLabel, currency, initialLines, vatRate, children }) => {
+  const [lines, setLines] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setLines(initialLines.length > 0 ? initialLines : [emptyLine(vatRate)]);
+    }
+  }, [isOpen, initialLines, vatRate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSubmit(lines);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="xl">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {children}
+        <LineItemsEditor lines={lines} onChange={setLines} currency={currency} vatRate={vatRate} />
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="primary" loading={saving}>{submitLabel}</Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default InvoiceLinesModal;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { invoicesAPI } from '../../services/api';
+import Button from '../common/Button';
+import Input, { Select } from '../common/Input';
+import Modal, { ConfirmModal } from '../common/Modal';
+import { formatMoney } from '../../utils/currency';
+import { TrashIcon } from '@heroicons/react/24/outline';
+
+const emptyPayment = () => ({
+  amount: '',
+  payment_method: '',
+  payment_date: new Date().toISOString().split('T')[0],
+  reference_number: '',
+  notes: '',
+});
+
+// Client payments received against an invoice, with a form to record more
+const InvoicePaymentsModal = ({ invoice, paymentMethods, onClose, onChange }) => {
+  const [current, setCurrent] = useState(null);
+  const [payments, setPayments] = useState([]);
+  const [formData, setFormData] = useState(emptyPayment());
+  const [deletingPayment, setDeletingPayment] = useState(null);
+
+  useEffect(() => {
+    if (invoice) {
+      setFormData(emptyPayment());
+      fetchPayments();
+    }
+  }, [invoice]);
+
+  const fetchPayments = async () => {
+    try {
+      const response = await invoicesAPI.getById(invoice.id);
+      setCurrent(response.data.invoice);
+      setPayments(response.data.payments);
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await invoicesAPI.addPayment(invoice.id, formData);
+      setFormData(emptyPayment());
+      fetchPayments();
+      onChange();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error recording payment');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await invoicesAPI.deletePayment(invoice.id, deletingPayment.id);
+      setDeletingPayment(null);
+      fetchPayments();
+      onChange();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error deleting payment');
+    }
+  };
+
+  const canReceive = current && ['issued', 'partially_paid'].includes(current.status);
+
+  return (
+    <Modal isOpen={!!invoice} onClose={onClose} title={`Payments for ${invoice?.invoice_number || ''}`} size="lg">
+      <div className="space-y-4">
+        {current && (
+          <div className="grid grid-cols-3 gap-4 text-sm">
+            <div><span className="text-gray-500">Total</span><p className="font-semibold">{formatMoney(current.amount, current.currency)}</p></div>
+            <div><span className="text-gray-500">Paid</span><p className="font-semibold text-green-600">{formatMoney(current.amount_paid, current.currency)}</p></div>
+            <div><span className="text-gray-500">Balance Due</span><p className="font-semibold text-red-600">{formatMoney(current.balance_due, current.currency)}</p></div>
+          </div>
+        )}
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Method</th>
+                <th>Reference</th>
+                <th className="text-right">Amount</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map((payment) => (
+                <tr key={payment.id}>
+                  <td>{new Date(payment.payment_date).toLocaleDateString()}</td>
+                  <td>{payment.payment_method}</td>
+                  <td>{payment.reference_number || payment.notes || '—'}</td>
+                  <td className="text-right font-semibold">{formatMoney(payment.amount, payment.currency)}</td>
+                  <td>
+                    <button type="button" onClick={() => setDeletingPayment(payment)} className="text-red-600 hover:text-red-800">
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {payments.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="text-center text-gray-500">No payments recorded</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {canReceive && (
+          <form onSubmit={handleSubmit} className="space-y-4 border-t pt-4">
+            <h4 className="font-semibold text-gray-900">Record Payment</h4>
+            <div className="grid grid-cols-3 gap-4">
+              <Input label={`Amount (${current.currency})`} type="number" step="0.01" min="0.01" max={current.balance_due} name="amount" value={formData.amount} onChange={(e) => setFormData({...formData, amount: e.target.value})} required />
+              <Select label="Method" name="payment_method" value={formData.payment_method} onChange={(e) => setFormData({...formData, payment_method: e.target.value})} options={paymentMethods.map(m => ({value: m.name, label: m.name}))} required />
+              <Input label="Date" type="date" name="payment_date" value={formData.payment_date} onChange={(e) => setFormData({...formData, payment_date: e.target.value})} required />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <Input label="Reference" name="reference_number" value={formData.reference_number} onChange={(e) => setFormData({...formData, reference_number: e.target.value})} />
+              <Input label="Notes" name="notes" value={formData.notes} onChange={(e) => setFormData({...formData, notes: e.target.value})} />
+            </div>
+            <div className="flex justify-end">
+              <Button type="submit" variant="success">Record Payment</Button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      <ConfirmModal isOpen={!!deletingPayment} onClose={() => setDeletingPayment(null)} onConfirm={handleDelete} title="Delete Payment" message={`Delete the ${formatMoney(deletingPayment?.amount, deletingPayment?.currency)} payment? The invoice balance will be reopened.`} />
+    </Modal>
+  );
+};
+
+export default InvoicePaymentsModal;
@@ -0,0 +1,98 @@
+import React from 'react';
+import Button from '../common/Button';
+import { formatMoney } from '../../utils/currency';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+export const emptyLine = (vatRate) => ({
+  description: '',
+  ad_type: '',
+  quantity: 1,
+  unit_price: '',
+  discount_percent: 0,
+  tax_rate: vatRate,
+});
+
+// Preview of the server-side pricing: discount off the subtotal, VAT on the rest.
+// The server recomputes every amount when the document is saved.
+const priceLine = (line) => {
+  const subtotal = Math.round((parseFloat(line.quantity) || 0) * Math.round((parseFloat(line.unit_price) || 0) * 100));
+  const discount = Math.round(subtotal * (parseFloat(line.discount_percent) || 0) / 100);
+  const tax = Math.round((subtotal - discount) * (parseFloat(line.tax_rate) || 0) / 100);
+  return { subtotal, discount, tax, total: subtotal - discount + tax };
+};
+
+// Editable line items (invoices, quotations) with a totals preview
+const LineItemsEditor = ({ lines, onChange, currency, vatRate }) => {
+  const updateLine = (index, field, value) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    onChange(lines.filter((_, i) => i !== index));
+  };
+
+  const priced = lines.map(priceLine);
+  const sum = (field) => priced.reduce((total, line) => total + line[field], 0) / 100;
+
+  return (
+    <div className="space-y-4">
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th>Qty</th>
+              <th>Unit Price</th>
+              <th>Discount %</th>
+              <th>VAT %</th>
+              <th className="text-right">Amount</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((line, index) => (
+              <tr key={index}>
+                <td>
+                  <input className="form-input" value={line.description} onChange={(e) => updateLine(index, 'description', e.target.value)} required />
+                </td>
+                <td className="w-20">
+                  <input className="form-input" type="number" step="0.01" min="0.01" value={line.quantity} onChange={(e) => updateLine(index, 'quantity', e.target.value)} required />
+                </td>
+                <td className="w-28">
+                  <input className="form-input" type="number" step="0.01" min="0" value={line.unit_price} onChange={(e) => updateLine(index, 'unit_price', e.target.value)} required />
+                </td>
+                <td className="w-24">
+                  <input className="form-input" type="number" step="0.01" min="0" max="100" value={line.discount_percent} onChange={(e) => updateLine(index, 'discount_percent', e.target.value)} />
+                </td>
+                <td className="w-24">
+                  <input className="form-input" type="number" step="0.01" min="0" max="100" value={line.tax_rate} onChange={(e) => updateLine(index, 'tax_rate', e.target.value)} />
+                </td>
+                <td className="text-right font-semibold">{formatMoney(priced[index].total / 100, currency)}</td>
+                <td>
+                  {lines.length > 1 && (
+                    <button type="button" onClick={() => removeLine(index)} className="text-red-600 hover:text-red-800">
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <Button size="sm" variant="secondary" icon={<PlusIcon className="w-4 h-4" />} onClick={() => onChange([...lines, emptyLine(vatRate)])}>
+        Add Line
+      </Button>
+
+      <div className="ml-auto w-64 space-y-1 text-sm">
+        <div className="flex justify-between text-gray-600"><span>Subtotal</span><span>{formatMoney(sum('subtotal'), currency)}</span></div>
+        <div className="flex justify-between text-gray-600"><span>Discount</span><span>-{formatMoney(sum('discount'), currency)}</span></div>
+        <div className="flex justify-between text-gray-600"><span>VAT</span><span>{formatMoney(sum('tax'), currency)}</span></div>
+        <div className="flex justify-between font-bold text-gray-900 border-t pt-1"><span>Total</span><span>{formatMoney(sum('total'), currency)}</span></div>
+      </div>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
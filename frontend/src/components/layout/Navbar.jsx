@@ -1,20 +1,27 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import NotificationBell from './NotificationBell';
 import {
   Bars3Icon,
-  BellIcon,
   UserCircleIcon,
   ArrowRightOnRectangleIcon,
+  AdjustmentsHorizontalIcon,
+  KeyIcon,
 } from '@heroicons/react/24/outline';
 
 const Navbar = ({ onMenuClick }) => {
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
   const [showUserMenu, setShowUserMenu] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  const handleLogoutAll = async () => {
+    await logoutAll();
     navigate('/login');
   };
 
@@ -41,10 +48,7 @@ const Navbar = ({ onMenuClick }) => {
 
           <div className="flex items-center space-x-3">
             {/* Notifications */}
-            <button className="p-2 text-gray-600 rounded-lg hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 relative">
-              <BellIcon className="w-6 h-6" />
-              <span className="absolute top-1 right-1 block h-2 w-2 rounded-full bg-primary-600 ring-2 ring-white"></span>
-            </button>
+            <NotificationBell />
 
             {/* User menu */}
             <div className="relative">
@@ -76,11 +80,27 @@ const Navbar = ({ onMenuClick }) => {
                         </p>
                         <p className="mt-1">
                           <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-primary-100 text-primary-800 capitalize">
-                            {user?.role}
+                            {user?.role?.replace(/_/g, ' ')}
                           </span>
                         </p>
                       </div>
 
+                      <button
+                        onClick={() => { setShowUserMenu(false); navigate('/notifications'); }}
+                        className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        <AdjustmentsHorizontalIcon className="w-5 h-5 mr-3" />
+                        Notification settings
+                      </button>
+
+                      <button
+                        onClick={() => { setShowUserMenu(false); navigate('/change-password'); }}
+                        className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        <KeyIcon className="w-5 h-5 mr-3" />
+                        Change password
+                      </button>
+
                       <button
                         onClick={handleLogout}
                         className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
@@ -88,6 +108,14 @@ const Navbar = ({ onMenuClick }) => {
                         <ArrowRightOnRectangleIcon className="w-5 h-5 mr-3" />
                         Sign out
                       </button>
+
+                      <button
+                        onClick={handleLogoutAll}
+                        className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        <ArrowRightOnRectangleIcon className="w-5 h-5 mr-3" />
+                        Sign out everywhere
+                      </button>
                     </div>
                   </div>
                 </>
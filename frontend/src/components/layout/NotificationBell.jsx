@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationsAPI, refreshSession } from '../../services/api';
+import { BellIcon } from '@heroicons/react/24/outline';
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [showMenu, setShowMenu] = useState(false);
+
+  useEffect(() => {
+    fetchInbox();
+
+    // Live updates. The browser reconnects on its own if the stream drops,
+    // but gives up once the access token in the URL expires, so renew the
+    // token and open a new stream.
+    let stream;
+    let retry;
+    let closed = false;
+    const connect = () => {
+      stream = new EventSource(notificationsAPI.streamUrl());
+      stream.addEventListener('notification', (e) => {
+        const { notification, unread_count } = JSON.parse(e.data);
+        setNotifications((current) => [notification, ...current].slice(0, 20));
+        setUnreadCount(unread_count);
+      });
+      stream.addEventListener('unread', (e) => {
+        setUnreadCount(JSON.parse(e.data).unread_count);
+      });
+      stream.onerror = () => {
+        if (stream.readyState === EventSource.CLOSED && !closed) {
+          retry = setTimeout(() => {
+            refreshSession()
+              .then(() => !closed && connect())
+              .catch((error) => console.error('Error renewing notification stream:', error));
+          }, 5000);
+        }
+      };
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retry);
+      stream.close();
+    };
+  }, []);
+
+  const fetchInbox = async () => {
+    try {
+      const response = await notificationsAPI.getInbox();
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unread_count);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleOpen = (notification) => {
+    setShowMenu(false);
+    if (!notification.read_at) {
+      setNotifications(notifications.map((n) =>
+        n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n
+      ));
+      notificationsAPI.markRead(notification.id)
+        .then((response) => setUnreadCount(response.data.unread_count))
+        .catch((error) => console.error('Error marking notification read:', error));
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      setNotifications(notifications.map((n) => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowMenu(!showMenu)}
+        className="p-2 text-gray-600 rounded-lg hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-200 relative"
+      >
+        <BellIcon className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-primary-600 text-white text-xs font-medium ring-2 ring-white">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {showMenu && (
+        <>
+          {/* Backdrop */}
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setShowMenu(false)}
+          ></div>
+
+          {/* Menu */}
+          <div className="absolute right-0 z-50 mt-2 w-80 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <p className="text-sm font-medium text-gray-900">Notifications</p>
+              {unreadCount > 0 && (
+                <button onClick={handleMarkAllRead} className="text-xs text-primary-600 hover:text-primary-800">
+                  Mark all as read
+                </button>
+              )}
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              {notifications.map((notification) => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleOpen(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${notification.read_at ? '' : 'bg-primary-50'}`}
+                >
+                  <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                  <p className="text-sm text-gray-600">{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">{timeAgo(notification.created_at)}</p>
+                </button>
+              ))}
+              {notifications.length === 0 && (
+                <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
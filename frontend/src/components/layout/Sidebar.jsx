@@ -10,65 +10,112 @@ import {
   ChartBarIcon,
   CogIcon,
   CurrencyDollarIcon,
+  ClipboardDocumentListIcon,
+  EnvelopeIcon,
+  ShieldCheckIcon,
+  TrashIcon,
+  WrenchScrewdriverIcon,
+  KeyIcon,
+  BuildingOfficeIcon,
 } from '@heroicons/react/24/outline';
 
 const Sidebar = ({ isOpen, onClose }) => {
-  const { isAdmin } = useAuth();
+  const { hasPermission } = useAuth();
 
   const menuItems = [
     {
       name: 'Dashboard',
       path: '/dashboard',
       icon: HomeIcon,
-      roles: ['admin', 'journalist'],
     },
     {
       name: 'Users',
       path: '/users',
       icon: UsersIcon,
-      roles: ['admin'],
+      permission: 'users.view',
+    },
+    {
+      name: 'Roles',
+      path: '/roles',
+      icon: KeyIcon,
+      permission: 'roles.manage',
+    },
+    {
+      name: 'Teams',
+      path: '/teams',
+      icon: BuildingOfficeIcon,
+      permission: 'teams.manage',
     },
     {
       name: 'Clients',
       path: '/clients',
       icon: UserGroupIcon,
-      roles: ['admin', 'journalist'],
+      permission: 'clients.view',
+    },
+    {
+      name: 'Quotations',
+      path: '/quotations',
+      icon: ClipboardDocumentListIcon,
+      permission: ['sales.create', 'sales.view_all', 'sales.view_team'],
     },
     {
       name: 'Sales',
       path: '/sales',
       icon: ShoppingBagIcon,
-      roles: ['admin', 'journalist'],
+      permission: ['sales.create', 'sales.view_all', 'sales.view_team'],
     },
     {
       name: 'Invoices',
       path: '/invoices',
       icon: DocumentTextIcon,
-      roles: ['admin'],
+      permission: 'invoices.view',
     },
     {
       name: 'Commissions',
       path: '/commissions',
       icon: CurrencyDollarIcon,
-      roles: ['admin', 'journalist'],
     },
     {
       name: 'Reports',
       path: '/reports',
       icon: ChartBarIcon,
-      roles: ['admin'],
+      permission: 'reports.view',
+    },
+    {
+      name: 'Email Log',
+      path: '/emails',
+      icon: EnvelopeIcon,
+      permission: 'audit.view',
+    },
+    {
+      name: 'Audit Log',
+      path: '/audit-log',
+      icon: ShieldCheckIcon,
+      permission: 'audit.view',
+    },
+    {
+      name: 'Trash',
+      path: '/trash',
+      icon: TrashIcon,
+      permission: 'trash.manage',
+    },
+    {
+      name: 'Maintenance',
+      path: '/maintenance',
+      icon: WrenchScrewdriverIcon,
+      permission: 'maintenance.use',
     },
     {
       name: 'Settings',
       path: '/settings',
       icon: CogIcon,
-      roles: ['admin'],
+      permission: 'settings.manage',
     },
   ];
 
-  const userRole = isAdmin() ? 'admin' : 'journalist';
+  // Items without a permission are for everyone
   const filteredMenuItems = menuItems.filter((item) =>
-    item.roles.includes(userRole)
+    !item.permission || hasPermission(...[].concat(item.permission))
   );
 
   return (
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { invoicesAPI } from '../../services/api';
+import Input, { Select } from '../common/Input';
+import { currencyOptions, formatMoney } from '../../utils/currency';
+
+const BUCKET_LABELS = {
+  days_0_30: '0–30 days',
+  days_31_60: '31–60 days',
+  days_61_90: '61–90 days',
+  days_90_plus: '90+ days',
+};
+
+// Outstanding invoice balances per client, aged by days past due
+const AgingReport = () => {
+  const [asOf, setAsOf] = useState(new Date().toISOString().split('T')[0]);
+  const [currency, setCurrency] = useState('');
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [asOf, currency]);
+
+  const fetchReport = async () => {
+    try {
+      const params = { as_of: asOf };
+      if (currency) params.currency = currency;
+      const response = await invoicesAPI.getAging(params);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching aged receivables:', error);
+    }
+  };
+
+  const buckets = report?.buckets || Object.keys(BUCKET_LABELS);
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Aged Receivables</h3>
+          <p className="text-sm text-gray-500">Unpaid invoice balances by days past the due date.</p>
+        </div>
+        <div className="flex gap-4">
+          <Input label="As of" type="date" name="as_of" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          <Select label="Currency" name="currency" value={currency} onChange={(e) => setCurrency(e.target.value)} options={currencyOptions} placeholder="Reporting currency" />
+        </div>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Client</th>
+              <th>Invoices</th>
+              {buckets.map((key) => (
+                <th key={key} className="text-right">{BUCKET_LABELS[key] || key}</th>
+              ))}
+              <th className="text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report?.clients.map((row) => (
+              <tr key={`${row.client_id}-${row.client_name}`}>
+                <td className="font-medium">{row.client_name}</td>
+                <td>{row.invoice_count}</td>
+                {buckets.map((key) => (
+                  <td key={key} className={`text-right ${parseFloat(row[key]) > 0 && key !== 'days_0_30' ? 'text-red-600' : ''}`}>
+                    {formatMoney(row[key], report.currency)}
+                  </td>
+                ))}
+                <td className="text-right font-semibold">{formatMoney(row.total, report.currency)}</td>
+              </tr>
+            ))}
+            {report?.clients.length === 0 && (
+              <tr>
+                <td colSpan={buckets.length + 3} className="text-center text-gray-500">No outstanding invoices</td>
+              </tr>
+            )}
+          </tbody>
+          {report?.clients.length > 0 && (
+            <tfoot>
+              <tr className="font-semibold">
+                <td colSpan="2">Total</td>
+                {buckets.map((key) => (
+                  <td key={key} className="text-right">{formatMoney(report.totals[key], report.currency)}</td>
+                ))}
+                <td className="text-right">{formatMoney(report.totals.total, report.currency)}</td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AgingReport;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { commissionPaymentsAPI, usersAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../common/Button';
+import Input, { Select } from '../common/Input';
+import { ArrowDownTrayIcon, DocumentMagnifyingGlassIcon, EnvelopeIcon } from '@heroicons/react/24/outline';
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+const CommissionStatement = () => {
+  const { user, hasPermission } = useAuth();
+  const seesAll = hasPermission('commissions.view_all');
+  const [journalists, setJournalists] = useState([]);
+  const [journalistId, setJournalistId] = useState(seesAll ? '' : user.id);
+  const [period, setPeriod] = useState(currentPeriod());
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (seesAll) {
+      fetchJournalists();
+    }
+  }, []);
+
+  const fetchJournalists = async () => {
+    try {
+      const response = await usersAPI.getAll();
+      setJournalists(response.data.users.filter(u => u.is_journalist));
+    } catch (error) {
+      console.error('Error fetching journalists:', error);
+    }
+  };
+
+  const handleView = async () => {
+    if (!journalistId || !period) return;
+    setLoading(true);
+    try {
+      const response = await commissionPaymentsAPI.getStatement(journalistId, period);
+      setStatement(response.data.statement);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error loading statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    if (!journalistId || !period) return;
+    try {
+      const response = await commissionPaymentsAPI.downloadStatement(journalistId, period);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `commission-statement-${period}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      alert('Error downloading statement');
+    }
+  };
+
+  const handleEmail = async () => {
+    if (!journalistId || !period) return;
+    try {
+      const response = await commissionPaymentsAPI.emailStatement(journalistId, period);
+      alert(response.data.message);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error emailing statement');
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 className="card-header">Commission Statement</h3>
+
+      <div className="flex flex-wrap items-end gap-4 mb-6">
+        {seesAll && (
+          <Select label="Journalist" name="journalist_id" value={journalistId} onChange={(e) => { setJournalistId(e.target.value); setStatement(null); }} options={journalists.map(j => ({value: j.id, label: `${j.first_name} ${j.last_name}`}))} className="w-64" />
+        )}
+        <Input label="Month" type="month" name="period" value={period} onChange={(e) => { setPeriod(e.target.value); setStatement(null); }} className="w-48" />
+        <Button variant="secondary" onClick={handleView} loading={loading} disabled={!journalistId} icon={<DocumentMagnifyingGlassIcon className="w-5 h-5" />}>
+          View
+        </Button>
+        <Button onClick={handleDownload} disabled={!journalistId} icon={<ArrowDownTrayIcon className="w-5 h-5" />}>
+          Download PDF
+        </Button>
+        {hasPermission('commissions.pay') && (
+          <Button variant="secondary" onClick={handleEmail} disabled={!journalistId} icon={<EnvelopeIcon className="w-5 h-5" />}>
+            Email to Journalist
+          </Button>
+        )}
+      </div>
+
+      {statement && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-sm text-gray-600">Opening Balance</p>
+              <p className="text-xl font-bold text-gray-900">${statement.opening_balance.toFixed(2)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Commission Earned</p>
+              <p className="text-xl font-bold text-green-600">${statement.totals.commission_earned.toFixed(2)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Payments</p>
+              <p className="text-xl font-bold text-blue-600">${statement.totals.payments_total.toFixed(2)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Closing Balance</p>
+              <p className="text-xl font-bold text-primary-600">${statement.closing_balance.toFixed(2)}</p>
+            </div>
+          </div>
+
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Client</th>
+                  <th>Ad Type</th>
+                  <th>Sale</th>
+                  <th>Rate</th>
+                  <th>Commission</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.sales.map((sale) => (
+                  <tr key={sale.id}>
+                    <td>{new Date(sale.payment_date).toLocaleDateString()}</td>
+                    <td>{sale.client_name}</td>
+                    <td>{sale.ad_type}</td>
+                    <td>{sale.amount != null ? `$${parseFloat(sale.amount).toFixed(2)}` : 'N/A'}</td>
+                    <td>{sale.entry_type === 'reversal' ? 'Reversal' : `${parseFloat(sale.commission_rate).toFixed(2)}%`}</td>
+                    <td className={sale.commission_amount < 0 ? 'text-red-600' : 'text-green-600'}>${parseFloat(sale.commission_amount).toFixed(2)}</td>
+                  </tr>
+                ))}
+                {statement.sales.length === 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-center text-gray-500">No approved sales in this period</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Payment Date</th>
+                  <th>Amount</th>
+                  <th>Payment Method</th>
+                  <th>Reference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.payments.map((payment) => (
+                  <tr key={payment.id}>
+                    <td>{new Date(payment.payment_date).toLocaleDateString()}</td>
+                    <td className={`font-semibold ${payment.amount < 0 ? 'text-red-600' : 'text-blue-600'}`}>${parseFloat(payment.amount).toFixed(2)}</td>
+                    <td>{payment.payment_method || 'N/A'}</td>
+                    <td className="font-mono text-sm">{payment.reference_number || 'N/A'}</td>
+                  </tr>
+                ))}
+                {statement.payments.length === 0 && (
+                  <tr>
+                    <td colSpan="4" className="text-center text-gray-500">No payments in this period</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommissionStatement;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { salesAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../common/Button';
+import { ConfirmModal } from '../common/Modal';
+import { formatMoney } from '../../utils/currency';
+import { XMarkIcon, PaperClipIcon, TrashIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comment text with its @mentions highlighted
+const CommentBody = ({ body, mentions }) => {
+  if (!mentions.length) {
+    return body;
+  }
+  const pattern = new RegExp(`(${mentions.map((m) => `@${escapeRegExp(m.name)}`).join('|')})`, 'g');
+  return body.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <span key={index} className="font-medium text-primary-700">{part}</span>
+      : part
+  ));
+};
+
+const emptyComment = () => ({ body: '', is_internal: false, attachment: null });
+
+const saveFile = (response, filename) => {
+  const url = window.URL.createObjectURL(new Blob([response.data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// Slide-over with a sale's details and its comment thread
+const SaleDrawer = ({ sale, statusLabel, onClose, onChange }) => {
+  const { user, hasPermission } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [participants, setParticipants] = useState([]);
+  const [canCommentInternally, setCanCommentInternally] = useState(false);
+  const [formData, setFormData] = useState(emptyComment());
+  const [mentionIds, setMentionIds] = useState([]);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [deletingComment, setDeletingComment] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const textareaRef = useRef(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (sale) {
+      resetComposer();
+      fetchComments();
+    }
+  }, [sale?.id]);
+
+  const fetchComments = async () => {
+    try {
+      const response = await salesAPI.getComments(sale.id);
+      setComments(response.data.comments);
+      setParticipants(response.data.participants.filter((p) => p.id !== user.id));
+      setCanCommentInternally(response.data.can_comment_internally);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  };
+
+  const resetComposer = () => {
+    setFormData(emptyComment());
+    setMentionIds([]);
+    setMentionQuery(null);
+    if (fileRef.current) {
+      fileRef.current.value = '';
+    }
+  };
+
+  // Track an "@name" being typed just before the caret
+  const handleBodyChange = (e) => {
+    const body = e.target.value;
+    setFormData({ ...formData, body });
+    const match = body.slice(0, e.target.selectionStart).match(/(?:^|\s)@([^@\n]{0,30})$/);
+    setMentionQuery(match ? match[1].toLowerCase() : null);
+  };
+
+  const insertMention = (participant) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const before = formData.body.slice(0, caret).replace(/@[^@\n]*$/, `@${participant.name} `);
+    setFormData({ ...formData, body: before + formData.body.slice(caret) });
+    setMentionIds([...new Set([...mentionIds, participant.id])]);
+    setMentionQuery(null);
+    textarea.focus();
+  };
+
+  const mentionOptions = mentionQuery === null ? [] : participants
+    .filter((p) => !(formData.is_internal && p.id === sale.journalist_id))
+    .filter((p) => p.name.toLowerCase().startsWith(mentionQuery) || p.name.toLowerCase().includes(` ${mentionQuery}`))
+    .slice(0, 5);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Only mentions still present in the text are sent
+    const mentioned = participants
+      .filter((p) => mentionIds.includes(p.id) && formData.body.includes(`@${p.name}`))
+      .map((p) => p.id);
+
+    const payload = new FormData();
+    payload.append('body', formData.body);
+    payload.append('is_internal', formData.is_internal);
+    payload.append('mentioned_user_ids', mentioned.join(','));
+    if (formData.attachment) {
+      payload.append('attachment', formData.attachment);
+    }
+
+    setSubmitting(true);
+    try {
+      await salesAPI.addComment(sale.id, payload);
+      resetComposer();
+      fetchComments();
+      onChange();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error posting comment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleProofDownload = async () => {
+    try {
+      const response = await salesAPI.downloadProof(sale.id);
+      saveFile(response, `proof-of-payment-sale-${sale.id}${sale.proof_of_payment_url.match(/\.\w+$/)?.[0] || ''}`);
+    } catch (error) {
+      alert('Error downloading proof of payment');
+    }
+  };
+
+  const handleAttachmentDownload = async (comment) => {
+    try {
+      const response = await salesAPI.downloadCommentAttachment(sale.id, comment.id);
+      saveFile(response, comment.attachment_name || 'attachment');
+    } catch (error) {
+      alert('Error downloading attachment');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await salesAPI.deleteComment(sale.id, deletingComment.id);
+      setDeletingComment(null);
+      fetchComments();
+      onChange();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error deleting comment');
+    }
+  };
+
+  if (!sale) return null;
+
+  const details = [
+    ['Client', sale.client_name],
+    ['Amount', formatMoney(sale.amount, sale.currency)],
+    ['Commission', formatMoney(sale.commission_amount, sale.currency)],
+    ['Payment Method', sale.payment_method],
+    ['Payment Date', new Date(sale.payment_date).toLocaleDateString()],
+    ['Ad Type', sale.ad_type],
+    ['Journalist', sale.journalist_name],
+  ];
+
+  return (
+    <div className="fixed inset-0 z-40 overflow-hidden" role="dialog" aria-modal="true">
+      <div className="absolute inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} aria-hidden="true"></div>
+
+      <div className="absolute inset-y-0 right-0 flex max-w-full">
+        <div className="w-screen max-w-lg flex flex-col bg-white shadow-xl">
+          <div className="px-6 py-5 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Sale #{sale.id}</h3>
+              <span className="text-sm text-gray-500">{statusLabel}</span>
+            </div>
+            <button type="button" className="text-gray-400 hover:text-gray-500" onClick={onClose}>
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto custom-scrollbar px-6 py-5 space-y-6">
+            <dl className="grid grid-cols-2 gap-4 text-sm">
+              {details.filter(([, value]) => value).map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-gray-500">{label}</dt>
+                  <dd className="font-medium text-gray-900">{value}</dd>
+                </div>
+              ))}
+              {sale.description && (
+                <div className="col-span-2">
+                  <dt className="text-gray-500">Description</dt>
+                  <dd className="text-gray-900 whitespace-pre-line">{sale.description}</dd>
+                </div>
+              )}
+              {sale.proof_of_payment_url && (
+                <div className="col-span-2">
+                  <button type="button" onClick={handleProofDownload} className="text-primary-600 hover:text-primary-800">
+                    Download proof of payment
+                  </button>
+                </div>
+              )}
+              {sale.rejection_reason && (
+                <div className="col-span-2">
+                  <dt className="text-gray-500">Rejection Reason</dt>
+                  <dd className="text-red-600">{sale.rejection_reason}</dd>
+                </div>
+              )}
+            </dl>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-3">Comments</h4>
+              <ul className="space-y-4">
+                {comments.map((comment) => (
+                  <li key={comment.id} className={`rounded-lg p-3 text-sm ${comment.is_internal ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}>
+                    <div className="flex items-center justify-between mb-1">
+                      <p>
+                        <span className="font-medium text-gray-900">{comment.user_name}</span>
+                        <span className="text-xs text-gray-400 ml-2" title={new Date(comment.created_at).toLocaleString()}>{timeAgo(comment.created_at)}</span>
+                        {comment.is_internal && (
+                          <span className="badge badge-pending ml-2">Internal</span>
+                        )}
+                      </p>
+                      {(comment.user_id === user.id || hasPermission('sales.manage')) && (
+                        <button onClick={() => setDeletingComment(comment)} className="text-gray-400 hover:text-red-600" title="Delete comment">
+                          <TrashIcon className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                    {comment.body && (
+                      <p className="text-gray-700 whitespace-pre-line">
+                        <CommentBody body={comment.body} mentions={comment.mentions} />
+                      </p>
+                    )}
+                    {comment.attachment_url && (
+                      <button type="button" onClick={() => handleAttachmentDownload(comment)} className="inline-flex items-center mt-2 text-primary-600 hover:text-primary-800">
+                        <PaperClipIcon className="w-4 h-4 mr-1" />
+                        {comment.attachment_name || 'Attachment'}
+                      </button>
+                    )}
+                  </li>
+                ))}
+                {comments.length === 0 && (
+                  <li className="text-sm text-gray-500">No comments yet</li>
+                )}
+              </ul>
+            </div>
+          </div>
+
+          <form onSubmit={handleSubmit} className="border-t border-gray-200 px-6 py-4 space-y-3">
+            <div className="relative">
+              <textarea
+                ref={textareaRef}
+                value={formData.body}
+                onChange={handleBodyChange}
+                rows={3}
+                className="form-input"
+                placeholder="Write a comment. Type @ to mention someone."
+              />
+              {mentionOptions.length > 0 && (
+                <ul className="absolute bottom-full left-0 mb-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg z-10">
+                  {mentionOptions.map((participant) => (
+                    <li key={participant.id}>
+                      <button type="button" onClick={() => insertMention(participant)} className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50">
+                        {participant.name}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <input
+              ref={fileRef}
+              type="file"
+              accept="image/*,application/pdf"
+              onChange={(e) => setFormData({ ...formData, attachment: e.target.files[0] })}
+              className="form-input"
+            />
+            <div className="flex items-center justify-between">
+              {canCommentInternally ? (
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.is_internal}
+                    onChange={(e) => setFormData({ ...formData, is_internal: e.target.checked })}
+                    className="mr-2"
+                  />
+                  <LockClosedIcon className="w-4 h-4 mr-1" />
+                  Internal note (hidden from the journalist)
+                </label>
+              ) : <span />}
+              <Button type="submit" variant="primary" loading={submitting} disabled={!formData.body.trim() && !formData.attachment}>
+                Post
+              </Button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={!!deletingComment}
+        onClose={() => setDeletingComment(null)}
+        onConfirm={handleDelete}
+        title="Delete Comment"
+        message="Delete this comment? Its attachment is deleted too."
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default SaleDrawer;
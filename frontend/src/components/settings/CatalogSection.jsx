@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal, { ConfirmModal } from '../common/Modal';
+import { formatMoney } from '../../utils/currency';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const emptyForm = {
+  name: '',
+  default_price: '',
+  default_commission_rate: '',
+  is_active: true,
+};
+
+// Manage an admin catalog (ad types, payment methods).
+// `api` is the matching API object and `listKey` the key of the list in its getAll response.
+const CatalogSection = ({ title, description, itemLabel, api, listKey }) => {
+  const [items, setItems] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [deletingItem, setDeletingItem] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchItems();
+  }, []);
+
+  const fetchItems = async () => {
+    try {
+      const response = await api.getAll();
+      setItems(response.data[listKey]);
+    } catch (error) {
+      console.error(`Error fetching ${title.toLowerCase()}:`, error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingItem) {
+        await api.update(editingItem.id, formData);
+      } else {
+        await api.create(formData);
+      }
+      setShowModal(false);
+      resetForm();
+      fetchItems();
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await api.delete(deletingItem.id);
+      setShowDeleteModal(false);
+      fetchItems();
+    } catch (error) {
+      setShowDeleteModal(false);
+      alert(error.response?.data?.error || `Cannot delete ${itemLabel.toLowerCase()}`);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingItem(null);
+  };
+
+  const openEditModal = (item) => {
+    setEditingItem(item);
+    setFormData({
+      name: item.name,
+      default_price: item.default_price ?? '',
+      default_commission_rate: item.default_commission_rate ?? '',
+      is_active: item.is_active,
+    });
+    setShowModal(true);
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+          <p className="text-sm text-gray-500">{description}</p>
+        </div>
+        <Button size="sm" icon={<PlusIcon className="w-4 h-4" />} onClick={() => setShowModal(true)}>
+          Add {itemLabel}
+        </Button>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Default Price</th>
+              <th>Default Commission</th>
+              <th>Sales</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.id}>
+                <td className="font-medium">{item.name}</td>
+                <td>{item.default_price !== null ? formatMoney(item.default_price) : '—'}</td>
+                <td>{item.default_commission_rate !== null ? `${parseFloat(item.default_commission_rate).toFixed(2)}%` : '—'}</td>
+                <td>{item.sales_count}</td>
+                <td>
+                  <span className={`badge ${item.is_active ? 'badge-success' : 'badge-rejected'}`}>
+                    {item.is_active ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td>
+                  <div className="flex space-x-2">
+                    <button type="button" onClick={() => openEditModal(item)} className="text-blue-600 hover:text-blue-800">
+                      <PencilIcon className="w-5 h-5" />
+                    </button>
+                    <button type="button" onClick={() => { setDeletingItem(item); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title={`${editingItem ? 'Edit' : 'Add'} ${itemLabel}`} size="md">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input label="Name" name="name" maxLength={50} value={formData.name} onChange={(e) => setFormData({...formData, name: e.target.value})} required />
+          <div className="grid grid-cols-2 gap-4">
+            <Input label="Default Price (USD)" type="number" step="0.01" min="0" name="default_price" value={formData.default_price} onChange={(e) => setFormData({...formData, default_price: e.target.value})} />
+            <Input label="Default Commission (%)" type="number" step="0.01" min="0" max="100" name="default_commission_rate" value={formData.default_commission_rate} onChange={(e) => setFormData({...formData, default_commission_rate: e.target.value})} />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={formData.is_active} onChange={(e) => setFormData({...formData, is_active: e.target.checked})} />
+            <span>Active</span>
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
+            <Button type="submit" variant="primary">{editingItem ? 'Update' : 'Create'} {itemLabel}</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title={`Delete ${itemLabel}`} message={`Delete "${deletingItem?.name}"? Items already used on sales can only be deactivated.`} />
+    </div>
+  );
+};
+
+export default CatalogSection;
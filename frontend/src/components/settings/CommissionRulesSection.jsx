@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { commissionRulesAPI, usersAPI, adTypesAPI } from '../../services/api';
+import Button from '../common/Button';
+import Input, { Select } from '../common/Input';
+import Modal, { ConfirmModal } from '../common/Modal';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const emptyForm = {
+  name: '',
+  ad_type: '',
+  journalist_id: '',
+  min_monthly_revenue: '0',
+  commission_rate: '',
+  effective_from: new Date().toISOString().split('T')[0],
+  effective_to: '',
+  priority: '0',
+  is_active: true,
+};
+
+const CommissionRulesSection = () => {
+  const [rules, setRules] = useState([]);
+  const [journalists, setJournalists] = useState([]);
+  const [adTypes, setAdTypes] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [deletingRule, setDeletingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchRules();
+    fetchJournalists();
+    fetchAdTypes();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      const response = await commissionRulesAPI.getAll();
+      setRules(response.data.rules);
+    } catch (error) {
+      console.error('Error fetching commission rules:', error);
+    }
+  };
+
+  const fetchJournalists = async () => {
+    try {
+      const response = await usersAPI.getAll();
+      setJournalists(response.data.users.filter(u => u.is_journalist));
+    } catch (error) {
+      console.error('Error fetching journalists:', error);
+    }
+  };
+
+  const fetchAdTypes = async () => {
+    try {
+      const response = await adTypesAPI.getAll();
+      setAdTypes(response.data.ad_types);
+    } catch (error) {
+      console.error('Error fetching ad types:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingRule) {
+        await commissionRulesAPI.update(editingRule.id, formData);
+      } else {
+        await commissionRulesAPI.create(formData);
+      }
+      setShowModal(false);
+      resetForm();
+      fetchRules();
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await commissionRulesAPI.delete(deletingRule.id);
+      setShowDeleteModal(false);
+      fetchRules();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Cannot delete commission rule');
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingRule(null);
+  };
+
+  const openEditModal = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      ad_type: rule.ad_type || '',
+      journalist_id: rule.journalist_id || '',
+      min_monthly_revenue: rule.min_monthly_revenue,
+      commission_rate: rule.commission_rate,
+      effective_from: rule.effective_from?.split('T')[0] || '',
+      effective_to: rule.effective_to?.split('T')[0] || '',
+      priority: rule.priority,
+      is_active: rule.is_active,
+    });
+    setShowModal(true);
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Commission Rules</h3>
+          <p className="text-sm text-gray-500">
+            Rates are resolved when a sale is approved. Sales with no matching rule use the default commission rate.
+          </p>
+        </div>
+        <Button size="sm" icon={<PlusIcon className="w-4 h-4" />} onClick={() => setShowModal(true)}>
+          Add Rule
+        </Button>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Ad Type</th>
+              <th>Journalist</th>
+              <th>Monthly Revenue From</th>
+              <th>Rate</th>
+              <th>Effective</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule) => (
+              <tr key={rule.id}>
+                <td className="font-medium">{rule.name}</td>
+                <td>{rule.ad_type || 'Any'}</td>
+                <td>{rule.journalist_name || 'Any'}</td>
+                <td>${parseFloat(rule.min_monthly_revenue).toFixed(2)}</td>
+                <td className="font-semibold">{parseFloat(rule.commission_rate).toFixed(2)}%</td>
+                <td>
+                  {new Date(rule.effective_from).toLocaleDateString()}
+                  {' – '}
+                  {rule.effective_to ? new Date(rule.effective_to).toLocaleDateString() : 'open'}
+                </td>
+                <td>
+                  <span className={`badge ${rule.is_active ? 'badge-success' : 'badge-rejected'}`}>
+                    {rule.is_active ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td>
+                  <div className="flex space-x-2">
+                    <button type="button" onClick={() => openEditModal(rule)} className="text-blue-600 hover:text-blue-800">
+                      <PencilIcon className="w-5 h-5" />
+                    </button>
+                    <button type="button" onClick={() => { setDeletingRule(rule); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title={editingRule ? 'Edit Commission Rule' : 'Add Commission Rule'} size="lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input label="Name" name="name" value={formData.name} onChange={(e) => setFormData({...formData, name: e.target.value})} required />
+          <div className="grid grid-cols-2 gap-4">
+            <Select label="Ad Type" name="ad_type" value={formData.ad_type} onChange={(e) => setFormData({...formData, ad_type: e.target.value})} options={adTypes.map(t => ({value: t.name, label: t.is_active ? t.name : `${t.name} (inactive)`}))} placeholder="Any ad type" />
+            <Select label="Journalist" name="journalist_id" value={formData.journalist_id} onChange={(e) => setFormData({...formData, journalist_id: e.target.value})} options={journalists.map(j => ({value: j.id, label: `${j.first_name} ${j.last_name}`}))} placeholder="Any journalist" />
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <Input label="Rate (%)" type="number" step="0.01" min="0" max="100" name="commission_rate" value={formData.commission_rate} onChange={(e) => setFormData({...formData, commission_rate: e.target.value})} required />
+            <Input label="Monthly Revenue From" type="number" step="0.01" min="0" name="min_monthly_revenue" value={formData.min_monthly_revenue} onChange={(e) => setFormData({...formData, min_monthly_revenue: e.target.value})} />
+            <Input label="Priority" type="number" name="priority" value={formData.priority} onChange={(e) => setFormData({...formData, priority: e.target.value})} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <Input label="Effective From" type="date" name="effective_from" value={formData.effective_from} onChange={(e) => setFormData({...formData, effective_from: e.target.value})} required />
+            <Input label="Effective To" type="date" name="effective_to" value={formData.effective_to} onChange={(e) => setFormData({...formData, effective_to: e.target.value})} />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={formData.is_active} onChange={(e) => setFormData({...formData, is_active: e.target.checked})} />
+            <span>Active</span>
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
+            <Button type="submit" variant="primary">{editingRule ? 'Update' : 'Create'} Rule</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title="Delete Commission Rule" message={`Delete rule "${deletingRule?.name}"? Sales already approved under it keep their rate.`} />
+    </div>
+  );
+};
+
+export default CommissionRulesSection;
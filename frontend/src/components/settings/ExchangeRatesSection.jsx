@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { exchangeRatesAPI } from '../../services/api';
+import { BASE_CURRENCY, CURRENCIES } from '../../utils/currency';
+import Button from '../common/Button';
+import Input, { Select } from '../common/Input';
+import Modal, { ConfirmModal } from '../common/Modal';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const RATE_CURRENCIES = CURRENCIES.filter(c => c.value !== BASE_CURRENCY);
+
+const emptyForm = {
+  currency: '',
+  rate: '',
+  effective_date: new Date().toISOString().split('T')[0],
+};
+
+const ExchangeRatesSection = () => {
+  const [rates, setRates] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [editingRate, setEditingRate] = useState(null);
+  const [deletingRate, setDeletingRate] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchRates();
+  }, []);
+
+  const fetchRates = async () => {
+    try {
+      const response = await exchangeRatesAPI.getAll();
+      setRates(response.data.rates);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingRate) {
+        await exchangeRatesAPI.update(editingRate.id, formData);
+      } else {
+        await exchangeRatesAPI.create(formData);
+      }
+      setShowModal(false);
+      resetForm();
+      fetchRates();
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await exchangeRatesAPI.delete(deletingRate.id);
+      setShowDeleteModal(false);
+      fetchRates();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Cannot delete exchange rate');
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingRate(null);
+  };
+
+  const openEditModal = (rate) => {
+    setEditingRate(rate);
+    setFormData({
+      currency: rate.currency,
+      rate: rate.rate,
+      effective_date: rate.effective_date?.split('T')[0] || '',
+    });
+    setShowModal(true);
+  };
+
+  const currencyLabel = (code) => CURRENCIES.find(c => c.value === code)?.label || code;
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Exchange Rates</h3>
+          <p className="text-sm text-gray-500">
+            Units per 1 {BASE_CURRENCY}. Each sale and payment uses the rate in effect on its payment date.
+          </p>
+        </div>
+        <Button size="sm" icon={<PlusIcon className="w-4 h-4" />} onClick={() => setShowModal(true)}>
+          Add Rate
+        </Button>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Currency</th>
+              <th>Rate</th>
+              <th>Effective From</th>
+              <th>Entered By</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map((rate) => (
+              <tr key={rate.id}>
+                <td className="font-medium">{currencyLabel(rate.currency)}</td>
+                <td className="font-semibold">{parseFloat(rate.rate).toFixed(4)}</td>
+                <td>{new Date(rate.effective_date).toLocaleDateString()}</td>
+                <td>{rate.created_by_name || 'N/A'}</td>
+                <td>
+                  <div className="flex space-x-2">
+                    <button type="button" onClick={() => openEditModal(rate)} className="text-blue-600 hover:text-blue-800">
+                      <PencilIcon className="w-5 h-5" />
+                    </button>
+                    <button type="button" onClick={() => { setDeletingRate(rate); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {rates.length === 0 && (
+              <tr>
+                <td colSpan="5" className="text-center text-gray-500">No exchange rates entered yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title={editingRate ? 'Edit Exchange Rate' : 'Add Exchange Rate'} size="md">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Select label="Currency" name="currency" value={formData.currency} onChange={(e) => setFormData({...formData, currency: e.target.value})} options={RATE_CURRENCIES.map(({ value, label }) => ({ value, label }))} required />
+          <div className="grid grid-cols-2 gap-4">
+            <Input label={`Rate (per 1 ${BASE_CURRENCY})`} type="number" step="0.000001" min="0" name="rate" value={formData.rate} onChange={(e) => setFormData({...formData, rate: e.target.value})} required />
+            <Input label="Effective From" type="date" name="effective_date" value={formData.effective_date} onChange={(e) => setFormData({...formData, effective_date: e.target.value})} required />
+          </div>
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
+            <Button type="submit" variant="primary">{editingRate ? 'Update' : 'Create'} Rate</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title="Delete Exchange Rate" message={`Delete the ${currencyLabel(deletingRate?.currency)} rate effective ${deletingRate ? new Date(deletingRate.effective_date).toLocaleDateString() : ''}? Recorded sales keep the rate they were captured at.`} />
+    </div>
+  );
+};
+
+export default ExchangeRatesSection;
@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, clearSession } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -33,7 +33,7 @@ export const AuthProvider = ({ children }) => {
           localStorage.setItem('user', JSON.stringify(response.data.user));
         } catch (error) {
           console.error('Token validation failed:', error);
-          logout();
+          endSession();
         }
       }
       
@@ -46,9 +46,10 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await authAPI.login({ email, password });
-      const { token, user } = response.data;
+      const { token, refresh_token, user } = response.data;
 
       localStorage.setItem('token', token);
+      localStorage.setItem('refresh_token', refresh_token);
       localStorage.setItem('user', JSON.stringify(user));
       
       setUser(user);
@@ -61,24 +62,40 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const endSession = () => {
+    clearSession();
     setUser(null);
     setIsAuthenticated(false);
   };
 
+  // Revoke the session on the server too; sign out locally even if that fails
+  const logout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    endSession();
+  };
+
+  // Sign out of every session on every device
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+    } catch (error) {
+      console.error('Logout-all request failed:', error);
+    }
+    endSession();
+  };
+
   const updateUser = (userData) => {
     setUser(userData);
     localStorage.setItem('user', JSON.stringify(userData));
   };
 
-  const isAdmin = () => {
-    return user?.role === 'admin';
-  };
-
-  const isJournalist = () => {
-    return user?.role === 'journalist';
+  // Whether the user's role grants any of the given permissions
+  const hasPermission = (...permissions) => {
+    return permissions.some((permission) => user?.permissions?.includes(permission));
   };
 
   const value = {
@@ -87,9 +104,9 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     login,
     logout,
+    logoutAll,
     updateUser,
-    isAdmin,
-    isJournalist,
+    hasPermission,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import { auditLogAPI, usersAPI } from '../services/api';
+import Button from '../components/common/Button';
+import Input, { Select } from '../components/common/Input';
+import { ArrowDownTrayIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+const PAGE_SIZE = 50;
+
+const emptyFilters = {
+  entity_type: '',
+  action: '',
+  actor_id: '',
+  entity_id: '',
+  start_date: '',
+  end_date: '',
+};
+
+const label = (value) => value.replace(/[_.-]/g, ' ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [options, setOptions] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [offset, setOffset] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [filters, offset]);
+
+  const activeFilters = () =>
+    Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+  const fetchEntries = async () => {
+    try {
+      const response = await auditLogAPI.getAll({ ...activeFilters(), limit: PAGE_SIZE, offset });
+      setEntries(response.data.entries);
+      setTotal(response.data.total);
+      setOptions(response.data.options);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const response = await usersAPI.getAll();
+      setUsers(response.data.users);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  };
+
+  const updateFilter = (name, value) => {
+    const next = { ...filters, [name]: value };
+    if (name === 'entity_type') next.action = '';
+    setFilters(next);
+    setOffset(0);
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await auditLogAPI.export(activeFilters());
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'audit-log.csv');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      alert('Error exporting audit log');
+    }
+  };
+
+  const actionOptions = (filters.entity_type
+    ? options.filter((option) => option.entity_type === filters.entity_type)
+    : options
+  ).flatMap((option) => option.actions);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+        <Button variant="secondary" onClick={handleExport}>
+          <ArrowDownTrayIcon className="w-5 h-5 mr-2" />
+          Export CSV
+        </Button>
+      </div>
+
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-4">
+          <Select
+            label="Entity"
+            name="entity_type"
+            value={filters.entity_type}
+            onChange={(e) => updateFilter('entity_type', e.target.value)}
+            options={options.map((option) => ({ value: option.entity_type, label: label(option.entity_type) }))}
+            placeholder="All entities"
+          />
+          <Input
+            label="Entity ID"
+            name="entity_id"
+            value={filters.entity_id}
+            onChange={(e) => updateFilter('entity_id', e.target.value)}
+          />
+          <Select
+            label="Action"
+            name="action"
+            value={filters.action}
+            onChange={(e) => updateFilter('action', e.target.value)}
+            options={[...new Set(actionOptions)].sort().map((action) => ({ value: action, label: label(action) }))}
+            placeholder="All actions"
+          />
+          <Select
+            label="User"
+            name="actor_id"
+            value={filters.actor_id}
+            onChange={(e) => updateFilter('actor_id', e.target.value)}
+            options={users.map((user) => ({ value: user.id, label: `${user.first_name} ${user.last_name}` }))}
+            placeholder="All users"
+          />
+          <Input
+            label="From"
+            type="date"
+            name="start_date"
+            value={filters.start_date}
+            onChange={(e) => updateFilter('start_date', e.target.value)}
+          />
+          <Input
+            label="To"
+            type="date"
+            name="end_date"
+            value={filters.end_date}
+            onChange={(e) => updateFilter('end_date', e.target.value)}
+          />
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Date</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Entity</th>
+                <th>Changed Fields</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const changes = Object.entries(entry.changes || {});
+                const isExpanded = expanded === entry.id;
+                return (
+                  <React.Fragment key={entry.id}>
+                    <tr className="cursor-pointer" onClick={() => setExpanded(isExpanded ? null : entry.id)}>
+                      <td>
+                        {isExpanded
+                          ? <ChevronDownIcon className="w-4 h-4 text-gray-500" />
+                          : <ChevronRightIcon className="w-4 h-4 text-gray-500" />}
+                      </td>
+                      <td>{new Date(entry.created_at).toLocaleString()}</td>
+                      <td>
+                        {entry.actor_name || 'System'}
+                        {entry.ip_address && <p className="text-xs text-gray-500">{entry.ip_address}</p>}
+                      </td>
+                      <td className="capitalize">{label(entry.action)}</td>
+                      <td>
+                        <span className="capitalize">{label(entry.entity_type)}</span>
+                        {entry.entity_id && <span className="text-gray-500"> #{entry.entity_id}</span>}
+                      </td>
+                      <td className="max-w-xs truncate">
+                        {changes.length > 0 ? changes.map(([field]) => field).join(', ') : <span className="text-gray-400">No changes</span>}
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr>
+                        <td></td>
+                        <td colSpan="5" className="bg-gray-50">
+                          <p className="text-xs text-gray-500 mb-2">{entry.method} {entry.path}</p>
+                          {changes.length > 0 ? (
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-left text-gray-500">
+                                  <th className="pr-4 py-1 font-medium">Field</th>
+                                  <th className="pr-4 py-1 font-medium">Before</th>
+                                  <th className="py-1 font-medium">After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {changes.map(([field, { from, to }]) => (
+                                  <tr key={field} className="align-top">
+                                    <td className="pr-4 py-1 font-medium text-gray-700">{field}</td>
+                                    <td className="pr-4 py-1 text-red-700 break-all">{formatValue(from)}</td>
+                                    <td className="py-1 text-green-700 break-all">{formatValue(to)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <p className="text-sm text-gray-500">The request did not change the stored record.</p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="text-center text-gray-500">No audit entries found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {total > PAGE_SIZE && (
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+            <span>
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </span>
+            <div className="space-x-2">
+              <Button variant="secondary" size="sm" disabled={offset === 0} onClick={() => setOffset(offset - PAGE_SIZE)}>
+                Previous
+              </Button>
+              <Button variant="secondary" size="sm" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+                Next
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import PasswordRules from '../components/common/PasswordRules';
+
+const emptyForm = { current_password: '', new_password: '', confirm_password: '' };
+
+const ChangePassword = () => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (formData.new_password !== formData.confirm_password) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.changePassword({
+        current_password: formData.current_password,
+        new_password: formData.new_password,
+      });
+      setMessage(response.data.message);
+      setFormData(emptyForm);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Could not change the password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Change Password</h1>
+
+      <div className="card max-w-lg">
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              {error}
+            </div>
+          )}
+          {message && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              {message}
+            </div>
+          )}
+
+          <Input
+            label="Current Password"
+            type="password"
+            name="current_password"
+            value={formData.current_password}
+            onChange={(e) => setFormData({ ...formData, current_password: e.target.value })}
+            required
+          />
+          <div className="space-y-2">
+            <Input
+              label="New Password"
+              type="password"
+              name="new_password"
+              value={formData.new_password}
+              onChange={(e) => setFormData({ ...formData, new_password: e.target.value })}
+              required
+            />
+            <PasswordRules />
+          </div>
+          <Input
+            label="Confirm New Password"
+            type="password"
+            name="confirm_password"
+            value={formData.confirm_password}
+            onChange={(e) => setFormData({ ...formData, confirm_password: e.target.value })}
+            required
+          />
+
+          <div className="flex justify-end pt-2">
+            <Button type="submit" variant="primary" loading={loading}>
+              Change Password
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -1,11 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { clientsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import Button from '../components/common/Button';
-import Input, { Textarea } from '../components/common/Input';
+import Input, { Select, Textarea } from '../components/common/Input';
 import Modal, { ConfirmModal } from '../components/common/Modal';
 import { PlusIcon, PencilIcon, TrashIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
 
+const notificationChannelOptions = [
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'email', label: 'Email' },
+  { value: 'none', label: 'Do not notify' },
+];
+
 const Clients = () => {
+  const { hasPermission } = useAuth();
   const [clients, setClients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
@@ -19,6 +28,7 @@ const Clients = () => {
     phone_number: '',
     email: '',
     address: '',
+    notification_channel: 'whatsapp',
   });
 
   useEffect(() => {
@@ -69,6 +79,7 @@ const Clients = () => {
       phone_number: '',
       email: '',
       address: '',
+      notification_channel: 'whatsapp',
     });
     setEditingClient(null);
   };
@@ -81,6 +92,7 @@ const Clients = () => {
       phone_number: client.phone_number,
       email: client.email || '',
       address: client.address || '',
+      notification_channel: client.notification_channel || 'whatsapp',
     });
     setShowModal(true);
   };
@@ -89,9 +101,11 @@ const Clients = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">Client Management</h1>
-        <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
-          Add Client
-        </Button>
+        {hasPermission('clients.manage') && (
+          <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
+            Add Client
+          </Button>
+        )}
       </div>
 
       <div className="card">
@@ -130,12 +144,16 @@ const Clients = () => {
                   </td>
                   <td>
                     <div className="flex space-x-2">
-                      <button onClick={() => openEditModal(client)} className="text-blue-600 hover:text-blue-800">
-                        <PencilIcon className="w-5 h-5" />
-                      </button>
-                      <button onClick={() => { setDeletingClient(client); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
-                        <TrashIcon className="w-5 h-5" />
-                      </button>
+                      {hasPermission('clients.manage') && (
+                        <button onClick={() => openEditModal(client)} className="text-blue-600 hover:text-blue-800">
+                          <PencilIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {hasPermission('clients.delete') && (
+                        <button onClick={() => { setDeletingClient(client); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -154,6 +172,7 @@ const Clients = () => {
             <Input label="Email" type="email" name="email" value={formData.email} onChange={(e) => setFormData({...formData, email: e.target.value})} />
           </div>
           <Textarea label="Address" name="address" value={formData.address} onChange={(e) => setFormData({...formData, address: e.target.value})} rows={3} />
+          <Select label="Notify Client By" name="notification_channel" value={formData.notification_channel} onChange={(e) => setFormData({...formData, notification_channel: e.target.value})} options={notificationChannelOptions} required />
           <div className="flex justify-end space-x-3 pt-4">
             <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
             <Button type="submit" variant="primary">{editingClient ? 'Update' : 'Create'} Client</Button>
@@ -161,7 +180,7 @@ const Clients = () => {
         </form>
       </Modal>
 
-      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title="Delete Client" message={`Are you sure you want to delete ${deletingClient?.client_name}?`} />
+      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title="Delete Client" message={`Move ${deletingClient?.client_name} to the trash? You can restore them from the Trash page.`} />
     </div>
   );
 };
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { analyticsAPI } from '../services/api';
+import { Select } from '../components/common/Input';
+import { currencyOptions, formatMoney } from '../utils/currency';
 import {
   CurrencyDollarIcon,
   ShoppingBagIcon,
@@ -24,33 +26,39 @@ import {
 } from 'recharts';
 
 const Dashboard = () => {
-  const { user, isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [stats, setStats] = useState(null);
   const [revenueTrend, setRevenueTrend] = useState([]);
   const [salesByAdType, setSalesByAdType] = useState([]);
   const [salesByPayment, setSalesByPayment] = useState([]);
   const [leaderboard, setLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Empty until the first response tells us the configured reporting currency
+  const [currency, setCurrency] = useState('');
 
   useEffect(() => {
     fetchDashboardData();
-  }, []);
+  }, [currency]);
 
   const fetchDashboardData = async () => {
     try {
+      const params = currency ? { currency } : {};
       const [dashboardRes, trendRes, adTypeRes, paymentRes, leaderRes] = await Promise.all([
-        analyticsAPI.getDashboard(),
-        analyticsAPI.getRevenueTrend({ period: 'month', months: 6 }),
-        analyticsAPI.getSalesByAdType(),
-        analyticsAPI.getSalesByPaymentMethod(),
-        isAdmin() ? analyticsAPI.getLeaderboard({ limit: 5 }) : Promise.resolve({ data: { leaderboard: [] } }),
+        analyticsAPI.getDashboard(params),
+        analyticsAPI.getRevenueTrend({ ...params, period: 'month', months: 6 }),
+        analyticsAPI.getSalesByAdType(params),
+        analyticsAPI.getSalesByPaymentMethod(params),
+        hasPermission('reports.view') ? analyticsAPI.getLeaderboard({ ...params, limit: 5 }) : Promise.resolve({ data: { leaderboard: [] } }),
       ]);
 
       setStats(dashboardRes.data.stats);
+      if (!currency) {
+        setCurrency(dashboardRes.data.currency);
+      }
       setRevenueTrend(trendRes.data.data.reverse());
       setSalesByAdType(adTypeRes.data.data);
       setSalesByPayment(paymentRes.data.data);
-      if (isAdmin()) {
+      if (hasPermission('reports.view')) {
         setLeaderboard(leaderRes.data.leaderboard);
       }
     } catch (error) {
@@ -73,7 +81,7 @@ const Dashboard = () => {
   const statCards = [
     {
       title: 'Total Revenue',
-      value: `$${stats?.revenue?.total?.toFixed(2) || '0.00'}`,
+      value: formatMoney(stats?.revenue?.total, currency),
       icon: CurrencyDollarIcon,
       color: 'text-green-600',
       bgColor: 'bg-green-50',
@@ -104,11 +112,16 @@ const Dashboard = () => {
   return (
     <div className="space-y-6">
       {/* Page Header */}
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">
-          Welcome back, {user?.first_name}!
-        </h1>
-        <p className="text-gray-600">Here's what's happening with your sales today.</p>
+      <div className="flex justify-between items-end">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            Welcome back, {user?.first_name}!
+          </h1>
+          <p className="text-gray-600">Here's what's happening with your sales today.</p>
+        </div>
+        <div className="w-40">
+          <Select label="Reporting Currency" name="currency" value={currency} onChange={(e) => setCurrency(e.target.value)} options={currencyOptions} />
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -143,7 +156,7 @@ const Dashboard = () => {
               <YAxis />
               <Tooltip />
               <Legend />
-              <Line type="monotone" dataKey="revenue" stroke="#dc2626" strokeWidth={2} name="Revenue ($)" />
+              <Line type="monotone" dataKey="revenue" stroke="#dc2626" strokeWidth={2} name={`Revenue (${currency})`} />
             </LineChart>
           </ResponsiveContainer>
         </div>
@@ -183,13 +196,13 @@ const Dashboard = () => {
             <YAxis />
             <Tooltip />
             <Legend />
-            <Bar dataKey="value" fill="#dc2626" name="Revenue ($)" />
+            <Bar dataKey="value" fill="#dc2626" name={`Revenue (${currency})`} />
           </BarChart>
         </ResponsiveContainer>
       </div>
 
-      {/* Leaderboard (Admin Only) */}
-      {isAdmin() && leaderboard.length > 0 && (
+      {/* Leaderboard (company-wide reports) */}
+      {hasPermission('reports.view') && leaderboard.length > 0 && (
         <div className="card">
           <h3 className="card-header">Top Performers</h3>
           <div className="overflow-x-auto">
@@ -211,9 +224,9 @@ const Dashboard = () => {
                     </td>
                     <td>{item.name}</td>
                     <td>{item.total_sales}</td>
-                    <td>${parseFloat(item.total_revenue).toFixed(2)}</td>
+                    <td>{formatMoney(item.total_revenue, currency)}</td>
                     <td className="text-green-600 font-semibold">
-                      ${parseFloat(item.total_commission).toFixed(2)}
+                      {formatMoney(item.total_commission, currency)}
                     </td>
                   </tr>
                 ))}
@@ -223,25 +236,25 @@ const Dashboard = () => {
         </div>
       )}
 
-      {/* Commission Summary (Journalist) */}
-      {!isAdmin() && (
+      {/* Commission Summary (own figures) */}
+      {!hasPermission('reports.view') && (
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="card">
             <p className="text-sm text-gray-600">Commissions Earned</p>
             <p className="text-2xl font-bold text-green-600 mt-1">
-              ${stats?.commissions?.earned?.toFixed(2) || '0.00'}
+              {formatMoney(stats?.commissions?.earned, currency)}
             </p>
           </div>
           <div className="card">
             <p className="text-sm text-gray-600">Commissions Paid</p>
             <p className="text-2xl font-bold text-blue-600 mt-1">
-              ${stats?.commissions?.paid?.toFixed(2) || '0.00'}
+              {formatMoney(stats?.commissions?.paid, currency)}
             </p>
           </div>
           <div className="card">
             <p className="text-sm text-gray-600">Balance</p>
             <p className="text-2xl font-bold text-primary-600 mt-1">
-              ${stats?.commissions?.unpaid?.toFixed(2) || '0.00'}
+              {formatMoney(stats?.commissions?.unpaid, currency)}
             </p>
           </div>
         </div>
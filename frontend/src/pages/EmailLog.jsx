@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { emailsAPI } from '../services/api';
+import { Select } from '../components/common/Input';
+import { ArrowPathIcon, PaperClipIcon } from '@heroicons/react/24/outline';
+
+const statusLabels = {
+  queued: 'Queued',
+  sending: 'Sending',
+  sent: 'Sent',
+  failed: 'Failed',
+};
+
+const statusBadges = {
+  queued: 'badge-pending',
+  sending: 'badge-info',
+  sent: 'badge-success',
+  failed: 'badge-rejected',
+};
+
+const EmailLog = () => {
+  const [emails, setEmails] = useState([]);
+  const [transport, setTransport] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+
+  useEffect(() => {
+    fetchEmails();
+  }, [statusFilter]);
+
+  const fetchEmails = async () => {
+    try {
+      const response = await emailsAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setEmails(response.data.emails);
+      setTransport(response.data.transport);
+    } catch (error) {
+      console.error('Error fetching emails:', error);
+    }
+  };
+
+  const handleRetry = async (email) => {
+    try {
+      await emailsAPI.retry(email.id);
+      fetchEmails();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error retrying email');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Email Log</h1>
+        {transport && <span className="text-sm text-gray-500">Transport: {transport}</span>}
+      </div>
+
+      <div className="card">
+        <div className="flex justify-end mb-4">
+          <div className="w-64">
+            <Select
+              label="Status"
+              name="status"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              options={Object.entries(statusLabels).map(([value, label]) => ({ value, label }))}
+              placeholder="All emails"
+            />
+          </div>
+        </div>
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Queued</th>
+                <th>To</th>
+                <th>Subject</th>
+                <th>Sent By</th>
+                <th>Attempts</th>
+                <th>Status</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {emails.map((email) => (
+                <tr key={email.id}>
+                  <td>{new Date(email.created_at).toLocaleString()}</td>
+                  <td>{email.to_address}</td>
+                  <td>
+                    {email.subject}
+                    {email.attachments.length > 0 && (
+                      <p className="text-xs text-gray-500 flex items-center">
+                        <PaperClipIcon className="w-3 h-3 mr-1" />
+                        {email.attachments.join(', ')}
+                      </p>
+                    )}
+                  </td>
+                  <td>{email.sent_by_name || '—'}</td>
+                  <td>{email.attempts}/{email.max_attempts}</td>
+                  <td>
+                    <span className={`badge ${statusBadges[email.status]}`} title={email.last_error || undefined}>
+                      {statusLabels[email.status]}
+                    </span>
+                    {email.status === 'sent' && email.sent_at && (
+                      <p className="text-xs text-gray-500">{new Date(email.sent_at).toLocaleString()}</p>
+                    )}
+                    {email.status !== 'sent' && email.last_error && (
+                      <p className="text-xs text-red-600 max-w-xs truncate" title={email.last_error}>{email.last_error}</p>
+                    )}
+                  </td>
+                  <td>
+                    {email.status === 'failed' && (
+                      <button type="button" title="Retry" onClick={() => handleRetry(email)} className="text-blue-600 hover:text-blue-800">
+                        <ArrowPathIcon className="w-5 h-5" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {emails.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-gray-500">No emails found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailLog;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold text-primary-600 mb-2">
+            AFROGAZETTE
+          </h1>
+          <h2 className="text-xl font-semibold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter your email and we'll send you a link to reset it
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          {message ? (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              {message}
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              <Input
+                label="Email Address"
+                type="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                icon={<EnvelopeIcon className="h-5 w-5 text-gray-400" />}
+              />
+
+              <Button type="submit" variant="primary" className="w-full" loading={loading}>
+                Send reset link
+              </Button>
+            </form>
+          )}
+
+          <p className="mt-6 text-center text-sm">
+            <Link to="/login" className="text-primary-600 hover:text-primary-700">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,15 +1,77 @@
 import React, { useState, useEffect } from 'react';
-import { invoicesAPI, salesAPI } from '../services/api';
+import { invoicesAPI, creditNotesAPI, salesAPI, settingsAPI, clientsAPI, paymentMethodsAPI } from '../services/api';
 import Button from '../components/common/Button';
-import { DocumentTextIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import Input, { Select, Textarea } from '../components/common/Input';
+import Modal from '../components/common/Modal';
+import InvoiceLinesModal from '../components/invoices/InvoiceLinesModal';
+import InvoicePaymentsModal from '../components/invoices/InvoicePaymentsModal';
+import {
+  DocumentTextIcon,
+  ArrowDownTrayIcon,
+  PencilIcon,
+  PlusIcon,
+  PaperAirplaneIcon,
+  BanknotesIcon,
+  NoSymbolIcon,
+  ReceiptRefundIcon,
+  EnvelopeIcon,
+} from '@heroicons/react/24/outline';
+import { BASE_CURRENCY, currencyOptions, formatMoney } from '../utils/currency';
+
+const statusLabels = {
+  draft: 'Draft',
+  issued: 'Issued',
+  partially_paid: 'Partially Paid',
+  paid: 'Paid',
+  credited: 'Credited',
+  void: 'Void',
+};
+
+const statusBadges = {
+  draft: 'badge-info',
+  issued: 'badge-pending',
+  partially_paid: 'badge-pending',
+  paid: 'badge-success',
+  credited: 'badge-approved',
+  void: 'badge-rejected',
+};
+
+// Statuses a credit note can be issued against
+const creditableStatuses = ['issued', 'partially_paid', 'paid'];
+
+const emptyNewInvoice = {
+  client_id: '',
+  currency: BASE_CURRENCY,
+  due_date: '',
+  description: '',
+};
 
 const Invoices = () => {
   const [invoices, setInvoices] = useState([]);
+  const [creditNotes, setCreditNotes] = useState([]);
   const [approvedSales, setApprovedSales] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [vatRate, setVatRate] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('');
+  // { sale } when generating, { invoice } when editing lines, { client: true } for a new invoice
+  const [editing, setEditing] = useState(null);
+  const [initialLines, setInitialLines] = useState([]);
+  const [newInvoice, setNewInvoice] = useState(emptyNewInvoice);
+  const [payingInvoice, setPayingInvoice] = useState(null);
+  const [voidingInvoice, setVoidingInvoice] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
+  const [creditingInvoice, setCreditingInvoice] = useState(null);
+  const [creditNote, setCreditNote] = useState({ amount: '', reason: '' });
+  const [emailingInvoice, setEmailingInvoice] = useState(null);
+  const [emailData, setEmailData] = useState({ to: '', message: '' });
 
   useEffect(() => {
     fetchInvoices();
+    fetchCreditNotes();
     fetchApprovedSales();
+    fetchVatRate();
+    fetchLookups();
   }, []);
 
   const fetchInvoices = async () => {
@@ -21,6 +83,15 @@ const Invoices = () => {
     }
   };
 
+  const fetchCreditNotes = async () => {
+    try {
+      const response = await creditNotesAPI.getAll();
+      setCreditNotes(response.data.credit_notes);
+    } catch (error) {
+      console.error('Error fetching credit notes:', error);
+    }
+  };
+
   const fetchApprovedSales = async () => {
     try {
       const response = await salesAPI.getAll({ status: 'approved' });
@@ -30,39 +101,188 @@ const Invoices = () => {
     }
   };
 
-  const handleGenerateInvoice = async (saleId) => {
+  const fetchVatRate = async () => {
+    try {
+      const response = await settingsAPI.getAll();
+      setVatRate(parseFloat(response.data.settings.vat_rate) || 0);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+    }
+  };
+
+  const fetchLookups = async () => {
+    try {
+      const [clientsRes, paymentMethodsRes] = await Promise.all([
+        clientsAPI.getAll(),
+        paymentMethodsAPI.getAll({ is_active: true }),
+      ]);
+      setClients(clientsRes.data.clients);
+      setPaymentMethods(paymentMethodsRes.data.payment_methods);
+    } catch (error) {
+      console.error('Error fetching clients and payment methods:', error);
+    }
+  };
+
+  const openNewInvoiceModal = () => {
+    setNewInvoice(emptyNewInvoice);
+    setInitialLines([]);
+    setEditing({ client: true });
+  };
+
+  // Prefill from the quotation the sale came from, or one line for the sale amount
+  const openGenerateModal = async (sale) => {
+    try {
+      const response = await invoicesAPI.getDraftLines(sale.id);
+      setInitialLines(response.data.items.map(line => ({
+        discount_percent: 0,
+        ...line,
+        tax_rate: line.tax_rate ?? vatRate,
+      })));
+      setEditing({ sale });
+    } catch (error) {
+      alert('Error loading invoice lines');
+    }
+  };
+
+  const openEditModal = async (invoice) => {
     try {
-      await invoicesAPI.generate(saleId);
+      const response = await invoicesAPI.getById(invoice.id);
+      setInitialLines(response.data.items.map(({ description, ad_type, quantity, unit_price, discount_percent, tax_rate }) => ({
+        description, ad_type, quantity, unit_price, discount_percent, tax_rate,
+      })));
+      setEditing({ invoice });
+    } catch (error) {
+      alert('Error loading invoice lines');
+    }
+  };
+
+  const handleSaveLines = async (items) => {
+    try {
+      if (editing.invoice) {
+        await invoicesAPI.updateItems(editing.invoice.id, items);
+      } else if (editing.client) {
+        await invoicesAPI.create({ ...newInvoice, items });
+      } else {
+        await invoicesAPI.generate(editing.sale.id, { items });
+        fetchApprovedSales();
+      }
+      setEditing(null);
+      fetchInvoices();
+    } catch (error) {
+      alert(error.response?.data?.details || error.response?.data?.error || 'Error saving invoice');
+    }
+  };
+
+  const handleIssue = async (invoice) => {
+    try {
+      await invoicesAPI.issue(invoice.id);
+      fetchInvoices();
+    } catch (error) {
+      alert(error.response?.data?.details || error.response?.data?.error || 'Error issuing invoice');
+    }
+  };
+
+  const closeVoidModal = () => {
+    setVoidingInvoice(null);
+    setVoidReason('');
+  };
+
+  const handleVoid = async () => {
+    try {
+      await invoicesAPI.void(voidingInvoice.id, voidReason);
+      closeVoidModal();
+      fetchInvoices();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error voiding invoice');
+    }
+  };
+
+  // Default to crediting whatever has not been credited yet
+  const openCreditNoteModal = (invoice) => {
+    setCreditNote({
+      amount: (parseFloat(invoice.amount) - parseFloat(invoice.amount_credited)).toFixed(2),
+      reason: '',
+    });
+    setCreditingInvoice(invoice);
+  };
+
+  const handleCreditNote = async (e) => {
+    e.preventDefault();
+    try {
+      await invoicesAPI.createCreditNote(creditingInvoice.id, creditNote);
+      setCreditingInvoice(null);
       fetchInvoices();
-      fetchApprovedSales();
-      alert('Invoice generated successfully');
+      fetchCreditNotes();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error issuing credit note');
+    }
+  };
+
+  const openEmailModal = (invoice) => {
+    setEmailData({ to: invoice.client_email || '', message: '' });
+    setEmailingInvoice(invoice);
+  };
+
+  const handleEmail = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await invoicesAPI.email(emailingInvoice.id, emailData);
+      setEmailingInvoice(null);
+      alert(response.data.message);
     } catch (error) {
-      alert(error.response?.data?.error || 'Error generating invoice');
+      alert(error.response?.data?.error || 'Error emailing invoice');
     }
   };
 
-  const handleDownload = async (invoiceId) => {
+  const savePdf = (response, filename) => {
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
+  const handleDownload = async (invoice) => {
     try {
-      const response = await invoicesAPI.download(invoiceId);
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `invoice-${invoiceId}.pdf`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      const response = await invoicesAPI.download(invoice.id);
+      savePdf(response, `${invoice.invoice_number}.pdf`);
     } catch (error) {
       alert('Error downloading invoice');
     }
   };
 
+  const handleCreditNoteDownload = async (note) => {
+    try {
+      const response = await creditNotesAPI.download(note.id);
+      savePdf(response, `${note.credit_note_number}.pdf`);
+    } catch (error) {
+      alert('Error downloading credit note');
+    }
+  };
+
   const salesWithoutInvoices = approvedSales.filter(sale => 
     !invoices.some(inv => inv.sale_id === sale.id)
   );
 
+  const filteredInvoices = statusFilter
+    ? invoices.filter(invoice => invoice.status === statusFilter)
+    : invoices;
+
+  const isOverdue = (invoice) =>
+    ['issued', 'partially_paid'].includes(invoice.status) && invoice.due_date && new Date(invoice.due_date) < new Date(new Date().toDateString());
+
+  const editingCurrency = editing?.client ? newInvoice.currency : (editing?.invoice || editing?.sale)?.currency;
+
   return (
     <div className="space-y-6">
-      <h1 className="text-2xl font-bold text-gray-900">Invoice Management</h1>
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Invoice Management</h1>
+        <Button icon={<PlusIcon className="w-5 h-5" />} onClick={openNewInvoiceModal}>
+          New Invoice
+        </Button>
+      </div>
 
       {salesWithoutInvoices.length > 0 && (
         <div className="card">
@@ -83,10 +303,10 @@ const Invoices = () => {
                   <tr key={sale.id}>
                     <td>{new Date(sale.payment_date).toLocaleDateString()}</td>
                     <td>{sale.client_name}</td>
-                    <td>${parseFloat(sale.amount).toFixed(2)}</td>
+                    <td>{formatMoney(sale.amount, sale.currency)}</td>
                     <td>{sale.payment_method}</td>
                     <td>
-                      <Button size="sm" onClick={() => handleGenerateInvoice(sale.id)} icon={<DocumentTextIcon className="w-4 h-4" />}>
+                      <Button size="sm" onClick={() => openGenerateModal(sale)} icon={<DocumentTextIcon className="w-4 h-4" />}>
                         Generate Invoice
                       </Button>
                     </td>
@@ -99,38 +319,205 @@ const Invoices = () => {
       )}
 
       <div className="card">
-        <h3 className="card-header">Generated Invoices</h3>
+        <div className="flex justify-between items-end mb-4">
+          <h3 className="card-header mb-0">Invoices</h3>
+          <div className="w-64">
+            <Select
+              label="Status"
+              name="status"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              options={Object.entries(statusLabels).map(([value, label]) => ({ value, label }))}
+              placeholder="All invoices"
+            />
+          </div>
+        </div>
         <div className="table-container">
           <table className="table">
             <thead>
               <tr>
                 <th>Invoice #</th>
                 <th>Client</th>
-                <th>Amount</th>
-                <th>Date</th>
-                <th>Generated By</th>
-                <th>Action</th>
+                <th>Total</th>
+                <th>Paid</th>
+                <th>Balance</th>
+                <th>Due</th>
+                <th>Status</th>
+                <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {invoices.map((invoice) => (
+              {filteredInvoices.map((invoice) => (
                 <tr key={invoice.id}>
                   <td className="font-mono text-primary-600">{invoice.invoice_number}</td>
                   <td>{invoice.client_name}</td>
-                  <td>${parseFloat(invoice.amount).toFixed(2)}</td>
-                  <td>{new Date(invoice.generated_at).toLocaleDateString()}</td>
-                  <td>{invoice.generated_by_name}</td>
+                  <td className="font-semibold" title={`VAT ${formatMoney(invoice.tax_total, invoice.currency)}`}>{formatMoney(invoice.amount, invoice.currency)}</td>
+                  <td className="text-green-600">
+                    {formatMoney(invoice.amount_paid, invoice.currency)}
+                    {parseFloat(invoice.amount_credited) > 0 && (
+                      <p className="text-xs text-gray-500">Credited {formatMoney(invoice.amount_credited, invoice.currency)}</p>
+                    )}
+                  </td>
+                  <td className={parseFloat(invoice.balance_due) > 0 && invoice.status !== 'void' ? 'text-red-600 font-semibold' : ''}>
+                    {formatMoney(invoice.balance_due, invoice.currency)}
+                  </td>
+                  <td className={isOverdue(invoice) ? 'text-red-600 font-semibold' : ''}>
+                    {invoice.due_date ? new Date(invoice.due_date).toLocaleDateString() : '—'}
+                  </td>
                   <td>
-                    <Button size="sm" variant="secondary" onClick={() => handleDownload(invoice.id)} icon={<ArrowDownTrayIcon className="w-4 h-4" />}>
-                      Download PDF
-                    </Button>
+                    <span className={`badge ${statusBadges[invoice.status] || 'badge-info'}`} title={invoice.void_reason || undefined}>
+                      {statusLabels[invoice.status] || invoice.status}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="flex space-x-2">
+                      <button type="button" title="Download PDF" onClick={() => handleDownload(invoice)} className="text-gray-600 hover:text-gray-800">
+                        <ArrowDownTrayIcon className="w-5 h-5" />
+                      </button>
+                      {invoice.status !== 'draft' && invoice.status !== 'void' && (
+                        <button type="button" title="Email to client" onClick={() => openEmailModal(invoice)} className="text-gray-600 hover:text-gray-800">
+                          <EnvelopeIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {invoice.status === 'draft' && (
+                        <button type="button" title="Edit lines" onClick={() => openEditModal(invoice)} className="text-blue-600 hover:text-blue-800">
+                          <PencilIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {invoice.status === 'draft' && (
+                        <button type="button" title="Issue" onClick={() => handleIssue(invoice)} className="text-blue-600 hover:text-blue-800">
+                          <PaperAirplaneIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {invoice.status !== 'draft' && invoice.status !== 'void' && invoice.status !== 'credited' && (
+                        <button type="button" title="Payments" onClick={() => setPayingInvoice(invoice)} className="text-green-600 hover:text-green-800">
+                          <BanknotesIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {creditableStatuses.includes(invoice.status) && (
+                        <button type="button" title="Issue credit note" onClick={() => openCreditNoteModal(invoice)} className="text-orange-600 hover:text-orange-800">
+                          <ReceiptRefundIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {invoice.status !== 'void' && parseFloat(invoice.amount_paid) === 0 && parseFloat(invoice.amount_credited) === 0 && (
+                        <button type="button" title="Void" onClick={() => setVoidingInvoice(invoice)} className="text-red-600 hover:text-red-800">
+                          <NoSymbolIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                    </div>
                   </td>
                 </tr>
               ))}
+              {filteredInvoices.length === 0 && (
+                <tr>
+                  <td colSpan="8" className="text-center text-gray-500">No invoices found</td>
+                </tr>
+              )}
             </tbody>
           </table>
         </div>
       </div>
+
+      {creditNotes.length > 0 && (
+        <div className="card">
+          <h3 className="card-header">Credit Notes</h3>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Credit Note #</th>
+                  <th>Invoice #</th>
+                  <th>Client</th>
+                  <th>Amount</th>
+                  <th>Reason</th>
+                  <th>Date</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {creditNotes.map((note) => (
+                  <tr key={note.id}>
+                    <td className="font-mono text-primary-600">{note.credit_note_number}</td>
+                    <td className="font-mono">{note.invoice_number}</td>
+                    <td>{note.client_name}</td>
+                    <td className="font-semibold">{formatMoney(note.amount, note.currency)}</td>
+                    <td className="max-w-xs truncate" title={note.reason}>{note.reason}</td>
+                    <td>{new Date(note.issue_date).toLocaleDateString()}</td>
+                    <td>
+                      <button type="button" title="Download PDF" onClick={() => handleCreditNoteDownload(note)} className="text-gray-600 hover:text-gray-800">
+                        <ArrowDownTrayIcon className="w-5 h-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <InvoiceLinesModal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        onSubmit={handleSaveLines}
+        title={editing?.invoice ? `Edit ${editing.invoice.invoice_number}` : editing?.client ? 'New Invoice' : `Invoice for ${editing?.sale?.client_name || ''}`}
+        submitLabel={editing?.invoice ? 'Save Lines' : editing?.client ? 'Create Draft' : 'Generate Invoice'}
+        currency={editingCurrency}
+        initialLines={initialLines}
+        vatRate={vatRate}
+      >
+        {editing?.client && (
+          <>
+            <div className="grid grid-cols-3 gap-4">
+              <Select label="Client" name="client_id" value={newInvoice.client_id} onChange={(e) => setNewInvoice({...newInvoice, client_id: e.target.value})} options={clients.map(c => ({value: c.id, label: c.client_name}))} required />
+              <Select label="Currency" name="currency" value={newInvoice.currency} onChange={(e) => setNewInvoice({...newInvoice, currency: e.target.value})} options={currencyOptions} required />
+              <Input label="Due Date" type="date" name="due_date" value={newInvoice.due_date} onChange={(e) => setNewInvoice({...newInvoice, due_date: e.target.value})} />
+            </div>
+            <Input label="Description" name="description" value={newInvoice.description} onChange={(e) => setNewInvoice({...newInvoice, description: e.target.value})} />
+          </>
+        )}
+      </InvoiceLinesModal>
+
+      <InvoicePaymentsModal
+        invoice={payingInvoice}
+        paymentMethods={paymentMethods}
+        onClose={() => setPayingInvoice(null)}
+        onChange={fetchInvoices}
+      />
+
+      <Modal isOpen={!!voidingInvoice} onClose={closeVoidModal} title={`Void ${voidingInvoice?.invoice_number || ''}`} size="md">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">The invoice keeps its number but will no longer count as receivable.</p>
+          <Textarea label="Reason" value={voidReason} onChange={(e) => setVoidReason(e.target.value)} rows={3} required />
+          <div className="flex justify-end space-x-3">
+            <Button variant="secondary" onClick={closeVoidModal}>Cancel</Button>
+            <Button variant="danger" onClick={handleVoid} disabled={!voidReason.trim()}>Void Invoice</Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={!!emailingInvoice} onClose={() => setEmailingInvoice(null)} title={`Email ${emailingInvoice?.invoice_number || ''}`} size="md">
+        <form onSubmit={handleEmail} className="space-y-4">
+          <Input label="To" type="email" name="to" value={emailData.to} onChange={(e) => setEmailData({...emailData, to: e.target.value})} required />
+          <Textarea label="Message" name="message" value={emailData.message} onChange={(e) => setEmailData({...emailData, message: e.target.value})} rows={3} placeholder="Optional note added above the invoice summary" />
+          <div className="flex justify-end space-x-3">
+            <Button variant="secondary" onClick={() => setEmailingInvoice(null)}>Cancel</Button>
+            <Button type="submit" icon={<EnvelopeIcon className="w-5 h-5" />}>Send</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal isOpen={!!creditingInvoice} onClose={() => setCreditingInvoice(null)} title={`Credit Note for ${creditingInvoice?.invoice_number || ''}`} size="md">
+        <form onSubmit={handleCreditNote} className="space-y-4">
+          <Input label={`Amount (${creditingInvoice?.currency})`} type="number" step="0.01" min="0.01" max={creditingInvoice ? (parseFloat(creditingInvoice.amount) - parseFloat(creditingInvoice.amount_credited)).toFixed(2) : undefined} name="amount" value={creditNote.amount} onChange={(e) => setCreditNote({...creditNote, amount: e.target.value})} required />
+          <Textarea label="Reason" name="reason" value={creditNote.reason} onChange={(e) => setCreditNote({...creditNote, reason: e.target.value})} rows={3} required />
+          <p className="text-sm text-gray-500">Any commission on the invoiced sale is reversed in proportion to the amount credited.</p>
+          <div className="flex justify-end space-x-3">
+            <Button variant="secondary" onClick={() => setCreditingInvoice(null)}>Cancel</Button>
+            <Button type="submit" variant="danger">Issue Credit Note</Button>
+          </div>
+        </form>
+      </Modal>
     </div>
   );
 };
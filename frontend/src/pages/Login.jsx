@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Input from '../components/common/Input';
 import Button from '../components/common/Button';
@@ -91,6 +91,12 @@ const Login = () => {
               icon={<LockClosedIcon className="h-5 w-5 text-gray-400" />}
             />
 
+            <div className="text-right -mt-4">
+              <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-700">
+                Forgot password?
+              </Link>
+            </div>
+
             <Button
               type="submit"
               variant="primary"
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { maintenanceAPI } from '../services/api';
+import Button from '../components/common/Button';
+import { ConfirmModal } from '../components/common/Modal';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+
+// Confirmations for the actions that sign people out
+const ACTIONS = {
+  forcePasswordReset: {
+    title: 'Force Password Reset',
+    message: (user) => `Sign ${user.first_name} ${user.last_name} out and require a new password? They will be emailed a reset link.`,
+  },
+  revokeUserSessions: {
+    title: 'Revoke Sessions',
+    message: (user) => `Sign ${user.first_name} ${user.last_name} out of every session?`,
+  },
+  revokeAllSessions: {
+    title: 'Sign Out All Users',
+    message: () => 'Sign every user out of every session, except this one? Everyone will have to sign in again.',
+  },
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const Maintenance = () => {
+  const [status, setStatus] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await maintenanceAPI.getStatus();
+      setStatus(response.data);
+      if (response.data.enabled) {
+        fetchUsers();
+      }
+    } catch (error) {
+      console.error('Error fetching maintenance status:', error);
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const response = await maintenanceAPI.getUsers();
+      setUsers(response.data.users);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  };
+
+  const runDiagnostics = async () => {
+    setRunning(true);
+    try {
+      const response = await maintenanceAPI.getDiagnostics();
+      setDiagnostics(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error running diagnostics');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      await maintenanceAPI.unlockUser(user.id);
+      fetchUsers();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error unlocking user');
+    }
+  };
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    try {
+      const { action, user } = pending;
+      const response = user ? await maintenanceAPI[action](user.id) : await maintenanceAPI[action]();
+      setPending(null);
+      alert(response.data.message);
+      fetchUsers();
+    } catch (error) {
+      setPending(null);
+      alert(error.response?.data?.error || 'Error performing action');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!status) return null;
+
+  if (!status.enabled) {
+    return (
+      <div className="space-y-6">
+        <h1 className="text-2xl font-bold text-gray-900">Maintenance</h1>
+        <div className="card">
+          <p className="text-gray-700">
+            The maintenance console is disabled in the <span className="font-medium">{status.environment}</span> environment.
+          </p>
+          <p className="text-sm text-gray-500 mt-2">
+            Set <span className="font-mono">MAINTENANCE_CONSOLE=enabled</span> on the server to turn it on.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Maintenance</h1>
+          <p className="text-sm text-gray-500 mt-1">Every action here is recorded in the audit log</p>
+        </div>
+        <Button variant="danger" onClick={() => setPending({ action: 'revokeAllSessions' })}>
+          Sign Out All Users
+        </Button>
+      </div>
+
+      <div className="card">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Diagnostics</h2>
+          <Button variant="secondary" onClick={runDiagnostics} loading={running}>
+            <ArrowPathIcon className="w-5 h-5 mr-2" />
+            Run Diagnostics
+          </Button>
+        </div>
+
+        {diagnostics ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Database</p>
+                <p className={`font-medium ${diagnostics.database.connected ? 'text-green-700' : 'text-red-700'}`}>
+                  {diagnostics.database.connected ? `Connected (${diagnostics.database.latency_ms} ms)` : 'Not connected'}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Connection Pool</p>
+                <p className="font-medium">
+                  {diagnostics.pool.total} open, {diagnostics.pool.idle} idle, {diagnostics.pool.waiting} waiting
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Server</p>
+                <p className="font-medium">
+                  Node {diagnostics.server.node_version}, up {Math.round(diagnostics.server.uptime_seconds / 60)} min
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Memory</p>
+                <p className="font-medium">
+                  {diagnostics.server.memory_mb.rss} MB ({diagnostics.server.memory_mb.heap_used} MB heap)
+                </p>
+              </div>
+            </div>
+
+            {diagnostics.database.connected ? (
+              <>
+                <p className="text-xs text-gray-500">
+                  {diagnostics.database.name} · {formatBytes(diagnostics.database.size_bytes)} · {diagnostics.database.version}
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-x-6 gap-y-1 text-sm">
+                  {diagnostics.database.tables.map((table) => (
+                    <div key={table.table} className="flex justify-between">
+                      <span className="text-gray-600">{table.table}</span>
+                      <span className="font-mono">{table.rows}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-red-700">{diagnostics.database.error}</p>
+            )}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">Check database connectivity and server health</p>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">User Access</h2>
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Status</th>
+                <th>Failed Sign-ins</th>
+                <th>Sessions</th>
+                <th>Last Login</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => (
+                <tr key={user.id}>
+                  <td>{user.first_name} {user.last_name}</td>
+                  <td>{user.email}</td>
+                  <td>
+                    <div className="flex flex-wrap gap-1">
+                      {!user.is_active && <span className="badge badge-rejected">Inactive</span>}
+                      {user.is_locked && (
+                        <span className="badge badge-rejected" title={`Until ${new Date(user.locked_until).toLocaleString()}`}>
+                          Locked
+                        </span>
+                      )}
+                      {user.password_reset_required && <span className="badge badge-pending">Reset required</span>}
+                      {user.is_active && !user.is_locked && !user.password_reset_required && (
+                        <span className="badge badge-success">OK</span>
+                      )}
+                    </div>
+                  </td>
+                  <td>{user.failed_login_attempts}</td>
+                  <td>{user.active_sessions}</td>
+                  <td>{user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'}</td>
+                  <td>
+                    <div className="flex space-x-2">
+                      {(user.is_locked || user.failed_login_attempts > 0) && (
+                        <Button size="sm" variant="secondary" onClick={() => handleUnlock(user)}>Unlock</Button>
+                      )}
+                      <Button size="sm" variant="secondary" onClick={() => setPending({ action: 'forcePasswordReset', user })}>
+                        Force Reset
+                      </Button>
+                      <Button size="sm" variant="danger" disabled={user.active_sessions === 0} onClick={() => setPending({ action: 'revokeUserSessions', user })}>
+                        Revoke Sessions
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <ConfirmModal
+        isOpen={!!pending}
+        onClose={() => setPending(null)}
+        onConfirm={handleConfirm}
+        loading={loading}
+        title={pending ? ACTIONS[pending.action].title : ''}
+        message={pending ? ACTIONS[pending.action].message(pending.user) : ''}
+      />
+    </div>
+  );
+};
+
+export default Maintenance;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { notificationsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/common/Button';
+
+const channelLabels = {
+  email: 'Email',
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+};
+
+const statusBadges = {
+  queued: 'badge-pending',
+  sent: 'badge-success',
+  failed: 'badge-rejected',
+  skipped: 'badge-info',
+};
+
+const NotificationSettings = () => {
+  const { hasPermission } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [preferences, setPreferences] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchPreferences();
+    if (hasPermission('audit.view')) {
+      fetchNotifications();
+    }
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const [eventsResponse, preferencesResponse] = await Promise.all([
+        notificationsAPI.getEvents(),
+        notificationsAPI.getPreferences(),
+      ]);
+      setEvents(eventsResponse.data.events.filter((event) => event.audience === 'user'));
+      setChannels(eventsResponse.data.channels);
+      setPreferences(preferencesResponse.data.preferences);
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await notificationsAPI.getAll();
+      setNotifications(response.data.notifications);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const isEnabled = (event, channel) =>
+    preferences.some((pref) => pref.event === event && pref.channel === channel && pref.enabled);
+
+  const togglePreference = (event, channel) => {
+    setPreferences(preferences.map((pref) =>
+      pref.event === event && pref.channel === channel ? { ...pref, enabled: !pref.enabled } : pref
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await notificationsAPI.updatePreferences(preferences);
+      setPreferences(response.data.preferences);
+      alert('Notification preferences saved');
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error saving notification preferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Notification Settings</h1>
+
+      <div className="card">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Choose how you want to hear about each event. SMS and WhatsApp go to the phone number on your profile.
+          </p>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Event</th>
+                  {channels.map((channel) => (
+                    <th key={channel} className="text-center">{channelLabels[channel] || channel}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event.key}>
+                    <td>{event.label}</td>
+                    {channels.map((channel) => (
+                      <td key={channel} className="text-center">
+                        <input
+                          type="checkbox"
+                          checked={isEnabled(event.key, channel)}
+                          onChange={() => togglePreference(event.key, channel)}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" variant="primary" loading={loading}>
+              Save Preferences
+            </Button>
+          </div>
+        </form>
+      </div>
+
+      {hasPermission('audit.view') && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Recent Notifications</h2>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Event</th>
+                  <th>Recipient</th>
+                  <th>Channel</th>
+                  <th>Message</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {notifications.map((notification) => (
+                  <tr key={notification.id}>
+                    <td>{new Date(notification.created_at).toLocaleString()}</td>
+                    <td>{notification.event.replace(/_/g, ' ')}</td>
+                    <td>
+                      {notification.recipient_name}
+                      {notification.address && <p className="text-xs text-gray-500">{notification.address}</p>}
+                    </td>
+                    <td>
+                      {channelLabels[notification.channel]}
+                      {notification.provider && <p className="text-xs text-gray-500">{notification.provider}</p>}
+                    </td>
+                    <td className="max-w-xs truncate" title={notification.message}>{notification.message}</td>
+                    <td>
+                      <span className={`badge ${statusBadges[notification.status]}`} title={notification.error || undefined}>
+                        {notification.status}
+                      </span>
+                      {notification.error && (
+                        <p className="text-xs text-red-600 max-w-xs truncate" title={notification.error}>{notification.error}</p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {notifications.length === 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-center text-gray-500">No notifications sent yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
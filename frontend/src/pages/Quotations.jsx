@@ -0,0 +1,363 @@
+import React, { useState, useEffect } from 'react';
+import { quotationsAPI, clientsAPI, adTypesAPI, paymentMethodsAPI, settingsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/common/Button';
+import Input, { Select, Textarea } from '../components/common/Input';
+import Modal, { ConfirmModal } from '../components/common/Modal';
+import LineItemsEditor, { emptyLine } from '../components/invoices/LineItemsEditor';
+import { BASE_CURRENCY, currencyOptions, formatMoney } from '../utils/currency';
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  PaperAirplaneIcon,
+  CheckIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  ArrowRightCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const statusLabels = {
+  draft: 'Draft',
+  sent: 'Sent',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  expired: 'Expired',
+  converted: 'Converted',
+};
+
+const statusBadges = {
+  draft: 'badge-info',
+  sent: 'badge-pending',
+  accepted: 'badge-approved',
+  declined: 'badge-rejected',
+  expired: 'badge-rejected',
+  converted: 'badge-success',
+};
+
+const isOpenQuotation = (quotation) => ['draft', 'sent'].includes(quotation.status);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const Quotations = () => {
+  const { user, hasPermission } = useAuth();
+
+  // Users change their own quotations, or anyone's with sales.manage
+  const canModify = (quotation) => hasPermission('sales.manage') || quotation.journalist_id === user.id;
+  const [quotations, setQuotations] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [adTypes, setAdTypes] = useState([]);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [vatRate, setVatRate] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingQuotation, setEditingQuotation] = useState(null);
+  const [formData, setFormData] = useState({});
+  const [lines, setLines] = useState([]);
+  const [convertingQuotation, setConvertingQuotation] = useState(null);
+  const [convertData, setConvertData] = useState({});
+  const [deletingQuotation, setDeletingQuotation] = useState(null);
+
+  useEffect(() => {
+    fetchLookups();
+  }, []);
+
+  useEffect(() => {
+    fetchQuotations();
+  }, [statusFilter]);
+
+  const fetchQuotations = async () => {
+    try {
+      const response = await quotationsAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setQuotations(response.data.quotations);
+    } catch (error) {
+      console.error('Error fetching quotations:', error);
+    }
+  };
+
+  const fetchLookups = async () => {
+    try {
+      const [clientsRes, adTypesRes, paymentMethodsRes, settingsRes] = await Promise.all([
+        clientsAPI.getAll(),
+        adTypesAPI.getAll({ is_active: true }),
+        paymentMethodsAPI.getAll({ is_active: true }),
+        settingsAPI.getAll(),
+      ]);
+      setClients(clientsRes.data.clients);
+      setAdTypes(adTypesRes.data.ad_types);
+      setPaymentMethods(paymentMethodsRes.data.payment_methods);
+      setVatRate(parseFloat(settingsRes.data.settings.vat_rate) || 0);
+    } catch (error) {
+      console.error('Error fetching quotation options:', error);
+    }
+  };
+
+  const openCreateModal = () => {
+    setEditingQuotation(null);
+    setFormData({
+      client_id: '',
+      ad_type: '',
+      currency: BASE_CURRENCY,
+      valid_until: '',
+      description: '',
+      notes: '',
+    });
+    setLines([emptyLine(vatRate)]);
+    setShowModal(true);
+  };
+
+  const openEditModal = async (quotation) => {
+    try {
+      const response = await quotationsAPI.getById(quotation.id);
+      const { quotation: current, items } = response.data;
+      setEditingQuotation(current);
+      setFormData({
+        client_id: current.client_id,
+        ad_type: current.ad_type,
+        currency: current.currency,
+        valid_until: current.valid_until?.split('T')[0] || '',
+        description: current.description || '',
+        notes: current.notes || '',
+      });
+      setLines(items.map(({ description, ad_type, quantity, unit_price, discount_percent, tax_rate }) => ({
+        description, ad_type, quantity, unit_price, discount_percent, tax_rate,
+      })));
+      setShowModal(true);
+    } catch (error) {
+      alert('Error loading quotation');
+    }
+  };
+
+  // Prefill an empty first line from the ad type's default price
+  const handleAdTypeChange = (e) => {
+    const adType = adTypes.find(t => t.name === e.target.value);
+    setFormData({ ...formData, ad_type: e.target.value });
+    if (adType && lines.length === 1 && !lines[0].description && !lines[0].unit_price) {
+      setLines([{
+        ...lines[0],
+        description: adType.name,
+        ad_type: adType.name,
+        unit_price: adType.default_price ?? '',
+      }]);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { ...formData, items: lines };
+    try {
+      if (editingQuotation) {
+        await quotationsAPI.update(editingQuotation.id, payload);
+      } else {
+        await quotationsAPI.create(payload);
+      }
+      setShowModal(false);
+      fetchQuotations();
+    } catch (error) {
+      alert(error.response?.data?.details || error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleStatusAction = async (action, quotation) => {
+    try {
+      await quotationsAPI[action](quotation.id);
+      fetchQuotations();
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const openConvertModal = (quotation) => {
+    setConvertingQuotation(quotation);
+    setConvertData({ payment_method: '', payment_date: today(), proof_of_payment: null });
+  };
+
+  const handleConvert = async (e) => {
+    e.preventDefault();
+    try {
+      const formPayload = new FormData();
+      formPayload.append('payment_method', convertData.payment_method);
+      formPayload.append('payment_date', convertData.payment_date);
+      if (convertData.proof_of_payment) {
+        formPayload.append('proof_of_payment', convertData.proof_of_payment);
+      }
+      await quotationsAPI.convert(convertingQuotation.id, formPayload);
+      setConvertingQuotation(null);
+      fetchQuotations();
+      alert('Sale created and submitted for approval');
+    } catch (error) {
+      alert(error.response?.data?.details || error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await quotationsAPI.delete(deletingQuotation.id);
+      setDeletingQuotation(null);
+      fetchQuotations();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Cannot delete quotation');
+    }
+  };
+
+  const handleDownload = async (quotation) => {
+    try {
+      const response = await quotationsAPI.download(quotation.id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${quotation.quote_number}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      alert('Error downloading quotation');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-gray-900">Quotations</h1>
+        {hasPermission('sales.create') && (
+          <Button icon={<PlusIcon className="w-5 h-5" />} onClick={openCreateModal}>
+            New Quotation
+          </Button>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="mb-4 w-64">
+          <Select
+            label="Status"
+            name="status"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            options={Object.entries(statusLabels).map(([value, label]) => ({ value, label }))}
+            placeholder="All quotations"
+          />
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Quote #</th>
+                <th>Client</th>
+                {hasPermission('sales.view_all') && <th>Journalist</th>}
+                <th>Ad Type</th>
+                <th>Total</th>
+                <th>Valid Until</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {quotations.map((quotation) => (
+                <tr key={quotation.id}>
+                  <td className="font-mono text-primary-600">{quotation.quote_number}</td>
+                  <td>{quotation.client_name}</td>
+                  {hasPermission('sales.view_all') && <td>{quotation.journalist_name}</td>}
+                  <td>{quotation.ad_type}</td>
+                  <td className="font-semibold">{formatMoney(quotation.total, quotation.currency)}</td>
+                  <td>{new Date(quotation.valid_until).toLocaleDateString()}</td>
+                  <td>
+                    <span className={`badge ${statusBadges[quotation.status] || 'badge-info'}`}>
+                      {statusLabels[quotation.status] || quotation.status}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="flex space-x-2">
+                      <button type="button" title="Download PDF" onClick={() => handleDownload(quotation)} className="text-gray-600 hover:text-gray-800">
+                        <ArrowDownTrayIcon className="w-5 h-5" />
+                      </button>
+                      {isOpenQuotation(quotation) && canModify(quotation) && (
+                        <>
+                          <button type="button" title="Edit" onClick={() => openEditModal(quotation)} className="text-blue-600 hover:text-blue-800">
+                            <PencilIcon className="w-5 h-5" />
+                          </button>
+                          {quotation.status === 'draft' && (
+                            <button type="button" title="Mark as sent" onClick={() => handleStatusAction('send', quotation)} className="text-blue-600 hover:text-blue-800">
+                              <PaperAirplaneIcon className="w-5 h-5" />
+                            </button>
+                          )}
+                          <button type="button" title="Accept" onClick={() => handleStatusAction('accept', quotation)} className="text-green-600 hover:text-green-800">
+                            <CheckIcon className="w-5 h-5" />
+                          </button>
+                          <button type="button" title="Decline" onClick={() => handleStatusAction('decline', quotation)} className="text-red-600 hover:text-red-800">
+                            <XMarkIcon className="w-5 h-5" />
+                          </button>
+                        </>
+                      )}
+                      {quotation.status === 'accepted' && canModify(quotation) && (
+                        <button type="button" title="Convert to sale" onClick={() => openConvertModal(quotation)} className="text-green-600 hover:text-green-800">
+                          <ArrowRightCircleIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {quotation.status !== 'converted' && canModify(quotation) && (
+                        <button type="button" title="Delete" onClick={() => setDeletingQuotation(quotation)} className="text-red-600 hover:text-red-800">
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {quotations.length === 0 && (
+                <tr>
+                  <td colSpan={hasPermission('sales.view_all') ? 8 : 7} className="text-center text-gray-500">No quotations found</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title={editingQuotation ? `Edit ${editingQuotation.quote_number}` : 'New Quotation'} size="xl">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Select label="Client" name="client_id" value={formData.client_id} onChange={(e) => setFormData({...formData, client_id: e.target.value})} options={clients.map(c => ({value: c.id, label: c.client_name}))} required />
+            <Select label="Ad Type" name="ad_type" value={formData.ad_type} onChange={handleAdTypeChange} options={adTypes.map(t => ({value: t.name, label: t.name}))} required />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <Select label="Currency" name="currency" value={formData.currency} onChange={(e) => setFormData({...formData, currency: e.target.value})} options={currencyOptions} required />
+            <Input label="Valid Until" type="date" name="valid_until" min={today()} value={formData.valid_until} onChange={(e) => setFormData({...formData, valid_until: e.target.value})} placeholder="Default validity" />
+          </div>
+          <Textarea label="Description" name="description" value={formData.description} onChange={(e) => setFormData({...formData, description: e.target.value})} rows={2} />
+
+          <LineItemsEditor lines={lines} onChange={setLines} currency={formData.currency} vatRate={vatRate} />
+
+          <Textarea label="Notes" name="notes" value={formData.notes} onChange={(e) => setFormData({...formData, notes: e.target.value})} rows={2} />
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+            <Button type="submit" variant="primary">{editingQuotation ? 'Update' : 'Create'} Quotation</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal isOpen={!!convertingQuotation} onClose={() => setConvertingQuotation(null)} title="Convert to Sale" size="md">
+        <form onSubmit={handleConvert} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Records a pending sale of {formatMoney(convertingQuotation?.total, convertingQuotation?.currency)} for {convertingQuotation?.client_name}.
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <Select label="Payment Method" name="payment_method" value={convertData.payment_method} onChange={(e) => setConvertData({...convertData, payment_method: e.target.value})} options={paymentMethods.map(m => ({value: m.name, label: m.name}))} required />
+            <Input label="Payment Date" type="date" name="payment_date" value={convertData.payment_date} onChange={(e) => setConvertData({...convertData, payment_date: e.target.value})} required />
+          </div>
+          <div>
+            <label className="form-label">Proof of Payment</label>
+            <input type="file" accept="image/*,application/pdf" onChange={(e) => setConvertData({...convertData, proof_of_payment: e.target.files[0]})} className="form-input" />
+          </div>
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => setConvertingQuotation(null)}>Cancel</Button>
+            <Button type="submit" variant="success">Create Sale</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal isOpen={!!deletingQuotation} onClose={() => setDeletingQuotation(null)} onConfirm={handleDelete} title="Delete Quotation" message={`Delete quotation ${deletingQuotation?.quote_number}?`} />
+    </div>
+  );
+};
+
+export default Quotations;
@@ -2,11 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { analyticsAPI, commissionPaymentsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import Button from '../components/common/Button';
+import CommissionStatement from '../components/reports/CommissionStatement';
+import AgingReport from '../components/reports/AgingReport';
 import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
 
 const Reports = () => {
-  const { user, isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const seesAll = hasPermission('commissions.view_all');
   const [commissionSummary, setCommissionSummary] = useState(null);
+  const [journalistBalances, setJournalistBalances] = useState([]);
 
   useEffect(() => {
     fetchCommissionSummary();
@@ -14,8 +18,10 @@ const Reports = () => {
 
   const fetchCommissionSummary = async () => {
     try {
-      const journalistId = isAdmin() ? null : user.id;
-      if (!isAdmin()) {
+      if (seesAll) {
+        const response = await commissionPaymentsAPI.getAllJournalistsStats();
+        setJournalistBalances(response.data.statistics);
+      } else {
         const response = await commissionPaymentsAPI.getJournalistSummary(user.id);
         setCommissionSummary(response.data);
       }
@@ -43,16 +49,49 @@ const Reports = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">
-          {isAdmin() ? 'Reports & Analytics' : 'My Commissions'}
+          {hasPermission('reports.view') ? 'Reports & Analytics' : 'My Commissions'}
         </h1>
-        {isAdmin() && (
+        {hasPermission('reports.view') && (
           <Button icon={<ArrowDownTrayIcon className="w-5 h-5" />} onClick={handleExport}>
             Export Sales Data
           </Button>
         )}
       </div>
 
-      {!isAdmin() && commissionSummary && (
+      {seesAll && (
+        <div className="card">
+          <h3 className="card-header">Commission Balances</h3>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Journalist</th>
+                  <th>Earned</th>
+                  <th>Paid</th>
+                  <th>Balance Due</th>
+                </tr>
+              </thead>
+              <tbody>
+                {journalistBalances.map((row) => (
+                  <tr key={row.id}>
+                    <td>{row.journalist_name}</td>
+                    <td className="text-green-600">${parseFloat(row.total_earned).toFixed(2)}</td>
+                    <td className="text-blue-600">${parseFloat(row.total_paid).toFixed(2)}</td>
+                    <td className="font-semibold">${parseFloat(row.balance).toFixed(2)}</td>
+                  </tr>
+                ))}
+                {journalistBalances.length === 0 && (
+                  <tr>
+                    <td colSpan="4" className="text-center text-gray-500">No commission activity yet</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {!seesAll && commissionSummary && (
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="card">
             <p className="text-sm text-gray-600">Total Earned</p>
@@ -75,7 +114,7 @@ const Reports = () => {
         </div>
       )}
 
-      {!isAdmin() && commissionSummary?.recent_payments?.length > 0 && (
+      {!seesAll && commissionSummary?.recent_payments?.length > 0 && (
         <div className="card">
           <h3 className="card-header">Recent Commission Payments</h3>
           <div className="table-container">
@@ -102,6 +141,10 @@ const Reports = () => {
           </div>
         </div>
       )}
+
+      {hasPermission('reports.view') && <AgingReport />}
+
+      <CommissionStatement />
     </div>
   );
 };
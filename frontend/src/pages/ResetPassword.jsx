@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import PasswordRules from '../components/common/PasswordRules';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({ new_password: '', confirm_password: '' });
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.new_password !== formData.confirm_password) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword({ token, new_password: formData.new_password });
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Could not reset the password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold text-primary-600 mb-2">
+            AFROGAZETTE
+          </h1>
+          <h2 className="text-xl font-semibold text-gray-900">
+            Choose a new password
+          </h2>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          {message ? (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              {message}
+            </div>
+          ) : !token ? (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              This password reset link is incomplete. Please use the link from your email, or request a new one.
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Input
+                  label="New Password"
+                  type="password"
+                  name="new_password"
+                  value={formData.new_password}
+                  onChange={(e) => setFormData({ ...formData, new_password: e.target.value })}
+                  required
+                  icon={<LockClosedIcon className="h-5 w-5 text-gray-400" />}
+                />
+                <PasswordRules />
+              </div>
+
+              <Input
+                label="Confirm New Password"
+                type="password"
+                name="confirm_password"
+                value={formData.confirm_password}
+                onChange={(e) => setFormData({ ...formData, confirm_password: e.target.value })}
+                required
+                icon={<LockClosedIcon className="h-5 w-5 text-gray-400" />}
+              />
+
+              <Button type="submit" variant="primary" className="w-full" loading={loading}>
+                Reset password
+              </Button>
+            </form>
+          )}
+
+          <p className="mt-6 text-center text-sm">
+            {!message && (
+              <>
+                <Link to="/forgot-password" className="text-primary-600 hover:text-primary-700">Request a new link</Link>
+                <span className="text-gray-400 mx-2">·</span>
+              </>
+            )}
+            <Link to="/login" className="text-primary-600 hover:text-primary-700">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
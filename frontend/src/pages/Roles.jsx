@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { rolesAPI } from '../services/api';
+import Button from '../components/common/Button';
+import Input, { Textarea } from '../components/common/Input';
+import Modal, { ConfirmModal } from '../components/common/Modal';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const emptyForm = { name: '', label: '', description: '', permissions: [] };
+
+const Roles = () => {
+  const [roles, setRoles] = useState([]);
+  const [superRole, setSuperRole] = useState('admin');
+  const [groups, setGroups] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [deletingRole, setDeletingRole] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchRoles();
+    fetchPermissions();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await rolesAPI.getAll();
+      setRoles(response.data.roles);
+      setSuperRole(response.data.super_role);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    }
+  };
+
+  const fetchPermissions = async () => {
+    try {
+      const response = await rolesAPI.getPermissions();
+      setGroups(response.data.groups);
+    } catch (error) {
+      console.error('Error fetching permissions:', error);
+    }
+  };
+
+  const isSuperRole = (role) => role?.name === superRole;
+
+  const togglePermission = (permission) => {
+    const permissions = formData.permissions.includes(permission)
+      ? formData.permissions.filter((key) => key !== permission)
+      : [...formData.permissions, permission];
+    setFormData({ ...formData, permissions });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingRole) {
+        const { label, description, permissions } = formData;
+        await rolesAPI.update(editingRole.id, isSuperRole(editingRole) ? { label, description } : { label, description, permissions });
+      } else {
+        await rolesAPI.create(formData);
+      }
+      setShowModal(false);
+      resetForm();
+      fetchRoles();
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await rolesAPI.delete(deletingRole.id);
+      setDeletingRole(null);
+      fetchRoles();
+    } catch (error) {
+      setDeletingRole(null);
+      alert(error.response?.data?.details || error.response?.data?.error || 'Cannot delete role');
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingRole(null);
+  };
+
+  const openEditModal = (role) => {
+    setEditingRole(role);
+    setFormData({
+      name: role.name,
+      label: role.label,
+      description: role.description || '',
+      permissions: role.permissions,
+    });
+    setShowModal(true);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Roles & Permissions</h1>
+          <p className="text-sm text-gray-500 mt-1">A user can do what their role's permissions allow</p>
+        </div>
+        <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
+          Add Role
+        </Button>
+      </div>
+
+      <div className="card">
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Role</th>
+                <th>Description</th>
+                <th>Permissions</th>
+                <th>Users</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {roles.map((role) => (
+                <tr key={role.id}>
+                  <td>
+                    <p className="font-medium">{role.label}</p>
+                    <p className="text-xs text-gray-500 font-mono">{role.name}</p>
+                  </td>
+                  <td className="text-sm text-gray-600">{role.description || '—'}</td>
+                  <td>{isSuperRole(role) ? 'All' : role.permissions.length}</td>
+                  <td>{role.user_count}</td>
+                  <td>
+                    <div className="flex space-x-2">
+                      <button onClick={() => openEditModal(role)} className="text-blue-600 hover:text-blue-800">
+                        <PencilIcon className="w-5 h-5" />
+                      </button>
+                      {!role.is_system && (
+                        <button onClick={() => setDeletingRole(role)} className="text-red-600 hover:text-red-800">
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title={editingRole ? 'Edit Role' : 'Add Role'} size="lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Input label="Label" name="label" value={formData.label} onChange={(e) => setFormData({...formData, label: e.target.value})} required />
+            <Input label="Name" name="name" value={formData.name} onChange={(e) => setFormData({...formData, name: e.target.value})} placeholder="e.g. office_manager" disabled={!!editingRole} required />
+          </div>
+          <Textarea label="Description" name="description" rows={2} value={formData.description} onChange={(e) => setFormData({...formData, description: e.target.value})} />
+
+          {isSuperRole(editingRole) ? (
+            <p className="text-sm text-gray-600">This role always has every permission.</p>
+          ) : (
+            <div className="space-y-4 max-h-96 overflow-y-auto custom-scrollbar">
+              {groups.map((group) => (
+                <div key={group.label}>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">{group.label}</h3>
+                  <div className="space-y-1">
+                    {Object.entries(group.permissions).map(([key, description]) => (
+                      <label key={key} className="flex items-start space-x-2 text-sm text-gray-700">
+                        <input type="checkbox" className="mt-1" checked={formData.permissions.includes(key)} onChange={() => togglePermission(key)} />
+                        <span>
+                          {description}
+                          <span className="ml-2 text-xs text-gray-400 font-mono">{key}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
+            <Button type="submit" variant="primary">{editingRole ? 'Update' : 'Create'} Role</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!deletingRole}
+        onClose={() => setDeletingRole(null)}
+        onConfirm={handleDelete}
+        title="Delete Role"
+        message={`Delete the ${deletingRole?.label} role? Roles that users still have cannot be deleted.`}
+      />
+    </div>
+  );
+};
+
+export default Roles;
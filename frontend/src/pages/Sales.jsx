@@ -1,23 +1,81 @@
 import React, { useState, useEffect } from 'react';
-import { salesAPI, clientsAPI } from '../services/api';
+import { useSearchParams } from 'react-router-dom';
+import { salesAPI, clientsAPI, adTypesAPI, paymentMethodsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import Button from '../components/common/Button';
 import Input, { Select, Textarea } from '../components/common/Input';
 import Modal, { ConfirmModal } from '../components/common/Modal';
-import { PlusIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import SaleDrawer from '../components/sales/SaleDrawer';
+import { BASE_CURRENCY, currencyOptions, formatMoney } from '../utils/currency';
+import { PlusIcon, PencilIcon, CheckIcon, XMarkIcon, QuestionMarkCircleIcon, ArrowUturnUpIcon, ClockIcon, ChatBubbleLeftRightIcon } from '@heroicons/react/24/outline';
+
+const statusLabels = {
+  pending: 'Pending',
+  needs_info: 'Needs info',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+const approvalActionLabels = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  needs_info: 'Asked for more information',
+  resubmitted: 'Resubmitted',
+};
+
+const formatChangeValue = (change, currency) => {
+  if (change.value === null || change.value === '') {
+    return '—';
+  }
+  if (change.field === 'amount') {
+    return formatMoney(change.value, currency);
+  }
+  if (change.field === 'payment_date') {
+    return new Date(change.value).toLocaleDateString();
+  }
+  if (change.field === 'proof_of_payment_url') {
+    return 'File uploaded';
+  }
+  return String(change.value);
+};
+
+// A list of "Field: old → new" lines for a revision diff
+const ChangeList = ({ changes, currency }) => (
+  <ul className="text-sm text-gray-700 space-y-1">
+    {changes.map((change) => (
+      <li key={change.field}>
+        <span className="text-gray-500">{change.label}:</span>{' '}
+        <span className="line-through text-red-600">{formatChangeValue({ ...change, value: change.from }, currency)}</span>{' → '}
+        <span className="text-green-700">{formatChangeValue({ ...change, value: change.to }, currency)}</span>
+      </li>
+    ))}
+  </ul>
+);
 
 const Sales = () => {
-  const { isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [sales, setSales] = useState([]);
   const [clients, setClients] = useState([]);
+  const [adTypes, setAdTypes] = useState([]);
+  const [paymentMethods, setPaymentMethods] = useState([]);
   const [showModal, setShowModal] = useState(false);
   const [showApproveModal, setShowApproveModal] = useState(false);
   const [showRejectModal, setShowRejectModal] = useState(false);
   const [selectedSale, setSelectedSale] = useState(null);
   const [rejectionReason, setRejectionReason] = useState('');
+  const [reviewAction, setReviewAction] = useState(null);
+  const [reviewComment, setReviewComment] = useState('');
+  const [approvals, setApprovals] = useState(null);
+  const [revisions, setRevisions] = useState(null);
+  const [editingSale, setEditingSale] = useState(null);
+  const [commissionStatusFilter, setCommissionStatusFilter] = useState('');
+  // The open sale drawer is kept in the URL (?sale=ID) so notifications can link to it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const drawerSale = sales.find((sale) => sale.id === parseInt(searchParams.get('sale'))) || null;
   const [formData, setFormData] = useState({
     client_id: '',
     amount: '',
+    currency: BASE_CURRENCY,
     payment_method: '',
     payment_date: new Date().toISOString().split('T')[0],
     ad_type: '',
@@ -26,13 +84,18 @@ const Sales = () => {
   });
 
   useEffect(() => {
-    fetchSales();
     fetchClients();
+    fetchCatalogs();
   }, []);
 
+  useEffect(() => {
+    fetchSales();
+  }, [commissionStatusFilter]);
+
   const fetchSales = async () => {
     try {
-      const response = await salesAPI.getAll();
+      const filters = commissionStatusFilter ? { commission_status: commissionStatusFilter } : {};
+      const response = await salesAPI.getAll(filters);
       setSales(response.data.sales);
     } catch (error) {
       console.error('Error fetching sales:', error);
@@ -48,6 +111,30 @@ const Sales = () => {
     }
   };
 
+  const fetchCatalogs = async () => {
+    try {
+      const [adTypesRes, paymentMethodsRes] = await Promise.all([
+        adTypesAPI.getAll({ is_active: true }),
+        paymentMethodsAPI.getAll({ is_active: true }),
+      ]);
+      setAdTypes(adTypesRes.data.ad_types);
+      setPaymentMethods(paymentMethodsRes.data.payment_methods);
+    } catch (error) {
+      console.error('Error fetching ad types and payment methods:', error);
+    }
+  };
+
+  // Prefill the amount from the ad type's default price when it is still empty
+  const handleAdTypeChange = (e) => {
+    const adType = adTypes.find(t => t.name === e.target.value);
+    const prefill = !formData.amount && adType?.default_price !== null && adType?.default_price !== undefined;
+    setFormData({
+      ...formData,
+      ad_type: e.target.value,
+      ...(prefill ? { amount: adType.default_price, currency: BASE_CURRENCY } : {}),
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -60,6 +147,17 @@ const Sales = () => {
       if (formData.proof_of_payment) {
         formPayload.append('proof_of_payment', formData.proof_of_payment);
       }
+
+      // Edits are saved as a new revision, a new proof of payment included
+      if (editingSale) {
+        const response = await salesAPI.update(editingSale.id, formPayload);
+        setShowModal(false);
+        fetchSales();
+        resetForm();
+        alert(response.data.message);
+        return;
+      }
+
       await salesAPI.create(formPayload);
       setShowModal(false);
       fetchSales();
@@ -70,17 +168,76 @@ const Sales = () => {
     }
   };
 
+  // Nobody approves their own sales
+  const canApprove = (sale) => hasPermission('sales.approve') && sale.journalist_id !== user?.id;
+
+  const canChange = (sale) => hasPermission('sales.manage') || sale.journalist_id === user?.id;
+
+  // Sales can be edited until their first approval
+  const canEdit = (sale) =>
+    canChange(sale) && ['pending', 'needs_info', 'rejected'].includes(sale.status) && sale.approval_count === 0;
+
+  const canResubmit = (sale) => canChange(sale) && ['needs_info', 'rejected'].includes(sale.status);
+
+  const openEditModal = (sale) => {
+    setEditingSale(sale);
+    setFormData({
+      client_id: sale.client_id,
+      amount: sale.amount,
+      currency: sale.currency,
+      payment_method: sale.payment_method,
+      payment_date: sale.payment_date.split('T')[0],
+      ad_type: sale.ad_type,
+      description: sale.description || '',
+      proof_of_payment: null,
+    });
+    setShowModal(true);
+  };
+
   const handleApprove = async () => {
     try {
-      await salesAPI.approve(selectedSale.id);
+      const response = await salesAPI.approve(selectedSale.id);
       setShowApproveModal(false);
       fetchSales();
-      alert('Sale approved successfully');
+      alert(response.data.message);
     } catch (error) {
       alert(error.response?.data?.error || 'An error occurred');
     }
   };
 
+  // Asking for more information, or resubmitting with it
+  const handleReview = async () => {
+    try {
+      const response = reviewAction === 'request-info'
+        ? await salesAPI.requestInfo(selectedSale.id, reviewComment)
+        : await salesAPI.resubmit(selectedSale.id, reviewComment);
+      closeReviewModal();
+      fetchSales();
+      alert(response.data.message);
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const closeReviewModal = () => {
+    setReviewAction(null);
+    setReviewComment('');
+  };
+
+  const openHistory = async (sale) => {
+    try {
+      const [approvalsRes, revisionsRes] = await Promise.all([
+        salesAPI.getApprovals(sale.id),
+        salesAPI.getRevisions(sale.id),
+      ]);
+      setSelectedSale(sale);
+      setApprovals(approvalsRes.data.approvals);
+      setRevisions(revisionsRes.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error loading approval history');
+    }
+  };
+
   const handleReject = async () => {
     try {
       await salesAPI.reject(selectedSale.id, rejectionReason);
@@ -94,9 +251,11 @@ const Sales = () => {
   };
 
   const resetForm = () => {
+    setEditingSale(null);
     setFormData({
       client_id: '',
       amount: '',
+      currency: BASE_CURRENCY,
       payment_method: '',
       payment_date: new Date().toISOString().split('T')[0],
       ad_type: '',
@@ -108,22 +267,51 @@ const Sales = () => {
   const getStatusBadge = (status) => {
     const badges = {
       pending: 'badge-pending',
+      needs_info: 'badge-info',
       approved: 'badge-approved',
       rejected: 'badge-rejected',
     };
     return badges[status] || 'badge-info';
   };
 
+  const commissionStatusLabels = {
+    unpaid: 'Unpaid',
+    partially_paid: 'Partially Paid',
+    paid: 'Paid',
+  };
+
+  const getCommissionStatusBadge = (commissionStatus) => {
+    const badges = {
+      unpaid: 'badge-rejected',
+      partially_paid: 'badge-pending',
+      paid: 'badge-success',
+    };
+    return badges[commissionStatus] || 'badge-info';
+  };
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">Sales Management</h1>
-        <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
-          Add Sale
-        </Button>
+        {hasPermission('sales.create') && (
+          <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
+            Add Sale
+          </Button>
+        )}
       </div>
 
       <div className="card">
+        <div className="mb-4 w-64">
+          <Select
+            label="Commission Status"
+            name="commission_status"
+            value={commissionStatusFilter}
+            onChange={(e) => setCommissionStatusFilter(e.target.value)}
+            options={Object.entries(commissionStatusLabels).map(([value, label]) => ({ value, label }))}
+            placeholder="All sales"
+          />
+        </div>
+
         <div className="table-container">
           <table className="table">
             <thead>
@@ -135,6 +323,7 @@ const Sales = () => {
                 <th>Ad Type</th>
                 <th>Commission</th>
                 <th>Status</th>
+                <th>Commission Paid</th>
                 <th>Actions</th>
               </tr>
             </thead>
@@ -143,26 +332,62 @@ const Sales = () => {
                 <tr key={sale.id}>
                   <td>{new Date(sale.payment_date).toLocaleDateString()}</td>
                   <td>{sale.client_name}</td>
-                  <td className="font-semibold">${parseFloat(sale.amount).toFixed(2)}</td>
+                  <td className="font-semibold">{formatMoney(sale.amount, sale.currency)}</td>
                   <td>{sale.payment_method}</td>
                   <td>{sale.ad_type}</td>
-                  <td className="text-green-600">${parseFloat(sale.commission_amount).toFixed(2)}</td>
+                  <td className="text-green-600">{formatMoney(sale.commission_amount, sale.currency)}</td>
                   <td>
                     <span className={`badge ${getStatusBadge(sale.status)}`}>
-                      {sale.status}
+                      {statusLabels[sale.status] || sale.status}
                     </span>
+                    {sale.status === 'pending' && sale.approvals_required > 1 && (
+                      <p className="text-xs text-gray-500 mt-1">{sale.approval_count} of {sale.approvals_required} approvals</p>
+                    )}
                   </td>
                   <td>
-                    {isAdmin() && sale.status === 'pending' && (
-                      <div className="flex space-x-2">
-                        <button onClick={() => { setSelectedSale(sale); setShowApproveModal(true); }} className="text-green-600 hover:text-green-800">
-                          <CheckIcon className="w-5 h-5" />
-                        </button>
-                        <button onClick={() => { setSelectedSale(sale); setShowRejectModal(true); }} className="text-red-600 hover:text-red-800">
+                    {sale.commission_status ? (
+                      <span className={`badge ${getCommissionStatusBadge(sale.commission_status)}`} title={`${formatMoney(sale.commission_paid)} paid`}>
+                        {commissionStatusLabels[sale.commission_status]}
+                      </span>
+                    ) : (
+                      <span className="text-gray-400">—</span>
+                    )}
+                  </td>
+                  <td>
+                    <div className="flex space-x-2">
+                      {canApprove(sale) && sale.status === 'pending' && (
+                        <>
+                          <button onClick={() => { setSelectedSale(sale); setShowApproveModal(true); }} className="text-green-600 hover:text-green-800" title="Approve">
+                            <CheckIcon className="w-5 h-5" />
+                          </button>
+                          <button onClick={() => { setSelectedSale(sale); setReviewAction('request-info'); }} className="text-blue-600 hover:text-blue-800" title="Ask for more information">
+                            <QuestionMarkCircleIcon className="w-5 h-5" />
+                          </button>
+                        </>
+                      )}
+                      {canApprove(sale) && ['pending', 'needs_info'].includes(sale.status) && (
+                        <button onClick={() => { setSelectedSale(sale); setShowRejectModal(true); }} className="text-red-600 hover:text-red-800" title="Reject">
                           <XMarkIcon className="w-5 h-5" />
                         </button>
-                      </div>
-                    )}
+                      )}
+                      {canEdit(sale) && (
+                        <button onClick={() => openEditModal(sale)} className="text-blue-600 hover:text-blue-800" title="Edit">
+                          <PencilIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      {canResubmit(sale) && (
+                        <button onClick={() => { setSelectedSale(sale); setReviewAction('resubmit'); }} className="text-primary-600 hover:text-primary-800" title="Resubmit for approval">
+                          <ArrowUturnUpIcon className="w-5 h-5" />
+                        </button>
+                      )}
+                      <button onClick={() => openHistory(sale)} className="text-gray-500 hover:text-gray-700" title="Approval history">
+                        <ClockIcon className="w-5 h-5" />
+                      </button>
+                      <button onClick={() => setSearchParams({ sale: sale.id })} className="inline-flex items-center text-gray-500 hover:text-gray-700" title="Details and comments">
+                        <ChatBubbleLeftRightIcon className="w-5 h-5" />
+                        {sale.comment_count > 0 && <span className="ml-1 text-xs">{sale.comment_count}</span>}
+                      </button>
+                    </div>
                   </td>
                 </tr>
               ))}
@@ -171,30 +396,107 @@ const Sales = () => {
         </div>
       </div>
 
-      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title="Add New Sale" size="lg">
+      <SaleDrawer
+        sale={drawerSale}
+        statusLabel={drawerSale && (statusLabels[drawerSale.status] || drawerSale.status)}
+        onClose={() => setSearchParams({})}
+        onChange={fetchSales}
+      />
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title={editingSale ? 'Edit Sale' : 'Add New Sale'} size="lg">
         <form onSubmit={handleSubmit} className="space-y-4">
           <Select label="Client" name="client_id" value={formData.client_id} onChange={(e) => setFormData({...formData, client_id: e.target.value})} options={clients.map(c => ({value: c.id, label: c.client_name}))} required />
-          <div className="grid grid-cols-2 gap-4">
+          <div className="grid grid-cols-3 gap-4">
             <Input label="Amount" type="number" step="0.01" name="amount" value={formData.amount} onChange={(e) => setFormData({...formData, amount: e.target.value})} required />
+            <Select label="Currency" name="currency" value={formData.currency} onChange={(e) => setFormData({...formData, currency: e.target.value})} options={currencyOptions} required />
             <Input label="Payment Date" type="date" name="payment_date" value={formData.payment_date} onChange={(e) => setFormData({...formData, payment_date: e.target.value})} required />
           </div>
           <div className="grid grid-cols-2 gap-4">
-            <Select label="Payment Method" name="payment_method" value={formData.payment_method} onChange={(e) => setFormData({...formData, payment_method: e.target.value})} options={[{value: 'Cash', label: 'Cash'}, {value: 'Ecocash', label: 'Ecocash'}, {value: 'InnBucks', label: 'InnBucks'}, {value: 'Omari', label: 'Omari'}, {value: 'Bank Transfer', label: 'Bank Transfer'}]} required />
-            <Select label="Ad Type" name="ad_type" value={formData.ad_type} onChange={(e) => setFormData({...formData, ad_type: e.target.value})} options={[{value: 'WhatsApp Channel', label: 'WhatsApp Channel'}, {value: 'WhatsApp Group', label: 'WhatsApp Group'}, {value: 'Print', label: 'Print'}, {value: 'Radio', label: 'Radio'}, {value: 'TV', label: 'TV'}, {value: 'Digital Banner', label: 'Digital Banner'}]} required />
+            <Select label="Payment Method" name="payment_method" value={formData.payment_method} onChange={(e) => setFormData({...formData, payment_method: e.target.value})} options={paymentMethods.map(m => ({value: m.name, label: m.name}))} required />
+            <Select label="Ad Type" name="ad_type" value={formData.ad_type} onChange={handleAdTypeChange} options={adTypes.map(t => ({value: t.name, label: t.name}))} required />
           </div>
           <Textarea label="Description" name="description" value={formData.description} onChange={(e) => setFormData({...formData, description: e.target.value})} rows={3} />
           <div>
-            <label className="form-label">Proof of Payment</label>
+            <label className="form-label">{editingSale?.proof_of_payment_url ? 'Replace Proof of Payment' : 'Proof of Payment'}</label>
             <input type="file" accept="image/*,application/pdf" onChange={(e) => setFormData({...formData, proof_of_payment: e.target.files[0]})} className="form-input" />
           </div>
+          {editingSale && editingSale.status !== 'pending' && (
+            <p className="text-sm text-gray-500">Your changes are kept as a new revision. Resubmit the sale when it is ready for approval.</p>
+          )}
           <div className="flex justify-end space-x-3 pt-4">
             <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
-            <Button type="submit" variant="primary">Create Sale</Button>
+            <Button type="submit" variant="primary">{editingSale ? 'Save Changes' : 'Create Sale'}</Button>
           </div>
         </form>
       </Modal>
 
-      <ConfirmModal isOpen={showApproveModal} onClose={() => setShowApproveModal(false)} onConfirm={handleApprove} title="Approve Sale" message={`Approve sale of $${selectedSale?.amount}?`} confirmText="Approve" variant="success" />
+      <ConfirmModal
+        isOpen={showApproveModal}
+        onClose={() => setShowApproveModal(false)}
+        onConfirm={handleApprove}
+        title="Approve Sale"
+        message={selectedSale?.approvals_required > 1
+          ? `Give approval ${selectedSale.approval_count + 1} of ${selectedSale.approvals_required} for the sale of ${formatMoney(selectedSale.amount, selectedSale.currency)}?`
+          : `Approve sale of ${formatMoney(selectedSale?.amount, selectedSale?.currency)}?`}
+        confirmText="Approve"
+        variant="success"
+      />
+
+      <Modal isOpen={!!reviewAction} onClose={closeReviewModal} title={reviewAction === 'request-info' ? 'Ask for More Information' : 'Resubmit Sale'} size="md">
+        <div className="space-y-4">
+          <Textarea
+            label={reviewAction === 'request-info' ? 'What information is needed?' : 'Reply (optional)'}
+            value={reviewComment}
+            onChange={(e) => setReviewComment(e.target.value)}
+            rows={4}
+            required={reviewAction === 'request-info'}
+          />
+          <div className="flex justify-end space-x-3">
+            <Button variant="secondary" onClick={closeReviewModal}>Cancel</Button>
+            <Button variant="primary" onClick={handleReview}>{reviewAction === 'request-info' ? 'Send Back' : 'Resubmit'}</Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={!!approvals} onClose={() => { setApprovals(null); setRevisions(null); }} title="Approval History" size="md">
+        {revisions?.changes_since_review?.length > 0 && (
+          <div className="mb-4 p-3 rounded-lg bg-yellow-50">
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Changed since revision {revisions.compared_to} was reviewed</h3>
+            <ChangeList changes={revisions.changes_since_review} currency={selectedSale?.currency} />
+          </div>
+        )}
+        {approvals?.length === 0 ? (
+          <p className="text-sm text-gray-500">No decisions yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {approvals?.map((entry) => (
+              <li key={entry.id} className="border-l-2 border-gray-200 pl-3">
+                <p className="text-sm font-medium text-gray-900">
+                  {approvalActionLabels[entry.action]}
+                  {entry.action === 'approved' && selectedSale?.approvals_required > 1 && entry.level && ` (${entry.level} of ${selectedSale.approvals_required})`}
+                </p>
+                <p className="text-xs text-gray-500">{entry.user_name} · {new Date(entry.created_at).toLocaleString()}</p>
+                {entry.comment && <p className="text-sm text-gray-700 mt-1">{entry.comment}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+        {revisions?.revisions?.length > 1 && (
+          <div className="mt-6">
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Revisions</h3>
+            <ul className="space-y-3">
+              {revisions.revisions.slice(1).reverse().map((revision) => (
+                <li key={revision.id} className="border-l-2 border-gray-200 pl-3">
+                  <p className="text-xs text-gray-500">Revision {revision.revision} · {revision.changed_by_name} · {new Date(revision.created_at).toLocaleString()}</p>
+                  {revision.changes.length > 0
+                    ? <ChangeList changes={revision.changes} currency={revision.snapshot.currency} />
+                    : <p className="text-sm text-gray-500">No changes</p>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </Modal>
 
       <Modal isOpen={showRejectModal} onClose={() => { setShowRejectModal(false); setRejectionReason(''); }} title="Reject Sale" size="md">
         <div className="space-y-4">
@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { settingsAPI } from '../services/api';
+import { settingsAPI, adTypesAPI, paymentMethodsAPI } from '../services/api';
 import Button from '../components/common/Button';
-import Input from '../components/common/Input';
+import Input, { Select } from '../components/common/Input';
+import CommissionRulesSection from '../components/settings/CommissionRulesSection';
+import ExchangeRatesSection from '../components/settings/ExchangeRatesSection';
+import CatalogSection from '../components/settings/CatalogSection';
+import { currencyOptions } from '../utils/currency';
 
 const Settings = () => {
   const [settings, setSettings] = useState({
@@ -9,6 +13,12 @@ const Settings = () => {
     company_address: '',
     default_commission_rate: '',
     invoice_prefix: '',
+    quotation_prefix: '',
+    credit_note_prefix: '',
+    document_number_format: '',
+    quotation_validity_days: '',
+    reporting_currency: '',
+    vat_rate: '',
   });
   const [loading, setLoading] = useState(false);
 
@@ -32,7 +42,7 @@ const Settings = () => {
       await settingsAPI.bulkUpdate(settings);
       alert('Settings updated successfully');
     } catch (error) {
-      alert('Error updating settings');
+      alert(error.response?.data?.error || 'Error updating settings');
     } finally {
       setLoading(false);
     }
@@ -57,6 +67,55 @@ const Settings = () => {
             <div className="grid grid-cols-2 gap-4">
               <Input label="Default Commission Rate (%)" type="number" step="0.01" value={settings.default_commission_rate || ''} onChange={(e) => setSettings({...settings, default_commission_rate: e.target.value})} />
               <Input label="Invoice Prefix" value={settings.invoice_prefix || ''} onChange={(e) => setSettings({...settings, invoice_prefix: e.target.value})} />
+              <Input label="Quotation Prefix" value={settings.quotation_prefix || ''} onChange={(e) => setSettings({...settings, quotation_prefix: e.target.value})} />
+              <Input label="Credit Note Prefix" value={settings.credit_note_prefix || ''} onChange={(e) => setSettings({...settings, credit_note_prefix: e.target.value})} />
+              <div>
+                <Input label="Document Number Format" value={settings.document_number_format || ''} onChange={(e) => setSettings({...settings, document_number_format: e.target.value})} placeholder="{prefix}-{yyyy}-{seq:4}" />
+                <p className="text-xs text-gray-500 mt-1">Placeholders: {'{prefix}'}, {'{yyyy}'}, {'{yy}'}, {'{mm}'} and {'{seq:N}'} (sequence padded to N digits, restarting each year)</p>
+              </div>
+              <Input label="Quotation Validity (days)" type="number" min="1" value={settings.quotation_validity_days || ''} onChange={(e) => setSettings({...settings, quotation_validity_days: e.target.value})} />
+              <Select label="Reporting Currency" value={settings.reporting_currency || ''} onChange={(e) => setSettings({...settings, reporting_currency: e.target.value})} options={currencyOptions} />
+              <Input label="VAT Rate (%)" type="number" step="0.01" min="0" max="100" value={settings.vat_rate || ''} onChange={(e) => setSettings({...settings, vat_rate: e.target.value})} />
+              <div>
+                <Input label="Second Approval Threshold" type="number" step="0.01" min="0" value={settings.sale_second_approval_threshold ?? ''} onChange={(e) => setSettings({...settings, sale_second_approval_threshold: e.target.value})} />
+                <p className="text-xs text-gray-500 mt-1">Sales worth more than this, in the base currency, need two different approvers (0 for one approver)</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="border-t pt-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Password Policy</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <Input label="Minimum Length" type="number" min="6" max="128" value={settings.password_min_length || ''} onChange={(e) => setSettings({...settings, password_min_length: e.target.value})} />
+              <div>
+                <Input label="Password History" type="number" min="0" max="24" value={settings.password_history_count ?? ''} onChange={(e) => setSettings({...settings, password_history_count: e.target.value})} />
+                <p className="text-xs text-gray-500 mt-1">Users can't reuse this many of their most recent passwords (0 to allow reuse)</p>
+              </div>
+              <Input label="Reset Link Expiry (minutes)" type="number" min="5" max="1440" value={settings.password_reset_expiry_minutes || ''} onChange={(e) => setSettings({...settings, password_reset_expiry_minutes: e.target.value})} />
+              <Input label="Failed Sign-ins Before Lockout" type="number" min="1" max="100" value={settings.login_max_attempts || ''} onChange={(e) => setSettings({...settings, login_max_attempts: e.target.value})} />
+              <Input label="Lockout Duration (minutes)" type="number" min="1" max="1440" value={settings.login_lockout_minutes || ''} onChange={(e) => setSettings({...settings, login_lockout_minutes: e.target.value})} />
+              <div className="space-y-2 pt-6">
+                {[
+                  ['password_require_mixed_case', 'Require upper and lower case letters'],
+                  ['password_require_number', 'Require a number'],
+                  ['password_require_symbol', 'Require a symbol'],
+                ].map(([key, label]) => (
+                  <label key={key} className="flex items-center text-sm text-gray-700">
+                    <input type="checkbox" className="mr-2" checked={settings[key] === 'true'} onChange={(e) => setSettings({...settings, [key]: e.target.checked ? 'true' : 'false'})} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="border-t pt-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Trash</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Input label="Trash Retention (days)" type="number" min="1" value={settings.trash_retention_days || ''} onChange={(e) => setSettings({...settings, trash_retention_days: e.target.value})} />
+                <p className="text-xs text-gray-500 mt-1">Deleted users, clients, sales and commission payments are purged after this many days</p>
+              </div>
             </div>
           </div>
 
@@ -67,6 +126,26 @@ const Settings = () => {
           </div>
         </form>
       </div>
+
+      <CatalogSection
+        title="Ad Types"
+        description="Products offered on the sales form. The default price prefills the amount; the default commission applies when no commission rule matches."
+        itemLabel="Ad Type"
+        api={adTypesAPI}
+        listKey="ad_types"
+      />
+
+      <CatalogSection
+        title="Payment Methods"
+        description="Ways clients can pay. Its default commission applies when neither a rule nor the ad type sets one."
+        itemLabel="Payment Method"
+        api={paymentMethodsAPI}
+        listKey="payment_methods"
+      />
+
+      <CommissionRulesSection />
+
+      <ExchangeRatesSection />
     </div>
   );
 };
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { teamsAPI, usersAPI } from '../services/api';
+import Button from '../components/common/Button';
+import Input, { Textarea, Select } from '../components/common/Input';
+import Modal, { ConfirmModal } from '../components/common/Modal';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const emptyForm = { name: '', description: '', manager_id: '', parent_id: '', user_ids: [] };
+
+const Teams = () => {
+  const [teams, setTeams] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingTeam, setEditingTeam] = useState(null);
+  const [deletingTeam, setDeletingTeam] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchTeams();
+    fetchUsers();
+  }, []);
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamsAPI.getAll();
+      setTeams(response.data.teams);
+    } catch (error) {
+      console.error('Error fetching teams:', error);
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const response = await usersAPI.getAll();
+      setUsers(response.data.users);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  };
+
+  const toggleMember = (userId) => {
+    const user_ids = formData.user_ids.includes(userId)
+      ? formData.user_ids.filter((id) => id !== userId)
+      : [...formData.user_ids, userId];
+    setFormData({ ...formData, user_ids });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { user_ids, ...team } = formData;
+      const response = editingTeam
+        ? await teamsAPI.update(editingTeam.id, team)
+        : await teamsAPI.create(team);
+      await teamsAPI.setMembers(response.data.team.id, user_ids);
+      setShowModal(false);
+      resetForm();
+      fetchTeams();
+      fetchUsers();
+    } catch (error) {
+      alert(error.response?.data?.error || 'An error occurred');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await teamsAPI.delete(deletingTeam.id);
+      setDeletingTeam(null);
+      fetchTeams();
+      fetchUsers();
+    } catch (error) {
+      setDeletingTeam(null);
+      alert(error.response?.data?.error || 'Cannot delete team');
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingTeam(null);
+  };
+
+  const openEditModal = (team) => {
+    setEditingTeam(team);
+    setFormData({
+      name: team.name,
+      description: team.description || '',
+      manager_id: team.manager_id || '',
+      parent_id: team.parent_id || '',
+      user_ids: team.members.map((member) => member.id),
+    });
+    setShowModal(true);
+  };
+
+  const userName = (user) => `${user.first_name} ${user.last_name}`;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Teams</h1>
+          <p className="text-sm text-gray-500 mt-1">Managers see and approve the sales of their teams and the teams below them</p>
+        </div>
+        <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
+          Add Team
+        </Button>
+      </div>
+
+      <div className="card">
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Team</th>
+                <th>Manager</th>
+                <th>Part Of</th>
+                <th>Members</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {teams.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="text-center text-gray-500">No teams yet</td>
+                </tr>
+              ) : (
+                teams.map((team) => (
+                  <tr key={team.id}>
+                    <td>
+                      <p className="font-medium">{team.name}</p>
+                      {team.description && <p className="text-xs text-gray-500">{team.description}</p>}
+                    </td>
+                    <td>{team.manager_name || '—'}</td>
+                    <td>{team.parent_name || '—'}</td>
+                    <td className="text-sm text-gray-600">
+                      {team.members.length > 0 ? team.members.map((member) => member.name).join(', ') : '—'}
+                    </td>
+                    <td>
+                      <div className="flex space-x-2">
+                        <button onClick={() => openEditModal(team)} className="text-blue-600 hover:text-blue-800">
+                          <PencilIcon className="w-5 h-5" />
+                        </button>
+                        <button onClick={() => setDeletingTeam(team)} className="text-red-600 hover:text-red-800">
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }} title={editingTeam ? 'Edit Team' : 'Add Team'} size="lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input label="Name" name="name" value={formData.name} onChange={(e) => setFormData({...formData, name: e.target.value})} placeholder="e.g. Harare Desk" required />
+          <Textarea label="Description" name="description" rows={2} value={formData.description} onChange={(e) => setFormData({...formData, description: e.target.value})} />
+          <div className="grid grid-cols-2 gap-4">
+            <Select label="Manager" name="manager_id" value={formData.manager_id} onChange={(e) => setFormData({...formData, manager_id: e.target.value})} placeholder="No manager" options={users.map((user) => ({value: user.id, label: userName(user)}))} />
+            <Select label="Part Of" name="parent_id" value={formData.parent_id} onChange={(e) => setFormData({...formData, parent_id: e.target.value})} placeholder="Top level" options={teams.filter((team) => team.id !== editingTeam?.id).map((team) => ({value: team.id, label: team.name}))} />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Members</h3>
+            <p className="text-xs text-gray-500 mb-2">A user belongs to one team; picking someone from another team moves them here.</p>
+            <div className="space-y-1 max-h-64 overflow-y-auto custom-scrollbar">
+              {users.map((user) => (
+                <label key={user.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={formData.user_ids.includes(user.id)} onChange={() => toggleMember(user.id)} />
+                  <span>
+                    {userName(user)}
+                    {user.team_name && user.team_id !== editingTeam?.id && (
+                      <span className="ml-2 text-xs text-gray-400">{user.team_name}</span>
+                    )}
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
+            <Button type="submit" variant="primary">{editingTeam ? 'Update' : 'Create'} Team</Button>
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!deletingTeam}
+        onClose={() => setDeletingTeam(null)}
+        onConfirm={handleDelete}
+        title="Delete Team"
+        message={`Delete ${deletingTeam?.name}? Its members are left without a team and teams under it move to the top level.`}
+      />
+    </div>
+  );
+};
+
+export default Teams;
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { trashAPI } from '../services/api';
+import Button from '../components/common/Button';
+import { ConfirmModal } from '../components/common/Modal';
+import { ArrowUturnLeftIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+// Trash sections, keyed by the type the API returns, with the resource path
+// used for restore and purge
+const SECTIONS = [
+  { type: 'users', path: 'users', title: 'Users' },
+  { type: 'clients', path: 'clients', title: 'Clients' },
+  { type: 'sales', path: 'sales', title: 'Sales' },
+  { type: 'commission_payments', path: 'commission-payments', title: 'Commission Payments' },
+];
+
+const Trash = () => {
+  const [items, setItems] = useState({});
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [purging, setPurging] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await trashAPI.getAll();
+      setItems(response.data.items);
+      setRetentionDays(response.data.retention_days);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    }
+  };
+
+  const handleRestore = async (section, item) => {
+    try {
+      await trashAPI.restore(section.path, item.id);
+      fetchTrash();
+    } catch (error) {
+      alert(error.response?.data?.details || error.response?.data?.error || 'Error restoring item');
+    }
+  };
+
+  const handlePurge = async () => {
+    setLoading(true);
+    try {
+      await trashAPI.purge(purging.section.path, purging.item.id);
+      setPurging(null);
+      fetchTrash();
+    } catch (error) {
+      setPurging(null);
+      alert(error.response?.data?.details || error.response?.data?.error || 'Error deleting item');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePurgeExpired = async () => {
+    try {
+      const response = await trashAPI.purgeExpired();
+      const count = (group) => Object.values(group).reduce((sum, ids) => sum + ids.length, 0);
+      const purged = count(response.data.purged);
+      const kept = count(response.data.kept);
+      alert(`${purged} expired item(s) permanently deleted` +
+        (kept > 0 ? `; ${kept} kept because other records still refer to them` : ''));
+      fetchTrash();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error purging expired items');
+    }
+  };
+
+  const isEmpty = SECTIONS.every((section) => (items[section.type] || []).length === 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+          {retentionDays && (
+            <p className="text-sm text-gray-500 mt-1">
+              Deleted items are permanently removed after {retentionDays} days
+            </p>
+          )}
+        </div>
+        <Button variant="secondary" onClick={handlePurgeExpired}>
+          <TrashIcon className="w-5 h-5 mr-2" />
+          Purge Expired
+        </Button>
+      </div>
+
+      {isEmpty && (
+        <div className="card text-center text-gray-500">The trash is empty</div>
+      )}
+
+      {SECTIONS.filter((section) => (items[section.type] || []).length > 0).map((section) => (
+        <div key={section.type} className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">{section.title}</h2>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Deleted</th>
+                  <th>Deleted By</th>
+                  <th>Purged After</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items[section.type].map((item) => (
+                  <tr key={item.id}>
+                    <td>{item.label}</td>
+                    <td>{new Date(item.deleted_at).toLocaleString()}</td>
+                    <td>{item.deleted_by_name || '—'}</td>
+                    <td>{new Date(item.purge_after).toLocaleDateString()}</td>
+                    <td>
+                      <div className="flex space-x-2">
+                        <Button size="sm" variant="secondary" onClick={() => handleRestore(section, item)}>
+                          <ArrowUturnLeftIcon className="w-4 h-4 mr-1" />
+                          Restore
+                        </Button>
+                        <Button size="sm" variant="danger" onClick={() => setPurging({ section, item })}>
+                          Delete Forever
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      <ConfirmModal
+        isOpen={!!purging}
+        onClose={() => setPurging(null)}
+        onConfirm={handlePurge}
+        loading={loading}
+        title="Delete Forever"
+        confirmText="Delete Forever"
+        message={`Permanently delete ${purging?.item.label}? This action cannot be undone.`}
+      />
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,17 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { usersAPI } from '../services/api';
+import { usersAPI, rolesAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import Button from '../components/common/Button';
 import Input, { Select } from '../components/common/Input';
 import Modal, { ConfirmModal } from '../components/common/Modal';
-import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, PencilIcon, TrashIcon, ComputerDesktopIcon } from '@heroicons/react/24/outline';
 
 const Users = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('users.manage');
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [deletingUser, setDeletingUser] = useState(null);
+  const [sessionsUser, setSessionsUser] = useState(null);
+  const [sessions, setSessions] = useState([]);
   const [formData, setFormData] = useState({
     first_name: '',
     last_name: '',
@@ -23,6 +29,7 @@ const Users = () => {
 
   useEffect(() => {
     fetchUsers();
+    fetchRoles();
   }, []);
 
   const fetchUsers = async () => {
@@ -36,6 +43,17 @@ const Users = () => {
     }
   };
 
+  const fetchRoles = async () => {
+    try {
+      const response = await rolesAPI.getAll();
+      setRoles(response.data.roles);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+    }
+  };
+
+  const roleLabel = (name) => roles.find((role) => role.name === name)?.label || name;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -62,6 +80,39 @@ const Users = () => {
     }
   };
 
+  const openSessions = async (user) => {
+    setSessionsUser(user);
+    setSessions([]);
+    fetchSessions(user.id);
+  };
+
+  const fetchSessions = async (userId) => {
+    try {
+      const response = await usersAPI.getSessions(userId);
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await usersAPI.revokeSession(sessionsUser.id, sessionId);
+      fetchSessions(sessionsUser.id);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error revoking session');
+    }
+  };
+
+  const handleRevokeAllSessions = async () => {
+    try {
+      await usersAPI.revokeAllSessions(sessionsUser.id);
+      fetchSessions(sessionsUser.id);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error revoking sessions');
+    }
+  };
+
   const resetForm = () => {
     setFormData({
       first_name: '',
@@ -91,9 +142,11 @@ const Users = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
-        <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
-          Add User
-        </Button>
+        {canManage && (
+          <Button icon={<PlusIcon className="w-5 h-5" />} onClick={() => setShowModal(true)}>
+            Add User
+          </Button>
+        )}
       </div>
 
       <div className="card">
@@ -105,8 +158,9 @@ const Users = () => {
                 <th>Email</th>
                 <th>Phone</th>
                 <th>Role</th>
+                <th>Team</th>
                 <th>Status</th>
-                <th>Actions</th>
+                {canManage && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
@@ -117,24 +171,30 @@ const Users = () => {
                   <td>{user.phone_number || 'N/A'}</td>
                   <td>
                     <span className={`badge ${user.role === 'admin' ? 'badge-info' : 'badge-success'}`}>
-                      {user.role}
+                      {roleLabel(user.role)}
                     </span>
                   </td>
+                  <td>{user.team_name || '—'}</td>
                   <td>
                     <span className={`badge ${user.is_active ? 'badge-success' : 'badge-rejected'}`}>
                       {user.is_active ? 'Active' : 'Inactive'}
                     </span>
                   </td>
-                  <td>
-                    <div className="flex space-x-2">
-                      <button onClick={() => openEditModal(user)} className="text-blue-600 hover:text-blue-800">
-                        <PencilIcon className="w-5 h-5" />
-                      </button>
-                      <button onClick={() => { setDeletingUser(user); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
-                        <TrashIcon className="w-5 h-5" />
-                      </button>
-                    </div>
-                  </td>
+                  {canManage && (
+                    <td>
+                      <div className="flex space-x-2">
+                        <button onClick={() => openEditModal(user)} className="text-blue-600 hover:text-blue-800">
+                          <PencilIcon className="w-5 h-5" />
+                        </button>
+                        <button onClick={() => openSessions(user)} className="text-gray-600 hover:text-gray-800" title="Sessions">
+                          <ComputerDesktopIcon className="w-5 h-5" />
+                        </button>
+                        <button onClick={() => { setDeletingUser(user); setShowDeleteModal(true); }} className="text-red-600 hover:text-red-800">
+                          <TrashIcon className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -151,7 +211,7 @@ const Users = () => {
           <Input label="Email" type="email" name="email" value={formData.email} onChange={(e) => setFormData({...formData, email: e.target.value})} required />
           {!editingUser && <Input label="Password" type="password" name="password" value={formData.password} onChange={(e) => setFormData({...formData, password: e.target.value})} required />}
           <Input label="Phone Number" name="phone_number" value={formData.phone_number} onChange={(e) => setFormData({...formData, phone_number: e.target.value})} />
-          <Select label="Role" name="role" value={formData.role} onChange={(e) => setFormData({...formData, role: e.target.value})} options={[{value: 'admin', label: 'Admin'}, {value: 'journalist', label: 'Journalist'}]} required />
+          <Select label="Role" name="role" value={formData.role} onChange={(e) => setFormData({...formData, role: e.target.value})} options={roles.map((role) => ({value: role.name, label: role.label}))} required />
           <div className="flex justify-end space-x-3 pt-4">
             <Button variant="secondary" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</Button>
             <Button type="submit" variant="primary">{editingUser ? 'Update' : 'Create'} User</Button>
@@ -159,7 +219,48 @@ const Users = () => {
         </form>
       </Modal>
 
-      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title="Delete User" message={`Are you sure you want to permanently delete ${deletingUser?.first_name} ${deletingUser?.last_name}? This action cannot be undone.`} />
+      <Modal isOpen={!!sessionsUser} onClose={() => setSessionsUser(null)} title={`Sessions: ${sessionsUser?.first_name || ''} ${sessionsUser?.last_name || ''}`} size="lg">
+        {sessions.length === 0 ? (
+          <p className="text-gray-500">No active sessions</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Device</th>
+                    <th>IP Address</th>
+                    <th>Signed In</th>
+                    <th>Last Active</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sessions.map((session) => (
+                    <tr key={session.id}>
+                      <td className="max-w-xs truncate" title={session.user_agent}>
+                        {session.user_agent || 'Unknown'}
+                        {session.current && <span className="badge badge-info ml-2">This session</span>}
+                      </td>
+                      <td>{session.ip_address || 'N/A'}</td>
+                      <td>{new Date(session.created_at).toLocaleString()}</td>
+                      <td>{new Date(session.last_used_at).toLocaleString()}</td>
+                      <td>
+                        <Button size="sm" variant="danger" onClick={() => handleRevokeSession(session.id)}>Revoke</Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-end">
+              <Button variant="danger" onClick={handleRevokeAllSessions}>Revoke All Sessions</Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <ConfirmModal isOpen={showDeleteModal} onClose={() => setShowDeleteModal(false)} onConfirm={handleDelete} title="Delete User" message={`Move ${deletingUser?.first_name} ${deletingUser?.last_name} to the trash? They will no longer be able to log in. You can restore them from the Trash page.`} />
     </div>
   );
 };
@@ -61,16 +61,27 @@ api.interceptors.response.use(
       console.error('🌐 CORS Error - Check server CORS configuration');
     }
 
-    // Handle 401 but don't auto-redirect on login attempts
+    // On 401, renew the access token once with the refresh token and retry.
+    // Login, refresh and logout calls are never retried.
     if (error.response?.status === 401) {
-      // Only clear token and redirect if it's not a login attempt
-      if (!error.config?.url?.includes('/auth/login')) {
-        console.log('🔐 Authentication expired - redirecting to login');
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
+      const url = error.config?.url || '';
+      const isAuthCall = ['/auth/login', '/auth/refresh', '/auth/logout'].some((path) => url.includes(path));
+
+      if (isAuthCall) {
+        console.log('🔐 Auth request failed - not retrying');
+      } else if (!error.config._retried && localStorage.getItem('refresh_token')) {
+        error.config._retried = true;
+        return refreshSession()
+          .then((token) => {
+            error.config.headers.Authorization = `Bearer ${token}`;
+            return api(error.config);
+          })
+          .catch(() => {
+            expireSession();
+            return Promise.reject(error);
+          });
       } else {
-        console.log('🔐 Login attempt failed - keeping user on login page');
+        expireSession();
       }
     }
 
@@ -78,6 +89,44 @@ api.interceptors.response.use(
   }
 );
 
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refresh_token');
+  localStorage.removeItem('user');
+};
+
+const expireSession = () => {
+  console.log('🔐 Authentication expired - redirecting to login');
+  clearSession();
+  window.location.href = '/login';
+};
+
+// Swap the refresh token for new tokens. Concurrent callers share one
+// request; if another tab already rotated the token, use its result.
+let refreshing = null;
+export const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refresh_token');
+    refreshing = api.post('/auth/refresh', { refresh_token: refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refresh_token', response.data.refresh_token);
+        return response.data.token;
+      })
+      .catch((error) => {
+        const current = localStorage.getItem('refresh_token');
+        if (current && current !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // Enhanced Auth API with better error handling
 export const authAPI = {
   login: async (credentials) => {
@@ -102,8 +151,12 @@ export const authAPI = {
     }
   },
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
   me: () => api.get('/auth/me'),
   changePassword: (data) => api.post('/auth/change-password', data),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
 };
 
 // Test connectivity on load
@@ -133,6 +186,26 @@ export const usersAPI = {
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   getStats: () => api.get('/users/stats/overview'),
+  getSessions: (id) => api.get(`/users/${id}/sessions`),
+  revokeSession: (id, sessionId) => api.delete(`/users/${id}/sessions/${sessionId}`),
+  revokeAllSessions: (id) => api.delete(`/users/${id}/sessions`),
+};
+
+export const rolesAPI = {
+  getAll: () => api.get('/roles'),
+  getPermissions: () => api.get('/roles/permissions'),
+  create: (data) => api.post('/roles', data),
+  update: (id, data) => api.put(`/roles/${id}`, data),
+  delete: (id) => api.delete(`/roles/${id}`),
+};
+
+export const teamsAPI = {
+  getAll: () => api.get('/teams'),
+  getById: (id) => api.get(`/teams/${id}`),
+  create: (data) => api.post('/teams', data),
+  update: (id, data) => api.put(`/teams/${id}`, data),
+  setMembers: (id, user_ids) => api.put(`/teams/${id}/members`, { user_ids }),
+  delete: (id) => api.delete(`/teams/${id}`),
 };
 
 export const clientsAPI = {
@@ -151,10 +224,31 @@ export const salesAPI = {
   create: (formData) => api.post('/sales', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
-  update: (id, data) => api.put(`/sales/${id}`, data),
+  update: (id, formData) => api.put(`/sales/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
   delete: (id) => api.delete(`/sales/${id}`),
-  approve: (id) => api.post(`/sales/${id}/approve`),
+  approve: (id, comment) => api.post(`/sales/${id}/approve`, { comment }),
   reject: (id, reason) => api.post(`/sales/${id}/reject`, { rejection_reason: reason }),
+  requestInfo: (id, comment) => api.post(`/sales/${id}/request-info`, { comment }),
+  resubmit: (id, comment) => api.post(`/sales/${id}/resubmit`, { comment }),
+  getApprovals: (id) => api.get(`/sales/${id}/approvals`),
+  getRevisions: (id) => api.get(`/sales/${id}/revisions`),
+  getComments: (id) => api.get(`/sales/${id}/comments`),
+  addComment: (id, formData) => api.post(`/sales/${id}/comments`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  deleteComment: (id, commentId) => api.delete(`/sales/${id}/comments/${commentId}`),
+  downloadProof: (id) => {
+    return api.get(`/sales/${id}/proof`, {
+      responseType: 'blob',
+    });
+  },
+  downloadCommentAttachment: (id, commentId) => {
+    return api.get(`/sales/${id}/comments/${commentId}/attachment`, {
+      responseType: 'blob',
+    });
+  },
   getStats: () => api.get('/sales/stats/overview'),
   getRevenueTrend: (period = 'month') => api.get('/sales/stats/revenue-trend', { params: { period } }),
   getSalesByAdType: () => api.get('/sales/stats/by-ad-type'),
@@ -162,22 +256,41 @@ export const salesAPI = {
 };
 
 export const invoicesAPI = {
-  getAll: () => api.get('/invoices'),
+  getAll: (filters = {}) => api.get('/invoices', { params: filters }),
   getById: (id) => api.get(`/invoices/${id}`),
-  generate: (saleId) => api.post(`/invoices/generate/${saleId}`),
+  create: (data) => api.post('/invoices', data),
+  issue: (id, data = {}) => api.post(`/invoices/${id}/issue`, data),
+  void: (id, reason) => api.post(`/invoices/${id}/void`, { reason }),
+  createCreditNote: (id, data) => api.post(`/invoices/${id}/credit-notes`, data),
+  email: (id, data = {}) => api.post(`/invoices/${id}/email`, data),
+  addPayment: (id, data) => api.post(`/invoices/${id}/payments`, data),
+  deletePayment: (id, paymentId) => api.delete(`/invoices/${id}/payments/${paymentId}`),
+  getAging: (params = {}) => api.get('/invoices/reports/aging', { params }),
+  getDraftLines: (saleId) => api.get(`/invoices/draft-lines/${saleId}`),
+  generate: (saleId, data) => api.post(`/invoices/generate/${saleId}`, data),
+  updateItems: (id, items) => api.put(`/invoices/${id}/items`, { items }),
   download: (id) => {
     return api.get(`/invoices/${id}/download`, {
       responseType: 'blob',
     });
   },
-  delete: (id) => api.delete(`/invoices/${id}`),
+};
+
+export const creditNotesAPI = {
+  getAll: (filters = {}) => api.get('/credit-notes', { params: filters }),
+  getById: (id) => api.get(`/credit-notes/${id}`),
+  download: (id) => {
+    return api.get(`/credit-notes/${id}/download`, {
+      responseType: 'blob',
+    });
+  },
 };
 
 export const analyticsAPI = {
-  getDashboard: () => api.get('/analytics/dashboard'),
+  getDashboard: (params = {}) => api.get('/analytics/dashboard', { params }),
   getRevenueTrend: (params = {}) => api.get('/analytics/revenue-trend', { params }),
-  getSalesByAdType: () => api.get('/analytics/sales-by-ad-type'),
-  getSalesByPaymentMethod: () => api.get('/analytics/sales-by-payment-method'),
+  getSalesByAdType: (params = {}) => api.get('/analytics/sales-by-ad-type', { params }),
+  getSalesByPaymentMethod: (params = {}) => api.get('/analytics/sales-by-payment-method', { params }),
   getLeaderboard: (params = {}) => api.get('/analytics/leaderboard', { params }),
   getTopClients: (params = {}) => api.get('/analytics/top-clients', { params }),
   getRecentSales: (params = {}) => api.get('/analytics/recent-sales', { params }),
@@ -189,6 +302,25 @@ export const analyticsAPI = {
   },
 };
 
+export const quotationsAPI = {
+  getAll: (filters = {}) => api.get('/quotations', { params: filters }),
+  getById: (id) => api.get(`/quotations/${id}`),
+  create: (data) => api.post('/quotations', data),
+  update: (id, data) => api.put(`/quotations/${id}`, data),
+  delete: (id) => api.delete(`/quotations/${id}`),
+  send: (id) => api.post(`/quotations/${id}/send`),
+  accept: (id) => api.post(`/quotations/${id}/accept`),
+  decline: (id) => api.post(`/quotations/${id}/decline`),
+  convert: (id, formData) => api.post(`/quotations/${id}/convert`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  download: (id) => {
+    return api.get(`/quotations/${id}/download`, {
+      responseType: 'blob',
+    });
+  },
+};
+
 export const settingsAPI = {
   getAll: () => api.get('/settings'),
   getByKey: (key) => api.get(`/settings/${key}`),
@@ -207,6 +339,96 @@ export const commissionPaymentsAPI = {
   getJournalistSummary: (journalistId) => 
     api.get(`/commission-payments/journalist/${journalistId}/summary`),
   getAllJournalistsStats: () => api.get('/commission-payments/stats/all-journalists'),
+  getStatement: (journalistId, period) =>
+    api.get(`/commission-payments/journalist/${journalistId}/statement`, { params: { period } }),
+  downloadStatement: (journalistId, period) => {
+    return api.get(`/commission-payments/journalist/${journalistId}/statement/pdf`, {
+      params: { period },
+      responseType: 'blob',
+    });
+  },
+  emailStatement: (journalistId, period, message) =>
+    api.post(`/commission-payments/journalist/${journalistId}/statement/email`, { period, message }),
+};
+
+export const emailsAPI = {
+  getAll: (filters = {}) => api.get('/emails', { params: filters }),
+  getById: (id) => api.get(`/emails/${id}`),
+  retry: (id) => api.post(`/emails/${id}/retry`),
+};
+
+export const notificationsAPI = {
+  getAll: (filters = {}) => api.get('/notifications', { params: filters }),
+  getEvents: () => api.get('/notifications/events'),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences }),
+  getInbox: (params = {}) => api.get('/notifications/inbox', { params }),
+  markRead: (id) => api.post(`/notifications/inbox/${id}/read`),
+  markAllRead: () => api.post('/notifications/inbox/read-all'),
+  // EventSource can't send the Authorization header, so the token goes in the URL
+  streamUrl: () => `${api.defaults.baseURL}/notifications/stream?token=${encodeURIComponent(localStorage.getItem('token') || '')}`,
+};
+
+export const auditLogAPI = {
+  getAll: (filters = {}) => api.get('/audit-log', { params: filters }),
+  getById: (id) => api.get(`/audit-log/${id}`),
+  export: (filters = {}) => {
+    return api.get('/audit-log/export', {
+      params: filters,
+      responseType: 'blob',
+    });
+  },
+};
+
+export const trashAPI = {
+  getAll: () => api.get('/trash'),
+  // type is the resource path: users, clients, sales or commission-payments
+  restore: (type, id) => api.post(`/${type}/${id}/restore`),
+  purge: (type, id) => api.post(`/${type}/${id}/purge`),
+  purgeExpired: () => api.post('/trash/purge-expired'),
+};
+
+export const maintenanceAPI = {
+  getStatus: () => api.get('/maintenance/status'),
+  getDiagnostics: () => api.get('/maintenance/diagnostics'),
+  getUsers: () => api.get('/maintenance/users'),
+  unlockUser: (id) => api.post(`/maintenance/users/${id}/unlock`),
+  forcePasswordReset: (id) => api.post(`/maintenance/users/${id}/force-password-reset`),
+  revokeUserSessions: (id) => api.post(`/maintenance/users/${id}/revoke-sessions`),
+  revokeAllSessions: () => api.post('/maintenance/sessions/revoke-all'),
+};
+
+export const commissionRulesAPI = {
+  getAll: (params = {}) => api.get('/commission-rules', { params }),
+  getById: (id) => api.get(`/commission-rules/${id}`),
+  create: (data) => api.post('/commission-rules', data),
+  update: (id, data) => api.put(`/commission-rules/${id}`, data),
+  delete: (id) => api.delete(`/commission-rules/${id}`),
+  resolve: (params) => api.get('/commission-rules/resolve', { params }),
+};
+
+export const exchangeRatesAPI = {
+  getAll: (params = {}) => api.get('/exchange-rates', { params }),
+  getLatest: () => api.get('/exchange-rates/latest'),
+  create: (data) => api.post('/exchange-rates', data),
+  update: (id, data) => api.put(`/exchange-rates/${id}`, data),
+  delete: (id) => api.delete(`/exchange-rates/${id}`),
+};
+
+export const adTypesAPI = {
+  getAll: (params = {}) => api.get('/ad-types', { params }),
+  getById: (id) => api.get(`/ad-types/${id}`),
+  create: (data) => api.post('/ad-types', data),
+  update: (id, data) => api.put(`/ad-types/${id}`, data),
+  delete: (id) => api.delete(`/ad-types/${id}`),
+};
+
+export const paymentMethodsAPI = {
+  getAll: (params = {}) => api.get('/payment-methods', { params }),
+  getById: (id) => api.get(`/payment-methods/${id}`),
+  create: (data) => api.post('/payment-methods', data),
+  update: (id, data) => api.put(`/payment-methods/${id}`, data),
+  delete: (id) => api.delete(`/payment-methods/${id}`),
 };
 
 export default api;
@@ -0,0 +1,17 @@
+// Currencies supported for sales, invoices and commission payments.
+// Must match the currencies accepted by the backend.
+export const BASE_CURRENCY = 'USD';
+
+export const CURRENCIES = [
+  { value: 'USD', label: 'USD', symbol: '$' },
+  { value: 'ZWG', label: 'ZiG', symbol: 'ZiG ' },
+  { value: 'ZAR', label: 'ZAR', symbol: 'R' },
+];
+
+export const currencyOptions = CURRENCIES.map(({ value, label }) => ({ value, label }));
+
+// Format an amount with its currency symbol, e.g. formatMoney(12.5, 'ZAR') -> "R12.50"
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const symbol = CURRENCIES.find(c => c.value === currency)?.symbol ?? `${currency} `;
+  return `${symbol}${parseFloat(amount || 0).toFixed(2)}`;
+};